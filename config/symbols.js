@@ -1,24 +1,27 @@
 // 야후 파이낸스 심볼 매핑
 // newsSymbol: Finnhub 뉴스 조회용 (없으면 해당 항목 이벤트 skip)
+// category: 기본 분류 (지수/환율/원자재/개별주/ETF, 항목 관리 탭에서 변경 가능)
+// provider: 시세 제공처 (yahoo | local, 생략 시 PRICE_PROVIDER 환경변수, 기본 yahoo)
+// market: 거래소 캘린더 (krx | nyse | cme | fx, utils/market-calendar.js) - 휴장일·종가 확정·갱신 시각 판단
 module.exports = {
   items: [
-    { id: 'kospi', name: '코스피지수', symbol: '^KS11', unit: 'pt', newsSymbol: null },
-    { id: 'kospi200', name: '코스피200지수', symbol: '^KS200', unit: 'pt', newsSymbol: null },
-    { id: 'sp500', name: 'S&P500지수', symbol: '^GSPC', unit: 'pt', newsSymbol: 'SPY' },
-    { id: 'sox', name: '필라델피아반도체지수', symbol: '^SOX', unit: 'pt', newsSymbol: 'SOXX' },
-    { id: 'usdkrw', name: '미국USD(원)', symbol: 'KRW=X', unit: '원', newsSymbol: null },
-    { id: 'gold', name: '국제금값', symbol: 'GC=F', unit: 'USD', newsSymbol: 'GLD' },
-    { id: 'brent', name: '브랜트유가격', symbol: 'BZ=F', unit: 'USD', newsSymbol: null },
-    { id: 'treasury10', name: '미국10년국채가격', symbol: '^TNX', unit: '%', newsSymbol: null },
-    { id: 'apple', name: '애플', symbol: 'AAPL', unit: 'USD', newsSymbol: 'AAPL' },
-    { id: 'microsoft', name: '마이크로소프트', symbol: 'MSFT', unit: 'USD', newsSymbol: 'MSFT' },
-    { id: 'sap', name: 'SAP', symbol: 'SAP', unit: 'EUR', newsSymbol: 'SAP' },
-    { id: 'nvidia', name: '앤비디아', symbol: 'NVDA', unit: 'USD', newsSymbol: 'NVDA' },
-    { id: 'gaonchips', name: '가온칩스', symbol: '399720.KQ', unit: '원', newsSymbol: null },
-    { id: 'tiger_sp500_h', name: 'TIGER S&P 500(H) ETF', symbol: '448290.KS', unit: '원', newsSymbol: 'SPY' },
-    { id: 'tiger_sp500', name: 'TIGER S&P 500 ETF', symbol: '360750.KS', unit: '원', newsSymbol: 'SPY' },
-    { id: 'tiger_sox', name: 'Tiger 필라델피아 지수', symbol: '381180.KS', unit: '원', newsSymbol: 'SOXX' },
-    { id: 'krx_gold', name: 'KRX금현물가격', symbol: '319640.KS', unit: '원', newsSymbol: null },
-    { id: 'alphabet', name: '알파벳A 가격', symbol: 'GOOGL', unit: 'USD', newsSymbol: 'GOOGL' },
+    { id: 'kospi', name: '코스피지수', symbol: '^KS11', unit: 'pt', newsSymbol: null, category: '지수', market: 'krx' },
+    { id: 'kospi200', name: '코스피200지수', symbol: '^KS200', unit: 'pt', newsSymbol: null, category: '지수', market: 'krx' },
+    { id: 'sp500', name: 'S&P500지수', symbol: '^GSPC', unit: 'pt', newsSymbol: 'SPY', category: '지수', market: 'nyse' },
+    { id: 'sox', name: '필라델피아반도체지수', symbol: '^SOX', unit: 'pt', newsSymbol: 'SOXX', category: '지수', market: 'nyse' },
+    { id: 'usdkrw', name: '미국USD(원)', symbol: 'KRW=X', unit: '원', newsSymbol: null, category: '환율', market: 'fx' },
+    { id: 'gold', name: '국제금값', symbol: 'GC=F', unit: 'USD', newsSymbol: 'GLD', category: '원자재', market: 'cme' },
+    { id: 'brent', name: '브랜트유가격', symbol: 'BZ=F', unit: 'USD', newsSymbol: null, category: '원자재', market: 'cme' },
+    { id: 'treasury10', name: '미국10년국채가격', symbol: '^TNX', unit: '%', newsSymbol: null, category: '지수', market: 'nyse' },
+    { id: 'apple', name: '애플', symbol: 'AAPL', unit: 'USD', newsSymbol: 'AAPL', category: '개별주', market: 'nyse' },
+    { id: 'microsoft', name: '마이크로소프트', symbol: 'MSFT', unit: 'USD', newsSymbol: 'MSFT', category: '개별주', market: 'nyse' },
+    { id: 'sap', name: 'SAP', symbol: 'SAP', unit: 'EUR', newsSymbol: 'SAP', category: '개별주', market: 'nyse' },
+    { id: 'nvidia', name: '앤비디아', symbol: 'NVDA', unit: 'USD', newsSymbol: 'NVDA', category: '개별주', market: 'nyse' },
+    { id: 'gaonchips', name: '가온칩스', symbol: '399720.KQ', unit: '원', newsSymbol: null, category: '개별주', market: 'krx' },
+    { id: 'tiger_sp500_h', name: 'TIGER S&P 500(H) ETF', symbol: '448290.KS', unit: '원', newsSymbol: 'SPY', category: 'ETF', market: 'krx' },
+    { id: 'tiger_sp500', name: 'TIGER S&P 500 ETF', symbol: '360750.KS', unit: '원', newsSymbol: 'SPY', category: 'ETF', market: 'krx' },
+    { id: 'tiger_sox', name: 'Tiger 필라델피아 지수', symbol: '381180.KS', unit: '원', newsSymbol: 'SOXX', category: 'ETF', market: 'krx' },
+    { id: 'krx_gold', name: 'KRX금현물가격', symbol: '319640.KS', unit: '원', newsSymbol: null, category: '원자재', market: 'krx' },
+    { id: 'alphabet', name: '알파벳A 가격', symbol: 'GOOGL', unit: 'USD', newsSymbol: 'GOOGL', category: '개별주', market: 'nyse' },
   ]
 };
@@ -0,0 +1,83 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
+// GET 요청 후 본문 문자열 반환 (http/https 모두 지원 → 로컬 스텁 서버로 테스트 가능)
+// 상태 코드 오류 시 err.statusCode 설정, 429는 RATE_LIMITED로 통일
+function httpGetText(url, options = {}) {
+  const { headers = {}, timeout = 15000, maxSize = DEFAULT_MAX_SIZE } = options;
+  const client = url.startsWith('http://') ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > maxSize) {
+          req.destroy();
+          reject(new Error('응답 크기 초과'));
+        }
+      });
+      res.on('end', () => {
+        if (res.statusCode === 429) {
+          const err = new Error('RATE_LIMITED');
+          err.statusCode = 429;
+          reject(err);
+          return;
+        }
+        if (res.statusCode !== 200) {
+          const err = new Error(`HTTP ${res.statusCode}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+          return;
+        }
+        resolve(body);
+      });
+    });
+    req.on('error', (e) => reject(new Error(e.message || '네트워크 오류')));
+    req.setTimeout(timeout, () => { req.destroy(); reject(new Error('TIMEOUT')); });
+  });
+}
+
+async function httpGetJson(url, options) {
+  const text = await httpGetText(url, options);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('잘못된 응답 형식');
+  }
+}
+
+// JSON POST (웹훅 전송용). 2xx가 아니면 err.statusCode 설정, 응답 본문 문자열 반환
+function httpPostJson(url, payload, options = {}) {
+  const { headers = {}, timeout = 10000, maxSize = 64 * 1024 } = options;
+  const client = url.startsWith('http://') ? http : https;
+  const body = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (text.length < maxSize) text += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const err = new Error(res.statusCode === 429 ? 'RATE_LIMITED' : `HTTP ${res.statusCode}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+          return;
+        }
+        resolve(text);
+      });
+    });
+    req.on('error', (e) => reject(new Error(e.message || '네트워크 오류')));
+    req.setTimeout(timeout, () => { req.destroy(); reject(new Error('TIMEOUT')); });
+    req.end(body);
+  });
+}
+
+module.exports = { httpGetText, httpGetJson, httpPostJson };
@@ -0,0 +1,48 @@
+const { httpGetJson } = require('../http');
+
+const DEFAULT_BASE_URL = 'https://finnhub.io/api/v1';
+const MAX_TEXT = 1000;
+
+function cleanText(val, max = MAX_TEXT) {
+  if (typeof val !== 'string') return '';
+  return val.trim().slice(0, max);
+}
+
+// 기사 URL은 http(s)만 허용 (javascript: 등 차단)
+function cleanUrl(val) {
+  if (typeof val !== 'string') return null;
+  return /^https?:\/\//i.test(val) ? val : null;
+}
+
+// Finnhub company-news 어댑터
+// baseUrl 변경 시 로컬 스텁 서버(http://localhost:xxxx)로 대체 가능
+function createFinnhubNewsProvider({ apiKey, baseUrl = DEFAULT_BASE_URL } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function fetchCompanyNews(symbol, from, to) {
+    const url = `${root}/company-news?symbol=${encodeURIComponent(symbol)}&from=${from}&to=${to}&token=${encodeURIComponent(apiKey)}`;
+    const json = await httpGetJson(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; StockDashboard/1.0)' },
+      timeout: 10000,
+      maxSize: 2 * 1024 * 1024
+    });
+    if (!Array.isArray(json)) return [];
+    return json
+      .filter((n) => n && typeof n.datetime === 'number' && Number.isFinite(n.datetime) && n.headline)
+      .map((n) => ({
+        datetime: n.datetime,
+        headline: cleanText(n.headline, 300),
+        summary: cleanText(n.summary),
+        source: cleanText(n.source, 100),
+        url: cleanUrl(n.url)
+      }));
+  }
+
+  return {
+    name: 'finnhub',
+    isConfigured: () => Boolean(apiKey) && apiKey !== 'your_api_key_here',
+    fetchCompanyNews
+  };
+}
+
+module.exports = { createFinnhubNewsProvider };
@@ -0,0 +1,19 @@
+const { createFinnhubNewsProvider } = require('./finnhub');
+
+// 뉴스 제공처 레지스트리 (NEWS_PROVIDER 환경변수로 선택, 기본 finnhub)
+// 모든 제공처는 { name, isConfigured(), fetchCompanyNews(symbol, from, to) } 형태
+const factories = {
+  finnhub: (env) => createFinnhubNewsProvider({
+    apiKey: env.FINNHUB_API_KEY,
+    baseUrl: env.FINNHUB_BASE_URL || undefined
+  })
+};
+
+function createNewsProvider(env = process.env) {
+  const name = (env.NEWS_PROVIDER || 'finnhub').trim().toLowerCase();
+  const factory = factories[name];
+  if (!factory) throw new Error(`알 수 없는 뉴스 제공처: ${name}`);
+  return factory(env);
+}
+
+module.exports = { createNewsProvider };
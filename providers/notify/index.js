@@ -0,0 +1,48 @@
+const { createWebhookChannel } = require('./webhook');
+const { createEmailChannel } = require('./smtp');
+
+// 알림 채널 레지스트리: 채널 설정({ type, ... }) → { type, send(message) }
+// message: { title, text, alert }
+const factories = {
+  webhook: (config) => createWebhookChannel({ url: config.url, format: config.format || 'json' }),
+  email: (config) => createEmailChannel(config)
+};
+
+const CHANNEL_TYPES = Object.keys(factories);
+
+function createChannel(config) {
+  const factory = factories[config && config.type];
+  if (!factory) throw new Error(`알 수 없는 채널 유형입니다: ${config && config.type}`);
+  return factory(config);
+}
+
+// .env 채널 (읽기 전용): ALERT_WEBHOOK_URL / SMTP_HOST + ALERT_EMAIL_TO
+function channelsFromEnv(env = process.env) {
+  const channels = [];
+  if (env.ALERT_WEBHOOK_URL) {
+    channels.push({
+      id: 'env_webhook',
+      name: '웹훅 (.env)',
+      type: 'webhook',
+      url: env.ALERT_WEBHOOK_URL,
+      format: env.ALERT_WEBHOOK_FORMAT || 'json'
+    });
+  }
+  if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+    channels.push({
+      id: 'env_email',
+      name: '메일 (.env)',
+      type: 'email',
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || '',
+      pass: env.SMTP_PASS || '',
+      from: env.ALERT_EMAIL_FROM || env.SMTP_USER || '',
+      to: env.ALERT_EMAIL_TO
+    });
+  }
+  return channels;
+}
+
+module.exports = { createChannel, channelsFromEnv, CHANNEL_TYPES };
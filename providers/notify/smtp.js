@@ -0,0 +1,184 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// 최소 SMTP 클라이언트 (외부 의존성 없이 메일 1건 전송)
+// secure: 연결부터 TLS(465) / 아니면 평문 연결 후 서버가 STARTTLS를 지원하면 전환
+// user/pass가 있으면 AUTH PLAIN. 로컬 SMTP 싱크(평문, 인증 없음)로 테스트 가능
+const DEFAULT_TIMEOUT = 15000;
+
+// SMTP 명령·메일 헤더에 그대로 들어가는 값 검증 (CR/LF로 명령·헤더를 끼워 넣지 못하도록)
+// 주소는 꺾쇠·표시 이름 없는 local@domain만
+const ADDRESS_REGEX = /^[^\s<>()@,;:"\\]+@[^\s<>()@,;:"\\]+$/;
+const hasLineBreak = (value) => /[\r\n]/.test(String(value == null ? '' : value));
+const isAddress = (value) => typeof value === 'string' && ADDRESS_REGEX.test(value);
+
+// 응답 읽기: "250-..." 여러 줄 후 "250 ..." 으로 끝나는 응답 단위로 반환
+function createReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const responses = [];
+  const waiters = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiters.length > 0 && (responses.length > 0 || failure)) {
+      const w = waiters.shift();
+      if (responses.length > 0) w.resolve(responses.shift());
+      else w.reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        responses.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (err) => {
+    failure = err;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP 연결 종료'));
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connect({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeout, () => socket.destroy(new Error('TIMEOUT')));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+// 비ASCII 헤더(한글 제목 등) → RFC 2047
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+async function sendMail({ host, port = 25, secure = false, user, pass, from, to, subject, text, timeout = DEFAULT_TIMEOUT }) {
+  if (hasLineBreak(host) || hasLineBreak(user)) throw new Error('SMTP 서버·계정에 줄바꿈 문자를 쓸 수 없습니다');
+  if (!isAddress(from) || !Array.isArray(to) || !to.every(isAddress)) throw new Error('메일 주소 형식이 올바르지 않습니다 (local@domain)');
+  let socket = await connect({ host, port, secure, timeout });
+  let reader = createReader(socket);
+  const expect = async (codes, label) => {
+    const res = await reader.read();
+    if (!codes.includes(res.code)) throw new Error(`SMTP ${label} 실패: ${res.text}`);
+    return res;
+  };
+  const command = async (line, codes, label) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, label);
+  };
+
+  try {
+    await expect([220], '연결');
+    const heloName = os.hostname() || 'localhost';
+    let ehlo = await command(`EHLO ${heloName}`, [250], 'EHLO');
+    if (!secure && /STARTTLS/i.test(ehlo.text)) {
+      await command('STARTTLS', [220], 'STARTTLS');
+      reader.detach();
+      socket = await upgradeToTls(socket, host);
+      socket.setTimeout(timeout, () => socket.destroy(new Error('TIMEOUT')));
+      reader = createReader(socket);
+      ehlo = await command(`EHLO ${heloName}`, [250], 'EHLO');
+    }
+    if (user) {
+      const token = Buffer.from(`\u0000${user}\u0000${pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235], '인증');
+    }
+    await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const rcpt of to) {
+      await command(`RCPT TO:<${rcpt}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354], 'DATA');
+    // 마침표로 시작하는 줄은 dot-stuffing (base64 본문이라 실제로는 헤더만 해당)
+    const data = buildMessage({ from, to, subject, text }).replace(/^\./gm, '..');
+    await command(`${data}\r\n.`, [250], '본문 전송');
+    await command('QUIT', [221], 'QUIT').catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+const parseRecipients = (to) => (Array.isArray(to) ? to : String(to || '').split(','))
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// 메일 채널
+function createEmailChannel({ host, port, secure, user, pass, from, to }) {
+  const recipients = parseRecipients(to);
+  if (!host) throw new Error('SMTP 서버(host)를 입력하세요');
+  if (!from) throw new Error('보내는 주소(from)를 입력하세요');
+  if (recipients.length === 0) throw new Error('받는 주소(to)를 입력하세요');
+  if ([host, user, from, to].some(hasLineBreak)) throw new Error('SMTP 설정(host·user·from·to)에 줄바꿈 문자를 쓸 수 없습니다');
+  if (!isAddress(from)) throw new Error(`보내는 주소 형식이 올바르지 않습니다: ${from}`);
+  const invalid = recipients.find((r) => !isAddress(r));
+  if (invalid) throw new Error(`받는 주소 형식이 올바르지 않습니다: ${invalid}`);
+  const portNum = parseInt(port, 10) || (secure ? 465 : 25);
+  return {
+    type: 'email',
+    async send(message) {
+      await sendMail({
+        host,
+        port: portNum,
+        secure: !!secure,
+        user,
+        pass,
+        from,
+        to: recipients,
+        subject: message.title,
+        text: message.text
+      });
+    }
+  };
+}
+
+module.exports = { createEmailChannel, sendMail, parseRecipients, hasLineBreak, isAddress };
@@ -0,0 +1,35 @@
+const { httpPostJson } = require('../http');
+
+const FORMATS = ['json', 'slack', 'teams'];
+
+// 알림 메시지 → 웹훅 본문
+// json: { title, text, alert } / slack: { text } (Incoming Webhook) / teams: MessageCard
+function buildPayload(format, message) {
+  if (format === 'slack') {
+    return { text: `*${message.title}*\n${message.text}` };
+  }
+  if (format === 'teams') {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: message.title,
+      title: message.title,
+      text: message.text
+    };
+  }
+  return { title: message.title, text: message.text, alert: message.alert || null };
+}
+
+// JSON 웹훅 채널 (http/https 모두 지원 → 로컬 리스너로 테스트 가능)
+function createWebhookChannel({ url, format = 'json' }) {
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) throw new Error('웹훅 URL은 http(s)://로 시작해야 합니다');
+  if (!FORMATS.includes(format)) throw new Error(`웹훅 형식은 ${FORMATS.join(', ')} 중 하나입니다`);
+  return {
+    type: 'webhook',
+    async send(message) {
+      await httpPostJson(url, buildPayload(format, message));
+    }
+  };
+}
+
+module.exports = { createWebhookChannel, FORMATS };
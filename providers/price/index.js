@@ -0,0 +1,33 @@
+const path = require('path');
+const { createYahooPriceProvider } = require('./yahoo');
+const { createLocalPriceProvider } = require('./local');
+
+// 시세 제공처 레지스트리
+// 모든 제공처는 { name, host?, requestInterval(ms), fetchHistory(symbol, period1, period2), fetchIntraday(symbol, interval, period1, period2),
+//   fetchMeta(symbol), fetchQuote(symbol, interval), search(query) } 형태
+// fetchHistory → { bars, dividends, splits }: 일봉은 분할 반영·배당 미반영 가격, 같은 기간 배당락·분할 이력
+// host: 요청 스케줄러의 호스트별 요청 간격·회로 차단 단위 (없으면 name), requestInterval: 같은 호스트 요청 사이 최소 간격
+// 기본 제공처는 PRICE_PROVIDER(기본 yahoo), 항목별로 config/symbols.js의 provider로 지정 가능
+const factories = {
+  yahoo: (env) => createYahooPriceProvider({ baseUrl: env.YAHOO_BASE_URL || undefined }),
+  local: (env) => createLocalPriceProvider({
+    dir: path.resolve(env.LOCAL_DATA_DIR || path.join(__dirname, '..', '..', 'data', 'local-prices'))
+  })
+};
+
+function createPriceProviders(env = process.env) {
+  const defaultName = (env.PRICE_PROVIDER || 'yahoo').trim().toLowerCase();
+  if (!factories[defaultName]) throw new Error(`알 수 없는 시세 제공처: ${defaultName}`);
+  const instances = {};
+
+  function get(name) {
+    const key = (name || defaultName).toLowerCase();
+    if (!factories[key]) throw new Error(`알 수 없는 시세 제공처: ${key}`);
+    if (!instances[key]) instances[key] = factories[key](env);
+    return instances[key];
+  }
+
+  return { defaultName, get, names: () => Object.keys(factories) };
+}
+
+module.exports = { createPriceProviders };
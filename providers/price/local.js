@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { sanitizeBar, sanitizeNum, sanitizeDate } = require('../../utils/sanitize');
+const { formatYMD } = require('../../utils/dates');
+
+// 로컬 파일 어댑터 (오프라인/폐쇄망 실행 및 API 테스트용)
+// 파일명: 심볼에서 [A-Za-z0-9._-] 외 문자를 '_'로 치환 (^KS11 → _KS11.json, KRW=X → KRW_X.csv)
+// JSON: [{ date, open, high, low, close, volume }] 또는 { symbol, name, currency, bars: [...] }
+// CSV : 헤더 date,open,high,low,close,volume (대소문자·순서 무관, 그 외 컬럼 무시)
+// 분봉: <파일명>.<간격>.json / .csv (예: AAPL.5m.csv), date 대신 time 컬럼 (ISO 시각 또는 유닉스 초)
+// 배당·분할: <파일명>.events.json { dividends: [{ date, amount }], splits: [{ date, numerator, denominator }] } (없으면 이력 없음)
+//   일봉 가격은 Yahoo처럼 분할 반영 가격(분할 전 날짜도 분할 후 기준)으로 저장
+function toFileBase(symbol) {
+  return String(symbol).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// 분봉(<파일명>.5m)·배당·분할(<파일명>.events) 파일 이름 끝 (검색 목록에서 제외, 심볼 자체에도 '.'이 있을 수 있음: 360750.KS)
+const SIDE_FILE_SUFFIX = /\.(\d+[mh]|events)$/i;
+
+// 빈 칸('') → null (Number('') === 0이라 그대로 두면 시가·고가·저가·거래량이 0으로 저장됨)
+function blankToNull(row) {
+  if (!row || typeof row !== 'object') return row;
+  const out = {};
+  for (const [key, value] of Object.entries(row)) out[key] = typeof value === 'string' && value.trim() === '' ? null : value;
+  return out;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length === 0) return [];
+  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',');
+    const row = {};
+    header.forEach((h, i) => { row[h] = (cells[i] || '').trim(); });
+    return row;
+  });
+}
+
+function createLocalPriceProvider({ dir }) {
+  async function readSeries(symbol) {
+    const base = path.join(dir, toFileBase(symbol));
+    let rows;
+    let info = {};
+    try {
+      const parsed = JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+      if (Array.isArray(parsed)) {
+        rows = parsed;
+      } else if (parsed && Array.isArray(parsed.bars)) {
+        rows = parsed.bars;
+        info = parsed;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`로컬 데이터 형식 오류: ${symbol}`);
+    }
+    if (!rows) {
+      try {
+        rows = parseCsv(await fs.readFile(`${base}.csv`, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    }
+    const bars = rows
+      .map((r) => sanitizeBar(blankToNull(r)))
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    return { symbol: info.symbol || symbol, name: info.name || null, currency: info.currency || null, bars };
+  }
+
+  // 일봉 + 같은 기간 배당·분할 (yahoo와 같은 형태)
+  async function fetchHistory(symbol, period1, period2) {
+    const series = await readSeries(symbol);
+    if (!series) return { bars: [], dividends: [], splits: [] };
+    const from = formatYMD(period1);
+    const to = formatYMD(period2);
+    return { bars: series.bars.filter((b) => b.date >= from && b.date <= to), ...(await readEvents(symbol, from, to)) };
+  }
+
+  // 분봉: 파일의 time 기준 period1 이상 period2 미만
+  async function fetchIntraday(symbol, interval, period1, period2) {
+    const base = path.join(dir, `${toFileBase(symbol)}.${interval}`);
+    let rows;
+    try {
+      const parsed = JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+      rows = Array.isArray(parsed) ? parsed : parsed?.bars;
+      if (!Array.isArray(rows)) throw new Error('bars 없음');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`로컬 데이터 형식 오류: ${symbol} ${interval}`);
+    }
+    if (!rows) {
+      try {
+        rows = parseCsv(await fs.readFile(`${base}.csv`, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+    }
+    const t1 = period1.getTime() / 1000;
+    const t2 = period2.getTime() / 1000;
+    return rows
+      .map(blankToNull)
+      .map((r) => {
+        if (!r) return null;
+        const ts = /^\d+$/.test(String(r.time)) ? Number(r.time) : Date.parse(r.time) / 1000;
+        const close = sanitizeNum(r.close);
+        if (!Number.isFinite(ts) || close == null) return null;
+        return { ts, open: sanitizeNum(r.open), high: sanitizeNum(r.high), low: sanitizeNum(r.low), close, volume: sanitizeNum(r.volume) };
+      })
+      .filter((b) => b && b.ts >= t1 && b.ts < t2)
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  // 배당·분할: 이벤트 파일에서 from~to 날짜만
+  async function readEvents(symbol, from, to) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(path.join(dir, `${toFileBase(symbol)}.events.json`), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return { dividends: [], splits: [] };
+      throw new Error(`로컬 데이터 형식 오류: ${symbol} events`);
+    }
+    const inRange = (e) => sanitizeDate(e.date) && e.date >= from && e.date <= to;
+    const byDate = (a, b) => a.date.localeCompare(b.date);
+    const dividends = (Array.isArray(parsed?.dividends) ? parsed.dividends : [])
+      .map((d) => ({ date: d.date, amount: sanitizeNum(d.amount) }))
+      .filter((d) => inRange(d) && d.amount > 0);
+    const splits = (Array.isArray(parsed?.splits) ? parsed.splits : [])
+      .map((s) => ({ date: s.date, numerator: sanitizeNum(s.numerator), denominator: sanitizeNum(s.denominator) }))
+      .filter((s) => inRange(s) && s.numerator > 0 && s.denominator > 0);
+    return { dividends: dividends.sort(byDate), splits: splits.sort(byDate) };
+  }
+
+  async function fetchMeta(symbol) {
+    const series = await readSeries(symbol);
+    if (!series || series.bars.length === 0) throw new Error('해당 종목 데이터를 찾을 수 없습니다');
+    const name = series.name || series.symbol;
+    return { symbol: series.symbol, shortName: name, longName: name, currency: series.currency };
+  }
+
+  // 최신 시세: 파일의 마지막 일봉 종가 (직전 일봉 종가 대비), 시각은 조회 시각
+  async function fetchQuote(symbol) {
+    const series = await readSeries(symbol);
+    const bars = series ? series.bars.filter((b) => b.close != null) : [];
+    if (bars.length === 0) throw new Error('시세 정보가 없습니다');
+    const last = bars[bars.length - 1];
+    const prev = bars[bars.length - 2];
+    return { price: last.close, previousClose: prev ? prev.close : null, time: new Date().toISOString(), date: last.date };
+  }
+
+  // 파일 목록에서 심볼/이름 부분 일치 검색 (분봉·배당·분할 파일 제외)
+  async function search(query) {
+    const q = query.trim().toLowerCase();
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const symbols = [...new Set(files
+      .filter((f) => /\.(json|csv)$/i.test(f))
+      .map((f) => f.replace(/\.(json|csv)$/i, ''))
+      .filter((base) => !SIDE_FILE_SUFFIX.test(base)))];
+    const out = [];
+    for (const sym of symbols) {
+      const series = await readSeries(sym).catch(() => null);
+      if (!series) continue;
+      const name = series.name || series.symbol;
+      if (series.symbol.toLowerCase().includes(q) || name.toLowerCase().includes(q)) {
+        out.push({ symbol: series.symbol, name, exchange: 'LOCAL' });
+      }
+      if (out.length >= 15) break;
+    }
+    return out;
+  }
+
+  return { name: 'local', requestInterval: 0, fetchHistory, fetchIntraday, fetchMeta, fetchQuote, search };
+}
+
+module.exports = { createLocalPriceProvider, toFileBase };
@@ -0,0 +1,157 @@
+const { httpGetText } = require('../http');
+const { sanitizeBar, sanitizeNum } = require('../../utils/sanitize');
+const { formatYMD, toTimestamp, zonedParts } = require('../../utils/dates');
+
+const DEFAULT_BASE_URL = 'https://query1.finance.yahoo.com';
+const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const MAX_CHART_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_SEARCH_SIZE = 512 * 1024;
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('잘못된 응답 형식');
+  }
+}
+
+// 차트 응답 events → 배당·분할 (날짜 오름차순)
+function parseEvents(events = {}) {
+  const dateOf = (e) => (sanitizeNum(e.date) != null ? formatYMD(new Date(e.date * 1000)) : null);
+  const dividends = Object.values(events.dividends || {})
+    .map((e) => ({ date: dateOf(e), amount: sanitizeNum(e.amount) }))
+    .filter((d) => d.date && d.amount > 0);
+  const splits = Object.values(events.splits || {})
+    .map((e) => ({ date: dateOf(e), numerator: sanitizeNum(e.numerator), denominator: sanitizeNum(e.denominator) }))
+    .filter((s) => s.date && s.numerator > 0 && s.denominator > 0);
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  return { dividends: dividends.sort(byDate), splits: splits.sort(byDate) };
+}
+
+// Yahoo Finance 어댑터 (비공식 Chart / Search API)
+// baseUrl 변경 시 로컬 스텁 서버로 대체 가능
+function createYahooPriceProvider({ baseUrl = DEFAULT_BASE_URL } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function getChart(symbol, t1, t2, timeout, events = '') {
+    const url = `${root}/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${t1}&period2=${t2}&interval=1d&events=${events}`;
+    const text = await httpGetText(url, { headers: { 'User-Agent': UA }, timeout, maxSize: MAX_CHART_SIZE });
+    if (text.includes('Too Many Requests')) throw new Error('RATE_LIMITED');
+    return parseJson(text)?.chart?.result?.[0] || null;
+  }
+
+  // 일봉 OHLCV + 같은 기간 배당·분할 (period1~period2, Date), 한 번의 차트 요청으로
+  // 차트 종가는 이미 분할 반영(분할 전 날짜도 분할 후 기준), 배당은 미반영 → 수정 종가는 호출하는 쪽에서 계산
+  async function fetchHistory(symbol, period1, period2) {
+    const t1 = toTimestamp(period1);
+    let t2 = toTimestamp(period2);
+    if (t1 >= t2) t2 = t1 + 86400;
+    const chart = await getChart(symbol, t1, t2, 15000, 'div%2Csplits');
+    if (!chart || !Array.isArray(chart.timestamp)) return { bars: [], dividends: [], splits: [] };
+
+    const quote = chart.indicators?.quote?.[0] || {};
+    const result = [];
+    for (let i = 0; i < chart.timestamp.length; i++) {
+      const ts = chart.timestamp[i];
+      if (typeof ts !== 'number' || !Number.isFinite(ts)) continue;
+      const bar = sanitizeBar({
+        date: formatYMD(new Date(ts * 1000)),
+        close: quote.close?.[i],
+        open: quote.open?.[i],
+        high: quote.high?.[i],
+        low: quote.low?.[i],
+        volume: quote.volume?.[i]
+      });
+      if (bar) result.push(bar);
+    }
+    return { bars: result, ...parseEvents(chart.events) };
+  }
+
+  // 심볼 검증용: 최근 5일 차트 조회 후 meta 반환
+  async function fetchMeta(symbol) {
+    const end = new Date();
+    const start = new Date(end);
+    start.setDate(start.getDate() - 5);
+    const chart = await getChart(symbol, toTimestamp(start), toTimestamp(end), 10000);
+    if (!chart || !Array.isArray(chart.timestamp) || chart.timestamp.length === 0) {
+      throw new Error('해당 종목 데이터를 찾을 수 없습니다');
+    }
+    const meta = chart.meta || {};
+    return {
+      symbol: meta.symbol || symbol,
+      shortName: meta.shortName || meta.longName || symbol,
+      longName: meta.longName || meta.shortName || symbol,
+      currency: meta.currency || null
+    };
+  }
+
+  // 분봉 OHLCV (period1~period2, Date, interval: 1m|5m|15m|1h, 정규장만)
+  // → [{ ts: 봉 시작 시각(초), open, high, low, close, volume }] (현지 시간 변환은 호출하는 쪽에서 거래소 시간대로)
+  async function fetchIntraday(symbol, interval, period1, period2) {
+    const url = `${root}/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${toTimestamp(period1)}&period2=${toTimestamp(period2)}`
+      + `&interval=${encodeURIComponent(interval)}&includePrePost=false&events=`;
+    const text = await httpGetText(url, { headers: { 'User-Agent': UA }, timeout: 15000, maxSize: MAX_CHART_SIZE });
+    if (text.includes('Too Many Requests')) throw new Error('RATE_LIMITED');
+    const chart = parseJson(text)?.chart?.result?.[0];
+    if (!chart || !Array.isArray(chart.timestamp)) return [];
+
+    const quote = chart.indicators?.quote?.[0] || {};
+    const result = [];
+    for (let i = 0; i < chart.timestamp.length; i++) {
+      const ts = sanitizeNum(chart.timestamp[i]);
+      const close = sanitizeNum(quote.close?.[i]);
+      if (ts == null || close == null) continue;
+      result.push({
+        ts,
+        open: sanitizeNum(quote.open?.[i]),
+        high: sanitizeNum(quote.high?.[i]),
+        low: sanitizeNum(quote.low?.[i]),
+        close,
+        volume: sanitizeNum(quote.volume?.[i])
+      });
+    }
+    return result;
+  }
+
+  // 장중 최신 시세 (당일 interval 봉 조회 후 meta 사용)
+  // → { price, previousClose, time: ISO, date: 거래소 현지 날짜 }
+  async function fetchQuote(symbol, interval = '1m') {
+    const url = `${root}/v8/finance/chart/${encodeURIComponent(symbol)}?range=1d&interval=${encodeURIComponent(interval)}&events=`;
+    const text = await httpGetText(url, { headers: { 'User-Agent': UA }, timeout: 10000, maxSize: MAX_CHART_SIZE });
+    if (text.includes('Too Many Requests')) throw new Error('RATE_LIMITED');
+    const meta = parseJson(text)?.chart?.result?.[0]?.meta;
+    const price = sanitizeNum(meta?.regularMarketPrice);
+    const ts = sanitizeNum(meta?.regularMarketTime);
+    if (price == null || ts == null) throw new Error('시세 정보가 없습니다');
+    const time = new Date(ts * 1000);
+    return {
+      price,
+      previousClose: sanitizeNum(meta.chartPreviousClose != null ? meta.chartPreviousClose : meta.previousClose),
+      time: time.toISOString(),
+      date: meta.exchangeTimezoneName ? zonedParts(time, meta.exchangeTimezoneName).ymd : formatYMD(time)
+    };
+  }
+
+  async function search(query) {
+    const url = `${root}/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=15&newsCount=0`;
+    const text = await httpGetText(url, { headers: { 'User-Agent': UA }, timeout: 10000, maxSize: MAX_SEARCH_SIZE });
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      return [];
+    }
+    const quotes = json?.quotes || [];
+    return quotes
+      .filter((x) => x.symbol && (x.shortname || x.longname))
+      .map((x) => ({
+        symbol: x.symbol,
+        name: (x.shortname || x.longname || x.symbol).trim(),
+        exchange: x.exchangeDisp || x.exchange || ''
+      }));
+  }
+
+  return { name: 'yahoo', host: new URL(root).host, requestInterval: 500, fetchHistory, fetchIntraday, fetchMeta, fetchQuote, search };
+}
+
+module.exports = { createYahooPriceProvider };
@@ -2,13 +2,42 @@ const API = '/api';
 let currentData = null;
 let priceCharts = [];
 let recentCharts = [];
-const makePeriodKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+// 관심 목록: URL ?watchlist=<id> 로 지정, 모든 데이터 API 요청에 포함
+const DEFAULT_WATCHLIST = 'default';
+let currentWatchlist = DEFAULT_WATCHLIST;
+let watchlistsCache = [];
+// 표시 통화: URL ?currency=KRW|USD (빈 값이면 항목 원래 통화), 가격 데이터 API 요청에 포함
+const DISPLAY_CURRENCIES = ['KRW', 'USD'];
+let currentCurrency = '';
+// 가격 기준: URL ?price=adjusted (빈 값이면 제공처 종가), 가격 데이터 API 요청에 포함
+let currentPriceMode = '';
+const makePeriodKey = (year, month, watchlist = currentWatchlist) => `${watchlist}:${year}-${String(month).padStart(2, '0')}`;
 const dailyCache = new Map();
 const recentDailyCache = new Map();
+const eventsCache = new Map();
 let lastRenderedChartKey = null;
 let lastRenderedRecentKey = null;
 let chartRequestToken = null;
 let recentChartRequestToken = null;
+let eventsRequestToken = null;
+
+// 기간 모드: 'month'(연/월 선택) | 'range'(프리셋·직접 입력). 테이블·내보내기는 현재 모드, 차트2는 항상 currentRange
+let periodMode = 'month';
+let currentRange = null;
+const RANGE_PRESETS = ['1M', '3M', '6M', 'YTD', '1Y', '5Y'];
+
+const toYMD = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const makeRangeKey = (range) => `${range.watchlist || currentWatchlist}:range:${range.from}:${range.to}:${range.interval}`;
+
+// API URL + 현재 관심 목록
+function apiUrl(path, params) {
+  const query = new URLSearchParams(params);
+  if (currentWatchlist !== DEFAULT_WATCHLIST) query.set('watchlist', currentWatchlist);
+  if (currentCurrency) query.set('currency', currentCurrency);
+  if (currentPriceMode) query.set('price', currentPriceMode);
+  const qs = query.toString();
+  return `${API}${path}${qs ? `?${qs}` : ''}`;
+}
 
 // XSS 방지: HTML 이스케이프
 function escapeHtml(str) {
@@ -24,24 +53,6 @@ const formatChangePct = (value) => {
   return `${sign}${value.toFixed(2)}%`;
 };
 
-const getCurrentConsecDownDays = (series) => {
-  if (!Array.isArray(series)) return 0;
-  let consec = 0;
-  for (let i = series.length - 1; i >= 1; i--) {
-    if (series[i] < series[i - 1]) consec++;
-    else break;
-  }
-  return consec;
-};
-
-const calcDropFromHighPct = (series) => {
-  if (!Array.isArray(series) || series.length === 0) return 0;
-  const last = series[series.length - 1];
-  const monthHigh = Math.max(...series);
-  if (!Number.isFinite(last) || !Number.isFinite(monthHigh) || monthHigh === 0) return 0;
-  return ((last - monthHigh) / monthHigh) * 100;
-};
-
 const calcMonthChangePct = (series) => {
   if (!Array.isArray(series) || series.length === 0) return null;
   const first = series[0];
@@ -50,27 +61,6 @@ const calcMonthChangePct = (series) => {
   return ((last - first) / first) * 100;
 };
 
-// RSI(2): 2일 기준 상대강도지수 (최근 3일 종가로 마지막 RSI 계산)
-function calcRSI2(closes) {
-  if (!Array.isArray(closes) || closes.length < 3) return null;
-  const n = closes.length;
-  const c0 = Number(closes[n - 3]);
-  const c1 = Number(closes[n - 2]);
-  const c2 = Number(closes[n - 1]);
-  if (!Number.isFinite(c0) || !Number.isFinite(c1) || !Number.isFinite(c2)) return null;
-  const ch1 = c1 - c0;
-  const ch2 = c2 - c1;
-  const gain1 = ch1 > 0 ? ch1 : 0;
-  const loss1 = ch1 < 0 ? -ch1 : 0;
-  const gain2 = ch2 > 0 ? ch2 : 0;
-  const loss2 = ch2 < 0 ? -ch2 : 0;
-  const avgGain = (gain1 + gain2) / 2;
-  const avgLoss = (loss1 + loss2) / 2;
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return 100 - 100 / (1 + rs);
-}
-
 // RSI(2) 기준 매매 신호 (정리된 전략: 10/30/70/90)
 function getRSISignal(rsi) {
   if (rsi == null || !Number.isFinite(rsi)) return { label: null, className: 'rsi-neutral' };
@@ -119,14 +109,83 @@ function initSelectors() {
   const onPeriodChange = () => {
     currentYear = parseInt(yearSelect.value);
     currentMonth = parseInt(monthSelect.value);
+    setPeriodMode('month');
     loadTableData();
     if (isTabActive('chart')) loadAllCharts();
+    if (isTabActive('events')) loadEvents();
+    if (isTabActive('compare')) loadCompare();
   };
 
   yearSelect.addEventListener('change', onPeriodChange);
   monthSelect.addEventListener('change', onPeriodChange);
 }
 
+// 프리셋 → { from, to } (오늘 포함, YTD는 1월 1일부터)
+function computePresetRange(preset) {
+  const to = new Date();
+  to.setHours(0, 0, 0, 0);
+  const from = new Date(to);
+  if (preset === 'YTD') {
+    from.setMonth(0, 1);
+  } else {
+    if (preset === '1M') from.setMonth(from.getMonth() - 1);
+    if (preset === '3M') from.setMonth(from.getMonth() - 3);
+    if (preset === '6M') from.setMonth(from.getMonth() - 6);
+    if (preset === '1Y') from.setFullYear(from.getFullYear() - 1);
+    if (preset === '5Y') from.setFullYear(from.getFullYear() - 5);
+    from.setDate(from.getDate() + 1);
+  }
+  return { from: toYMD(from), to: toYMD(to) };
+}
+
+function setPeriodMode(mode) {
+  periodMode = mode;
+  document.querySelector('.month-selector').classList.toggle('inactive', mode !== 'month');
+  document.querySelectorAll('#rangeSelector .range-preset').forEach((b) => {
+    b.classList.toggle('active', mode === 'range' && currentRange?.preset === b.dataset.preset);
+  });
+}
+
+function syncRangeInputs() {
+  document.getElementById('rangeFrom').value = currentRange.from;
+  document.getElementById('rangeTo').value = currentRange.to;
+  document.getElementById('rangeInterval').value = currentRange.interval;
+}
+
+function applyRange(range) {
+  currentRange = range;
+  syncRangeInputs();
+  setPeriodMode('range');
+  loadTableData();
+  if (isTabActive('chart2')) loadRecentCharts();
+  if (isTabActive('compare')) loadCompare();
+}
+
+function initRangeSelector() {
+  currentRange = { preset: '1M', ...computePresetRange('1M'), interval: 'auto' };
+  syncRangeInputs();
+  document.querySelectorAll('#rangeSelector .range-preset').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const interval = document.getElementById('rangeInterval').value;
+      applyRange({ preset: btn.dataset.preset, ...computePresetRange(btn.dataset.preset), interval });
+    });
+  });
+  document.getElementById('btnRangeApply').addEventListener('click', () => {
+    const from = document.getElementById('rangeFrom').value;
+    const to = document.getElementById('rangeTo').value;
+    const interval = document.getElementById('rangeInterval').value;
+    if (!from || !to || from > to) {
+      showErrorPopup('기간 오류', '시작일과 종료일을 확인하세요.', '시작일은 종료일보다 이전이어야 합니다.');
+      return;
+    }
+    const preset = RANGE_PRESETS.find((p) => {
+      const r = computePresetRange(p);
+      return r.from === from && r.to === to;
+    }) || null;
+    applyRange({ preset, from, to, interval });
+  });
+}
+
 function initTabs() {
   document.querySelectorAll('.tab').forEach(t => {
     t.addEventListener('click', () => {
@@ -136,7 +195,13 @@ function initTabs() {
       document.getElementById(`tab-${t.dataset.tab}`).classList.add('active');
       if (t.dataset.tab === 'chart') loadAllCharts();
       if (t.dataset.tab === 'chart2') loadRecentCharts();
+      if (t.dataset.tab === 'compare') loadCompare();
+      if (t.dataset.tab === 'correlation') loadCorrelation();
+      if (t.dataset.tab === 'portfolio') loadPortfolio();
+      if (t.dataset.tab === 'backtest') loadBacktestItems();
+      if (t.dataset.tab === 'events') loadEvents();
       if (t.dataset.tab === 'symbols') loadSymbolsList();
+      if (t.dataset.tab === 'alerts') loadAlerts();
     });
   });
 }
@@ -145,6 +210,8 @@ function initButtons() {
   document.getElementById('btnUpdate').addEventListener('click', () => {
     loadTableData(true);
     if (isTabActive('chart2')) loadRecentCharts(true);
+    if (isTabActive('compare')) loadCompare();
+    if (isTabActive('correlation')) loadCorrelation();
   });
   document.getElementById('btnViewData').addEventListener('click', showDataViewer);
   document.getElementById('btnDownloadData').addEventListener('click', downloadTableAsExcel);
@@ -160,6 +227,8 @@ function initButtons() {
   initSymbolChangePopup();
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
+      // 에러 팝업이 떠 있으면 그것만 닫음
+      if (!document.getElementById('errorPopup').classList.contains('visible')) closeItemDetail();
       hideErrorPopup();
       hideDataViewer();
     }
@@ -173,10 +242,7 @@ async function loadTableData(forceUpdate = false) {
   tbody.innerHTML = '<tr><td colspan="100" class="loading">데이터 로딩 중...</td></tr>';
 
   try {
-    const url = forceUpdate
-      ? `${API}/update/${currentYear}/${currentMonth}`
-      : `${API}/daily/${currentYear}/${currentMonth}`;
-    const res = await fetch(url);
+    const res = await fetch(getTableUrl(forceUpdate));
     let json;
     try {
       json = await res.json();
@@ -196,9 +262,15 @@ async function loadTableData(forceUpdate = false) {
     }
 
     currentData = json;
-    const periodKey = makePeriodKey(json.year, json.month);
-    dailyCache.set(periodKey, json);
     renderTable(json);
+    // 데이터 갱신 시 서버에서 알림 규칙을 판정하므로 안 읽은 수 갱신
+    loadAlertUnreadCount();
+    if (json.from) {
+      recentDailyCache.set(makeRangeKey({ ...json, interval: currentRange.interval }), json);
+      return;
+    }
+    const periodKey = makePeriodKey(json.year, json.month, json.watchlist);
+    dailyCache.set(periodKey, json);
     if (isTabActive('chart') && makePeriodKey(currentYear, currentMonth) === periodKey) {
       renderChartsFromData(json, { force: true });
     }
@@ -212,6 +284,27 @@ async function loadTableData(forceUpdate = false) {
   }
 }
 
+function buildRangeUrl(range, forceRefresh = false) {
+  const params = { from: range.from, to: range.to, interval: range.interval };
+  if (forceRefresh) params.refresh = '1';
+  return apiUrl('/range', params);
+}
+
+function getTableUrl(forceUpdate) {
+  if (periodMode === 'range') return buildRangeUrl(currentRange, forceUpdate);
+  return forceUpdate
+    ? apiUrl(`/update/${currentYear}/${currentMonth}`)
+    : apiUrl(`/daily/${currentYear}/${currentMonth}`);
+}
+
+// 응답 기간 표시용 라벨/파일명 접미사 (월별: 2024년 3월 / 기간: 2024-01-01 ~ 2024-03-31)
+function describePeriod(json) {
+  if (json.from) {
+    return { label: `${json.from} ~ ${json.to}`, suffix: `${json.from.replace(/-/g, '')}-${json.to.replace(/-/g, '')}` };
+  }
+  return { label: `${json.year}년 ${json.month}월`, suffix: `${json.year}${String(json.month).padStart(2, '0')}` };
+}
+
 function renderTable(json) {
   const { data, items } = json;
   if (!data || !items) return;
@@ -230,15 +323,19 @@ function renderTable(json) {
   });
 
   const thead = document.getElementById('tableHeader');
-  thead.innerHTML = `<th>날짜</th>${items.map(i => `<th>${i.name}</th>`).join('')}`;
+  const refreshedAt = json.refreshedAt || {};
+  thead.innerHTML = `<th>날짜</th>${items.map(i => `<th>${escapeHtml(i.name)}${renderConvertedUnit(i)}${renderStaleBadge(i)}${renderRefreshedAt(refreshedAt[i.id])}</th>`).join('')}`;
+  renderTableGroupHeader(items);
 
   const prevCloses = {};
+  const sessions = json.sessions || {};
   const tbody = document.getElementById('tableBody');
   tbody.innerHTML = dates.map(date => {
     let row = `<td>${date}</td>`;
     items.forEach(item => {
       const rec = itemDataMaps[item.id].get(date);
-      let cell = '-';
+      const session = sessions[item.id];
+      let cell = renderMissingCell(session, date);
       if (rec) {
         const prev = prevCloses[item.id];
         let cls = 'price-same';
@@ -250,16 +347,108 @@ function renderTable(json) {
         }
         prevCloses[item.id] = rec.close;
         const fmt = formatPrice(rec.close, item.unit);
-        cell = `<span class="${cls} ${arrow}">${fmt}</span>`;
+        const pending = session && date > session.finalThrough;
+        const titles = [];
+        if (pending) titles.push('종가 미확정 (장중 또는 마감 직후 값)');
+        if (rec.raw) titles.push(describeRawPrice(rec, item));
+        if (rec.adjFactor != null) titles.push(describeAdjFactor(rec));
+        const title = titles.length > 0 ? ` title="${escapeHtml(titles.join('\n'))}"` : '';
+        cell = `<span class="${cls} ${arrow}${pending ? ' price-pending' : ''}"${title}>${fmt}</span>${renderActionMark(rec, item)}`;
       }
-      row += `<td>${cell}</td>`;
+      row += `<td data-item="${escapeHtml(item.id)}">${cell}</td>`;
     });
-    return `<tr>${row}</tr>`;
+    return `<tr data-date="${date}">${row}</tr>`;
   }).join('');
 
   if (dates.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="100" class="empty">해당 월 데이터가 없습니다.</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="100" class="empty">해당 기간 데이터가 없습니다.</td></tr>';
+  }
+  applyLiveQuotes();
+}
+
+// 표시 통화로 환산된 항목: 헤더에 환산 통화 표시
+function renderConvertedUnit(item) {
+  if (!item.nativeUnit) return '';
+  return ` <span class="converted-unit" title="${escapeHtml(`${item.nativeUnit} → ${item.unit} 환산 (날짜별 환율)`)}">${escapeHtml(item.unit)}</span>`;
+}
+
+// 제공처 갱신에 실패해 마지막으로 받아 둔 값을 표시 중인 항목 (source: stale, asOf: 그 값을 받은 시각)
+function renderStaleBadge(item) {
+  if (item.source !== 'stale') return '';
+  const asOf = item.asOf ? `${new Date(item.asOf).toLocaleString('ko-KR')}에 받은 값 표시 중` : '받아 둔 값 없음';
+  return ` <span class="stale-badge" title="${escapeHtml(`갱신 실패: ${item.error || '알 수 없는 오류'}\n${asOf}`)}">지연</span>`;
+}
+
+// 배당·분할 날짜 표시 (배당금은 항목 원래 통화)
+function describeCorporateAction(rec, unit) {
+  const lines = [];
+  if (rec.dividend != null) lines.push(`배당락: 주당 ${rec.dividend.toLocaleString('en-US', { maximumFractionDigits: 4 })} ${unit}`);
+  if (rec.split) lines.push(`주식 분할 ${rec.split}`);
+  return lines.join('\n');
+}
+
+function renderActionMark(rec, item) {
+  if (rec.dividend == null && !rec.split) return '';
+  const title = describeCorporateAction(rec, item.nativeUnit || item.unit);
+  return `<sup class="action-mark${rec.split ? ' action-split' : ''}" title="${escapeHtml(title)}">${rec.split ? '분' : '배'}</sup>`;
+}
+
+// 수정 종가 모드: 이후 배당을 반영해 낮춘 비율 (툴팁)
+const describeAdjFactor = (rec) => `수정 계수 ${rec.adjFactor.toFixed(4)} (이후 배당 반영)`;
+
+// 환산 전 원래 값 + 적용 환율 (툴팁)
+function describeRawPrice(rec, item) {
+  const rate = rec.fx != null ? rec.fx.toLocaleString('en-US', { maximumSignificantDigits: 6 }) : '-';
+  return `원래 값: ${formatPrice(rec.raw.close, item.nativeUnit)} ${item.nativeUnit} (환율 ${rate})`;
+}
+
+// 일봉이 없는 칸: 거래소 휴장일 / 아직 확정 전 / 거래일인데 데이터 없음(실제 누락)
+function renderMissingCell(session, date) {
+  if (!session) return '-';
+  const closedReason = session.closed && session.closed[date];
+  if (closedReason) return `<span class="cell-closed" title="${escapeHtml(closedReason)}">휴장</span>`;
+  if (date > session.finalThrough) return '<span class="cell-pending" title="아직 종가가 확정되지 않았습니다">-</span>';
+  return '<span class="cell-gap" title="거래일이지만 데이터가 없습니다 (조회 실패 또는 제공처 누락)">누락</span>';
+}
+
+// 항목별 마지막 갱신 시각 (오늘이면 시:분, 아니면 월/일 시:분)
+function renderRefreshedAt(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const time = d.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', hour12: false });
+  const label = d.toDateString() === new Date().toDateString() ? time : `${d.getMonth() + 1}/${d.getDate()} ${time}`;
+  return `<span class="refreshed-at" title="마지막 갱신: ${escapeHtml(d.toLocaleString('ko-KR'))}">${escapeHtml(label)}</span>`;
+}
+
+// 분류 그룹 헤더 (연속된 같은 분류를 하나의 칸으로 묶음)
+function renderTableGroupHeader(items) {
+  const row = document.getElementById('tableGroupHeader');
+  const groups = groupByCategory(items);
+  if (groups.length === 0 || (groups.length === 1 && !groups[0].category)) {
+    row.innerHTML = '';
+    return;
   }
+  row.innerHTML = `<th></th>${groups.map(g => `<th colspan="${g.items.length}">${escapeHtml(g.category || '기타')}</th>`).join('')}`;
+}
+
+function groupByCategory(items) {
+  const groups = [];
+  items.forEach(item => {
+    const last = groups[groups.length - 1];
+    if (last && last.category === item.category) last.items.push(item);
+    else groups.push({ category: item.category, items: [item] });
+  });
+  return groups;
+}
+
+// 차트 그리드 분류 제목 (분류가 바뀌는 위치에 한 줄 전체로 삽입)
+function appendChartGroupHeading(grid, items, idx) {
+  const category = items[idx].category;
+  if (!category || (idx > 0 && items[idx - 1].category === category)) return;
+  const heading = document.createElement('h3');
+  heading.className = 'charts-group-heading';
+  heading.textContent = category;
+  grid.appendChild(heading);
 }
 
 function formatPrice(val, unit) {
@@ -293,31 +482,106 @@ function buildTableData() {
     (data[item.id] || []).forEach(d => map.set(d.date, d));
     itemDataMaps[item.id] = map;
   });
-  const headers = ['날짜', ...items.map(i => i.name)];
+  // 환산된 항목은 환산 값 다음 열에 원래 통화 값
+  const headers = ['날짜'];
+  items.forEach(i => {
+    if (i.nativeUnit) headers.push(`${i.name} (${i.unit})`, `${i.name} (${i.nativeUnit} 원래 값)`);
+    else headers.push(i.name);
+  });
   const rows = dates.map(date => {
     const cells = [date];
     items.forEach(item => {
       const rec = itemDataMaps[item.id].get(date);
       cells.push(rec ? formatPriceForExport(rec.close, item.unit) : '');
+      if (item.nativeUnit) cells.push(rec && rec.raw ? formatPriceForExport(rec.raw.close, item.nativeUnit) : '');
     });
     return cells;
   });
-  return { headers, rows, year: currentData.year, month: currentData.month };
+  return { headers, rows, ...describePeriod(currentData) };
 }
 
-function escapeCSVCell(val) {
-  const s = String(val ?? '');
-  if (s.includes(',') || s.includes('"') || s.includes('\n') || s.includes('\r')) {
-    return '"' + s.replace(/"/g, '""') + '"';
-  }
-  return s;
+// ---------- 엑셀(.xlsx) 내보내기: 종가 / OHLCV / 등락률 시트 ----------
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XLSX_CHANGE_FORMAT = '+0.00"%";-0.00"%";0.00"%"';
+
+// 단위별 숫자 서식 (화면 formatPrice와 같은 기준: %는 소수 2자리, 1 미만은 4자리)
+function excelPriceFormat(val, unit) {
+  if (unit === '%') return '0.00"%"';
+  if (Math.abs(val) < 1) return '0.0000';
+  if (unit === '원' && Number.isInteger(val)) return '#,##0';
+  return '#,##0.00';
+}
+
+function excelPriceCell(val, unit, color) {
+  if (val == null || isNaN(val)) return null;
+  return { v: Number(val), numFmt: excelPriceFormat(Number(val), unit), color };
 }
 
-function buildCSV(tableData) {
-  if (!tableData || !tableData.headers || !tableData.rows) return '';
-  const lines = [tableData.headers.map(escapeCSVCell).join(',')];
-  tableData.rows.forEach(r => lines.push(r.map(escapeCSVCell).join(',')));
-  return lines.join('\r\n');
+// 직전 종가 대비 방향 (화면 테이블의 price-up/price-down과 동일)
+function changeColor(close, prev) {
+  if (prev == null || close == null) return null;
+  return close > prev ? 'up' : close < prev ? 'down' : null;
+}
+
+function buildWorkbookSheets() {
+  const { data, items } = currentData;
+  const allDates = new Set();
+  items.forEach(item => (data[item.id] || []).forEach(d => allDates.add(d.date)));
+  const dates = [...allDates].sort();
+  const itemDataMaps = {};
+  items.forEach(item => {
+    itemDataMaps[item.id] = new Map((data[item.id] || []).map(d => [d.date, d]));
+  });
+
+  const header = (labels) => labels.map(v => ({ v }));
+  const dateCell = (date) => ({ v: date, date: true });
+
+  // 종가: 날짜 × 항목 (환산된 항목은 원래 값 열 추가), 등락률: 직전 거래일 종가 대비 %
+  const closeHeaders = ['날짜'];
+  items.forEach(i => {
+    if (i.nativeUnit) closeHeaders.push(`${i.name} (${i.unit})`, `${i.name} (${i.nativeUnit} 원래 값)`);
+    else closeHeaders.push(`${i.name} (${i.unit})`);
+  });
+  const closeRows = [header(closeHeaders)];
+  const changeRows = [header(['날짜', ...items.map(i => i.name)])];
+  const prevCloses = {};
+  dates.forEach(date => {
+    const closeRow = [dateCell(date)];
+    const changeRow = [dateCell(date)];
+    items.forEach(item => {
+      const rec = itemDataMaps[item.id].get(date);
+      const prev = prevCloses[item.id];
+      const color = rec ? changeColor(rec.close, prev) : null;
+      closeRow.push(rec ? excelPriceCell(rec.close, item.unit, color) : null);
+      if (item.nativeUnit) closeRow.push(rec && rec.raw ? excelPriceCell(rec.raw.close, item.nativeUnit) : null);
+      changeRow.push(rec && prev ? { v: ((rec.close - prev) / prev) * 100, numFmt: XLSX_CHANGE_FORMAT, color } : null);
+      if (rec && rec.close != null) prevCloses[item.id] = rec.close;
+    });
+    closeRows.push(closeRow);
+    changeRows.push(changeRow);
+  });
+
+  // OHLCV: 항목별 세로 목록 (필터로 항목 선택)
+  const ohlcvRows = [header(['날짜', '항목', '심볼', '단위', '시가', '고가', '저가', '종가', '거래량'])];
+  items.forEach(item => {
+    let prev = null;
+    (data[item.id] || []).forEach(b => {
+      ohlcvRows.push([
+        dateCell(b.date), item.name, item.symbol, item.unit,
+        excelPriceCell(b.open, item.unit), excelPriceCell(b.high, item.unit), excelPriceCell(b.low, item.unit),
+        excelPriceCell(b.close, item.unit, changeColor(b.close, prev)),
+        b.volume > 0 ? { v: b.volume, numFmt: '#,##0' } : null
+      ]);
+      if (b.close != null) prev = b.close;
+    });
+  });
+
+  const widths = (first, n, w) => [{ width: first }, ...Array.from({ length: n }, () => ({ width: w }))];
+  return [
+    { name: '종가', rows: closeRows, columns: widths(12, closeHeaders.length - 1, 16), freeze: { rows: 1, cols: 1 } },
+    { name: 'OHLCV', rows: ohlcvRows, columns: [{ width: 12 }, { width: 22 }, { width: 12 }, { width: 6 }, ...Array.from({ length: 5 }, () => ({ width: 14 }))], freeze: { rows: 1, cols: 2 }, autoFilter: true },
+    { name: '등락률', rows: changeRows, columns: widths(12, items.length, 14), freeze: { rows: 1, cols: 1 } }
+  ];
 }
 
 function downloadTableAsExcel() {
@@ -326,12 +590,17 @@ function downloadTableAsExcel() {
     showErrorPopup('다운로드 실패', '다운로드할 데이터가 없습니다.', null);
     return;
   }
-  const csv = buildCSV(tableData);
-  const bom = '\uFEFF';
-  const blob = new Blob([bom + csv], { type: 'text/csv;charset=utf-8' });
+  let bytes;
+  try {
+    bytes = Xlsx.build(buildWorkbookSheets());
+  } catch (e) {
+    showErrorPopup('다운로드 실패', '엑셀 파일을 만들지 못했습니다.', e.message);
+    return;
+  }
+  const blob = new Blob([bytes], { type: XLSX_MIME });
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = `주가데이터_${tableData.year}${String(tableData.month).padStart(2, '0')}.csv`;
+  a.download = `주가데이터_${tableData.suffix}${currentData.price === 'adjusted' ? '_수정종가' : ''}.xlsx`;
   a.click();
   URL.revokeObjectURL(a.href);
 }
@@ -352,7 +621,7 @@ function showDataViewer() {
     showErrorPopup('데이터 보기', '표시할 데이터가 없습니다.', null);
     return;
   }
-  document.getElementById('dataViewerTitle').textContent = `데이터 뷰어 (${tableData.year}년 ${tableData.month}월)`;
+  document.getElementById('dataViewerTitle').textContent = `데이터 뷰어 (${tableData.label})`;
   renderDataViewer(tableData);
   document.getElementById('dataViewerPopup').classList.add('visible');
 }
@@ -381,7 +650,7 @@ async function loadAllCharts() {
   chartRequestToken = token;
 
   try {
-    const res = await fetch(`${API}/daily/${currentYear}/${currentMonth}`);
+    const res = await fetch(apiUrl(`/daily/${currentYear}/${currentMonth}`));
     let json;
     try {
       json = await res.json();
@@ -396,7 +665,7 @@ async function loadAllCharts() {
       return;
     }
 
-    const responseKey = makePeriodKey(json.year, json.month);
+    const responseKey = makePeriodKey(json.year, json.month, json.watchlist);
     dailyCache.set(responseKey, json);
     if (chartRequestToken !== token || responseKey !== makePeriodKey(currentYear, currentMonth)) return;
     renderChartsFromData(json, { force: true });
@@ -411,8 +680,8 @@ async function loadAllCharts() {
 async function loadRecentCharts(forceRefresh = false) {
   const grid = document.getElementById('chartsGridRecent');
   if (!grid) return;
-  const days = 30;
-  const key = `recent-${days}`;
+  const range = currentRange;
+  const key = makeRangeKey(range);
   const cached = recentDailyCache.get(key);
   const alreadyShowing = lastRenderedRecentKey === key && grid.children.length > 0;
 
@@ -421,7 +690,7 @@ async function loadRecentCharts(forceRefresh = false) {
     grid.innerHTML = '<div class="loading" style="grid-column:1/-1">차트 로딩 중...</div>';
   } else if (!alreadyShowing) {
     if (cached) {
-      renderRecentChartsFromData(cached);
+      renderRecentChartsFromData(cached, { key });
     } else {
       grid.innerHTML = '<div class="loading" style="grid-column:1/-1">차트 로딩 중...</div>';
     }
@@ -431,7 +700,7 @@ async function loadRecentCharts(forceRefresh = false) {
   recentChartRequestToken = token;
 
   try {
-    const res = await fetch(`${API}/daily_recent/${days}`);
+    const res = await fetch(buildRangeUrl(range, forceRefresh));
     let json;
     try {
       json = await res.json();
@@ -446,10 +715,9 @@ async function loadRecentCharts(forceRefresh = false) {
       return;
     }
 
-    const responseKey = `recent-${json.days || days}`;
-    recentDailyCache.set(responseKey, json);
-    if (recentChartRequestToken !== token || responseKey !== key) return;
-    renderRecentChartsFromData(json, { force: true });
+    recentDailyCache.set(key, json);
+    if (recentChartRequestToken !== token) return;
+    renderRecentChartsFromData(json, { force: true, key });
   } catch (e) {
     showErrorPopup('차트2 로드 오류', e.message, e.message.includes('fetch') ? '서버 연결을 확인하세요.' : null);
     if (!cached && !alreadyShowing) {
@@ -458,8 +726,12 @@ async function loadRecentCharts(forceRefresh = false) {
   }
 }
 
+// 경고 색상·RSI 신호용 종가: 배당락 하락이 고점 대비 하락으로 잡히지 않도록 수정 종가 우선
+// (수정 종가 모드면 close가 이미 수정 가격이라 adjClose 없음)
+const signalCloses = (bars) => bars.map(d => (d.adjClose != null ? d.adjClose : d.close)).filter(v => v != null);
+
 function renderChartsFromData(json, { force = false } = {}) {
-  const key = makePeriodKey(json.year, json.month);
+  const key = makePeriodKey(json.year, json.month, json.watchlist);
   if (!force && lastRenderedChartKey === key) return;
   lastRenderedChartKey = key;
 
@@ -476,9 +748,10 @@ function renderChartsFromData(json, { force = false } = {}) {
   items.forEach((item, idx) => {
     const arr = (data[item.id] || []).sort((a, b) => a.date.localeCompare(b.date));
     const closes = arr.map(d => d.close).filter(v => v != null);
+    const signals = signalCloses(arr);
 
-    const dropFromHighPct = calcDropFromHighPct(closes);
-    const currentConsecDown = getCurrentConsecDownDays(closes);
+    const dropFromHighPct = Indicators.dropFromHighPct(signals);
+    const currentConsecDown = Indicators.consecDownDays(signals);
     const monthChangePct = calcMonthChangePct(closes);
 
     let useRed = false;
@@ -495,65 +768,38 @@ function renderChartsFromData(json, { force = false } = {}) {
     const fillColor = useYellow ? 'rgba(210, 153, 34, 0.1)' : (useRed ? 'rgba(248, 81, 73, 0.1)' : 'rgba(88, 166, 255, 0.1)');
     const changeClass = monthChangePct > 0 ? 'positive' : monthChangePct < 0 ? 'negative' : 'neutral';
     const safeName = escapeHtml(item.name);
-    const rsi = calcRSI2(closes);
+    const rsi = Indicators.rsi2(signals);
     const signal = getRSISignal(rsi);
     const rsiText = rsi != null ? `RSI(2) ${rsi.toFixed(1)}` : 'RSI -';
     const signalHtml = signal.label
       ? `<span class="rsi-signal ${signal.className}">${escapeHtml(signal.label)}</span>`
       : '';
+    appendChartGroupHeading(grid, items, idx);
     const card = document.createElement('div');
     card.className = 'chart-card';
+    setLiveCardData(card, item, arr);
     card.innerHTML = `
       <div class="chart-card-title">
-        <span class="chart-card-name" title="${safeName}">${safeName}</span>
+        <span class="chart-card-name" title="${safeName}">${safeName}</span>${renderStaleBadge(item)}
         ${signalHtml}
         <span class="chart-rsi" title="2일 RSI">${escapeHtml(rsiText)}</span>
+        <span class="chart-live" hidden></span>
         <span class="chart-card-change ${changeClass}">${formatChangePct(monthChangePct)}</span>
       </div>
+      ${renderChartTools(item.id)}
       <canvas id="chart-${idx}"></canvas>
     `;
     grid.appendChild(card);
 
     const ctx = document.getElementById(`chart-${idx}`).getContext('2d');
-    const chart = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: arr.map(d => d.date),
-        datasets: [{
-          label: item.name,
-          data: arr.map(d => d.close),
-          borderColor: lineColor,
-          backgroundColor: fillColor,
-          fill: true,
-          tension: 0.2,
-          pointRadius: 0,
-          pointHoverRadius: 2
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: { display: false }
-        },
-        scales: {
-          x: {
-            grid: { color: '#30363d', display: false },
-            ticks: { color: '#8b949e', maxTicksLimit: 4, font: { size: 9 } }
-          },
-          y: {
-            grid: { color: '#30363d' },
-            ticks: { color: '#8b949e', maxTicksLimit: 3, font: { size: 9 } }
-          }
-        }
-      }
-    });
+    const chart = createPriceChart(ctx, item, arr, { lineColor, fillColor });
     priceCharts.push(chart);
+    initChartTools(card, chart, item, arr, { lineColor, fillColor });
   });
+  applyLiveQuotes();
 }
 
-function renderRecentChartsFromData(json, { force = false } = {}) {
-  const key = `recent-${json.days || 30}`;
+function renderRecentChartsFromData(json, { force = false, key = makeRangeKey(json) } = {}) {
   if (!force && lastRenderedRecentKey === key) return;
   lastRenderedRecentKey = key;
 
@@ -570,9 +816,10 @@ function renderRecentChartsFromData(json, { force = false } = {}) {
   items.forEach((item, idx) => {
     const arr = (data[item.id] || []).sort((a, b) => a.date.localeCompare(b.date));
     const closes = arr.map(d => d.close).filter(v => v != null);
+    const signals = signalCloses(arr);
 
-    const dropFromHighPct = calcDropFromHighPct(closes);
-    const currentConsecDown = getCurrentConsecDownDays(closes);
+    const dropFromHighPct = Indicators.dropFromHighPct(signals);
+    const currentConsecDown = Indicators.consecDownDays(signals);
     const periodChangePct = calcMonthChangePct(closes);
 
     let useRed = false;
@@ -589,201 +836,1913 @@ function renderRecentChartsFromData(json, { force = false } = {}) {
     const fillColor = useYellow ? 'rgba(210, 153, 34, 0.1)' : (useRed ? 'rgba(248, 81, 73, 0.1)' : 'rgba(88, 166, 255, 0.1)');
     const changeClass = periodChangePct > 0 ? 'positive' : periodChangePct < 0 ? 'negative' : 'neutral';
     const safeName = escapeHtml(item.name);
-    const rsi = calcRSI2(closes);
+    const rsi = Indicators.rsi2(signals);
     const signal = getRSISignal(rsi);
     const rsiText = rsi != null ? `RSI(2) ${rsi.toFixed(1)}` : 'RSI -';
     const signalHtml = signal.label
       ? `<span class="rsi-signal ${signal.className}">${escapeHtml(signal.label)}</span>`
       : '';
+    appendChartGroupHeading(grid, items, idx);
     const card = document.createElement('div');
     card.className = 'chart-card';
+    setLiveCardData(card, item, arr);
     card.innerHTML = `
       <div class="chart-card-title">
-        <span class="chart-card-name" title="${safeName}">${safeName}</span>
+        <span class="chart-card-name" title="${safeName}">${safeName}</span>${renderStaleBadge(item)}
         ${signalHtml}
-        <span class="chart-rsi" title="2일 RSI (최근 30일 기준)">${escapeHtml(rsiText)}</span>
+        <span class="chart-rsi" title="2일 RSI (선택 기간 기준)">${escapeHtml(rsiText)}</span>
+        <span class="chart-live" hidden></span>
         <span class="chart-card-change ${changeClass}">${formatChangePct(periodChangePct)}</span>
       </div>
+      ${renderChartTools(item.id, json.interval && json.interval !== '1d')}
       <canvas id="chart2-${idx}"></canvas>
     `;
     grid.appendChild(card);
 
     const ctx = document.getElementById(`chart2-${idx}`).getContext('2d');
-    const chart = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: arr.map(d => d.date),
-        datasets: [{
-          label: item.name,
-          data: arr.map(d => d.close),
-          borderColor: lineColor,
-          backgroundColor: fillColor,
-          fill: true,
-          tension: 0.2,
-          pointRadius: 0,
-          pointHoverRadius: 2
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: { display: false }
-        },
-        scales: {
-          x: {
-            grid: { color: '#30363d', display: false },
-            ticks: { color: '#8b949e', maxTicksLimit: 4, font: { size: 9 } }
-          },
-          y: {
-            grid: { color: '#30363d' },
-            ticks: { color: '#8b949e', maxTicksLimit: 3, font: { size: 9 } }
-          }
-        }
-      }
-    });
+    const chart = createPriceChart(ctx, item, arr, { lineColor, fillColor });
     recentCharts.push(chart);
+    initChartTools(card, chart, item, arr, { lineColor, fillColor });
   });
+  applyLiveQuotes();
 }
 
-// ---------- 항목 관리 (심볼 변경/복원) ----------
-let symbolsListCache = null;
+// ---------- 차트 카드 가격 차트 (선 / 캔들 / OHLC + 거래량) ----------
+// 캔들·OHLC는 [저가, 고가] 투명 막대로 축·툴팁을 잡고 ohlcPlugin이 몸통·꼬리를 그림
+// 거래량은 가격 축 아래 별도 축(같은 stack)에 막대로 표시, 거래량이 없는 항목(지수·환율 등)은 생략
+const CHART_MODES = [
+  { id: 'line', label: '선', title: '종가 선 차트' },
+  { id: 'candle', label: '캔들', title: '캔들스틱' },
+  { id: 'ohlc', label: 'OHLC', title: 'OHLC 막대' }
+];
+const CANDLE_UP = '#3fb950';
+const CANDLE_DOWN = '#f85149';
+const chartModeSelection = new Map(); // 항목 id → 차트 형태 (두 차트 탭 공유)
+
+// 시가가 없으면 전일 종가 기준으로 상승/하락 판단
+function isUpBar(bars, i) {
+  const b = bars[i];
+  const ref = b.open != null ? b.open : (i > 0 ? bars[i - 1].close : b.close);
+  return b.close >= ref;
+}
 
-async function loadSymbolsList() {
-  const listEl = document.getElementById('symbolsList');
-  if (!listEl) return;
-  try {
-    const res = await fetch(`${API}/symbols`);
-    const json = await res.json();
-    if (!res.ok || !json.items) throw new Error(json.error || '목록 조회 실패');
-    symbolsListCache = json.items;
-    listEl.innerHTML = json.items.map((item) => {
-      const overriddenBadge = item.overridden ? '<span class="symbol-overridden-badge">변경됨</span>' : '';
-      const restoreBtn = item.overridden
-        ? `<button type="button" class="btn-secondary btn-sm btn-restore" data-id="${escapeHtml(item.id)}">원래대로</button>`
-        : '';
-      return `
-        <li class="symbols-list-item" data-id="${escapeHtml(item.id)}">
-          <span class="symbols-list-name">${escapeHtml(item.name)}</span>
-          <span class="symbols-list-symbol">${escapeHtml(item.symbol)}</span>
-          ${overriddenBadge}
-          <div class="symbols-list-actions">
-            <button type="button" class="btn-primary btn-sm btn-change" data-id="${escapeHtml(item.id)}" data-name="${escapeHtml(item.name)}" data-symbol="${escapeHtml(item.symbol)}">변경</button>
-            ${restoreBtn}
-          </div>
-        </li>
-      `;
-    }).join('');
-    listEl.querySelectorAll('.btn-change').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const id = btn.dataset.id;
-        const name = btn.dataset.name;
-        const symbol = btn.dataset.symbol;
-        openSymbolChangePopup({ id, name, symbol });
+const hasVolume = (bars) => bars.some(b => b.volume > 0);
+
+function priceDatasets(item, bars, mode, { lineColor, fillColor }) {
+  const datasets = [];
+  if (mode === 'line') {
+    datasets.push({
+      label: item.name,
+      data: bars.map(d => d.close),
+      borderColor: lineColor,
+      backgroundColor: fillColor,
+      fill: true,
+      tension: 0.2,
+      pointRadius: 0,
+      pointHoverRadius: 2,
+      ohlcBars: bars,
+      ohlcUnit: item.nativeUnit || item.unit
+    });
+  } else {
+    datasets.push({
+      type: 'bar',
+      label: item.name,
+      data: bars.map(b => [b.low != null ? b.low : b.close, b.high != null ? b.high : b.close]),
+      backgroundColor: 'transparent',
+      borderWidth: 0,
+      grouped: false,
+      ohlcMode: mode,
+      ohlcBars: bars,
+      ohlcUnit: item.nativeUnit || item.unit
+    });
+  }
+  if (hasVolume(bars)) {
+    datasets.push({
+      type: 'bar',
+      label: '거래량',
+      data: bars.map(b => b.volume),
+      backgroundColor: bars.map((_, i) => (isUpBar(bars, i) ? 'rgba(63, 185, 80, 0.35)' : 'rgba(248, 81, 73, 0.35)')),
+      borderWidth: 0,
+      grouped: false,
+      yAxisID: 'volume'
+    });
+  }
+  return datasets;
+}
+
+const ohlcPlugin = {
+  id: 'ohlc',
+  afterDatasetsDraw(chart) {
+    const { ctx } = chart;
+    const yScale = chart.scales.y;
+    chart.data.datasets.forEach((ds, di) => {
+      if (!ds.ohlcMode) return;
+      const meta = chart.getDatasetMeta(di);
+      if (meta.hidden) return;
+      ctx.save();
+      ds.ohlcBars.forEach((b, i) => {
+        const el = meta.data[i];
+        if (!el) return;
+        const color = isUpBar(ds.ohlcBars, i) ? CANDLE_UP : CANDLE_DOWN;
+        const open = b.open != null ? b.open : b.close;
+        const x = el.x;
+        const half = Math.max(1, Math.min(el.width || 6, 12) / 2);
+        const yHigh = yScale.getPixelForValue(b.high != null ? b.high : b.close);
+        const yLow = yScale.getPixelForValue(b.low != null ? b.low : b.close);
+        const yOpen = yScale.getPixelForValue(open);
+        const yClose = yScale.getPixelForValue(b.close);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, yHigh);
+        ctx.lineTo(x, yLow);
+        if (ds.ohlcMode === 'ohlc') {
+          ctx.moveTo(x - half, yOpen);
+          ctx.lineTo(x, yOpen);
+          ctx.moveTo(x, yClose);
+          ctx.lineTo(x + half, yClose);
+        }
+        ctx.stroke();
+        if (ds.ohlcMode === 'candle') {
+          ctx.fillRect(x - half, Math.min(yOpen, yClose), half * 2, Math.max(1, Math.abs(yClose - yOpen)));
+        }
       });
+      ctx.restore();
     });
-    listEl.querySelectorAll('.btn-restore').forEach((btn) => {
-      btn.addEventListener('click', () => restoreSymbolOverride(btn.dataset.id));
+  }
+};
+
+// 배당·분할 날짜: 가격 축 아래쪽에 삼각형 (배당 보라, 분할 주황), 내용은 툴팁
+const ACTION_COLORS = { dividend: '#a371f7', split: '#f0883e' };
+const actionMarkerPlugin = {
+  id: 'actionMarkers',
+  afterDatasetsDraw(chart) {
+    const di = chart.data.datasets.findIndex(d => d.ohlcBars);
+    if (di < 0) return;
+    const bars = chart.data.datasets[di].ohlcBars;
+    const meta = chart.getDatasetMeta(di);
+    const { ctx, chartArea } = chart;
+    const y = chart.scales.y.bottom - 3;
+    ctx.save();
+    bars.forEach((b, i) => {
+      const el = meta.data[i];
+      if ((b.dividend == null && !b.split) || !el || el.x < chartArea.left || el.x > chartArea.right) return;
+      ctx.fillStyle = b.split ? ACTION_COLORS.split : ACTION_COLORS.dividend;
+      ctx.beginPath();
+      ctx.moveTo(el.x, y - 6);
+      ctx.lineTo(el.x - 4, y);
+      ctx.lineTo(el.x + 4, y);
+      ctx.closePath();
+      ctx.fill();
     });
-  } catch (e) {
-    showErrorPopup('항목 목록 조회 실패', e.message);
-    listEl.innerHTML = '<li class="empty">목록을 불러올 수 없습니다.</li>';
+    ctx.restore();
+  }
+};
+
+function formatOhlcTooltip(ctx) {
+  const ds = ctx.dataset;
+  const f = (v) => (v != null ? v.toLocaleString('en-US', { maximumFractionDigits: 4 }) : '-');
+  if (ds.ohlcBars) {
+    const b = ds.ohlcBars[ctx.dataIndex];
+    const lines = [`시 ${f(b.open)}  고 ${f(b.high)}`, `저 ${f(b.low)}  종 ${f(b.close)}`];
+    if (b.raw) lines.push(`원래 종가 ${f(b.raw.close)} (환율 ${f(b.fx)})`);
+    if (b.adjFactor != null) lines.push(describeAdjFactor(b));
+    if (b.dividend != null || b.split) lines.push(...describeCorporateAction(b, ds.ohlcUnit).split('\n'));
+    return lines;
   }
+  if (ds.yAxisID === 'volume') return `거래량 ${Number(ctx.raw || 0).toLocaleString('en-US')}`;
+  if (ds.compareCloses) {
+    const close = ds.compareCloses[ctx.dataIndex];
+    return `${ds.label}: ${f(close)} (${formatChangePct((close / ds.compareBase - 1) * 100)})`;
+  }
+  return `${ds.label}: ${ctx.formattedValue}`;
 }
 
-let symbolChangeCurrentItem = null;
-let validatedSymbol = null;
-let validatedName = null;
+function priceScales(bars) {
+  const scales = {
+    x: {
+      grid: { color: '#30363d', display: false },
+      ticks: { color: '#8b949e', maxTicksLimit: 4, font: { size: 9 } }
+    },
+    y: {
+      grid: { color: '#30363d' },
+      ticks: { color: '#8b949e', maxTicksLimit: 3, font: { size: 9 } }
+    }
+  };
+  if (hasVolume(bars)) {
+    // 가격 3 : 거래량 1 높이로 세로 분할 (weight가 큰 가격 축이 위)
+    Object.assign(scales.y, { stack: 'price', stackWeight: 3, weight: 1 });
+    scales.volume = {
+      axis: 'y',
+      position: 'left',
+      stack: 'price',
+      stackWeight: 1,
+      offset: true,
+      beginAtZero: true,
+      grid: { display: false },
+      ticks: { display: false }
+    };
+  }
+  return scales;
+}
 
-function openSymbolChangePopup(item) {
-  symbolChangeCurrentItem = item;
-  validatedSymbol = null;
-  validatedName = null;
-  document.getElementById('symbolChangeTitle').textContent = `다른 종목으로 변경: ${item.name}`;
-  document.getElementById('symbolChangeCurrent').textContent = `현재: ${item.name} (${item.symbol})`;
-  document.getElementById('symbolChangeInput').value = '';
-  document.getElementById('symbolValidateMessage').textContent = '';
-  document.getElementById('symbolValidateMessage').className = 'symbol-validate-message';
-  document.getElementById('symbolConfirmBlock').hidden = true;
-  document.getElementById('symbolChangeBtnConfirm').hidden = true;
-  const resultsEl = document.getElementById('symbolSearchResults');
-  resultsEl.hidden = true;
-  resultsEl.innerHTML = '';
-  document.getElementById('symbolChangePopup').classList.add('visible');
-  document.getElementById('symbolChangeInput').focus();
+function createPriceChart(ctx, item, bars, colors) {
+  const mode = chartModeSelection.get(item.id) || 'line';
+  return new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: bars.map(d => d.date),
+      datasets: priceDatasets(item, bars, mode, colors)
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: { callbacks: { label: formatOhlcTooltip } }
+      },
+      scales: priceScales(bars)
+    },
+    plugins: [ohlcPlugin, actionMarkerPlugin]
+  });
 }
 
-function hideSymbolChangePopup() {
-  document.getElementById('symbolChangePopup').classList.remove('visible');
-  symbolChangeCurrentItem = null;
-  validatedSymbol = null;
-  validatedName = null;
+// 형태 변경: 가격·거래량 데이터셋만 교체 (지표 오버레이 유지)
+function setChartMode(chart, item, bars, mode, colors) {
+  const indicators = chart.data.datasets.filter(d => d.indicator);
+  chart.data.datasets = [...priceDatasets(item, bars, mode, colors), ...indicators];
+  chart.update();
 }
 
-let symbolSearchDebounceTimer = null;
+// ---------- 차트 카드 지표 오버레이 (/api/indicators, utils/indicators.js) ----------
+// 이동평균·볼린저는 가격 축, 나머지는 오른쪽 보조 축. 선택은 항목별로 두 차트 탭이 공유
+const CHART_OVERLAYS = [
+  { key: '', label: '지표 없음' },
+  { key: 'sma:20', label: 'SMA(20)' },
+  { key: 'ema:20', label: 'EMA(20)' },
+  { key: 'bb:20:2', label: '볼린저밴드(20, 2)' },
+  { key: 'rsi:14', label: 'RSI(14)' },
+  { key: 'macd:12:26:9', label: 'MACD(12, 26, 9)' },
+  { key: 'atr:14', label: 'ATR(14)' },
+  { key: 'stoch:14:3', label: '스토캐스틱(14, 3)' },
+  { key: 'vol:20', label: '변동성(20)' }
+];
+const OVERLAY_COLORS = ['#e3b341', '#a371f7', '#3fb950', '#f0883e'];
+const chartOverlaySelection = new Map(); // 항목 id → 지표 key
+const indicatorCache = new Map(); // 요청 URL → 응답
+
+// overlayDisabled: 주/월 단위로 묶인 기간 (지표는 일봉 기준)
+function renderChartTools(itemId, overlayDisabled = false) {
+  const selected = overlayDisabled ? '' : (chartOverlaySelection.get(itemId) || '');
+  const mode = chartModeSelection.get(itemId) || 'line';
+  return `
+    <div class="chart-card-tools">
+      <div class="chart-mode-toggle" role="group" aria-label="차트 형태">
+        ${CHART_MODES.map(m => `<button type="button" class="chart-mode-btn ${m.id === mode ? 'active' : ''}" data-mode="${m.id}" title="${m.title}">${m.label}</button>`).join('')}
+      </div>
+      <select class="chart-overlay-select" aria-label="지표" ${overlayDisabled ? 'disabled title="일봉 기간에서만 지표를 표시할 수 있습니다"' : ''}>
+        ${CHART_OVERLAYS.map(o => `<option value="${o.key}" ${o.key === selected ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select>
+    </div>
+  `;
+}
 
-async function runSymbolSearch() {
-  const input = document.getElementById('symbolChangeInput').value.trim();
-  const resultsEl = document.getElementById('symbolSearchResults');
-  const msgEl = document.getElementById('symbolValidateMessage');
-  if (!input || input.length < 2) {
-    resultsEl.hidden = true;
-    resultsEl.innerHTML = '';
-    msgEl.textContent = '2글자 이상 입력하세요.';
-    msgEl.className = 'symbol-validate-message';
+function initChartTools(card, chart, item, bars, colors) {
+  // 도구 영역 밖을 누르면 항목 상세
+  card.addEventListener('click', (e) => {
+    if (!e.target.closest('.chart-card-tools')) openItemDetail(item.id);
+  });
+  card.querySelectorAll('.chart-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chartModeSelection.set(item.id, btn.dataset.mode);
+      card.querySelectorAll('.chart-mode-btn').forEach(b => b.classList.toggle('active', b === btn));
+      setChartMode(chart, item, bars, btn.dataset.mode, colors);
+    });
+  });
+  const select = card.querySelector('.chart-overlay-select');
+  select.addEventListener('change', () => {
+    chartOverlaySelection.set(item.id, select.value);
+    applyChartOverlay(chart, item, bars, select.value);
+  });
+  if (select.value) applyChartOverlay(chart, item, bars, select.value);
+}
+
+async function fetchIndicator(itemId, from, to, key) {
+  const url = apiUrl(`/indicators/${encodeURIComponent(itemId)}`, { from, to, indicators: key });
+  if (indicatorCache.has(url)) return indicatorCache.get(url);
+  const res = await fetch(url);
+  const json = await res.json();
+  if (!res.ok || !json.success) throw new Error(json.cause || json.error || '지표 조회 실패');
+  indicatorCache.set(url, json);
+  return json;
+}
+
+// 지표 응답 → 차트 라벨(날짜)에 맞춘 데이터셋 (colorOffset: 여러 지표를 겹칠 때 색 구분)
+function indicatorDatasets(ind, dates, labels, colorOffset = 0) {
+  const indexByDate = new Map(dates.map((d, i) => [d, i]));
+  return Object.entries(ind.series).map(([name, values], i) => ({
+    label: `${ind.label} ${name}`,
+    data: labels.map(d => (indexByDate.has(d) ? values[indexByDate.get(d)] : null)),
+    borderColor: OVERLAY_COLORS[(colorOffset + i) % OVERLAY_COLORS.length],
+    borderWidth: 1,
+    fill: false,
+    tension: 0.2,
+    pointRadius: 0,
+    spanGaps: true,
+    yAxisID: ind.overlay ? 'y' : 'y1',
+    indicator: true
+  }));
+}
+
+// 오른쪽 보조 축 (range: [min, max] 고정 범위, 없으면 자동)
+function indicatorAxis(range, maxTicksLimit) {
+  return {
+    position: 'right',
+    min: range ? range[0] : undefined,
+    max: range ? range[1] : undefined,
+    grid: { display: false },
+    ticks: { color: '#8b949e', maxTicksLimit, font: { size: 9 } }
+  };
+}
+
+async function applyChartOverlay(chart, item, bars, key) {
+  chart.data.datasets = chart.data.datasets.filter(d => !d.indicator);
+  delete chart.options.scales.y1;
+  if (!key || bars.length === 0) {
+    chart.update();
     return;
   }
-  msgEl.textContent = '검색 중...';
-  msgEl.className = 'symbol-validate-message';
   try {
-    const res = await fetch(`${API}/symbols/search?q=${encodeURIComponent(input)}`);
-    const json = await res.json();
-    const list = json.suggestions || [];
-    if (list.length === 0) {
-      msgEl.textContent = '유사한 종목이 없습니다. 다른 검색어를 입력해 보세요.';
-      msgEl.className = 'symbol-validate-message error';
-      resultsEl.hidden = true;
-      resultsEl.innerHTML = '';
-      return;
-    }
-    msgEl.textContent = '';
-    resultsEl.innerHTML = list.map((s) => `
-      <button type="button" class="symbol-search-item" data-symbol="${escapeHtml(s.symbol)}" data-name="${escapeHtml(s.name)}">
-        <span class="symbol-search-name">${escapeHtml(s.name)}</span>
-        <span class="symbol-search-symbol">${escapeHtml(s.symbol)}</span>
-        ${s.exchange ? `<span class="symbol-search-exchange">${escapeHtml(s.exchange)}</span>` : ''}
-      </button>
-    `).join('');
-    resultsEl.hidden = false;
-    resultsEl.querySelectorAll('.symbol-search-item').forEach((btn) => {
-      btn.addEventListener('click', () => selectSymbolFromSearch(btn.dataset.symbol, btn.dataset.name));
-    });
+    const json = await fetchIndicator(item.id, bars[0].date, bars[bars.length - 1].date, key);
+    // 응답 전에 차트가 다시 그려졌거나 다른 지표를 골랐으면 무시
+    if (!chart.canvas || !chart.canvas.isConnected || (chartOverlaySelection.get(item.id) || '') !== key) return;
+    const ind = json.indicators[key];
+    chart.data.datasets.push(...indicatorDatasets(ind, json.dates, chart.data.labels));
+    if (!ind.overlay) chart.options.scales.y1 = indicatorAxis(ind.range, 3);
+    chart.update();
   } catch (e) {
-    msgEl.textContent = e.message || '검색 중 오류가 발생했습니다.';
-    msgEl.className = 'symbol-validate-message error';
-    resultsEl.hidden = true;
-    resultsEl.innerHTML = '';
+    showErrorPopup('지표 조회 실패', `${item.name}: ${e.message}`);
   }
 }
 
-function selectSymbolFromSearch(symbol, name) {
-  validatedSymbol = symbol;
-  validatedName = name;
-  document.getElementById('symbolSearchResults').hidden = true;
-  document.getElementById('symbolSearchResults').innerHTML = '';
-  document.getElementById('symbolValidateMessage').textContent = `선택: ${name} (${symbol})`;
-  document.getElementById('symbolValidateMessage').className = 'symbol-validate-message success';
-  document.getElementById('symbolConfirmInfo').textContent = `"${symbolChangeCurrentItem.name}" 항목을 "${name}" (${symbol})로 변경합니다.`;
-  document.getElementById('symbolConfirmBlock').hidden = false;
-  document.getElementById('symbolChangeBtnConfirm').hidden = false;
-}
+// ---------- 항목 상세 (/item/:id): 확대·이동, 십자선, 기간, 지표, 다른 항목 비교 ----------
+// 비교 항목은 기간 첫 종가를 상세 항목 첫 종가에 맞춰 같은 가격 축에 점선으로 표시 (툴팁은 실제 값과 등락률)
+// 분봉(1분~1시간)은 /api/chart로 거래소 현지 시각 기준 표시: 처음엔 최근 거래일, 이후 기간 적용으로 변경 (지표·비교 없음)
+const ITEM_PATH_REGEX = /^\/item\/([^/]+)\/?$/;
+const DETAIL_COLORS = { lineColor: '#58a6ff', fillColor: 'rgba(88, 166, 255, 0.1)' };
+const COMPARE_COLORS = ['#f778ba', '#79c0ff', '#d2a8ff', '#ffa657', '#7ee787'];
+const DETAIL_MAX_COMPARE = 5;
+const DETAIL_INTERVAL_LABELS = { '1d': '일봉', '1wk': '주봉', '1mo': '월봉', '1h': '1시간봉', '15m': '15분봉', '5m': '5분봉', '1m': '1분봉' };
+const detailState = { itemId: null, preset: '6M', from: null, to: null, mode: 'line', interval: 'auto', indicators: [], compare: [] };
+let detailItems = [];
+let detailChart = null;
+let detailRequestSeq = 0;
+
+const isItemDetailOpen = () => document.getElementById('itemDetailPopup').classList.contains('visible');
+const itemDetailPath = (id) => `/item/${encodeURIComponent(id)}${window.location.search}`;
+
+// 십자선: 가까운 봉에 세로선, 마우스 위치에 가로선
+const crosshairPlugin = {
+  id: 'crosshair',
+  afterEvent(chart, args) {
+    const e = args.event;
+    const inside = args.inChartArea && e.type !== 'mouseout';
+    chart.$crosshairY = inside ? e.y : null;
+    if (inside) args.changed = true;
+  },
+  afterDraw(chart) {
+    const active = chart.tooltip ? chart.tooltip.getActiveElements() : [];
+    if (chart.$crosshairY == null || active.length === 0) return;
+    const { ctx, chartArea } = chart;
+    const x = active[0].element.x;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(139, 148, 158, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.moveTo(chartArea.left, chart.$crosshairY);
+    ctx.lineTo(chartArea.right, chart.$crosshairY);
+    ctx.stroke();
+    ctx.restore();
+  }
+};
+
+// 분봉: 거래일이 바뀌는 봉 앞에 세로 점선 (장 사이 빈 시간은 가로축에서 생략되므로 구분용)
+const sessionPlugin = {
+  id: 'sessions',
+  afterDatasetsDraw(chart, args, options) {
+    const starts = options && options.starts;
+    if (!starts || starts.length === 0) return;
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(139, 148, 158, 0.35)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    ctx.beginPath();
+    for (const i of starts) {
+      const x = (scales.x.getPixelForValue(i - 1) + scales.x.getPixelForValue(i)) / 2;
+      if (x < chartArea.left || x > chartArea.right) continue;
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+};
+
+// 분봉 라벨: 거래소 현지 "MM-DD HH:MM" (time은 오프셋 포함 현지 시각 ISO)
+const intradayLabel = (b) => `${b.time.slice(5, 10)} ${b.time.slice(11, 16)}`;
+
+// 비교 항목 종가를 라벨 날짜에 맞춤 (그 날짜 이전 마지막 종가, 시장별 휴장일·주/월 구간 날짜 차이 흡수)
+function alignCloses(bars, labels) {
+  const out = [];
+  let j = 0;
+  let last = null;
+  for (const d of labels) {
+    while (j < bars.length && bars[j].date <= d) last = bars[j++].close;
+    out.push(last);
+  }
+  return out;
+}
+
+function compareDatasets(json, labels, mainBase) {
+  return detailState.compare.map((id, i) => {
+    const item = json.items.find(x => x.id === id);
+    const bars = (json.data[id] || []).slice().sort((a, b) => a.date.localeCompare(b.date));
+    const closes = alignCloses(bars, labels);
+    const base = closes.find(v => v != null);
+    return {
+      label: item ? item.name : id,
+      data: closes.map(v => (v != null && base ? (mainBase * v) / base : null)),
+      borderColor: COMPARE_COLORS[i % COMPARE_COLORS.length],
+      borderWidth: 1.5,
+      borderDash: [4, 3],
+      fill: false,
+      tension: 0.2,
+      pointRadius: 0,
+      spanGaps: true,
+      compareCloses: closes,
+      compareBase: base
+    };
+  });
+}
+
+// ETF 총수익 지수 (분배금을 배당락일에 재투자, 첫 종가에서 시작): 기간 안에 배당락이 있을 때만 가격 축에 점선
+function totalReturnDatasets(bars) {
+  if (!bars.some(b => b.totalReturn != null && b.totalReturn !== b.close)) return [];
+  return [{
+    label: '총수익 (분배금 재투자)',
+    data: bars.map(b => b.totalReturn),
+    borderColor: '#3fb950',
+    borderWidth: 1.5,
+    borderDash: [2, 2],
+    fill: false,
+    tension: 0.2,
+    pointRadius: 0,
+    spanGaps: true
+  }];
+}
+
+function renderDetailToolbar() {
+  document.querySelectorAll('#detailPresets .range-preset').forEach(b => b.classList.toggle('active', b.dataset.preset === detailState.preset));
+  document.getElementById('detailFrom').value = detailState.from || '';
+  document.getElementById('detailTo').value = detailState.to || '';
+  document.querySelectorAll('#detailModeToggle .chart-mode-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === detailState.mode));
+  document.querySelectorAll('#detailIntervalToggle .chart-mode-btn').forEach(b => b.classList.toggle('active', b.dataset.interval === detailState.interval));
+  document.getElementById('detailIndicators').innerHTML = CHART_OVERLAYS.filter(o => o.key).map(o => `
+    <label class="detail-check"><input type="checkbox" value="${o.key}" ${detailState.indicators.includes(o.key) ? 'checked' : ''}> ${escapeHtml(o.label)}</label>
+  `).join('');
+  const candidates = detailItems.filter(i => i.id !== detailState.itemId && !detailState.compare.includes(i.id));
+  const select = document.getElementById('detailCompareSelect');
+  select.innerHTML = `<option value="">+ 비교 항목</option>${candidates.map(i => `<option value="${escapeHtml(i.id)}">${escapeHtml(i.name)}</option>`).join('')}`;
+  select.disabled = detailState.compare.length >= DETAIL_MAX_COMPARE;
+  document.getElementById('detailCompareList').innerHTML = detailState.compare.map((id, i) => {
+    const item = detailItems.find(x => x.id === id);
+    return `<span class="detail-chip" style="border-color:${COMPARE_COLORS[i % COMPARE_COLORS.length]}">${escapeHtml(item ? item.name : id)}
+      <button type="button" class="detail-chip-remove" data-id="${escapeHtml(id)}" aria-label="비교 제거">&times;</button></span>`;
+  }).join('');
+}
+
+async function loadItemDetail() {
+  const seq = ++detailRequestSeq;
+  const wrap = document.getElementById('detailChartWrap');
+  const status = document.getElementById('detailStatus');
+  status.textContent = '데이터 로딩 중...';
+  const ids = [detailState.itemId, ...detailState.compare];
+  const intraday = detailState.interval !== 'auto';
+  try {
+    // 분봉: 기간이 없으면 서버 기본(최근 거래일), 고른 기간은 제공처 조회 한도로 잘림
+    const res = await fetch(intraday
+      ? apiUrl(`/chart/${encodeURIComponent(detailState.itemId)}`, detailState.from
+        ? { interval: detailState.interval, from: detailState.from, to: detailState.to }
+        : { interval: detailState.interval })
+      : apiUrl('/range', { from: detailState.from, to: detailState.to, items: ids.join(','), interval: 'auto' }));
+    const json = await res.json();
+    if (seq !== detailRequestSeq || !isItemDetailOpen()) return;
+    if (!res.ok || !json.success) throw new Error(json.cause || json.error || '데이터 조회 실패');
+    const item = intraday
+      ? { id: detailState.itemId, name: json.symbol, unit: json.unit }
+      : json.items.find(i => i.id === detailState.itemId);
+    const bars = intraday ? json.data : (json.data[item.id] || []).slice().sort((a, b) => a.date.localeCompare(b.date));
+    if (intraday) {
+      // 실제 조회 기간을 입력란에 반영 (다른 분봉 간격으로 바꿔도 같은 기간)
+      Object.assign(detailState, { from: json.from, to: json.to });
+      document.getElementById('detailFrom').value = json.from;
+      document.getElementById('detailTo').value = json.to;
+    }
+    const intervalLabel = DETAIL_INTERVAL_LABELS[json.interval] || json.interval;
+    let note = '';
+    if (intraday) note = ` · ${json.timeZone} 현지 시각${detailState.indicators.length + detailState.compare.length > 0 ? ' · 지표·비교는 일봉에서만 표시' : ''}`;
+    else if (json.interval !== '1d') note = ' · 지표는 일봉 기간에서만 표시';
+    status.textContent = bars.length > 0
+      ? `${json.from} ~ ${json.to} · ${intervalLabel} ${bars.length}개${note}`
+      : '선택 기간에 데이터가 없습니다.';
+    if (json.failed) showErrorPopup('일부 데이터 누락', json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+
+    if (detailChart) detailChart.destroy();
+    wrap.innerHTML = '<canvas id="detailChart"></canvas>';
+    const labels = bars.map(b => (intraday ? intradayLabel(b) : b.date));
+    const mainBase = bars.length > 0 ? bars[0].close : null;
+    const scales = priceScales(bars);
+    scales.x.ticks.maxTicksLimit = 10;
+    scales.y.ticks.maxTicksLimit = 8;
+    // 분봉 가로축: 거래일 첫 봉은 날짜, 나머지는 시각
+    if (intraday) scales.x.ticks.callback = (i) => (i > 0 && bars[i].date === bars[i - 1].date ? bars[i].time.slice(11, 16) : bars[i].date.slice(5));
+    const sessionStarts = intraday ? bars.map((b, i) => i).filter(i => i > 0 && bars[i].date !== bars[i - 1].date) : [];
+    const extraDatasets = intraday ? [] : [...totalReturnDatasets(bars), ...compareDatasets(json, labels, mainBase)];
+    detailChart = new Chart(document.getElementById('detailChart').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [...priceDatasets(item, bars, detailState.mode, DETAIL_COLORS), ...extraDatasets]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: extraDatasets.length > 0, labels: { color: '#8b949e', boxWidth: 12, filter: (l, data) => !data.datasets[l.datasetIndex].indicator && data.datasets[l.datasetIndex].yAxisID !== 'volume' } },
+          tooltip: { callbacks: { label: formatOhlcTooltip } },
+          // chartjs-plugin-zoom (CDN): 휠·핀치 확대, 드래그 이동 (가로축만)
+          zoom: {
+            zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: 'x' },
+            pan: { enabled: true, mode: 'x' },
+            limits: { x: { minRange: 5 } }
+          },
+          sessions: { starts: sessionStarts }
+        },
+        scales
+      },
+      plugins: [ohlcPlugin, actionMarkerPlugin, crosshairPlugin, sessionPlugin]
+    });
+
+    if (json.interval !== '1d' || bars.length === 0 || detailState.indicators.length === 0) return;
+    const results = await Promise.all(detailState.indicators.map(key => fetchIndicator(item.id, bars[0].date, bars[bars.length - 1].date, key)));
+    if (seq !== detailRequestSeq || !detailChart) return;
+    const ranges = [];
+    let colorOffset = 0;
+    results.forEach((res, i) => {
+      const ind = res.indicators[detailState.indicators[i]];
+      detailChart.data.datasets.push(...indicatorDatasets(ind, res.dates, labels, colorOffset));
+      colorOffset += Object.keys(ind.series).length;
+      if (!ind.overlay) ranges.push(ind.range ? ind.range.join(':') : 'auto');
+    });
+    // 보조 축 지표가 여럿이면 범위가 모두 같을 때만 고정
+    if (ranges.length > 0) {
+      const same = ranges.every(r => r === ranges[0]) && ranges[0] !== 'auto';
+      detailChart.options.scales.y1 = indicatorAxis(same ? ranges[0].split(':').map(Number) : null, 6);
+    }
+    detailChart.options.plugins.legend.display = true;
+    detailChart.update();
+  } catch (e) {
+    if (seq !== detailRequestSeq) return;
+    status.textContent = '데이터를 불러올 수 없습니다.';
+    showErrorPopup('항목 상세 조회 실패', e.message);
+  }
+}
+
+async function openItemDetail(id, { push = true } = {}) {
+  try {
+    const res = await fetch(apiUrl('/symbols'));
+    const json = await res.json();
+    if (!res.ok || !json.items) throw new Error(json.error || '목록 조회 실패');
+    detailItems = json.items;
+  } catch (e) {
+    showErrorPopup('항목 목록 조회 실패', e.message);
+    return;
+  }
+  const item = detailItems.find(i => i.id === id);
+  if (!item) {
+    showErrorPopup('항목 없음', `"${id}" 항목이 현재 관심 목록에 없습니다.`);
+    closeItemDetail({ push: false });
+    if (ITEM_PATH_REGEX.test(window.location.pathname)) history.replaceState(null, '', `/${window.location.search}`);
+    return;
+  }
+  if (detailState.itemId !== id) {
+    detailState.compare = [];
+    detailState.itemId = id;
+  }
+  if (!detailState.from && detailState.interval === 'auto') Object.assign(detailState, computePresetRange(detailState.preset));
+  if (push && window.location.pathname !== itemDetailPath(id).split('?')[0]) history.pushState(null, '', itemDetailPath(id));
+  document.getElementById('itemDetailTitle').textContent = `${item.name} (${item.symbol})`;
+  document.getElementById('itemDetailPopup').classList.add('visible');
+  renderDetailToolbar();
+  loadItemDetail();
+}
+
+function closeItemDetail({ push = true } = {}) {
+  if (!isItemDetailOpen()) return;
+  document.getElementById('itemDetailPopup').classList.remove('visible');
+  detailRequestSeq++;
+  if (detailChart) detailChart.destroy();
+  detailChart = null;
+  if (push && ITEM_PATH_REGEX.test(window.location.pathname)) history.pushState(null, '', `/${window.location.search}`);
+}
+
+// 주소 /item/:id ↔ 상세 열림 상태 (뒤로 가기 포함)
+function syncItemDetailWithUrl() {
+  const match = window.location.pathname.match(ITEM_PATH_REGEX);
+  if (match) openItemDetail(decodeURIComponent(match[1]), { push: false });
+  else closeItemDetail({ push: false });
+}
+
+function initItemDetail() {
+  document.getElementById('itemDetailClose').addEventListener('click', () => closeItemDetail());
+  document.getElementById('btnDetailResetZoom').addEventListener('click', () => {
+    if (detailChart && typeof detailChart.resetZoom === 'function') detailChart.resetZoom();
+  });
+  document.querySelectorAll('#detailPresets .range-preset').forEach(btn => {
+    btn.addEventListener('click', () => {
+      // 프리셋은 일 단위 기간 → 분봉이면 일봉으로 되돌림
+      Object.assign(detailState, { preset: btn.dataset.preset, interval: 'auto' }, computePresetRange(btn.dataset.preset));
+      renderDetailToolbar();
+      loadItemDetail();
+    });
+  });
+  document.getElementById('btnDetailApply').addEventListener('click', () => {
+    const from = document.getElementById('detailFrom').value;
+    const to = document.getElementById('detailTo').value;
+    if (!from || !to || from > to) {
+      showErrorPopup('기간 오류', '시작일과 종료일을 확인하세요.', '시작일은 종료일보다 이전이어야 합니다.');
+      return;
+    }
+    Object.assign(detailState, { preset: null, from, to });
+    renderDetailToolbar();
+    loadItemDetail();
+  });
+  document.querySelectorAll('#detailModeToggle .chart-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      detailState.mode = btn.dataset.mode;
+      renderDetailToolbar();
+      loadItemDetail();
+    });
+  });
+  document.querySelectorAll('#detailIntervalToggle .chart-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const wasIntraday = detailState.interval !== 'auto';
+      detailState.interval = btn.dataset.interval;
+      // 일봉 → 분봉: 최근 거래일부터 (프리셋 기간은 분봉에 너무 김), 분봉 → 일봉: 기본 프리셋
+      if (detailState.interval !== 'auto' && !wasIntraday) Object.assign(detailState, { preset: null, from: null, to: null });
+      if (detailState.interval === 'auto' && wasIntraday) Object.assign(detailState, { preset: '6M' }, computePresetRange('6M'));
+      renderDetailToolbar();
+      loadItemDetail();
+    });
+  });
+  document.getElementById('detailIndicators').addEventListener('change', (e) => {
+    if (e.target.type !== 'checkbox') return;
+    const key = e.target.value;
+    detailState.indicators = e.target.checked
+      ? [...detailState.indicators, key]
+      : detailState.indicators.filter(k => k !== key);
+    loadItemDetail();
+  });
+  document.getElementById('detailCompareSelect').addEventListener('change', (e) => {
+    if (!e.target.value) return;
+    detailState.compare.push(e.target.value);
+    renderDetailToolbar();
+    loadItemDetail();
+  });
+  document.getElementById('detailCompareList').addEventListener('click', (e) => {
+    const btn = e.target.closest('.detail-chip-remove');
+    if (!btn) return;
+    detailState.compare = detailState.compare.filter(id => id !== btn.dataset.id);
+    renderDetailToolbar();
+    loadItemDetail();
+  });
+  window.addEventListener('popstate', syncItemDetailWithUrl);
+  syncItemDetailWithUrl();
+}
+
+// ---------- 비교 (기간 시작 = 100 기준화, /api/compare) ----------
+// 기간은 헤더의 월 또는 기간 선택을 따름. 먼저 선택한 항목이 기준 (기준 대비 초과 수익률)
+const compareSelection = new Map(); // 관심 목록 id → 선택 항목 id 배열 (선택 순서)
+let compareMode = 'rebase'; // rebase: 100 기준 | pct: 등락률(%)
+let compareChart = null;
+let compareRequestSeq = 0;
+let compareLastJson = null;
+
+function comparePeriod() {
+  if (periodMode === 'range') return { from: currentRange.from, to: currentRange.to, interval: currentRange.interval };
+  return { from: toYMD(new Date(currentYear, currentMonth - 1, 1)), to: toYMD(new Date(currentYear, currentMonth, 0)), interval: 'auto' };
+}
+
+function renderCompareItems(items) {
+  const selected = compareSelection.get(currentWatchlist) || [];
+  document.getElementById('compareItems').innerHTML = items.map(item => {
+    const order = selected.indexOf(item.id);
+    return `
+      <label class="compare-item ${order >= 0 ? 'selected' : ''}">
+        <input type="checkbox" value="${escapeHtml(item.id)}" ${order >= 0 ? 'checked' : ''}>
+        ${escapeHtml(item.name)}${order === 0 ? ' <span class="compare-base-badge">기준</span>' : ''}
+      </label>
+    `;
+  }).join('');
+}
+
+function renderCompare(json) {
+  const tbody = document.getElementById('compareBody');
+  const ids = Object.keys(json.series);
+  const colorOf = (id) => COMPARE_COLORS[ids.indexOf(id) % COMPARE_COLORS.length];
+  const toValue = (v) => (v == null ? null : compareMode === 'pct' ? v - 100 : v);
+
+  if (compareChart) compareChart.destroy();
+  compareChart = new Chart(document.getElementById('compareChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: json.dates,
+      datasets: json.stats.map(s => ({
+        label: s.name,
+        data: json.series[s.id].map(toValue),
+        borderColor: colorOf(s.id),
+        borderWidth: s.id === ids[0] ? 2 : 1.5,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 0,
+        spanGaps: true
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { labels: { color: '#8b949e', boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${ctx.dataset.label}: ${compareMode === 'pct' ? formatChangePct(ctx.raw) : Number(ctx.raw).toFixed(2)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { color: '#30363d', display: false },
+          ticks: { color: '#8b949e', maxTicksLimit: 8, font: { size: 10 } }
+        },
+        y: {
+          grid: { color: '#30363d' },
+          ticks: { color: '#8b949e', font: { size: 10 }, callback: (v) => (compareMode === 'pct' ? `${v}%` : v) }
+        }
+      }
+    }
+  });
+
+  const signClass = (v) => (v > 0 ? 'positive' : v < 0 ? 'negative' : '');
+  const pctCell = (v) => `<td class="${signClass(v)}">${formatChangePct(v)}</td>`;
+  // 기준 대비: 수익률 차이 (%p)
+  const excessCell = (v) => `<td class="${signClass(v)}">${Number.isFinite(v) ? `${v > 0 ? '+' : ''}${v.toFixed(2)}%p` : '-'}</td>`;
+  tbody.innerHTML = json.stats.map((s, i) => `
+    <tr>
+      <td><span class="compare-swatch" style="background:${colorOf(s.id)}"></span>${escapeHtml(s.name)}${i === 0 ? ' <span class="compare-base-badge">기준</span>' : ''}</td>
+      ${pctCell(s.returnPct)}
+      ${s.totalReturnPct != null ? pctCell(s.totalReturnPct) : '<td>-</td>'}
+      ${i === 0 ? '<td>-</td>' : excessCell(s.excessPct)}
+      ${pctCell(s.annualizedPct)}
+      <td>${s.volatilityPct != null ? `${s.volatilityPct.toFixed(1)}%` : '-'}</td>
+      ${pctCell(s.maxDrawdownPct)}
+      <td>${escapeHtml(s.firstDate)}</td>
+      <td>${escapeHtml(s.lastDate)}</td>
+    </tr>
+  `).join('');
+  const missing = json.items.filter(i => !json.series[i.id]);
+  if (missing.length > 0) {
+    tbody.innerHTML += `<tr><td colspan="9" class="empty">데이터 없음: ${missing.map(i => escapeHtml(i.name)).join(', ')}</td></tr>`;
+  }
+}
+
+async function loadCompare() {
+  const seq = ++compareRequestSeq;
+  const tbody = document.getElementById('compareBody');
+  let items;
+  try {
+    const res = await fetch(apiUrl('/symbols'));
+    const json = await res.json();
+    if (!res.ok || !json.items) throw new Error(json.error || '목록 조회 실패');
+    items = json.items;
+  } catch (e) {
+    showErrorPopup('항목 목록 조회 실패', e.message);
+    return;
+  }
+  if (seq !== compareRequestSeq) return;
+  // 삭제된 항목은 선택에서 제외
+  const selected = (compareSelection.get(currentWatchlist) || []).filter(id => items.some(i => i.id === id));
+  compareSelection.set(currentWatchlist, selected);
+  renderCompareItems(items);
+
+  const period = comparePeriod();
+  document.getElementById('comparePeriod').textContent = `${period.from} ~ ${period.to}`;
+  if (selected.length < 2) {
+    if (compareChart) compareChart.destroy();
+    compareChart = null;
+    compareLastJson = null;
+    tbody.innerHTML = '<tr><td colspan="9" class="empty">비교할 항목을 2개 이상 선택하세요.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = '<tr><td colspan="9" class="loading">데이터 로딩 중...</td></tr>';
+  try {
+    const res = await fetch(apiUrl('/compare', { items: selected.join(','), from: period.from, to: period.to, interval: period.interval }));
+    const json = await res.json();
+    if (seq !== compareRequestSeq) return;
+    if (!res.ok || !json.success) {
+      showErrorPopup('비교 조회 실패', json.error || `HTTP ${res.status}`, json.cause);
+      tbody.innerHTML = '<tr><td colspan="9" class="empty">데이터를 불러올 수 없습니다.</td></tr>';
+      return;
+    }
+    if (json.failed) showErrorPopup('일부 데이터 누락', json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+    compareLastJson = json;
+    renderCompare(json);
+  } catch (e) {
+    if (seq !== compareRequestSeq) return;
+    showErrorPopup('비교 조회 오류', e.message);
+    tbody.innerHTML = '<tr><td colspan="9" class="empty">데이터를 불러올 수 없습니다.</td></tr>';
+  }
+}
+
+function initCompare() {
+  document.getElementById('compareItems').addEventListener('change', (e) => {
+    if (e.target.type !== 'checkbox') return;
+    const selected = compareSelection.get(currentWatchlist) || [];
+    compareSelection.set(currentWatchlist, e.target.checked
+      ? [...selected, e.target.value]
+      : selected.filter(id => id !== e.target.value));
+    loadCompare();
+  });
+  document.querySelectorAll('#compareModeToggle .chart-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      compareMode = btn.dataset.mode;
+      document.querySelectorAll('#compareModeToggle .chart-mode-btn').forEach(b => b.classList.toggle('active', b === btn));
+      if (compareLastJson) renderCompare(compareLastJson);
+    });
+  });
+}
+
+// ---------- 상관관계 (일간 수익률, /api/correlation) ----------
+// 기간은 탭의 기간 선택을 따름. 행렬 칸을 누르면 그 두 항목의 이동 상관계수 (/api/correlation/rolling)
+const correlationExcluded = new Map(); // 관심 목록 id → 제외한 항목 id Set (새 항목은 포함)
+let correlationPair = null; // [항목 id, 항목 id]
+let correlationChart = null;
+let correlationRequestSeq = 0;
+let correlationRollingSeq = 0;
+let correlationLastJson = null;
+
+// 양의 상관: 주황, 음의 상관: 파랑 (절댓값이 클수록 진하게)
+function correlationColor(r) {
+  if (r == null) return 'transparent';
+  const rgb = r >= 0 ? '255, 166, 87' : '88, 166, 255';
+  return `rgba(${rgb}, ${(Math.abs(r) * 0.75).toFixed(3)})`;
+}
+
+function correlationRange() {
+  return computePresetRange(document.getElementById('correlationPeriod').value);
+}
+
+function renderCorrelationItems(items) {
+  const excluded = correlationExcluded.get(currentWatchlist) || new Set();
+  document.getElementById('correlationItems').innerHTML = items.map(item => `
+    <label class="compare-item ${excluded.has(item.id) ? '' : 'selected'}">
+      <input type="checkbox" value="${escapeHtml(item.id)}" ${excluded.has(item.id) ? '' : 'checked'}>
+      ${escapeHtml(item.name)}
+    </label>
+  `).join('');
+}
+
+function renderCorrelationMatrix(json) {
+  const table = document.getElementById('correlationMatrix');
+  const nameOf = (id) => (json.items.find(i => i.id === id) || { name: id }).name;
+  const isPair = (a, b) => correlationPair && ((correlationPair[0] === a && correlationPair[1] === b) || (correlationPair[0] === b && correlationPair[1] === a));
+  const head = `<thead><tr><th></th>${json.ids.map(id => `<th>${escapeHtml(nameOf(id))}</th>`).join('')}</tr></thead>`;
+  const rows = json.ids.map((a, i) => `
+    <tr>
+      <th>${escapeHtml(nameOf(a))}</th>
+      ${json.ids.map((b, j) => {
+        const r = json.matrix[i][j];
+        const title = `${nameOf(a)} · ${nameOf(b)}: ${r != null ? r.toFixed(2) : `공통 거래일 부족 (${json.minSamples}일 미만)`} (공통 수익률 ${json.samples[i][j]}일)`;
+        return `<td class="correlation-cell ${i === j ? 'diagonal' : ''} ${isPair(a, b) ? 'selected' : ''}" data-a="${escapeHtml(a)}" data-b="${escapeHtml(b)}"
+          style="background:${correlationColor(r)}" title="${escapeHtml(title)}">${r != null ? r.toFixed(2) : '-'}</td>`;
+      }).join('')}
+    </tr>
+  `).join('');
+  const missing = json.items.filter(i => !json.ids.includes(i.id));
+  const foot = missing.length > 0
+    ? `<tfoot><tr><td colspan="${json.ids.length + 1}" class="empty">데이터 없음: ${missing.map(i => escapeHtml(i.name)).join(', ')}</td></tr></tfoot>`
+    : '';
+  table.innerHTML = `${head}<tbody>${rows}</tbody>${foot}`;
+}
+
+function renderCorrelationPairSelects(ids, nameOf) {
+  ['correlationPairA', 'correlationPairB'].forEach((selectId, k) => {
+    const select = document.getElementById(selectId);
+    select.innerHTML = ids.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(nameOf(id))}</option>`).join('');
+    select.value = correlationPair[k];
+  });
+}
+
+function renderRollingCorrelation(json) {
+  const nameOf = (id) => (json.items.find(i => i.id === id) || { name: id }).name;
+  document.getElementById('correlationOverall').textContent = json.overall != null
+    ? `기간 전체 상관계수 ${json.overall.toFixed(2)} (${json.from} ~ ${json.to})`
+    : '공통 거래일 데이터가 부족합니다';
+  if (correlationChart) correlationChart.destroy();
+  correlationChart = new Chart(document.getElementById('correlationChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: json.dates,
+      datasets: [{
+        label: `${nameOf(json.a)} · ${nameOf(json.b)} (${json.window}일)`,
+        data: json.values,
+        borderColor: '#ffa657',
+        borderWidth: 1.5,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 0,
+        spanGaps: false
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { labels: { color: '#8b949e', boxWidth: 12 } },
+        tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.raw != null ? Number(ctx.raw).toFixed(2) : '-'}` } }
+      },
+      scales: {
+        x: {
+          grid: { color: '#30363d', display: false },
+          ticks: { color: '#8b949e', maxTicksLimit: 8, font: { size: 10 } }
+        },
+        y: {
+          min: -1,
+          max: 1,
+          grid: { color: (ctx) => (ctx.tick.value === 0 ? '#8b949e' : '#30363d') },
+          ticks: { color: '#8b949e', font: { size: 10 }, stepSize: 0.5 }
+        }
+      }
+    }
+  });
+}
+
+async function loadRollingCorrelation() {
+  const seq = ++correlationRollingSeq;
+  if (!correlationPair) return;
+  const { from, to } = correlationRange();
+  const windowSize = document.getElementById('correlationWindow').value;
+  try {
+    const res = await fetch(apiUrl('/correlation/rolling', { a: correlationPair[0], b: correlationPair[1], from, to, window: windowSize }));
+    const json = await res.json();
+    if (seq !== correlationRollingSeq) return;
+    if (!res.ok || !json.success) {
+      showErrorPopup('이동 상관계수 조회 실패', json.error || `HTTP ${res.status}`, json.cause);
+      return;
+    }
+    renderRollingCorrelation(json);
+  } catch (e) {
+    if (seq !== correlationRollingSeq) return;
+    showErrorPopup('이동 상관계수 조회 오류', e.message);
+  }
+}
+
+function selectCorrelationPair(a, b) {
+  if (!a || !b || a === b) return;
+  correlationPair = [a, b];
+  document.getElementById('correlationPairA').value = a;
+  document.getElementById('correlationPairB').value = b;
+  if (correlationLastJson) renderCorrelationMatrix(correlationLastJson);
+  loadRollingCorrelation();
+}
+
+async function loadCorrelation() {
+  const seq = ++correlationRequestSeq;
+  const table = document.getElementById('correlationMatrix');
+  let items;
+  try {
+    const res = await fetch(apiUrl('/symbols'));
+    const json = await res.json();
+    if (!res.ok || !json.items) throw new Error(json.error || '목록 조회 실패');
+    items = json.items;
+  } catch (e) {
+    showErrorPopup('항목 목록 조회 실패', e.message);
+    return;
+  }
+  if (seq !== correlationRequestSeq) return;
+  renderCorrelationItems(items);
+  const excluded = correlationExcluded.get(currentWatchlist) || new Set();
+  const selected = items.filter(i => !excluded.has(i.id)).map(i => i.id);
+  if (selected.length < 2) {
+    if (correlationChart) correlationChart.destroy();
+    correlationChart = null;
+    correlationLastJson = null;
+    document.getElementById('correlationOverall').textContent = '';
+    table.innerHTML = '<tbody><tr><td class="empty">항목을 2개 이상 선택하세요.</td></tr></tbody>';
+    return;
+  }
+  table.innerHTML = '<tbody><tr><td class="loading">데이터 로딩 중...</td></tr></tbody>';
+  const { from, to } = correlationRange();
+  try {
+    const res = await fetch(apiUrl('/correlation', { items: selected.join(','), from, to }));
+    const json = await res.json();
+    if (seq !== correlationRequestSeq) return;
+    if (!res.ok || !json.success) {
+      showErrorPopup('상관관계 조회 실패', json.error || `HTTP ${res.status}`, json.cause);
+      table.innerHTML = '<tbody><tr><td class="empty">데이터를 불러올 수 없습니다.</td></tr></tbody>';
+      return;
+    }
+    if (json.failed) showErrorPopup('일부 데이터 누락', json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+    correlationLastJson = json;
+    // 선택한 쌍이 행렬에 없으면 첫 두 항목
+    if (!correlationPair || !correlationPair.every(id => json.ids.includes(id))) {
+      correlationPair = json.ids.length >= 2 ? [json.ids[0], json.ids[1]] : null;
+    }
+    renderCorrelationMatrix(json);
+    if (correlationPair) {
+      const nameOf = (id) => (json.items.find(i => i.id === id) || { name: id }).name;
+      renderCorrelationPairSelects(json.ids, nameOf);
+      loadRollingCorrelation();
+    }
+  } catch (e) {
+    if (seq !== correlationRequestSeq) return;
+    showErrorPopup('상관관계 조회 오류', e.message);
+    table.innerHTML = '<tbody><tr><td class="empty">데이터를 불러올 수 없습니다.</td></tr></tbody>';
+  }
+}
+
+function initCorrelation() {
+  document.getElementById('correlationItems').addEventListener('change', (e) => {
+    if (e.target.type !== 'checkbox') return;
+    const excluded = new Set(correlationExcluded.get(currentWatchlist) || []);
+    if (e.target.checked) excluded.delete(e.target.value);
+    else excluded.add(e.target.value);
+    correlationExcluded.set(currentWatchlist, excluded);
+    loadCorrelation();
+  });
+  document.getElementById('correlationPeriod').addEventListener('change', loadCorrelation);
+  document.getElementById('correlationWindow').addEventListener('change', loadRollingCorrelation);
+  document.getElementById('correlationMatrix').addEventListener('click', (e) => {
+    const cell = e.target.closest('.correlation-cell');
+    if (cell) selectCorrelationPair(cell.dataset.a, cell.dataset.b);
+  });
+  document.getElementById('correlationPairA').addEventListener('change', (e) => {
+    selectCorrelationPair(e.target.value, document.getElementById('correlationPairB').value);
+  });
+  document.getElementById('correlationPairB').addEventListener('change', (e) => {
+    selectCorrelationPair(document.getElementById('correlationPairA').value, e.target.value);
+  });
+}
+
+// ---------- 포트폴리오 (거래 내역, 원화 기준 평가, /api/portfolio) ----------
+const PORTFOLIO_UNITS = ['원', 'USD', 'EUR']; // 통화 단위가 있는 항목만 기록 가능 (지수·금리·환율 제외)
+const PORTFOLIO_COLORS = ['#58a6ff', '#ffa657', '#7ee787', '#d2a8ff', '#f778ba', '#79c0ff', '#e3b341', '#ff7b72'];
+let portfolioAllocationChart = null;
+let portfolioHistoryChart = null;
+let portfolioRequestSeq = 0;
+
+const formatWon = (v) => (v == null || !Number.isFinite(v) ? '-' : `${Math.round(v).toLocaleString('ko-KR')}원`);
+const signedWon = (v) => (v == null || !Number.isFinite(v) ? '-' : `${v > 0 ? '+' : ''}${formatWon(v)}`);
+const signClassOf = (v) => (v > 0 ? 'positive' : v < 0 ? 'negative' : '');
+
+function renderPortfolioForm(items) {
+  const select = document.getElementById('portfolioItem');
+  const prev = select.value;
+  const holdable = items.filter(i => PORTFOLIO_UNITS.includes(i.unit));
+  select.innerHTML = holdable.map(i => `<option value="${escapeHtml(i.id)}" data-unit="${escapeHtml(i.unit)}">${escapeHtml(i.name)}</option>`).join('');
+  if (holdable.some(i => i.id === prev)) select.value = prev;
+  syncPortfolioUnit();
+  const dateInput = document.getElementById('portfolioDate');
+  if (!dateInput.value) dateInput.value = toYMD(new Date());
+  dateInput.max = toYMD(new Date());
+}
+
+function syncPortfolioUnit() {
+  const option = document.getElementById('portfolioItem').selectedOptions[0];
+  document.getElementById('portfolioUnit').textContent = option ? option.dataset.unit : '';
+}
+
+function renderPortfolioSummary(summary) {
+  const el = document.getElementById('portfolioSummary');
+  if (!summary) {
+    el.innerHTML = '';
+    return;
+  }
+  const card = (label, value, cls = '') => `<div class="portfolio-summary-card"><span>${label}</span><strong class="${cls}">${value}</strong></div>`;
+  el.innerHTML = [
+    card('평가금액', formatWon(summary.marketValue)),
+    card('원가', formatWon(summary.cost)),
+    card('평가손익', `${signedWon(summary.unrealized)} (${formatChangePct(summary.unrealizedPct)})`, signClassOf(summary.unrealized)),
+    card('실현손익', signedWon(summary.realized), signClassOf(summary.realized)),
+    card('총손익', signedWon(summary.totalPnl), signClassOf(summary.totalPnl))
+  ].join('');
+}
+
+function renderPortfolioPositions(positions) {
+  const tbody = document.getElementById('portfolioPositionsBody');
+  if (positions.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9" class="empty">거래 내역을 추가하면 보유 현황이 표시됩니다.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = positions.map(p => `
+    <tr class="${p.quantity > 0 ? '' : 'portfolio-closed'}">
+      <td>${escapeHtml(p.name || `${p.itemId} (삭제된 항목)`)}</td>
+      <td>${p.quantity.toLocaleString('ko-KR', { maximumFractionDigits: 4 })}</td>
+      <td>${p.avgCost != null ? `${formatPrice(p.avgCost, p.unit)} ${escapeHtml(p.unit || '')}` : '-'}</td>
+      <td title="${p.lastDate ? escapeHtml(`${p.lastDate} 종가${p.lastRate !== 1 ? ` · 환율 ${formatPrice(p.lastRate)}` : ''}`) : ''}">${p.lastPrice != null ? `${formatPrice(p.lastPrice, p.unit)} ${escapeHtml(p.unit || '')}` : '-'}</td>
+      <td>${formatWon(p.marketValue)}</td>
+      <td>${formatWon(p.costKrw)}</td>
+      <td class="${signClassOf(p.unrealized)}">${signedWon(p.unrealized)}<br><small>${formatChangePct(p.unrealizedPct)}</small></td>
+      <td class="${signClassOf(p.realizedKrw)}">${signedWon(p.realizedKrw)}</td>
+      <td>${p.weightPct > 0 ? `${p.weightPct.toFixed(1)}%` : '-'}</td>
+    </tr>
+  `).join('');
+}
+
+function renderPortfolioTransactions(transactions, positions) {
+  const tbody = document.getElementById('portfolioTransactionsBody');
+  if (transactions.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="empty">기록된 거래가 없습니다.</td></tr>';
+    return;
+  }
+  const infoOf = (id) => positions.find(p => p.itemId === id) || {};
+  // 최근 거래가 위로
+  tbody.innerHTML = transactions.slice().reverse().map(t => {
+    const info = infoOf(t.itemId);
+    return `
+      <tr>
+        <td>${escapeHtml(t.date)}</td>
+        <td>${escapeHtml(info.name || `${t.itemId} (삭제된 항목)`)}</td>
+        <td class="${t.side === 'buy' ? 'positive' : 'negative'}">${t.side === 'buy' ? '매수' : '매도'}</td>
+        <td>${t.quantity.toLocaleString('ko-KR', { maximumFractionDigits: 4 })}</td>
+        <td>${formatPrice(t.price, info.unit)} ${escapeHtml(info.unit || '')}</td>
+        <td>${t.fee > 0 ? formatPrice(t.fee, info.unit) : '-'}</td>
+        <td class="portfolio-memo">${escapeHtml(t.memo || '')}</td>
+        <td><button type="button" class="btn-secondary btn-sm btn-portfolio-delete" data-id="${escapeHtml(t.id)}">삭제</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function renderPortfolioCharts(json) {
+  if (portfolioAllocationChart) portfolioAllocationChart.destroy();
+  if (portfolioHistoryChart) portfolioHistoryChart.destroy();
+  portfolioAllocationChart = null;
+  portfolioHistoryChart = null;
+  const held = json.positions.filter(p => p.marketValue > 0);
+  if (held.length > 0) {
+    portfolioAllocationChart = new Chart(document.getElementById('portfolioAllocationChart').getContext('2d'), {
+      type: 'doughnut',
+      data: {
+        labels: held.map(p => p.name || p.itemId),
+        datasets: [{
+          data: held.map(p => p.marketValue),
+          backgroundColor: held.map((p, i) => PORTFOLIO_COLORS[i % PORTFOLIO_COLORS.length]),
+          borderColor: '#161b22',
+          borderWidth: 2
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: { position: 'bottom', labels: { color: '#8b949e', boxWidth: 12 } },
+          tooltip: { callbacks: { label: (ctx) => `${ctx.label}: ${formatWon(ctx.raw)} (${held[ctx.dataIndex].weightPct.toFixed(1)}%)` } }
+        }
+      }
+    });
+  }
+  if (!json.history || json.history.dates.length === 0) return;
+  portfolioHistoryChart = new Chart(document.getElementById('portfolioHistoryChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: json.history.dates,
+      datasets: [
+        { label: '평가금액', data: json.history.value, borderColor: '#58a6ff', backgroundColor: 'rgba(88, 166, 255, 0.1)', borderWidth: 1.5, fill: true, tension: 0.2, pointRadius: 0 },
+        { label: '원가', data: json.history.cost, borderColor: '#8b949e', borderWidth: 1, borderDash: [4, 3], fill: false, stepped: true, pointRadius: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { labels: { color: '#8b949e', boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${ctx.dataset.label}: ${formatWon(ctx.raw)}`,
+            footer: (ctxs) => `누적 손익: ${signedWon(json.history.pnl[ctxs[0].dataIndex])}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { color: '#30363d', display: false },
+          ticks: { color: '#8b949e', maxTicksLimit: 8, font: { size: 10 } }
+        },
+        y: {
+          grid: { color: '#30363d' },
+          ticks: { color: '#8b949e', font: { size: 10 }, callback: (v) => v.toLocaleString('ko-KR') }
+        }
+      }
+    }
+  });
+}
+
+function renderPortfolio(json) {
+  renderPortfolioSummary(json.summary);
+  renderPortfolioPositions(json.positions);
+  renderPortfolioTransactions(json.transactions, json.positions);
+  renderPortfolioCharts(json);
+}
+
+async function loadPortfolio() {
+  const seq = ++portfolioRequestSeq;
+  const tbody = document.getElementById('portfolioPositionsBody');
+  tbody.innerHTML = '<tr><td colspan="9" class="loading">데이터 로딩 중...</td></tr>';
+  try {
+    const [portfolioRes, symbolsRes] = await Promise.all([fetch(apiUrl('/portfolio')), fetch(apiUrl('/symbols'))]);
+    const json = await portfolioRes.json();
+    const symbolsJson = await symbolsRes.json();
+    if (seq !== portfolioRequestSeq) return;
+    if (!portfolioRes.ok || !json.success) {
+      showErrorPopup('포트폴리오 조회 실패', json.error || `HTTP ${portfolioRes.status}`, json.cause);
+      tbody.innerHTML = '<tr><td colspan="9" class="empty">데이터를 불러올 수 없습니다.</td></tr>';
+      return;
+    }
+    if (json.failed) showErrorPopup('일부 데이터 누락', json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+    renderPortfolioForm(symbolsJson.items || []);
+    renderPortfolio(json);
+  } catch (e) {
+    if (seq !== portfolioRequestSeq) return;
+    showErrorPopup('포트폴리오 조회 오류', e.message);
+    tbody.innerHTML = '<tr><td colspan="9" class="empty">데이터를 불러올 수 없습니다.</td></tr>';
+  }
+}
+
+async function sendPortfolioRequest(path, method, body, errorTitle) {
+  try {
+    const res = await fetch(apiUrl(path), {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '요청 실패');
+    if (json.failed) showErrorPopup('일부 데이터 누락', json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+    renderPortfolio(json);
+    return true;
+  } catch (e) {
+    showErrorPopup(errorTitle, e.message);
+    return false;
+  }
+}
+
+function initPortfolio() {
+  document.getElementById('portfolioItem').addEventListener('change', syncPortfolioUnit);
+  document.getElementById('portfolioForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const ok = await sendPortfolioRequest('/portfolio/transactions', 'POST', {
+      itemId: document.getElementById('portfolioItem').value,
+      side: document.getElementById('portfolioSide').value,
+      date: document.getElementById('portfolioDate').value,
+      quantity: document.getElementById('portfolioQuantity').value,
+      price: document.getElementById('portfolioPrice').value,
+      fee: document.getElementById('portfolioFee').value,
+      memo: document.getElementById('portfolioMemo').value
+    }, '거래 추가 실패');
+    if (ok) {
+      ['portfolioQuantity', 'portfolioPrice', 'portfolioFee', 'portfolioMemo'].forEach(id => { document.getElementById(id).value = ''; });
+    }
+  });
+  document.getElementById('portfolioTransactionsBody').addEventListener('click', (e) => {
+    const btn = e.target.closest('.btn-portfolio-delete');
+    if (!btn || !confirm('이 거래를 삭제하시겠습니까?')) return;
+    sendPortfolioRequest(`/portfolio/transactions/${encodeURIComponent(btn.dataset.id)}`, 'DELETE', null, '거래 삭제 실패');
+  });
+}
+
+// ---------- 백테스트 (RSI(2)·고점 대비 하락·연속 하락 신호, /api/backtest) ----------
+// 실행 버튼으로 조회, 결과 표의 행을 누르면 그 항목의 자산 곡선과 거래 내역
+const BACKTEST_MAX_ITEMS = 10;
+const backtestSelection = new Map(); // 관심 목록 id → 선택 항목 id 배열
+let backtestChart = null;
+let backtestLastJson = null;
+let backtestActiveId = null;
+let backtestRequestSeq = 0;
+
+function renderBacktestItems(items) {
+  const selected = backtestSelection.get(currentWatchlist) || [];
+  document.getElementById('backtestItems').innerHTML = items.map(item => `
+    <label class="compare-item ${selected.includes(item.id) ? 'selected' : ''}">
+      <input type="checkbox" value="${escapeHtml(item.id)}" ${selected.includes(item.id) ? 'checked' : ''}>
+      ${escapeHtml(item.name)}
+    </label>
+  `).join('');
+}
+
+function syncBacktestParams() {
+  const type = document.getElementById('backtestEntry').value;
+  document.querySelectorAll('.backtest-params').forEach(el => { el.hidden = el.dataset.type !== type; });
+}
+
+// 폼 → /api/backtest 쿼리
+function readBacktestQuery() {
+  const value = (id) => document.getElementById(id).value;
+  const type = value('backtestEntry');
+  let entry = `rsi2_below:${value('backtestRsiEntry')}`;
+  if (type === 'drop_from_high') entry = `drop_from_high:${value('backtestDropPct')}:${value('backtestDropDays')}`;
+  if (type === 'consec_down') entry = `consec_down:${value('backtestConsec')}`;
+  return {
+    from: value('backtestFrom'),
+    to: value('backtestTo'),
+    entry,
+    exitRsi: value('backtestExitRsi'),
+    holdDays: value('backtestHoldDays'),
+    stopLossPct: value('backtestStopLoss'),
+    feePct: value('backtestFee')
+  };
+}
+
+function renderBacktestSummary(json) {
+  const tbody = document.getElementById('backtestBody');
+  const signClass = (v) => (v > 0 ? 'positive' : v < 0 ? 'negative' : '');
+  const pctCell = (v) => `<td class="${signClass(v)}">${formatChangePct(v)}</td>`;
+  const plain = (v, digits = 1, suffix = '') => (v != null && Number.isFinite(v) ? `${v.toFixed(digits)}${suffix}` : '-');
+  tbody.innerHTML = json.backtests.map(b => `
+    <tr class="backtest-row ${b.id === backtestActiveId ? 'active' : ''}" data-id="${escapeHtml(b.id)}">
+      <td>${escapeHtml(b.name)}</td>
+      ${pctCell(b.stats && b.stats.returnPct)}
+      ${pctCell(b.stats && b.stats.cagrPct)}
+      ${pctCell(b.stats && b.stats.maxDrawdownPct)}
+      <td>${b.stats ? b.stats.trades : '-'}</td>
+      <td>${plain(b.stats && b.stats.winRatePct, 1, '%')}</td>
+      ${pctCell(b.stats && b.stats.avgTradePct)}
+      <td>${plain(b.stats && b.stats.avgHoldDays)}</td>
+      <td>${plain(b.stats && b.stats.exposurePct, 1, '%')}</td>
+      ${pctCell(b.stats && b.stats.buyHoldReturnPct)}
+      ${pctCell(b.stats && b.stats.buyHoldMaxDrawdownPct)}
+    </tr>
+  `).join('');
+  const missing = json.items.filter(i => !json.backtests.some(b => b.id === i.id));
+  if (missing.length > 0) {
+    tbody.innerHTML += `<tr><td colspan="11" class="empty">데이터 없음: ${missing.map(i => escapeHtml(i.name)).join(', ')}</td></tr>`;
+  }
+}
+
+function renderBacktestDetail(json) {
+  const result = json.backtests.find(b => b.id === backtestActiveId);
+  const tradesBody = document.getElementById('backtestTradesBody');
+  if (backtestChart) backtestChart.destroy();
+  backtestChart = null;
+  if (!result) {
+    tradesBody.innerHTML = '';
+    return;
+  }
+  const item = json.items.find(i => i.id === result.id) || {};
+  backtestChart = new Chart(document.getElementById('backtestChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: result.equity.dates,
+      datasets: [
+        { label: `${result.name} · ${json.strategy.entry.label}`, data: result.equity.strategy, borderColor: '#ffa657', borderWidth: 1.5, fill: false, tension: 0, pointRadius: 0 },
+        { label: '보유 (매수 후 보유)', data: result.equity.buyHold, borderColor: '#8b949e', borderWidth: 1, borderDash: [4, 3], fill: false, tension: 0, pointRadius: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { labels: { color: '#8b949e', boxWidth: 12 } },
+        tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${Number(ctx.raw).toFixed(2)}` } }
+      },
+      scales: {
+        x: {
+          grid: { color: '#30363d', display: false },
+          ticks: { color: '#8b949e', maxTicksLimit: 8, font: { size: 10 } }
+        },
+        y: {
+          grid: { color: '#30363d' },
+          ticks: { color: '#8b949e', font: { size: 10 } }
+        }
+      }
+    }
+  });
+  if (result.trades.length === 0) {
+    tradesBody.innerHTML = '<tr><td colspan="7" class="empty">기간 중 진입 신호가 없습니다.</td></tr>';
+    return;
+  }
+  // 최근 거래가 위로
+  tradesBody.innerHTML = result.trades.slice().reverse().map(t => `
+    <tr>
+      <td>${escapeHtml(t.entryDate)}</td>
+      <td>${formatPrice(t.entryPrice, item.unit)}</td>
+      <td>${escapeHtml(t.exitDate)}</td>
+      <td>${formatPrice(t.exitPrice, item.unit)}</td>
+      <td>${t.holdDays}</td>
+      <td class="${t.returnPct > 0 ? 'positive' : t.returnPct < 0 ? 'negative' : ''}">${formatChangePct(t.returnPct)}</td>
+      <td>${escapeHtml(json.exitReasons[t.reason] || t.reason)}</td>
+    </tr>
+  `).join('');
+}
+
+async function loadBacktestItems() {
+  // 다른 관심 목록의 결과는 지움
+  if (backtestLastJson && backtestLastJson.watchlist !== currentWatchlist) {
+    backtestLastJson = null;
+    backtestActiveId = null;
+    renderBacktestDetail({ backtests: [] });
+  }
+  try {
+    const res = await fetch(apiUrl('/symbols'));
+    const json = await res.json();
+    if (!res.ok || !json.items) throw new Error(json.error || '목록 조회 실패');
+    // 삭제된 항목은 선택에서 제외
+    const selected = (backtestSelection.get(currentWatchlist) || []).filter(id => json.items.some(i => i.id === id));
+    backtestSelection.set(currentWatchlist, selected);
+    renderBacktestItems(json.items);
+  } catch (e) {
+    showErrorPopup('항목 목록 조회 실패', e.message);
+  }
+  if (!document.getElementById('backtestFrom').value) {
+    const range = computePresetRange('5Y');
+    document.getElementById('backtestFrom').value = range.from;
+    document.getElementById('backtestTo').value = range.to;
+  }
+  if (!backtestLastJson) {
+    document.getElementById('backtestBody').innerHTML = '<tr><td colspan="11" class="empty">항목과 규칙을 고른 뒤 실행하세요.</td></tr>';
+  }
+}
+
+async function runBacktestRequest() {
+  const seq = ++backtestRequestSeq;
+  const tbody = document.getElementById('backtestBody');
+  const selected = backtestSelection.get(currentWatchlist) || [];
+  if (selected.length === 0) {
+    showErrorPopup('백테스트 항목', '항목을 1개 이상 선택하세요.');
+    return;
+  }
+  tbody.innerHTML = '<tr><td colspan="11" class="loading">계산 중...</td></tr>';
+  try {
+    const res = await fetch(apiUrl('/backtest', { items: selected.join(','), ...readBacktestQuery() }));
+    const json = await res.json();
+    if (seq !== backtestRequestSeq) return;
+    if (!res.ok || !json.success) {
+      showErrorPopup('백테스트 실패', json.error || `HTTP ${res.status}`, json.cause);
+      tbody.innerHTML = '<tr><td colspan="11" class="empty">결과를 불러올 수 없습니다.</td></tr>';
+      return;
+    }
+    if (json.failed) showErrorPopup('일부 데이터 누락', json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+    backtestLastJson = json;
+    if (!json.backtests.some(b => b.id === backtestActiveId)) backtestActiveId = json.backtests.length > 0 ? json.backtests[0].id : null;
+    renderBacktestSummary(json);
+    renderBacktestDetail(json);
+  } catch (e) {
+    if (seq !== backtestRequestSeq) return;
+    showErrorPopup('백테스트 오류', e.message);
+    tbody.innerHTML = '<tr><td colspan="11" class="empty">결과를 불러올 수 없습니다.</td></tr>';
+  }
+}
+
+function initBacktest() {
+  document.getElementById('backtestItems').addEventListener('change', (e) => {
+    if (e.target.type !== 'checkbox') return;
+    const selected = backtestSelection.get(currentWatchlist) || [];
+    if (e.target.checked && selected.length >= BACKTEST_MAX_ITEMS) {
+      e.target.checked = false;
+      showErrorPopup('백테스트 항목', `항목은 최대 ${BACKTEST_MAX_ITEMS}개까지 선택할 수 있습니다.`);
+      return;
+    }
+    backtestSelection.set(currentWatchlist, e.target.checked
+      ? [...selected, e.target.value]
+      : selected.filter(id => id !== e.target.value));
+    e.target.closest('.compare-item').classList.toggle('selected', e.target.checked);
+  });
+  document.getElementById('backtestEntry').addEventListener('change', syncBacktestParams);
+  document.getElementById('backtestForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runBacktestRequest();
+  });
+  document.getElementById('backtestBody').addEventListener('click', (e) => {
+    const row = e.target.closest('.backtest-row');
+    if (!row || !backtestLastJson) return;
+    backtestActiveId = row.dataset.id;
+    renderBacktestSummary(backtestLastJson);
+    renderBacktestDetail(backtestLastJson);
+  });
+}
+
+// ---------- 뉴스/이벤트 ----------
+async function loadEvents() {
+  const tbody = document.getElementById('eventsBody');
+  if (!tbody) return;
+  const key = makePeriodKey(currentYear, currentMonth);
+  const cached = eventsCache.get(key);
+  if (cached) {
+    renderEvents(cached);
+  } else {
+    tbody.innerHTML = '<tr><td colspan="5" class="loading">이벤트 로딩 중...</td></tr>';
+  }
+
+  const token = `${key}-${Date.now()}`;
+  eventsRequestToken = token;
+
+  try {
+    const res = await fetch(apiUrl(`/events/${currentYear}/${currentMonth}`));
+    let json;
+    try {
+      json = await res.json();
+    } catch {
+      throw new Error(res.ok ? '응답 형식 오류' : `서버 오류 (${res.status})`);
+    }
+    if (!res.ok || json.success === false) {
+      showErrorPopup('이벤트 조회 실패', json?.error || '알 수 없는 오류', json?.cause);
+      if (!cached) tbody.innerHTML = '<tr><td colspan="5" class="empty">이벤트를 불러올 수 없습니다.</td></tr>';
+      return;
+    }
+    if (json.failed && json.failed.length > 0) {
+      const list = json.failed.map(f => `${f.name}: ${f.reason}`).join('\n');
+      showErrorPopup('일부 뉴스 누락', `${json.failed.length}개 뉴스 심볼을 조회하지 못했습니다.`, list);
+    }
+
+    const responseKey = makePeriodKey(json.year, json.month, json.watchlist);
+    eventsCache.set(responseKey, json);
+    if (eventsRequestToken !== token || responseKey !== makePeriodKey(currentYear, currentMonth)) return;
+    renderEvents(json);
+  } catch (e) {
+    showErrorPopup('이벤트 로드 오류', e.message, e.message.includes('fetch') ? '서버 연결을 확인하세요.' : null);
+    if (!cached) tbody.innerHTML = '<tr><td colspan="5" class="empty">이벤트를 불러올 수 없습니다.</td></tr>';
+  }
+}
+
+function renderEventNews(news) {
+  return news.map((n) => {
+    const headline = escapeHtml(n.headline);
+    const source = n.source ? ` <span class="event-news-source">${escapeHtml(n.source)}</span>` : '';
+    const link = n.url
+      ? `<a href="${escapeHtml(n.url)}" target="_blank" rel="noopener noreferrer">${headline}</a>`
+      : headline;
+    return `<li>${link}${source}</li>`;
+  }).join('');
+}
+
+function renderEvents(json) {
+  const tbody = document.getElementById('eventsBody');
+  const events = json.events || {};
+  const dates = Object.keys(events).sort().reverse();
+  if (dates.length === 0) {
+    const msg = json.notice || '해당 월에 표시할 이벤트가 없습니다.';
+    tbody.innerHTML = `<tr><td colspan="5" class="empty">${escapeHtml(msg)}</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = dates.map(date => events[date].map((ev) => {
+    const changeClass = ev.changePct > 0 ? 'price-up' : 'price-down';
+    return `<tr>
+      <td>${escapeHtml(date)}</td>
+      <td class="event-name">${escapeHtml(ev.name)}</td>
+      <td><span class="${changeClass}">${formatChangePct(ev.changePct)}</span></td>
+      <td class="event-desc">${escapeHtml(ev.description)}</td>
+      <td class="event-news"><ul>${renderEventNews(ev.news || [])}</ul></td>
+    </tr>`;
+  }).join('')).join('');
+}
+
+// ---------- 항목 관리 (추가/삭제/순서/분류, 심볼 변경/복원) ----------
+let symbolsListCache = null;
+let symbolCategoriesCache = [];
+
+async function loadSymbolsList() {
+  const listEl = document.getElementById('symbolsList');
+  if (!listEl) return;
+  try {
+    const res = await fetch(apiUrl('/symbols'));
+    const json = await res.json();
+    if (!res.ok || !json.items) throw new Error(json.error || '목록 조회 실패');
+    renderSymbolsList(json);
+  } catch (e) {
+    showErrorPopup('항목 목록 조회 실패', e.message);
+    listEl.innerHTML = '<p class="empty">목록을 불러올 수 없습니다.</p>';
+  }
+}
+
+// 거래소 캘린더 표시명 (utils/market-calendar.js)
+const MARKET_LABELS = { krx: 'KRX', nyse: 'NYSE/NASDAQ', cme: 'CME', fx: 'FX' };
+
+function renderSymbolsList(json) {
+  const listEl = document.getElementById('symbolsList');
+  symbolsListCache = json.items;
+  symbolCategoriesCache = json.categories || [];
+  const groups = groupByCategory(json.items);
+  const categoryOptions = (selected) => symbolCategoriesCache
+    .map(c => `<option value="${escapeHtml(c)}"${c === selected ? ' selected' : ''}>${escapeHtml(c)}</option>`)
+    .join('');
+
+  listEl.innerHTML = groups.map((group, gIdx) => {
+    const rows = group.items.map((item, i) => {
+      const id = escapeHtml(item.id);
+      const overriddenBadge = item.overridden ? '<span class="symbol-overridden-badge">변경됨</span>' : '';
+      const customBadge = item.custom ? '<span class="symbol-overridden-badge">추가</span>' : '';
+      const restoreBtn = item.overridden
+        ? `<button type="button" class="btn-secondary btn-sm btn-restore" data-id="${id}">원래대로</button>`
+        : '';
+      return `
+        <li class="symbols-list-item" data-id="${id}">
+          <span class="symbols-list-name">${escapeHtml(item.name)}</span>
+          <span class="symbols-list-symbol">${escapeHtml(item.symbol)}${item.market ? ` · ${escapeHtml(MARKET_LABELS[item.market] || item.market)}` : ''}</span>
+          ${overriddenBadge}${customBadge}
+          <div class="symbols-list-actions">
+            <select class="symbols-category-select" data-id="${id}" aria-label="분류">${categoryOptions(item.category)}</select>
+            <button type="button" class="btn-secondary btn-sm btn-move" data-id="${id}" data-dir="-1" ${i === 0 ? 'disabled' : ''} aria-label="위로">▲</button>
+            <button type="button" class="btn-secondary btn-sm btn-move" data-id="${id}" data-dir="1" ${i === group.items.length - 1 ? 'disabled' : ''} aria-label="아래로">▼</button>
+            <button type="button" class="btn-primary btn-sm btn-change" data-id="${id}">변경</button>
+            ${restoreBtn}
+            <button type="button" class="btn-secondary btn-sm btn-delete" data-id="${id}">삭제</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+    const category = escapeHtml(group.category || '기타');
+    return `
+      <div class="symbols-group">
+        <div class="symbols-group-header">
+          <h4>${category} <span class="symbols-group-count">${group.items.length}</span></h4>
+          <button type="button" class="btn-secondary btn-sm btn-move-category" data-category="${category}" data-dir="-1" ${gIdx === 0 ? 'disabled' : ''} aria-label="분류 위로">▲</button>
+          <button type="button" class="btn-secondary btn-sm btn-move-category" data-category="${category}" data-dir="1" ${gIdx === groups.length - 1 ? 'disabled' : ''} aria-label="분류 아래로">▼</button>
+        </div>
+        <ul class="symbols-list">${rows}</ul>
+      </div>
+    `;
+  }).join('') || '<p class="empty">항목이 없습니다. 항목 추가로 종목을 등록하세요.</p>';
+
+  const findItem = (id) => symbolsListCache.find(i => i.id === id);
+  listEl.querySelectorAll('.btn-change').forEach((btn) => {
+    btn.addEventListener('click', () => openSymbolChangePopup(findItem(btn.dataset.id)));
+  });
+  listEl.querySelectorAll('.btn-restore').forEach((btn) => {
+    btn.addEventListener('click', () => restoreSymbolOverride(btn.dataset.id));
+  });
+  listEl.querySelectorAll('.btn-delete').forEach((btn) => {
+    btn.addEventListener('click', () => deleteItem(findItem(btn.dataset.id)));
+  });
+  listEl.querySelectorAll('.btn-move').forEach((btn) => {
+    btn.addEventListener('click', () => moveItem(btn.dataset.id, Number(btn.dataset.dir)));
+  });
+  listEl.querySelectorAll('.btn-move-category').forEach((btn) => {
+    btn.addEventListener('click', () => moveCategory(btn.dataset.category, Number(btn.dataset.dir)));
+  });
+  listEl.querySelectorAll('.symbols-category-select').forEach((sel) => {
+    sel.addEventListener('change', () => sendItemsRequest(`/items/${encodeURIComponent(sel.dataset.id)}`, 'PUT', { category: sel.value }, '분류 변경 실패'));
+  });
+
+  const removed = json.removed || [];
+  const removedWrap = document.getElementById('symbolsRemovedWrap');
+  const removedList = document.getElementById('symbolsRemovedList');
+  removedWrap.hidden = removed.length === 0;
+  removedList.innerHTML = removed.map((item) => `
+    <li class="symbols-list-item">
+      <span class="symbols-list-name">${escapeHtml(item.name)}</span>
+      <span class="symbols-list-symbol">${escapeHtml(item.symbol)}</span>
+      <div class="symbols-list-actions">
+        <button type="button" class="btn-secondary btn-sm btn-readd" data-id="${escapeHtml(item.id)}" data-category="${escapeHtml(item.category || '')}">다시 추가</button>
+      </div>
+    </li>
+  `).join('');
+  removedList.querySelectorAll('.btn-readd').forEach((btn) => {
+    btn.addEventListener('click', () => sendItemsRequest('/items', 'POST', {
+      id: btn.dataset.id,
+      category: btn.dataset.category || symbolCategoriesCache[0]
+    }, '항목 추가 실패'));
+  });
+}
+
+// 항목 구성 변경 후 목록·테이블·차트 다시 로드
+function refreshAfterItemsChange(json) {
+  dailyCache.clear();
+  recentDailyCache.clear();
+  eventsCache.clear();
+  lastRenderedChartKey = null;
+  lastRenderedRecentKey = null;
+  if (json && json.items && json.categories) renderSymbolsList(json);
+  else loadSymbolsList();
+  loadTableData();
+  if (isTabActive('chart')) loadAllCharts();
+  if (isTabActive('chart2')) loadRecentCharts();
+  if (isTabActive('compare')) loadCompare();
+  if (isTabActive('correlation')) loadCorrelation();
+  if (isTabActive('portfolio')) loadPortfolio();
+  if (isTabActive('backtest')) loadBacktestItems();
+  if (isTabActive('events')) loadEvents();
+  if (isTabActive('alerts')) loadAlerts();
+}
+
+async function sendItemsRequest(path, method, body, errorTitle) {
+  try {
+    const res = await fetch(apiUrl(path), {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '요청 실패');
+    refreshAfterItemsChange(json);
+    return true;
+  } catch (e) {
+    showErrorPopup(errorTitle, e.message);
+    loadSymbolsList();
+    return false;
+  }
+}
+
+// 같은 분류 안에서 한 칸 이동
+function moveItem(id, dir) {
+  const ids = symbolsListCache.map(i => i.id);
+  const idx = ids.indexOf(id);
+  const target = idx + dir;
+  if (idx < 0 || target < 0 || target >= ids.length) return;
+  if (symbolsListCache[target].category !== symbolsListCache[idx].category) return;
+  [ids[idx], ids[target]] = [ids[target], ids[idx]];
+  sendItemsRequest('/items/order', 'PUT', { ids }, '순서 변경 실패');
+}
+
+function moveCategory(category, dir) {
+  const categories = [...symbolCategoriesCache];
+  const idx = categories.indexOf(category);
+  const target = idx + dir;
+  if (idx < 0 || target < 0 || target >= categories.length) return;
+  [categories[idx], categories[target]] = [categories[target], categories[idx]];
+  sendItemsRequest('/items/categories', 'PUT', { categories }, '분류 순서 변경 실패');
+}
+
+function deleteItem(item) {
+  if (!item) return;
+  if (!confirm(`"${item.name}" 항목을 삭제하시겠습니까?`)) return;
+  sendItemsRequest(`/items/${encodeURIComponent(item.id)}`, 'DELETE', null, '항목 삭제 실패');
+}
+
+let symbolChangeCurrentItem = null;
+let symbolPopupMode = 'change'; // 'change' | 'add'
+let validatedSymbol = null;
+let validatedName = null;
+
+function openSymbolChangePopup(item) {
+  if (!item) return;
+  symbolChangeCurrentItem = item;
+  resetSymbolPopup('change');
+  document.getElementById('symbolChangeTitle').textContent = `다른 종목으로 변경: ${item.name}`;
+  document.getElementById('symbolChangeCurrent').textContent = `현재: ${item.name} (${item.symbol})`;
+  document.getElementById('symbolChangePopup').classList.add('visible');
+  document.getElementById('symbolChangeInput').focus();
+}
+
+// 항목 추가: 변경 팝업을 재사용 (검색으로 심볼 선택 + 분류/이름/단위 입력)
+function openSymbolAddPopup() {
+  symbolChangeCurrentItem = null;
+  resetSymbolPopup('add');
+  document.getElementById('symbolChangeTitle').textContent = '항목 추가';
+  document.getElementById('symbolChangeCurrent').textContent = '추가할 종목을 검색해 선택하세요.';
+  document.getElementById('symbolCategoryOptions').innerHTML = symbolCategoriesCache
+    .map(c => `<option value="${escapeHtml(c)}"></option>`).join('');
+  document.getElementById('symbolAddCategory').value = symbolCategoriesCache[0] || '';
+  ['symbolAddName', 'symbolAddUnit', 'symbolAddNews'].forEach(id => { document.getElementById(id).value = ''; });
+  document.getElementById('symbolChangePopup').classList.add('visible');
+  document.getElementById('symbolChangeInput').focus();
+}
+
+function resetSymbolPopup(mode) {
+  symbolPopupMode = mode;
+  validatedSymbol = null;
+  validatedName = null;
+  document.getElementById('symbolAddFields').hidden = mode !== 'add';
+  document.getElementById('symbolConfirmQuestion').textContent = mode === 'add' ? '이 종목을 추가하시겠습니까?' : '이 종목으로 변경하시겠습니까?';
+  document.getElementById('symbolChangeBtnConfirm').textContent = mode === 'add' ? '추가' : '최종 변경';
+  document.getElementById('symbolChangeInput').value = '';
+  document.getElementById('symbolValidateMessage').textContent = '';
+  document.getElementById('symbolValidateMessage').className = 'symbol-validate-message';
+  document.getElementById('symbolConfirmBlock').hidden = true;
+  document.getElementById('symbolChangeBtnConfirm').hidden = true;
+  const resultsEl = document.getElementById('symbolSearchResults');
+  resultsEl.hidden = true;
+  resultsEl.innerHTML = '';
+}
+
+function hideSymbolChangePopup() {
+  document.getElementById('symbolChangePopup').classList.remove('visible');
+  symbolChangeCurrentItem = null;
+  validatedSymbol = null;
+  validatedName = null;
+}
+
+let symbolSearchDebounceTimer = null;
+
+async function runSymbolSearch() {
+  const input = document.getElementById('symbolChangeInput').value.trim();
+  const resultsEl = document.getElementById('symbolSearchResults');
+  const msgEl = document.getElementById('symbolValidateMessage');
+  if (!input || input.length < 2) {
+    resultsEl.hidden = true;
+    resultsEl.innerHTML = '';
+    msgEl.textContent = '2글자 이상 입력하세요.';
+    msgEl.className = 'symbol-validate-message';
+    return;
+  }
+  msgEl.textContent = '검색 중...';
+  msgEl.className = 'symbol-validate-message';
+  try {
+    const res = await fetch(`${API}/symbols/search?q=${encodeURIComponent(input)}`);
+    const json = await res.json();
+    const list = json.suggestions || [];
+    if (list.length === 0) {
+      msgEl.textContent = '유사한 종목이 없습니다. 다른 검색어를 입력해 보세요.';
+      msgEl.className = 'symbol-validate-message error';
+      resultsEl.hidden = true;
+      resultsEl.innerHTML = '';
+      return;
+    }
+    msgEl.textContent = '';
+    resultsEl.innerHTML = list.map((s) => `
+      <button type="button" class="symbol-search-item" data-symbol="${escapeHtml(s.symbol)}" data-name="${escapeHtml(s.name)}">
+        <span class="symbol-search-name">${escapeHtml(s.name)}</span>
+        <span class="symbol-search-symbol">${escapeHtml(s.symbol)}</span>
+        ${s.exchange ? `<span class="symbol-search-exchange">${escapeHtml(s.exchange)}</span>` : ''}
+      </button>
+    `).join('');
+    resultsEl.hidden = false;
+    resultsEl.querySelectorAll('.symbol-search-item').forEach((btn) => {
+      btn.addEventListener('click', () => selectSymbolFromSearch(btn.dataset.symbol, btn.dataset.name));
+    });
+  } catch (e) {
+    msgEl.textContent = e.message || '검색 중 오류가 발생했습니다.';
+    msgEl.className = 'symbol-validate-message error';
+    resultsEl.hidden = true;
+    resultsEl.innerHTML = '';
+  }
+}
+
+function selectSymbolFromSearch(symbol, name) {
+  validatedSymbol = symbol;
+  validatedName = name;
+  document.getElementById('symbolSearchResults').hidden = true;
+  document.getElementById('symbolSearchResults').innerHTML = '';
+  document.getElementById('symbolValidateMessage').textContent = `선택: ${name} (${symbol})`;
+  document.getElementById('symbolValidateMessage').className = 'symbol-validate-message success';
+  document.getElementById('symbolConfirmInfo').textContent = symbolPopupMode === 'add'
+    ? `"${name}" (${symbol}) 항목을 추가합니다.`
+    : `"${symbolChangeCurrentItem.name}" 항목을 "${name}" (${symbol})로 변경합니다.`;
+  if (symbolPopupMode === 'add' && !document.getElementById('symbolAddName').value.trim()) {
+    document.getElementById('symbolAddName').value = name;
+  }
+  document.getElementById('symbolConfirmBlock').hidden = false;
+  document.getElementById('symbolChangeBtnConfirm').hidden = false;
+}
+
+async function confirmSymbolAdd() {
+  const btnConfirm = document.getElementById('symbolChangeBtnConfirm');
+  btnConfirm.disabled = true;
+  const ok = await sendItemsRequest('/items', 'POST', {
+    symbol: validatedSymbol,
+    name: document.getElementById('symbolAddName').value.trim(),
+    unit: document.getElementById('symbolAddUnit').value.trim(),
+    newsSymbol: document.getElementById('symbolAddNews').value.trim(),
+    category: document.getElementById('symbolAddCategory').value.trim()
+  }, '항목 추가 실패');
+  btnConfirm.disabled = false;
+  if (ok) hideSymbolChangePopup();
+}
 
 async function confirmSymbolOverride() {
+  if (symbolPopupMode === 'add') {
+    if (validatedSymbol) await confirmSymbolAdd();
+    return;
+  }
   if (!symbolChangeCurrentItem || !validatedSymbol) return;
   const btnConfirm = document.getElementById('symbolChangeBtnConfirm');
   btnConfirm.disabled = true;
   try {
-    const res = await fetch(`${API}/symbols/override`, {
+    const res = await fetch(apiUrl('/symbols/override'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -795,11 +2754,7 @@ async function confirmSymbolOverride() {
     const json = await res.json();
     if (!res.ok || !json.success) throw new Error(json.error || '변경 실패');
     hideSymbolChangePopup();
-    dailyCache.clear();
-    lastRenderedChartKey = null;
-    loadSymbolsList();
-    loadTableData(true);
-    if (isTabActive('chart')) loadAllCharts();
+    refreshAfterItemsChange(json);
   } catch (e) {
     showErrorPopup('항목 변경 실패', e.message);
   } finally {
@@ -809,14 +2764,10 @@ async function confirmSymbolOverride() {
 
 async function restoreSymbolOverride(id) {
   try {
-    const res = await fetch(`${API}/symbols/override/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const res = await fetch(apiUrl(`/symbols/override/${encodeURIComponent(id)}`), { method: 'DELETE' });
     const json = await res.json();
     if (!res.ok || !json.success) throw new Error(json.error || '복원 실패');
-    dailyCache.clear();
-    lastRenderedChartKey = null;
-    loadSymbolsList();
-    loadTableData(true);
-    if (isTabActive('chart')) loadAllCharts();
+    refreshAfterItemsChange(json);
   } catch (e) {
     showErrorPopup('원래대로 복원 실패', e.message);
   }
@@ -829,6 +2780,7 @@ function initSymbolChangePopup() {
     if (e.target.id === 'symbolChangePopup') hideSymbolChangePopup();
   });
   document.getElementById('symbolChangeBtnConfirm').addEventListener('click', confirmSymbolOverride);
+  document.getElementById('btnSymbolAdd').addEventListener('click', openSymbolAddPopup);
   const searchInput = document.getElementById('symbolChangeInput');
   searchInput.addEventListener('input', () => {
     clearTimeout(symbolSearchDebounceTimer);
@@ -843,11 +2795,618 @@ function initSymbolChangePopup() {
   });
 }
 
-function init() {
+// ---------- 알림 (규칙 + 알림함) ----------
+const ALERT_POLL_MS = 5 * 60 * 1000;
+
+function renderAlertBadge(count) {
+  const badge = document.getElementById('alertUnreadBadge');
+  badge.hidden = !count;
+  badge.textContent = count > 99 ? '99+' : String(count);
+  document.getElementById('alertsUnreadText').textContent = count ? `안 읽음 ${count}` : '';
+}
+
+async function loadAlertUnreadCount() {
+  try {
+    const res = await fetch(apiUrl('/alerts', { unread: '1', limit: '1' }));
+    const json = await res.json();
+    if (res.ok && json.success) renderAlertBadge(json.unreadCount);
+  } catch (e) {
+    // 배지 갱신 실패는 무시 (다음 주기에 재시도)
+  }
+}
+
+async function loadAlerts() {
+  const tbody = document.getElementById('alertsBody');
+  tbody.innerHTML = '<tr><td colspan="6" class="loading">알림 로딩 중...</td></tr>';
+  try {
+    const [alertsRes, rulesRes, symbolsRes, channelsRes] = await Promise.all([
+      fetch(apiUrl('/alerts')),
+      fetch(apiUrl('/alerts/rules')),
+      fetch(apiUrl('/symbols')),
+      fetch(`${API}/channels`)
+    ]);
+    const alertsJson = await alertsRes.json();
+    const rulesJson = await rulesRes.json();
+    const symbolsJson = await symbolsRes.json();
+    const channelsJson = await channelsRes.json();
+    if (!alertsRes.ok || !alertsJson.success) throw new Error(alertsJson.error || '알림 조회 실패');
+    if (!rulesRes.ok || !rulesJson.success) throw new Error(rulesJson.error || '규칙 조회 실패');
+    renderChannels(channelsJson.channels || []);
+    renderAlerts(alertsJson);
+    renderAlertRuleForm(rulesJson.types, symbolsJson.items || []);
+    renderAlertRules(rulesJson.rules);
+  } catch (e) {
+    showErrorPopup('알림 조회 실패', e.message);
+    tbody.innerHTML = '<tr><td colspan="6" class="empty">알림을 불러올 수 없습니다.</td></tr>';
+  }
+}
+
+const ALERT_TYPE_LABELS = {
+  price_cross: '가격 돌파',
+  drop_from_high: '고점 대비 하락',
+  rsi2_below: 'RSI(2) 이하',
+  consec_down: '연속 하락'
+};
+
+function renderAlerts(json) {
+  renderAlertBadge(json.unreadCount);
+  const tbody = document.getElementById('alertsBody');
+  if (json.alerts.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="empty">발생한 알림이 없습니다.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = json.alerts.map(a => `
+    <tr class="${a.read ? '' : 'alert-unread'}" data-id="${escapeHtml(a.id)}">
+      <td>${escapeHtml(a.date)}</td>
+      <td>${escapeHtml(a.itemName)}</td>
+      <td>${escapeHtml(ALERT_TYPE_LABELS[a.type] || a.type)}</td>
+      <td class="alert-message">${escapeHtml(a.message)}</td>
+      <td>${escapeHtml(new Date(a.createdAt).toLocaleString('ko-KR'))}</td>
+      <td class="alert-deliveries">${renderDeliveries(a.deliveries)}</td>
+    </tr>
+  `).join('');
+  tbody.querySelectorAll('tr.alert-unread').forEach(tr => {
+    tr.addEventListener('click', () => markAlertsRead([tr.dataset.id]));
+  });
+}
+
+const DELIVERY_LABELS = { sent: '성공', pending: '전송 중', failed: '실패' };
+
+function renderDeliveries(deliveries) {
+  if (!Array.isArray(deliveries) || deliveries.length === 0) return '-';
+  return deliveries.map(d => {
+    const name = channelsCache.find(c => c.id === d.channel)?.name || d.channel;
+    const title = d.error ? `${d.attempts}회 시도: ${d.error}` : `${d.attempts}회 시도`;
+    return `<span class="delivery-${escapeHtml(d.status)}" title="${escapeHtml(title)}">${escapeHtml(name)} ${escapeHtml(DELIVERY_LABELS[d.status] || d.status)}</span>`;
+  }).join('<br>');
+}
+
+function renderAlertRuleForm(types, items) {
+  const itemSelect = document.getElementById('alertRuleItem');
+  const prevItem = itemSelect.value;
+  itemSelect.innerHTML = items.map(i => `<option value="${escapeHtml(i.id)}">${escapeHtml(i.name)}</option>`).join('');
+  if (items.some(i => i.id === prevItem)) itemSelect.value = prevItem;
+  const typeSelect = document.getElementById('alertRuleType');
+  if (typeSelect.options.length === 0) {
+    typeSelect.innerHTML = types.map(t => `<option value="${escapeHtml(t.type)}">${escapeHtml(t.label)}</option>`).join('');
+    syncAlertRuleParams();
+  }
+  const checked = new Set([...document.querySelectorAll('#alertRuleChannels input:checked')].map(cb => cb.value));
+  document.getElementById('alertRuleChannels').innerHTML = channelsCache.map(c => `
+    <label class="alert-rule-toggle"><input type="checkbox" value="${escapeHtml(c.id)}" ${checked.has(c.id) ? 'checked' : ''} /> ${escapeHtml(c.name)}</label>
+  `).join('');
+}
+
+function syncAlertRuleParams() {
+  const type = document.getElementById('alertRuleType').value;
+  document.querySelectorAll('.alert-rule-params').forEach(el => { el.hidden = el.dataset.type !== type; });
+}
+
+function describeRuleParams(rule) {
+  const p = rule.params;
+  if (rule.type === 'price_cross') return `${p.level} ${p.direction === 'below' ? '하향' : '상향'} 돌파`;
+  if (rule.type === 'drop_from_high') return `${p.days}거래일 고점 대비 -${p.pct}%`;
+  if (rule.type === 'rsi2_below') return `RSI(2) ≤ ${p.threshold}`;
+  if (rule.type === 'consec_down') return `${p.days}일 이상 연속 하락`;
+  return '';
+}
+
+function describeRuleChannels(rule) {
+  const names = (rule.channels || []).map(id => channelsCache.find(c => c.id === id)?.name || id);
+  return names.length > 0 ? ` → ${names.join(', ')}` : '';
+}
+
+function renderAlertRules(rules) {
+  const listEl = document.getElementById('alertRulesList');
+  if (rules.length === 0) {
+    listEl.innerHTML = '<li class="empty">등록된 규칙이 없습니다.</li>';
+    return;
+  }
+  listEl.innerHTML = rules.map(r => `
+    <li class="symbols-list-item${r.enabled ? '' : ' alert-rule-disabled'}">
+      <span class="symbols-list-name">${escapeHtml(r.itemName || `${r.itemId} (삭제된 항목)`)}</span>
+      <span class="symbols-list-symbol">${escapeHtml(r.typeLabel)} · ${escapeHtml(describeRuleParams(r))}${escapeHtml(describeRuleChannels(r))}</span>
+      <div class="symbols-list-actions">
+        <label class="alert-rule-toggle"><input type="checkbox" data-id="${escapeHtml(r.id)}" ${r.enabled ? 'checked' : ''} /> 사용</label>
+        <button type="button" class="btn-secondary btn-sm btn-rule-delete" data-id="${escapeHtml(r.id)}">삭제</button>
+      </div>
+    </li>
+  `).join('');
+  listEl.querySelectorAll('.alert-rule-toggle input').forEach(cb => {
+    cb.addEventListener('change', () => sendAlertRuleRequest(`/alerts/rules/${encodeURIComponent(cb.dataset.id)}`, 'PUT', { enabled: cb.checked }, '규칙 변경 실패'));
+  });
+  listEl.querySelectorAll('.btn-rule-delete').forEach(btn => {
+    btn.addEventListener('click', () => sendAlertRuleRequest(`/alerts/rules/${encodeURIComponent(btn.dataset.id)}`, 'DELETE', null, '규칙 삭제 실패'));
+  });
+}
+
+async function sendAlertRuleRequest(path, method, body, errorTitle) {
+  try {
+    const res = await fetch(apiUrl(path), {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '요청 실패');
+    renderAlertRules(json.rules);
+    return true;
+  } catch (e) {
+    showErrorPopup(errorTitle, e.message);
+    return false;
+  }
+}
+
+function readAlertRuleParams(type) {
+  const val = (id) => document.getElementById(id).value;
+  if (type === 'price_cross') return { level: val('alertRuleLevel'), direction: val('alertRuleDirection') };
+  if (type === 'drop_from_high') return { pct: val('alertRuleDropPct'), days: val('alertRuleDropDays') };
+  if (type === 'rsi2_below') return { threshold: val('alertRuleRsi') };
+  if (type === 'consec_down') return { days: val('alertRuleConsec') };
+  return {};
+}
+
+async function markAlertsRead(ids) {
+  try {
+    const res = await fetch(apiUrl('/alerts/read'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ids ? { ids } : {})
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '읽음 처리 실패');
+    loadAlerts();
+  } catch (e) {
+    showErrorPopup('읽음 처리 실패', e.message);
+  }
+}
+
+async function evaluateAlertsNow() {
+  const btn = document.getElementById('btnAlertsEvaluate');
+  btn.disabled = true;
+  try {
+    const res = await fetch(apiUrl('/alerts/evaluate'), { method: 'POST' });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '알림 확인 실패');
+    if (json.failed && json.failed.length > 0) {
+      showErrorPopup('일부 데이터 누락', `${json.failed.length}개 항목을 불러오지 못했습니다.`, json.failed.map(f => `${f.name}: ${f.reason}`).join('\n'));
+    }
+    loadAlerts();
+  } catch (e) {
+    showErrorPopup('알림 확인 실패', e.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ---------- 알림 채널 (웹훅/메일) ----------
+let channelsCache = [];
+
+function describeChannelTarget(c) {
+  if (c.type === 'webhook') return `${c.format.toUpperCase()} · ${c.url}`;
+  return `${c.host}:${c.port || (c.secure ? 465 : 25)} → ${c.to}`;
+}
+
+function renderChannels(channels) {
+  channelsCache = channels;
+  const listEl = document.getElementById('channelsList');
+  if (channels.length === 0) {
+    listEl.innerHTML = '<li class="empty">등록된 채널이 없습니다.</li>';
+    return;
+  }
+  listEl.innerHTML = channels.map(c => `
+    <li class="symbols-list-item">
+      <span class="symbols-list-name">${escapeHtml(c.name)}</span>
+      <span class="symbols-list-symbol">${escapeHtml(describeChannelTarget(c))}</span>
+      ${c.readonly ? '<span class="symbol-overridden-badge">.env</span>' : ''}
+      <div class="symbols-list-actions">
+        <button type="button" class="btn-secondary btn-sm btn-channel-test" data-id="${escapeHtml(c.id)}">테스트 전송</button>
+        ${c.readonly ? '' : `<button type="button" class="btn-secondary btn-sm btn-channel-delete" data-id="${escapeHtml(c.id)}">삭제</button>`}
+      </div>
+    </li>
+  `).join('');
+  listEl.querySelectorAll('.btn-channel-test').forEach(btn => {
+    btn.addEventListener('click', () => testChannel(btn));
+  });
+  listEl.querySelectorAll('.btn-channel-delete').forEach(btn => {
+    btn.addEventListener('click', () => deleteChannel(btn.dataset.id));
+  });
+}
+
+function syncChannelFields() {
+  const type = document.getElementById('channelType').value;
+  document.querySelectorAll('.channel-fields').forEach(el => { el.hidden = el.dataset.type !== type; });
+}
+
+async function sendChannelRequest(path, method, body, errorTitle) {
+  try {
+    const res = await fetch(`${API}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.cause || json.error || '요청 실패');
+    return json;
+  } catch (e) {
+    showErrorPopup(errorTitle, e.message);
+    return null;
+  }
+}
+
+async function addChannel() {
+  const val = (id) => document.getElementById(id).value.trim();
+  const type = val('channelType');
+  const body = type === 'webhook'
+    ? { type, name: val('channelName'), url: val('channelUrl'), format: val('channelFormat') }
+    : {
+      type,
+      name: val('channelName'),
+      host: val('channelHost'),
+      port: val('channelPort'),
+      secure: document.getElementById('channelSecure').checked,
+      user: val('channelUser'),
+      pass: document.getElementById('channelPass').value,
+      from: val('channelFrom'),
+      to: val('channelTo')
+    };
+  const json = await sendChannelRequest('/channels', 'POST', body, '채널 추가 실패');
+  if (!json) return;
+  document.getElementById('channelForm').reset();
+  syncChannelFields();
+  loadAlerts();
+}
+
+async function deleteChannel(id) {
+  const channel = channelsCache.find(c => c.id === id);
+  if (!confirm(`"${channel ? channel.name : id}" 채널을 삭제하시겠습니까? 규칙에서도 제외됩니다.`)) return;
+  const json = await sendChannelRequest(`/channels/${encodeURIComponent(id)}`, 'DELETE', null, '채널 삭제 실패');
+  if (json) loadAlerts();
+}
+
+async function testChannel(btn) {
+  btn.disabled = true;
+  const json = await sendChannelRequest(`/channels/${encodeURIComponent(btn.dataset.id)}/test`, 'POST', null, '테스트 전송 실패');
+  btn.disabled = false;
+  if (json) btn.textContent = '전송 완료';
+}
+
+function initAlerts() {
+  document.getElementById('btnAlertInbox').addEventListener('click', () => {
+    document.querySelector('.tab[data-tab="alerts"]').click();
+  });
+  document.getElementById('alertRuleType').addEventListener('change', syncAlertRuleParams);
+  document.getElementById('alertRuleForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const type = document.getElementById('alertRuleType').value;
+    await sendAlertRuleRequest('/alerts/rules', 'POST', {
+      itemId: document.getElementById('alertRuleItem').value,
+      type,
+      params: readAlertRuleParams(type),
+      channels: [...document.querySelectorAll('#alertRuleChannels input:checked')].map(cb => cb.value)
+    }, '규칙 추가 실패');
+  });
+  document.getElementById('btnAlertsReadAll').addEventListener('click', () => markAlertsRead(null));
+  document.getElementById('channelType').addEventListener('change', syncChannelFields);
+  document.getElementById('channelForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    addChannel();
+  });
+  document.getElementById('btnAlertsEvaluate').addEventListener('click', evaluateAlertsNow);
+  setInterval(loadAlertUnreadCount, ALERT_POLL_MS);
+}
+
+// ---------- 관심 목록 (팀원별 대시보드) ----------
+function renderWatchlistSelect() {
+  const select = document.getElementById('watchlistSelect');
+  select.innerHTML = watchlistsCache
+    .map(w => `<option value="${escapeHtml(w.id)}">${escapeHtml(w.name)}</option>`)
+    .join('');
+  select.value = currentWatchlist;
+  const current = watchlistsCache.find(w => w.id === currentWatchlist);
+  document.getElementById('symbolsWatchlistName').textContent = current ? current.name : currentWatchlist;
+  document.getElementById('btnWatchlistDelete').disabled = currentWatchlist === DEFAULT_WATCHLIST;
+}
+
+// 주소창 ?watchlist=, ?currency=, ?price= 동기화 (기본 목록·원래 통화·종가는 파라미터 없음)
+function syncUrlParams() {
+  const url = new URL(window.location.href);
+  if (currentWatchlist === DEFAULT_WATCHLIST) url.searchParams.delete('watchlist');
+  else url.searchParams.set('watchlist', currentWatchlist);
+  if (currentCurrency) url.searchParams.set('currency', currentCurrency);
+  else url.searchParams.delete('currency');
+  if (currentPriceMode) url.searchParams.set('price', currentPriceMode);
+  else url.searchParams.delete('price');
+  if (liveEnabled) url.searchParams.set('live', '1');
+  else url.searchParams.delete('live');
+  history.replaceState(null, '', url);
+}
+
+function switchWatchlist(id) {
+  currentWatchlist = watchlistsCache.some(w => w.id === id) ? id : DEFAULT_WATCHLIST;
+  syncUrlParams();
+  renderWatchlistSelect();
+  connectLive();
+  refreshAfterItemsChange();
+}
+
+async function sendWatchlistRequest(path, method, body, errorTitle) {
+  try {
+    const res = await fetch(`${API}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '요청 실패');
+    watchlistsCache = json.watchlists;
+    return json;
+  } catch (e) {
+    showErrorPopup(errorTitle, e.message);
+    return null;
+  }
+}
+
+async function createWatchlist() {
+  const name = prompt('새 관심 목록 이름 (기본 항목으로 시작합니다)');
+  if (!name || !name.trim()) return;
+  const json = await sendWatchlistRequest('/watchlists', 'POST', { name: name.trim() }, '관심 목록 생성 실패');
+  if (json) switchWatchlist(json.watchlist.id);
+}
+
+async function renameWatchlist() {
+  const current = watchlistsCache.find(w => w.id === currentWatchlist);
+  const name = prompt('관심 목록 이름', current ? current.name : '');
+  if (!name || !name.trim()) return;
+  const json = await sendWatchlistRequest(`/watchlists/${encodeURIComponent(currentWatchlist)}`, 'PUT', { name: name.trim() }, '이름 변경 실패');
+  if (json) renderWatchlistSelect();
+}
+
+async function deleteWatchlist() {
+  if (currentWatchlist === DEFAULT_WATCHLIST) return;
+  const current = watchlistsCache.find(w => w.id === currentWatchlist);
+  if (!confirm(`"${current ? current.name : currentWatchlist}" 관심 목록을 삭제하시겠습니까?`)) return;
+  const json = await sendWatchlistRequest(`/watchlists/${encodeURIComponent(currentWatchlist)}`, 'DELETE', null, '관심 목록 삭제 실패');
+  if (json) switchWatchlist(DEFAULT_WATCHLIST);
+}
+
+// 표시 통화·가격 기준 변경: 캐시를 비우고 열린 화면 다시 조회
+function switchCurrency(currency) {
+  currentCurrency = DISPLAY_CURRENCIES.includes(currency) ? currency : '';
+  reloadPriceViews();
+}
+
+function switchPriceMode(mode) {
+  currentPriceMode = mode === 'adjusted' ? mode : '';
+  reloadPriceViews();
+}
+
+function reloadPriceViews() {
+  syncUrlParams();
+  dailyCache.clear();
+  recentDailyCache.clear();
+  lastRenderedChartKey = null;
+  lastRenderedRecentKey = null;
+  loadTableData();
+  if (isTabActive('chart')) loadAllCharts();
+  if (isTabActive('chart2')) loadRecentCharts();
+  if (isTabActive('compare')) loadCompare();
+  if (isTabActive('correlation')) loadCorrelation();
+  if (isItemDetailOpen()) loadItemDetail();
+}
+
+function initCurrency() {
+  const requested = new URLSearchParams(window.location.search).get('currency');
+  currentCurrency = DISPLAY_CURRENCIES.includes(requested) ? requested : '';
+  const select = document.getElementById('currencySelect');
+  select.value = currentCurrency;
+  select.addEventListener('change', (e) => switchCurrency(e.target.value));
+}
+
+function initPriceMode() {
+  currentPriceMode = new URLSearchParams(window.location.search).get('price') === 'adjusted' ? 'adjusted' : '';
+  const select = document.getElementById('priceModeSelect');
+  select.value = currentPriceMode;
+  select.addEventListener('change', (e) => switchPriceMode(e.target.value));
+}
+
+// ---------- 실시간 시세 (SSE /api/live) ----------
+// 켜져 있는 동안 서버가 장중 항목의 최신 시세를 푸시 → 테이블 해당 날짜 칸과 차트 카드 제목에 전일 종가 대비로 표시
+// 표시 통화로 환산된 항목은 조회 데이터의 마지막 환율로 환산
+let liveEnabled = false;
+let liveSource = null;
+const liveQuotes = new Map(); // 항목 id → 최신 시세
+
+function connectLive() {
+  if (liveSource) liveSource.close();
+  liveSource = null;
+  liveQuotes.clear();
+  clearLiveMarks();
+  renderLiveButton(liveEnabled ? 'connecting' : 'off');
+  if (!liveEnabled) return;
+  const source = new EventSource(apiUrl('/live'));
+  liveSource = source;
+  source.addEventListener('open', () => renderLiveButton('on'));
+  source.addEventListener('error', () => {
+    if (liveSource === source) renderLiveButton('error');
+  });
+  source.addEventListener('snapshot', (e) => {
+    if (liveSource !== source) return;
+    JSON.parse(e.data).quotes.forEach(q => liveQuotes.set(q.id, q));
+    applyLiveQuotes();
+  });
+  source.addEventListener('quote', (e) => {
+    if (liveSource !== source) return;
+    const q = JSON.parse(e.data);
+    liveQuotes.set(q.id, q);
+    applyLiveQuote(q);
+  });
+}
+
+function renderLiveButton(state) {
+  const btn = document.getElementById('btnLive');
+  btn.classList.toggle('active', state !== 'off');
+  btn.classList.toggle('live-error', state === 'error');
+  btn.title = {
+    off: '장중 최신 시세를 받아 테이블·차트 카드에 표시',
+    connecting: '실시간 시세 연결 중',
+    on: '실시간 시세 수신 중 (누르면 끔)',
+    error: '실시간 시세 연결이 끊겨 다시 연결하는 중'
+  }[state];
+}
+
+function toggleLive() {
+  liveEnabled = !liveEnabled;
+  syncUrlParams();
+  connectLive();
+}
+
+// 환산된 항목: 시세(원래 통화) × 조회 데이터의 마지막 환율
+function liveFxOf(item, bars) {
+  if (!item.nativeUnit) return 1;
+  for (let i = (bars || []).length - 1; i >= 0; i--) if (bars[i].fx != null) return bars[i].fx;
+  return null;
+}
+
+function describeLiveQuote(q, fx, unit) {
+  const time = new Date(q.time).toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', hour12: false });
+  const prev = q.previousClose != null && fx != null ? formatPrice(q.previousClose * fx, unit) : '-';
+  return `${q.marketOpen ? '장중' : '장 마감'} 실시간 시세 ${q.date} ${time}\n전일 종가 ${prev} 대비 ${formatChangePct(q.changePct)}`;
+}
+
+function liveDirection(q) {
+  return q.changePct > 0 ? 'up' : q.changePct < 0 ? 'down' : 'same';
+}
+
+function setLiveCardData(card, item, bars) {
+  card.dataset.itemId = item.id;
+  card.dataset.unit = item.unit || '';
+  const fx = liveFxOf(item, bars);
+  if (fx != null) card.dataset.liveFx = fx;
+}
+
+function applyLiveQuotes() {
+  liveQuotes.forEach(q => applyLiveQuote(q));
+}
+
+function applyLiveQuote(q) {
+  applyLiveQuoteToTable(q);
+  document.querySelectorAll('.chart-card[data-item-id]').forEach(card => {
+    if (card.dataset.itemId !== q.id) return;
+    const el = card.querySelector('.chart-live');
+    if (!el) return;
+    const fx = card.dataset.liveFx != null ? Number(card.dataset.liveFx) : null;
+    if (fx == null) return;
+    const dir = liveDirection(q);
+    el.hidden = false;
+    el.className = `chart-live ${dir === 'up' ? 'positive' : dir === 'down' ? 'negative' : 'neutral'}${q.marketOpen ? ' live-open' : ''}`;
+    el.textContent = `${formatPrice(q.price * fx, card.dataset.unit)} (${formatChangePct(q.changePct)})`;
+    el.title = describeLiveQuote(q, fx, card.dataset.unit);
+  });
+}
+
+// 현재 테이블 기간에 시세 날짜가 포함될 때만 (행이 없으면 날짜 순서에 맞춰 추가)
+function applyLiveQuoteToTable(q) {
+  if (!currentData || !currentData.items) return;
+  const item = currentData.items.find(i => i.id === q.id);
+  if (!item || !periodIncludes(currentData, q.date)) return;
+  const fx = liveFxOf(item, currentData.data[item.id]);
+  if (fx == null) return;
+  const tbody = document.getElementById('tableBody');
+  const rows = [...tbody.querySelectorAll('tr[data-date]')];
+  let row = rows.find(r => r.dataset.date === q.date);
+  if (!row) {
+    tbody.querySelector('td.empty')?.parentElement.remove();
+    row = document.createElement('tr');
+    row.dataset.date = q.date;
+    row.innerHTML = `<td>${q.date}</td>${currentData.items.map(i => `<td data-item="${escapeHtml(i.id)}">-</td>`).join('')}`;
+    const next = rows.find(r => r.dataset.date > q.date);
+    tbody.insertBefore(row, next || null);
+  }
+  const cell = [...row.querySelectorAll('td[data-item]')].find(td => td.dataset.item === q.id);
+  if (!cell) return;
+  const dir = liveDirection(q);
+  const cls = dir === 'same' ? 'price-same' : `price-${dir} arrow-${dir}`;
+  cell.innerHTML = `<span class="${cls} price-live" title="${escapeHtml(describeLiveQuote(q, fx, item.unit))}">${formatPrice(q.price * fx, item.unit)}</span>`;
+}
+
+function periodIncludes(json, date) {
+  if (json.from) return date >= json.from && date <= json.to;
+  return date.slice(0, 7) === `${json.year}-${String(json.month).padStart(2, '0')}`;
+}
+
+// 끌 때·관심 목록 변경 시: 테이블은 다시 그리고 카드 표시는 숨김
+function clearLiveMarks() {
+  if (currentData && document.querySelector('#tableBody .price-live')) renderTable(currentData);
+  document.querySelectorAll('.chart-live').forEach(el => { el.hidden = true; });
+}
+
+// ?live=1 이면 켠 상태로 시작 (연결은 관심 목록을 정한 뒤 connectLive)
+function initLive() {
+  liveEnabled = new URLSearchParams(window.location.search).get('live') === '1';
+  document.getElementById('btnLive').addEventListener('click', toggleLive);
+}
+
+async function initWatchlists() {
+  const requested = new URLSearchParams(window.location.search).get('watchlist');
+  try {
+    const res = await fetch(`${API}/watchlists`);
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error || '목록 조회 실패');
+    watchlistsCache = json.watchlists;
+  } catch (e) {
+    watchlistsCache = [{ id: DEFAULT_WATCHLIST, name: '기본' }];
+  }
+  if (requested && !watchlistsCache.some(w => w.id === requested)) {
+    showErrorPopup('관심 목록 없음', `"${requested}" 관심 목록이 없어 기본 목록을 표시합니다.`);
+  }
+  currentWatchlist = watchlistsCache.some(w => w.id === requested) ? requested : DEFAULT_WATCHLIST;
+  syncUrlParams();
+  renderWatchlistSelect();
+
+  document.getElementById('watchlistSelect').addEventListener('change', (e) => switchWatchlist(e.target.value));
+  document.getElementById('btnWatchlistAdd').addEventListener('click', createWatchlist);
+  document.getElementById('btnWatchlistRename').addEventListener('click', renameWatchlist);
+  document.getElementById('btnWatchlistDelete').addEventListener('click', deleteWatchlist);
+}
+
+async function init() {
   initSelectors();
   initTabs();
+  initRangeSelector();
   initButtons();
   initChartSymbols();
+  initCurrency();
+  initPriceMode();
+  initLive();
+  await initWatchlists();
+  connectLive();
+  initAlerts();
+  initItemDetail();
+  initCompare();
+  initCorrelation();
+  initPortfolio();
+  initBacktest();
   loadTableData();
 }
 
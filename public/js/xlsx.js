@@ -0,0 +1,278 @@
+// 최소 XLSX 작성기 (외부 라이브러리·서비스 없이 Office Open XML + 무압축 ZIP, 브라우저에서는 window.Xlsx)
+// 시트: { name, columns: [{ width }], rows: [[셀]], freeze: { rows, cols }, autoFilter }
+// 셀: null | 문자열 | 숫자 | { v, numFmt, color: 'up'|'down', bold, date }
+//   date: 'YYYY-MM-DD' 문자열을 엑셀 날짜(일련번호)로 저장
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Xlsx = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 화면 테이블과 같은 상승(초록)·하락(빨강), 흰 배경에서 읽히도록 조금 어둡게
+  const FONT_COLORS = { up: 'FF1A7F37', down: 'FFCF222E' };
+  const HEADER_FILL = 'FFE7ECF2';
+  const DATE_FORMAT = 'yyyy-mm-dd';
+  const SHEET_NAME_MAX = 31;
+
+  const encoder = new TextEncoder();
+
+  // XML 특수 문자 이스케이프, XML에 쓸 수 없는 제어 문자는 제거
+  function escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // 0 → A, 25 → Z, 26 → AA
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // 'YYYY-MM-DD' → 엑셀 날짜 일련번호 (1900 날짜 체계)
+  function dateSerial(ymd) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return (Date.UTC(y, m - 1, d) - Date.UTC(1899, 11, 30)) / 86400000;
+  }
+
+  // 시트 이름: 31자, []:*?/\ 사용 불가, 중복 불가
+  function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+      const base = String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, SHEET_NAME_MAX) || `Sheet${i + 1}`;
+      let name = base;
+      for (let k = 2; used.has(name.toLowerCase()); k++) name = `${base.slice(0, SHEET_NAME_MAX - String(k).length - 1)}~${k}`;
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
+
+  // ---------- 스타일 (사용한 조합만 cellXfs로 등록) ----------
+  function createStyleRegistry() {
+    const numFmts = new Map(); // 서식 문자열 → id (사용자 서식은 164부터)
+    const fonts = ['|0']; // '색|굵게', 0: 기본
+    const xfs = [{ numFmtId: 0, fontId: 0, fill: false }];
+    const keys = new Map([['||0|0', 0]]);
+
+    function fontId(color, bold) {
+      const key = `${color || ''}|${bold ? 1 : 0}`;
+      let id = fonts.indexOf(key);
+      if (id < 0) {
+        fonts.push(key);
+        id = fonts.length - 1;
+      }
+      return id;
+    }
+
+    function numFmtId(format) {
+      if (!format) return 0;
+      if (!numFmts.has(format)) numFmts.set(format, 164 + numFmts.size);
+      return numFmts.get(format);
+    }
+
+    // 셀 서식 → 스타일 번호
+    function styleOf({ numFmt, color, bold, header }) {
+      const key = [numFmt || '', color || '', bold ? 1 : 0, header ? 1 : 0].join('|');
+      if (!keys.has(key)) {
+        xfs.push({ numFmtId: numFmtId(numFmt), fontId: fontId(color, bold || header), fill: !!header });
+        keys.set(key, xfs.length - 1);
+      }
+      return keys.get(key);
+    }
+
+    function toXml() {
+      const fmtXml = [...numFmts].map(([code, id]) => `<numFmt numFmtId="${id}" formatCode="${escapeXml(code)}"/>`).join('');
+      const fontXml = fonts.map((key) => {
+        const [color, bold] = key.split('|');
+        const rgb = FONT_COLORS[color];
+        return `<font>${bold === '1' ? '<b/>' : ''}<sz val="11"/>${rgb ? `<color rgb="${rgb}"/>` : ''}<name val="맑은 고딕"/><family val="2"/></font>`;
+      }).join('');
+      const xfXml = xfs.map((xf) => `<xf numFmtId="${xf.numFmtId}" fontId="${xf.fontId}" fillId="${xf.fill ? 2 : 0}" borderId="${xf.fill ? 1 : 0}" xfId="0"${xf.numFmtId ? ' applyNumberFormat="1"' : ''}${xf.fontId ? ' applyFont="1"' : ''}${xf.fill ? ' applyFill="1" applyBorder="1"' : ''}/>`).join('');
+      return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + (numFmts.size > 0 ? `<numFmts count="${numFmts.size}">${fmtXml}</numFmts>` : '')
+        + `<fonts count="${fonts.length}">${fontXml}</fonts>`
+        + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+        + `<fill><patternFill patternType="solid"><fgColor rgb="${HEADER_FILL}"/><bgColor indexed="64"/></patternFill></fill></fills>`
+        + '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>'
+        + '<border><left/><right/><top/><bottom style="thin"><color rgb="FF9AA4B2"/></bottom><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + `<cellXfs count="${xfs.length}">${xfXml}</cellXfs>`
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+    }
+
+    return { styleOf, toXml };
+  }
+
+  // ---------- 시트 ----------
+  function cellXml(ref, cell, styles, header) {
+    if (cell == null || cell === '') return '';
+    const spec = typeof cell === 'object' ? cell : { v: cell };
+    if (spec.v == null || spec.v === '' || (typeof spec.v === 'number' && !Number.isFinite(spec.v))) return '';
+    const s = styles.styleOf({ ...spec, numFmt: spec.date ? DATE_FORMAT : spec.numFmt, header });
+    const attr = `r="${ref}"${s ? ` s="${s}"` : ''}`;
+    if (spec.date) return `<c ${attr}><v>${dateSerial(spec.v)}</v></c>`;
+    if (typeof spec.v === 'number') return `<c ${attr}><v>${spec.v}</v></c>`;
+    return `<c ${attr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(spec.v)}</t></is></c>`;
+  }
+
+  function sheetXml(sheet, styles) {
+    const rows = sheet.rows || [];
+    const freezeRows = (sheet.freeze && sheet.freeze.rows) || 0;
+    const freezeCols = (sheet.freeze && sheet.freeze.cols) || 0;
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    let pane = '';
+    if (freezeRows > 0 || freezeCols > 0) {
+      const topLeft = `${columnName(freezeCols)}${freezeRows + 1}`;
+      const active = freezeRows > 0 && freezeCols > 0 ? 'bottomRight' : freezeRows > 0 ? 'bottomLeft' : 'topRight';
+      pane = `<pane${freezeCols ? ` xSplit="${freezeCols}"` : ''}${freezeRows ? ` ySplit="${freezeRows}"` : ''} topLeftCell="${topLeft}" activePane="${active}" state="frozen"/>`
+        + `<selection pane="${active}" activeCell="${topLeft}" sqref="${topLeft}"/>`;
+    }
+    const cols = (sheet.columns || []).map((c, i) => (c && c.width ? `<col min="${i + 1}" max="${i + 1}" width="${c.width}" customWidth="1"/>` : '')).join('');
+    const body = rows.map((row, r) => {
+      const cells = row.map((cell, c) => cellXml(`${columnName(c)}${r + 1}`, cell, styles, r < freezeRows)).join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    const filter = sheet.autoFilter && rows.length > 0 && width > 0 ? `<autoFilter ref="A1:${columnName(width - 1)}${rows.length}"/>` : '';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>`
+      + '<sheetFormatPr defaultRowHeight="15"/>'
+      + (cols ? `<cols>${cols}</cols>` : '')
+      + `<sheetData>${body}</sheetData>`
+      + filter
+      + '</worksheet>';
+  }
+
+  // ---------- ZIP (무압축 STORE) ----------
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // files: [{ name, data: 문자열 }] → Uint8Array
+  function zip(files) {
+    const entries = files.map((f) => ({ name: encoder.encode(f.name), data: encoder.encode(f.data) }));
+    const localSize = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    // 고정 수정 시각 (1980-01-01 00:00, DOS 형식)
+    const DOS_TIME = 0;
+    const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+    let offset = 0;
+    const central = [];
+    for (const e of entries) {
+      const crc = crc32(e.data);
+      central.push({ e, crc, offset });
+      view.setUint32(offset, 0x04034b50, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, 0x0800, true); // UTF-8 파일 이름
+      view.setUint16(offset + 8, 0, true);
+      view.setUint16(offset + 10, DOS_TIME, true);
+      view.setUint16(offset + 12, DOS_DATE, true);
+      view.setUint32(offset + 14, crc, true);
+      view.setUint32(offset + 18, e.data.length, true);
+      view.setUint32(offset + 22, e.data.length, true);
+      view.setUint16(offset + 26, e.name.length, true);
+      view.setUint16(offset + 28, 0, true);
+      out.set(e.name, offset + 30);
+      out.set(e.data, offset + 30 + e.name.length);
+      offset += 30 + e.name.length + e.data.length;
+    }
+    const centralStart = offset;
+    for (const { e, crc, offset: local } of central) {
+      view.setUint32(offset, 0x02014b50, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, 20, true);
+      view.setUint16(offset + 8, 0x0800, true);
+      view.setUint16(offset + 10, 0, true);
+      view.setUint16(offset + 12, DOS_TIME, true);
+      view.setUint16(offset + 14, DOS_DATE, true);
+      view.setUint32(offset + 16, crc, true);
+      view.setUint32(offset + 20, e.data.length, true);
+      view.setUint32(offset + 24, e.data.length, true);
+      view.setUint16(offset + 28, e.name.length, true);
+      view.setUint32(offset + 42, local, true);
+      out.set(e.name, offset + 46);
+      offset += 46 + e.name.length;
+    }
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return out;
+  }
+
+  // ---------- 통합 문서 ----------
+  function build(sheets) {
+    if (!Array.isArray(sheets) || sheets.length === 0) throw new Error('시트가 없습니다');
+    const names = sheetNames(sheets);
+    const styles = createStyleRegistry();
+    const sheetFiles = sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet, styles) }));
+    const sheetOverrides = sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+    return zip([
+      {
+        name: '[Content_Types].xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+          + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+          + sheetOverrides
+          + '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+          + '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+          + `<sheets>${names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+          + (sheets.some((s) => s.autoFilter)
+            ? `<definedNames>${sheets.map((s, i) => {
+              if (!s.autoFilter || !s.rows || s.rows.length === 0) return '';
+              const width = s.rows.reduce((max, r) => Math.max(max, r.length), 0);
+              return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${escapeXml(names[i].replace(/'/g, "''"))}'!$A$1:$${columnName(width - 1)}$${s.rows.length}</definedName>`;
+            }).join('')}</definedNames>`
+            : '')
+          + '</workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+          + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+          + '</Relationships>'
+      },
+      ...sheetFiles,
+      { name: 'xl/styles.xml', data: styles.toXml() }
+    ]);
+  }
+
+  return { build, dateSerial, columnName };
+});
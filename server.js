@@ -3,48 +3,74 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
-const https = require('https');
 const { items } = require('./config/symbols');
+const { createNewsProvider } = require('./providers/news');
+const { createPriceProviders } = require('./providers/price');
+const { httpGetJson } = require('./providers/http');
+const { sanitizeDate } = require('./utils/sanitize');
+const { formatYMD, parseYMD, shiftYMD, toTimestamp, zonedParts, zonedTimeToDate, formatZonedISO } = require('./utils/dates');
+const { createSeriesStore } = require('./services/series-store');
+const { createWatchlistStore, DEFAULT_WATCHLIST_ID } = require('./services/watchlist-store');
+const { INTERVALS, resampleBars, resolveInterval } = require('./utils/resample');
+const { createAlertStore } = require('./services/alert-store');
+const { RULE_TYPES, evaluateRule, ruleLookback } = require('./utils/alert-rules');
+const { parseSpec, computeIndicator, warmupBars, listTypes: listIndicatorTypes } = require('./utils/indicators');
+const { alignCloses, rebase, summarizeBars } = require('./utils/performance');
+const { correlationMatrix, rollingCorrelation } = require('./utils/correlation');
+const { parseStrategy, strategyWarmup, runBacktest, listEntryRules, EXIT_REASONS } = require('./utils/backtest');
+const { EXPORT_FORMATS, EXPORT_LAYOUTS, parseFields, exportColumns, exportRows, serializeExport } = require('./utils/export');
+const { createCurrencyConverter, displayItems, itemCurrency, DISPLAY_CURRENCIES, FX_SYMBOLS } = require('./services/currency-converter');
+const { createPortfolioStore } = require('./services/portfolio-store');
+const { sortTransactions, computePositions, holdingsTimeline } = require('./utils/portfolio');
+const { createChannelStore } = require('./services/channel-store');
+const { createNotifier } = require('./services/notifier');
+const { channelsFromEnv, CHANNEL_TYPES } = require('./providers/notify');
+const { createScheduler } = require('./services/scheduler');
+const { createLiveQuotes } = require('./services/live-quotes');
+const { createIntradayCache } = require('./services/intraday-cache');
+const { createFetchScheduler } = require('./services/fetch-scheduler');
+const { createActionStore } = require('./services/action-store');
+const { PRICE_MODES, applyCorporateActions } = require('./utils/corporate-actions');
+const {
+  MARKETS, MARKET_IDS, getCalendar, holidayName, isTradingDay, marketToday, finalThrough, isSessionOpen, nextSettleAt, inferMarket
+} = require('./utils/market-calendar');
 
 const DATA_DIR = path.join(__dirname, 'data');
-const CACHE_FILE = path.join(DATA_DIR, 'daily-cache.json');
+const SERIES_DIR = path.join(DATA_DIR, 'series');
 const OVERRIDES_FILE = path.join(DATA_DIR, 'symbol-overrides.json');
+const NEWS_CACHE_FILE = path.join(DATA_DIR, 'news-cache.json');
+const ITEMS_FILE = path.join(DATA_DIR, 'items.json');
+const WATCHLISTS_FILE = path.join(DATA_DIR, 'watchlists.json');
+const WATCHLISTS_DIR = path.join(DATA_DIR, 'watchlists');
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const PORTFOLIO_FILE = path.join(DATA_DIR, 'portfolio.json');
+const CHANNELS_FILE = path.join(DATA_DIR, 'channels.json');
+const ACTIONS_FILE = path.join(DATA_DIR, 'corporate-actions.json');
 
 const app = express();
 app.disable('x-powered-by');
 const PORT = process.env.PORT || 3000;
 
-// 항목별 심볼 오버라이드 (id -> { symbol, name? })
-let symbolOverrides = {};
-
-async function loadSymbolOverrides() {
-  try {
-    const buf = await fs.readFile(OVERRIDES_FILE, 'utf8');
-    const parsed = JSON.parse(buf);
-    if (parsed && typeof parsed === 'object') symbolOverrides = parsed;
-  } catch (e) {
-    if (e.code !== 'ENOENT') console.warn('심볼 오버라이드 로드 실패:', e.message);
-  }
-}
-
-function getEffectiveItems() {
-  return items.map((item) => {
-    const o = symbolOverrides[item.id];
-    if (o && o.symbol) {
-      return { ...item, symbol: o.symbol, name: o.name || item.name, overridden: true };
-    }
-    return { ...item, overridden: false };
-  });
-}
+// 시세 제공처 (PRICE_PROVIDER 기본값, 항목별 provider로 지정 가능)
+const priceProviders = createPriceProviders();
+// 뉴스 제공처 (NEWS_PROVIDER / FINNHUB_BASE_URL로 교체 가능)
+const newsProvider = createNewsProvider();
+
+// 관심 목록별 항목 (추가/삭제/순서/분류/심볼 변경, 기본값은 config/symbols.js)
+const watchlists = createWatchlistStore({
+  file: WATCHLISTS_FILE,
+  dir: WATCHLISTS_DIR,
+  baseItems: items,
+  defaultItemsFile: ITEMS_FILE,
+  legacyOverridesFile: OVERRIDES_FILE
+});
 
-// 허용 심볼: 기본 목록 + 오버라이드 반영
+// 허용 심볼: 관심 목록 항목 (심볼 변경 반영)
 function isSymbolAllowed(symbol) {
   if (typeof symbol !== 'string') return false;
-  return getEffectiveItems().some((i) => i.symbol === symbol);
+  // 표시 통화 변환용 환율 심볼은 관심 목록에 없어도 허용
+  return watchlists.isSymbolInUse(symbol) || FX_SYMBOLS.includes(symbol);
 }
-const MAX_RESPONSE_SIZE = 5 * 1024 * 1024; // 5MB
-const SAFE_NUM_MAX = 1e15;
-const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
 // 보안 헤더
 app.use((req, res, next) => {
@@ -59,204 +85,282 @@ app.use((req, res, next) => {
 
 app.use(cors());
 app.use(express.json({ limit: '10kb' }));
+// 지표 모듈은 서버·브라우저 공용 (utils/indicators.js를 그대로 제공)
+app.get('/js/indicators.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'utils', 'indicators.js'));
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
-// 안전한 숫자 검증 (NaN, Infinity, 비정상 값 차단)
-function sanitizeNum(val) {
-  if (val == null) return null;
-  const n = Number(val);
-  if (!Number.isFinite(n) || Math.abs(n) > SAFE_NUM_MAX) return null;
-  return n;
-}
-
-// 안전한 날짜 검증 (YYYY-MM-DD)
-function sanitizeDate(str) {
-  if (typeof str !== 'string') return null;
-  if (!DATE_REGEX.test(str)) return null;
-  const d = new Date(str);
-  if (isNaN(d.getTime())) return null;
-  return str;
-}
-
-// 날짜 유틸리티 (로컬 시간 기준)
-function getMonthRange(year, month) {
-  const start = new Date(year, month - 1, 1);
-  const end = new Date(year, month, 0);
-  return { start, end };
-}
-
-function formatYMD(d) {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-
-function toTimestamp(d) {
-  return Math.floor(d.getTime() / 1000);
-}
-
-const delay = (ms) => new Promise(r => setTimeout(r, ms));
+// 관심 목록 선택 (?watchlist=<id>, 미지정 시 기본 목록) → req.itemStore
+app.use('/api', async (req, res, next) => {
+  try {
+    const raw = req.query.watchlist;
+    req.watchlistId = typeof raw === 'string' && raw ? raw : DEFAULT_WATCHLIST_ID;
+    req.itemStore = await watchlists.get(req.watchlistId);
+    if (!req.itemStore) {
+      return apiError(res, 400, '존재하지 않는 관심 목록', `관심 목록(${req.watchlistId})을 다시 선택하세요`);
+    }
+    // ?currency=KRW|USD: 가격 데이터를 표시 통화로 환산 (미지정 시 항목 원래 통화)
+    const currency = req.query.currency;
+    if (currency && !DISPLAY_CURRENCIES.includes(currency)) {
+      return apiError(res, 400, '지원하지 않는 통화', `currency는 ${DISPLAY_CURRENCIES.join(', ')} 중 하나입니다`);
+    }
+    req.currency = currency || null;
+    // ?price=raw|adjusted: adjusted면 배당을 반영한 수정 가격 (미지정 시 제공처 종가)
+    const price = req.query.price;
+    if (price && !PRICE_MODES.includes(price)) {
+      return apiError(res, 400, '지원하지 않는 가격 기준', `price는 ${PRICE_MODES.join(', ')} 중 하나입니다`);
+    }
+    req.price = price === 'adjusted' ? price : null;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
 
-// 캐시: { key: { data, expires } }
-const cache = new Map();
+// 심볼+날짜 단위 시계열 저장소 (최근 구간은 1시간 후 재조회)
 const CACHE_TTL = 60 * 60 * 1000; // 1시간
+const seriesStore = createSeriesStore({ dir: SERIES_DIR, recentTtl: CACHE_TTL });
+
+// 제공처 요청 스케줄러: 동시 FETCH_CONCURRENCY개(기본 4), 호스트별 요청 간격 = 제공처 requestInterval
+// 429 연속 3회면 60초간 해당 호스트 요청 즉시 실패, 실패 요청은 1번 재시도 (상태: /api/jobs의 fetch)
+const FETCH_CONCURRENCY = Math.max(parseInt(process.env.FETCH_CONCURRENCY, 10) || 4, 1);
+const fetchScheduler = createFetchScheduler({ concurrency: FETCH_CONCURRENCY });
 
-function getCacheKey(symbol, p1, p2) {
-  return `${symbol}:${p1}:${p2}`;
+// 제공처 호출을 스케줄러로 (같은 key 요청은 합침)
+function scheduleFetch(provider, key, task) {
+  return fetchScheduler.run({ host: provider.host || provider.name, key: `${provider.name}:${key}`, interval: provider.requestInterval }, task);
 }
 
-// Yahoo Chart API 직접 호출 (User-Agent로 rate limit 완화, 응답 검증)
-async function fetchChartFromYahoo(symbol, period1, period2) {
+// 제공처에서 일봉 + 같은 기간 배당·분할 조회 (허용 심볼 검증) → { bars, dividends, splits }
+async function fetchChart(symbol, period1, period2, providerName) {
   if (!isSymbolAllowed(symbol)) {
     throw new Error(`허용되지 않은 심볼: ${symbol}`);
   }
+  const provider = priceProviders.get(providerName);
+  return scheduleFetch(provider, `history:${symbol}:${toTimestamp(period1)}:${toTimestamp(period2)}`,
+    () => provider.fetchHistory(symbol, period1, period2));
+}
 
-  const p1 = formatYMD(period1);
-  const p2 = formatYMD(period2);
-  const t1 = toTimestamp(period1);
-  let t2 = toTimestamp(period2);
-  if (t1 >= t2) t2 = t1 + 86400;
+// 배당·분할 이력 (일봉 차트 요청에 같이 받아 구간 단위로 병합)
+const actionStore = createActionStore({ file: ACTIONS_FILE });
 
-  const cacheKey = getCacheKey(symbol, p1, p2);
-  const cached = cache.get(cacheKey);
-  if (cached && cached.expires > Date.now()) {
-    return cached.data;
-  }
+// 항목 거래소 캘린더 id (config의 market, 없거나 모르는 값이면 심볼로 추정)
+function marketOf(item) {
+  return getCalendar(item.market) ? item.market : inferMarket(item.symbol);
+}
 
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${t1}&period2=${t2}&interval=1d&events=`;
-  const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const LATEST_DATE = '9999-12-31'; // getBars 끝 날짜로 주면 저장된 마지막 일봉까지
 
-  for (let retry = 0; retry < 3; retry++) {
+// 항목 시계열 조회: 저장소에 없는 구간만 제공처에서 받아 병합 (forceRefresh 시 전체 재조회)
+// 빠진 구간이 여러 개여도 처음~끝을 한 번에 요청, 종가 확정 여부는 항목 거래소 캘린더 기준
+// 제공처 조회가 실패해도 저장소에 받아 둔 일봉이 있으면 그 값을 error와 함께 반환 (없으면 throw)
+// actions: 항목 배당·분할 이력 (일봉과 같은 요청으로 받아 저장, 추가 조회 없음)
+// history: from부터 저장된 마지막 일봉까지 (수정 계수 기준점, 조회 기간과 관계없이 같은 날짜는 같은 수정 가격)
+// 새 분할이 보이면 이번 조회 구간 앞에 받아 둔 일봉(분할 전 가격)을 버리고, 요청 구간에 걸리면 그 부분을 다시 받음
+async function getItemSeries(item, from, to, options = {}) {
+  const { forceRefresh = false } = options;
+  const providerName = priceProviders.get(item.provider).name;
+  const key = seriesKey(item);
+  const stored = async () => {
+    const history = await seriesStore.getBars(providerName, item.symbol, from, LATEST_DATE);
+    return { bars: history.filter((b) => b.date <= to), history, actions: actionStore.get(key) };
+  };
+  const settled = finalThrough(marketOf(item));
+  const gaps = forceRefresh
+    ? [[from, to]]
+    : await seriesStore.getMissingRanges(providerName, item.symbol, from, to, settled);
+  let fetched = false;
+  if (gaps.length > 0) {
+    const fetchFrom = gaps[0][0];
+    const fetchTo = gaps[gaps.length - 1][1];
     try {
-      const html = await new Promise((resolve, reject) => {
-        const req = https.get(url, {
-          headers: { 'User-Agent': ua }
-        }, (res) => {
-          let body = '';
-          res.on('data', (chunk) => {
-            body += chunk;
-            if (body.length > MAX_RESPONSE_SIZE) {
-              req.destroy();
-              reject(new Error('응답 크기 초과'));
-            }
-          });
-          res.on('end', () => {
-            if (res.statusCode === 429 || body.includes('Too Many Requests')) {
-              reject(new Error('RATE_LIMITED'));
-              return;
-            }
-            if (res.statusCode !== 200) {
-              reject(new Error(`HTTP ${res.statusCode}`));
-              return;
-            }
-            resolve(body);
-          });
-        });
-        req.on('error', (e) => reject(new Error(e.message || '네트워크 오류')));
-        req.setTimeout(15000, () => { req.destroy(); reject(new Error('TIMEOUT')); });
-      });
-
-      let json;
-      try {
-        json = JSON.parse(html);
-      } catch {
-        throw new Error('잘못된 응답 형식');
-      }
-
-      const chart = json?.chart?.result?.[0];
-      if (!chart || !Array.isArray(chart.timestamp)) {
-        cache.set(cacheKey, { data: [], expires: Date.now() + CACHE_TTL });
-        return [];
-      }
-
-      const quote = chart.indicators?.quote?.[0] || {};
-      const result = [];
-      for (let i = 0; i < chart.timestamp.length; i++) {
-        const ts = chart.timestamp[i];
-        if (typeof ts !== 'number' || !Number.isFinite(ts)) continue;
-        const d = new Date(ts * 1000);
-        const dateStr = formatYMD(d);
-        if (!sanitizeDate(dateStr)) continue;
-        const close = sanitizeNum(quote.close?.[i]);
-        if (close == null) continue;
-        result.push({
-          date: dateStr,
-          close,
-          open: sanitizeNum(quote.open?.[i]),
-          high: sanitizeNum(quote.high?.[i]),
-          low: sanitizeNum(quote.low?.[i]),
-          volume: sanitizeNum(quote.volume?.[i])
-        });
+      const { bars, dividends, splits } = await fetchChart(item.symbol, parseYMD(fetchFrom), parseYMD(shiftYMD(fetchTo, 1)), item.provider);
+      await seriesStore.upsert(providerName, item.symbol, fetchFrom, fetchTo, bars, settled);
+      const added = actionStore.merge(key, fetchFrom, fetchTo, { dividends, splits });
+      fetched = true;
+      if (added.length > 0 && await seriesStore.dropBefore(providerName, item.symbol, fetchFrom) && from < fetchFrom) {
+        // 이번에 본 분할은 이제 저장돼 있어 다시 받는 구간에서는 새 분할로 잡히지 않음
+        return { ...(await getItemSeries(item, from, to, { ...options, forceRefresh: false })), fetched: true };
       }
-
-      cache.set(cacheKey, { data: result, expires: Date.now() + CACHE_TTL });
-      return result;
     } catch (err) {
-      const wait = (retry + 1) * 2000;
-      console.warn(`[${symbol}] 시도 ${retry + 1}/3 실패:`, err.message);
-      await delay(wait);
+      const fallback = await stored();
+      if (fallback.bars.length === 0) throw err;
+      console.warn(`[${item.symbol}] 갱신 실패, 저장된 일봉 사용:`, err.message);
+      return { ...fallback, fetched: false, error: err.message };
     }
   }
-  throw new Error('데이터 조회 실패');
+  return { ...(await stored()), fetched, error: null };
 }
 
-// 심볼 검증용: 화이트리스트 없이 Yahoo에서 1일 차트 조회 후 meta 반환
-async function fetchYahooChartMeta(symbol) {
+// 표시 통화 변환용 환율 (시계열 저장소 경유, FX 캘린더 기준)
+const currencyConverter = createCurrencyConverter({
+  loadRates: async (symbol, from, to) => (await getItemSeries({ id: `fx:${symbol}`, symbol, market: 'fx' }, from, to)).bars
+});
+
+// 심볼 검증용: 화이트리스트 없이 제공처에서 종목 정보 조회
+async function fetchSymbolMeta(symbol, providerName) {
   if (!symbol || typeof symbol !== 'string') throw new Error('심볼을 입력하세요');
-  const end = new Date();
-  const start = new Date(end);
-  start.setDate(start.getDate() - 5);
-  const t1 = toTimestamp(start);
-  const t2 = toTimestamp(end);
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${t1}&period2=${t2}&interval=1d&events=`;
-  const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-  const html = await new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': ua } }, (res) => {
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => (res.statusCode === 200 ? resolve(body) : reject(new Error(`HTTP ${res.statusCode}`))));
-    });
-    req.on('error', (e) => reject(e));
-    req.setTimeout(10000, () => { req.destroy(); reject(new Error('TIMEOUT')); });
-  });
-  const json = JSON.parse(html);
-  const chart = json?.chart?.result?.[0];
-  if (!chart || !Array.isArray(chart.timestamp) || chart.timestamp.length === 0) {
-    throw new Error('해당 종목 데이터를 찾을 수 없습니다');
-  }
-  const meta = chart.meta || {};
-  return {
-    symbol: meta.symbol || symbol,
-    shortName: meta.shortName || meta.longName || symbol,
-    longName: meta.longName || meta.shortName || symbol
-  };
+  const provider = priceProviders.get(providerName);
+  return scheduleFetch(provider, `meta:${symbol}`, () => provider.fetchMeta(symbol));
 }
 
 // 일별 데이터 조회 (에러 시 빈 배열 반환, 에러 메시지 반환)
 async function fetchHistoricalData(symbol, period1, period2) {
   try {
-    return await fetchChartFromYahoo(symbol, period1, period2);
+    return (await fetchChart(symbol, period1, period2)).bars;
   } catch (err) {
     console.warn(`[${symbol}]`, err.message);
     return [];
   }
 }
 
-// 여러 심볼 순차 조회, 실패 목록 반환
-async function fetchAllHistorical(items, start, end) {
+// 여러 항목 동시 조회 (from~to, YYYY-MM-DD, 항목 시장 현지 날짜로 오늘 이후는 제외), 실패 목록 반환
+// 제공처 요청 간격·동시 실행 수는 fetchScheduler가 조절, failed는 itemList 순서 (저장된 값도 없어 빈 항목만)
+// refreshedAt: 항목별 마지막 제공처 조회 시각 (ISO, 없으면 null)
+// alerts: 새로 받은 시계열로 판정해 이번에 기록된 알림 (evaluateAlerts 반환값)
+// freshness: 항목별 { asOf: refreshedAt, source, error }
+//   source: live(이번에 제공처 조회) | cache(저장소 값이 유효) | stale(제공처 조회 실패 → 마지막으로 받아 둔 값, 없으면 빈 배열)
+// options.currency: 표시 통화로 환산 (conversions: 환산한 항목 { id: { from, to, symbol } })
+// options.price: adjusted면 배당 반영 수정 가격, 아니면 제공처 종가 + 배당이 있으면 adjClose (ETF는 totalReturn도)
+//   배당·분할 날짜 일봉에는 dividend·split (utils/corporate-actions.js)
+async function fetchAllSeries(itemList, from, to, options = {}) {
   const results = {};
-  const failed = [];
-  for (const item of items) {
-    try {
-      results[item.id] = await fetchChartFromYahoo(item.symbol, start, end);
-    } catch (err) {
+  const refreshedAt = {};
+  const freshness = {};
+  const refreshed = new Set();
+  const errors = await Promise.all(itemList.map(async (item) => {
+    const today = marketToday(marketOf(item));
+    const last = to > today ? today : to;
+    let source = 'cache';
+    let error = null;
+    let failure = null;
+    if (from > last) {
       results[item.id] = [];
-      failed.push({ name: item.name, reason: err.message });
+    } else {
+      try {
+        const series = await getItemSeries(item, from, last, options);
+        results[item.id] = applyCorporateActions(series.bars, series.actions, {
+          mode: options.price === 'adjusted' ? 'adjusted' : 'raw',
+          totalReturn: item.category === 'ETF',
+          history: series.history
+        });
+        if (series.fetched) {
+          refreshed.add(seriesKey(item));
+          source = 'live';
+        }
+        if (series.error) {
+          source = 'stale';
+          error = series.error;
+        }
+      } catch (err) {
+        results[item.id] = [];
+        source = 'stale';
+        error = err.message;
+        failure = { name: item.name, reason: err.message };
+      }
+    }
+    const fetchedAt = await seriesStore.getFetchedAt(priceProviders.get(item.provider).name, item.symbol);
+    refreshedAt[item.id] = fetchedAt ? new Date(fetchedAt).toISOString() : null;
+    freshness[item.id] = { asOf: refreshedAt[item.id], source, error };
+    return failure;
+  }));
+  const failed = errors.filter(Boolean);
+  const alerts = refreshed.size > 0
+    ? await evaluateAlerts(refreshed).catch((err) => {
+      console.warn('알림 평가 실패:', err.message);
+      return [];
+    })
+    : [];
+  if (!options.currency) return { results, failed, refreshedAt, freshness, conversions: {}, alerts };
+  const converted = await currencyConverter.convertResults(itemList, results, options.currency);
+  return { results: converted.results, failed: [...failed, ...converted.failed], refreshedAt, freshness, conversions: converted.conversions, alerts };
+}
+
+// 항목별 거래소 캘린더 정보 (테이블에서 휴장일과 실제 누락 구분)
+// closed: 일봉이 없는 날짜 중 휴장일 { 날짜: 사유 }, dates: 테이블 행 날짜 (모든 항목 일봉 날짜 합집합)
+// finalThrough: 이 날짜까지 종가 확정 (이후 일봉은 장중·미확정 값)
+function describeSessions(itemList, data) {
+  const dates = new Set();
+  for (const item of itemList) (data[item.id] || []).forEach((b) => dates.add(b.date));
+  const sessions = {};
+  for (const item of itemList) {
+    const market = marketOf(item);
+    const have = new Set((data[item.id] || []).map((b) => b.date));
+    const closed = {};
+    for (const date of dates) {
+      const reason = have.has(date) ? null : holidayName(market, date);
+      if (reason) closed[date] = reason;
     }
-    await delay(500);
+    sessions[item.id] = { market, finalThrough: finalThrough(market), closed };
   }
-  return { results, failed };
+  return sessions;
+}
+
+// 응답 items: 표시 항목 + 항목별 데이터 신선도 { asOf, source, error } (fetchAllSeries 참고)
+function itemsWithFreshness(itemList, conversions, freshness) {
+  return displayItems(itemList, conversions).map((item) => ({ ...item, ...freshness[item.id] }));
+}
+
+// 제공처+심볼 키 (같은 심볼을 여러 관심 목록이 공유)
+function seriesKey(item) {
+  return `${priceProviders.get(item.provider).name}:${item.symbol}`;
+}
+
+// ---------- 알림 (규칙 평가 + 발생 이력) ----------
+const alertStore = createAlertStore({ file: ALERTS_FILE });
+// 외부 전송 채널 (data/channels.json + .env) 및 재시도 설정
+const channelStore = createChannelStore({ file: CHANNELS_FILE, envChannels: channelsFromEnv() });
+const notifier = createNotifier({
+  channelStore,
+  alertStore,
+  retries: Math.max(parseInt(process.env.ALERT_RETRIES, 10) || 3, 0),
+  backoffMs: parseInt(process.env.ALERT_RETRY_BACKOFF_MS, 10) || 2000
+});
+// 마지막 일봉이 이보다 오래되면 판정하지 않음 (과거 월 조회로 오래된 알림이 생기지 않도록)
+const ALERT_MAX_BAR_AGE_DAYS = 7;
+
+// 규칙 판정에 필요한 거래일 → 주말·휴장 여유를 둔 달력일
+function lookbackCalendarDays(rule) {
+  return Math.ceil(ruleLookback(rule) * 1.5) + 10;
+}
+
+// 갱신된 시계열(keys: seriesKey)에 걸린 규칙 판정 → 이력 기록, 새로 기록된 알림 반환
+async function evaluateAlerts(keys) {
+  const rules = alertStore.enabledRules();
+  if (rules.length === 0) return [];
+  const today = formatYMD(new Date());
+  const events = [];
+  for (const rule of rules) {
+    const store = await watchlists.get(rule.watchlist);
+    const item = store && store.list().find((i) => i.id === rule.itemId);
+    if (!item || !keys.has(seriesKey(item))) continue;
+    const from = shiftYMD(today, -lookbackCalendarDays(rule));
+    // 배당락 하락이 고점 대비 하락·연속 하락으로 잡히지 않도록 수정 가격으로 판정 (마지막 종가는 그대로)
+    const stored = (await seriesStore.getBars(priceProviders.get(item.provider).name, item.symbol, from, today))
+      .filter((b) => b.close != null);
+    const bars = applyCorporateActions(stored, actionStore.get(seriesKey(item)), { mode: 'adjusted' });
+    const lastBar = bars[bars.length - 1];
+    if (!lastBar || lastBar.date < shiftYMD(today, -ALERT_MAX_BAR_AGE_DAYS)) continue;
+    const hit = evaluateRule(rule, bars);
+    if (!hit) continue;
+    events.push({
+      ruleId: rule.id,
+      watchlist: rule.watchlist,
+      itemId: item.id,
+      itemName: item.name,
+      symbol: item.symbol,
+      type: rule.type,
+      date: lastBar.date,
+      close: lastBar.close,
+      value: hit.value,
+      message: `${item.name}: ${hit.message}`
+    });
+  }
+  const added = await alertStore.record(events);
+  // 외부 채널 전송은 백그라운드 (재시도 포함, 데이터 응답을 지연시키지 않음)
+  if (added.length > 0) notifier.dispatch(added).catch((err) => console.warn('알림 전송 실패:', err.message));
+  return added;
 }
 
 // 에러 메시지 사용자 친화적 변환
@@ -287,113 +391,34 @@ function validateYearMonth(year, month) {
   return { year: y, month: m };
 }
 
-// 파일 기반 월별 데이터 캐시 (동일 날짜 재조회 시 즉시 응답)
-const dailyFileCache = {};
-let cacheSaveScheduled = false;
-
-function getPeriodKey(year, month) {
-  return `${year}-${String(month).padStart(2, '0')}`;
-}
-
-async function loadDailyCacheFromFile() {
-  try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    const buf = await fs.readFile(CACHE_FILE, 'utf8');
-    const parsed = JSON.parse(buf);
-    if (parsed && typeof parsed === 'object') {
-      Object.assign(dailyFileCache, parsed);
-      console.log(`캐시 로드: ${Object.keys(dailyFileCache).length}개 월별 데이터`);
-    }
-  } catch (e) {
-    if (e.code !== 'ENOENT') console.warn('캐시 로드 실패:', e.message);
-  }
-}
-
-function scheduleSaveDailyCache() {
-  if (cacheSaveScheduled) return;
-  cacheSaveScheduled = true;
-  setImmediate(async () => {
-    cacheSaveScheduled = false;
-    try {
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      await fs.writeFile(CACHE_FILE, JSON.stringify(dailyFileCache, null, 0), 'utf8');
-    } catch (e) {
-      console.warn('캐시 저장 실패:', e.message);
-    }
-  });
-}
-
-function getCachedMonthly(year, month) {
-  const key = getPeriodKey(year, month);
-  const entry = dailyFileCache[key];
-  if (!entry || !entry.data) return null;
-  return { year: entry.year, month: entry.month, data: entry.data };
-}
-
-function mergeMonthlyData(existing, fresh) {
-  const merged = {};
-  for (const id of Object.keys(existing)) {
-    const byDate = new Map();
-    (existing[id] || []).forEach(d => byDate.set(d.date, d));
-    (fresh[id] || []).forEach(d => byDate.set(d.date, d));
-    merged[id] = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
-  }
-  for (const id of Object.keys(fresh)) {
-    if (merged[id]) continue;
-    merged[id] = (fresh[id] || []).sort((a, b) => a.date.localeCompare(b.date));
-  }
-  return merged;
-}
-
-async function getMonthlyData(year, month, options = {}) {
-  const { forceRefresh = false } = options;
+// 월별 데이터 (시계열 저장소 우선, 빠진 구간만 제공처 조회)
+async function getMonthlyData(itemList, year, month, options = {}) {
   const monthStart = formatYMD(new Date(year, month - 1, 1));
-  const now = new Date();
-  const isCurrentMonth = year === now.getFullYear() && month === now.getMonth() + 1;
-  const endDate = isCurrentMonth ? now : new Date(year, month, 0);
-  const monthEnd = formatYMD(endDate);
-
-  const key = getPeriodKey(year, month);
-  const cached = getCachedMonthly(year, month);
-  if (cached && !forceRefresh) {
-    return { data: cached.data, failed: [] };
-  }
-
-  const { start, end } = getMonthRange(year, month);
-  const rangeEnd = isCurrentMonth ? now : end;
-  const { results: raw, failed } = await fetchAllHistorical(getEffectiveItems(), start, rangeEnd);
-
-  const results = {};
-  for (const id of Object.keys(raw)) {
-    results[id] = (raw[id] || [])
-      .filter(d => sanitizeDate(d.date) && d.date >= monthStart && d.date <= monthEnd)
-      .sort((a, b) => a.date.localeCompare(b.date));
-  }
-
-  let toSave = results;
-  if (forceRefresh && cached && cached.data) {
-    toSave = mergeMonthlyData(cached.data, results);
-  }
-  dailyFileCache[key] = { year, month, data: toSave, updatedAt: new Date().toISOString() };
-  scheduleSaveDailyCache();
-
-  return { data: toSave, failed };
+  const monthEnd = formatYMD(new Date(year, month, 0));
+  const { results, failed, refreshedAt, freshness, conversions } = await fetchAllSeries(itemList, monthStart, monthEnd, options);
+  return { data: results, failed, refreshedAt, freshness, conversions };
 }
 
-// API: 월별 일별 데이터 (캐시 우선, 미존재 시 Yahoo 조회 후 저장)
+// API: 월별 일별 데이터 (저장소 우선, 빠진 구간만 제공처 조회 후 저장)
 app.get('/api/daily/:year/:month', async (req, res) => {
   try {
     const vm = validateYearMonth(req.params.year, req.params.month);
     if (!vm) {
       return apiError(res, 400, '잘못된 날짜 범위', '년(2000~2100), 월(1~12)을 확인하세요');
     }
-    const { data, failed } = await getMonthlyData(vm.year, vm.month);
+    const itemList = req.itemStore.list();
+    const { data, failed, refreshedAt, freshness, conversions } = await getMonthlyData(itemList, vm.year, vm.month, { currency: req.currency, price: req.price });
     res.json({
       success: true,
+      watchlist: req.watchlistId,
       year: vm.year,
       month: vm.month,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
       data,
-      items: getEffectiveItems(),
+      items: itemsWithFreshness(itemList, conversions, freshness),
+      refreshedAt,
+      sessions: describeSessions(itemList, data),
       failed: failed.length > 0 ? failed : undefined
     });
   } catch (err) {
@@ -419,21 +444,21 @@ app.get('/api/daily_recent/:days?', async (req, res) => {
     const from = formatYMD(start);
     const to = formatYMD(end);
 
-    const { results: raw, failed } = await fetchAllHistorical(getEffectiveItems(), start, end);
-    const data = {};
-    for (const id of Object.keys(raw)) {
-      data[id] = (raw[id] || [])
-        .filter(d => sanitizeDate(d.date) && d.date >= from && d.date <= to)
-        .sort((a, b) => a.date.localeCompare(b.date));
-    }
+    const itemList = req.itemStore.list();
+    const { results: data, failed, refreshedAt, freshness, conversions } = await fetchAllSeries(itemList, from, to, { currency: req.currency, price: req.price });
 
     res.json({
       success: true,
+      watchlist: req.watchlistId,
       from,
       to,
       days,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
       data,
-      items: getEffectiveItems(),
+      items: itemsWithFreshness(itemList, conversions, freshness),
+      refreshedAt,
+      sessions: describeSessions(itemList, data),
       failed: failed.length > 0 ? failed : undefined
     });
   } catch (err) {
@@ -442,46 +467,573 @@ app.get('/api/daily_recent/:days?', async (req, res) => {
   }
 });
 
-// API: 특정 심볼 월별 데이터 (차트용)
-app.get('/api/chart/:symbol/:year/:month', async (req, res) => {
+// 기간 검증 (YYYY-MM-DD, 2000-01-01 이후, 최대 RANGE_MAX_DAYS일, 미래는 오늘로 제한)
+const RANGE_MIN_DATE = '2000-01-01';
+const RANGE_MAX_DAYS = 3660; // 약 10년
+
+// today: 미래 날짜를 자를 기준 (기본 서버 로컬 날짜, 항목 하나만 다루면 거래소 현지 날짜)
+function validateDateRange(fromStr, toStr, today = formatYMD(new Date())) {
+  const from = sanitizeDate(fromStr);
+  let to = sanitizeDate(toStr);
+  if (!from || !to) return null;
+  if (to > today) to = today;
+  if (from < RANGE_MIN_DATE || from > to) return null;
+  if ((parseYMD(to) - parseYMD(from)) / 86400000 > RANGE_MAX_DAYS) return null;
+  return { from, to };
+}
+
+// items 쿼리 (쉼표 구분 id) → 항목 목록. 미지정 시 전체, 알 수 없는 id가 있으면 null
+function resolveItemsParam(param, itemList) {
+  const raw = typeof param === 'string' ? param.trim() : '';
+  if (!raw) return itemList;
+  const ids = [...new Set(raw.split(',').map((s) => s.trim()).filter(Boolean))];
+  const selected = ids.map((id) => itemList.find((i) => i.id === id));
+  return selected.some((i) => !i) ? null : selected;
+}
+
+// API: 임의 기간 데이터 (from~to, 항목 선택, 주/월 다운샘플링)
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&items=id,id&interval=auto|1d|1wk|1mo&refresh=1
+app.get('/api/range', async (req, res) => {
   try {
-    const vm = validateYearMonth(req.params.year, req.params.month);
-    if (!vm) {
-      return apiError(res, 400, '잘못된 날짜 범위', '년(2000~2100), 월(1~12)을 확인하세요');
+    const range = validateDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    const selected = resolveItemsParam(req.query.items, req.itemStore.list());
+    if (!selected) {
+      return apiError(res, 400, '허용되지 않은 항목', 'items에 존재하는 항목 id를 입력하세요');
+    }
+    const interval = resolveInterval(req.query.interval, range.from, range.to);
+    const { results, failed, refreshedAt, freshness, conversions } = await fetchAllSeries(selected, range.from, range.to, {
+      forceRefresh: req.query.refresh === '1',
+      currency: req.currency,
+      price: req.price
+    });
+    const data = {};
+    for (const id of Object.keys(results)) data[id] = resampleBars(results[id], interval);
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      from: range.from,
+      to: range.to,
+      interval,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
+      data,
+      items: itemsWithFreshness(selected, conversions, freshness),
+      refreshedAt,
+      // 주/월 단위는 날짜가 구간 대표값이라 휴장일 표시 생략
+      sessions: interval === '1d' ? describeSessions(selected, data) : undefined,
+      failed: failed.length > 0 ? failed : undefined
+    });
+  } catch (err) {
+    console.error('range API:', err);
+    apiError(res, 500, '기간 데이터 조회 중 오류 발생', err.message);
+  }
+});
+
+// API: 항목 차트 데이터 (시가·고가·저가·종가·거래량)
+// /api/chart/:symbol/:year/:month (월) 또는 /api/chart/:symbol?from=&to= (기간, 기본 일봉 최근 1년·분봉은 간격별 최근 defaultDays 거래일)
+// ?interval=1d(기본) | 1m | 5m | 15m | 1h
+// 분봉: time = 거래소 시간대 현지 시각 (UTC 오프셋 포함 ISO), date = 거래소 현지 날짜
+//       제공처 조회 한도(maxDays)보다 오래된 구간은 잘라내고 실제 조회 구간을 from/to로 반환
+//       시계열 저장소 대신 메모리 캐시 (오늘이 포함된 구간은 간격별 짧은 TTL, 지난 구간은 CACHE_TTL)
+const INTRADAY_INTERVALS = {
+  '1m': { maxDays: 7, defaultDays: 1, ttl: 60 * 1000 },
+  '5m': { maxDays: 60, defaultDays: 5, ttl: 5 * 60 * 1000 },
+  '15m': { maxDays: 60, defaultDays: 10, ttl: 5 * 60 * 1000 },
+  '1h': { maxDays: 730, defaultDays: 20, ttl: 15 * 60 * 1000 }
+};
+const CHART_INTERVALS = ['1d', ...Object.keys(INTRADAY_INTERVALS)];
+const intradayCache = createIntradayCache();
+
+// 항목 분봉 (from~to, 거래소 현지 날짜) → { bars: [{ time, date, open, high, low, close, volume }], fetchedAt, cached }
+async function getIntradayBars(item, interval, from, to) {
+  const provider = priceProviders.get(item.provider);
+  if (!provider.fetchIntraday) throw new Error(`${provider.name} 제공처는 분봉을 지원하지 않습니다`);
+  const market = marketOf(item);
+  const { timeZone } = MARKETS[market];
+  const ttl = to < marketToday(market) ? CACHE_TTL : INTRADAY_INTERVALS[interval].ttl;
+  return intradayCache.get(`${seriesKey(item)}:${interval}:${from}:${to}`, ttl, async () => {
+    const period1 = zonedTimeToDate(from, '00:00', timeZone);
+    const period2 = zonedTimeToDate(shiftYMD(to, 1), '00:00', timeZone);
+    const rows = await scheduleFetch(provider, `intraday:${item.symbol}:${interval}:${from}:${to}`,
+      () => provider.fetchIntraday(item.symbol, interval, period1, period2));
+    return rows.map(({ ts, ...bar }) => {
+      const at = new Date(ts * 1000);
+      return { time: formatZonedISO(at, timeZone), date: zonedParts(at, timeZone).ymd, ...bar };
+    });
+  });
+}
+
+// 최근 n거래일의 첫날 (분봉 기본 기간: 주말·휴장일이나 오늘 장 시작 전이면 직전 거래일까지)
+function recentSessionsFrom(market, n, now = new Date()) {
+  const { open, timeZone } = MARKETS[market];
+  const today = marketToday(market, now);
+  let ymd = now < zonedTimeToDate(today, open, timeZone) ? shiftYMD(today, -1) : today;
+  let count = 0;
+  for (let i = 0; i < n * 2 + 14; i++) {
+    if (isTradingDay(market, ymd) && ++count >= n) return ymd;
+    ymd = shiftYMD(ymd, -1);
+  }
+  return ymd;
+}
+
+// 환산 시 raw: 원래 통화 값, fx: 적용 환율 (분봉은 그 날짜의 일별 환율)
+const toChartPoint = (d) => ({
+  time: d.time, date: d.date, open: d.open, high: d.high, low: d.low, close: d.close, volume: d.volume, raw: d.raw, fx: d.fx,
+  adjClose: d.adjClose, adjFactor: d.adjFactor, totalReturn: d.totalReturn, dividend: d.dividend, split: d.split
+});
+
+async function handleChart(req, res) {
+  try {
+    const interval = req.query.interval || '1d';
+    if (!CHART_INTERVALS.includes(interval)) {
+      return apiError(res, 400, '지원하지 않는 간격', `interval은 ${CHART_INTERVALS.join(', ')} 중 하나입니다`);
     }
     const { symbol } = req.params;
-    const item = getEffectiveItems().find(i => i.id === symbol || i.symbol === symbol);
-    const sym = item ? item.symbol : symbol;
-    if (!isSymbolAllowed(sym)) {
+    const item = req.itemStore.list().find(i => i.id === symbol || i.symbol === symbol);
+    if (!item || !isSymbolAllowed(item.symbol)) {
       return apiError(res, 400, '허용되지 않은 항목', `항목을 선택해 주세요`);
     }
-    const { start, end } = getMonthRange(vm.year, vm.month);
-    const data = await fetchChartFromYahoo(sym, start, end);
+    const market = marketOf(item);
+    const today = marketToday(market);
+    const intraday = INTRADAY_INTERVALS[interval];
+    let from;
+    let to;
+    if (req.params.year) {
+      const vm = validateYearMonth(req.params.year, req.params.month);
+      if (!vm) {
+        return apiError(res, 400, '잘못된 날짜 범위', '년(2000~2100), 월(1~12)을 확인하세요');
+      }
+      from = formatYMD(new Date(vm.year, vm.month - 1, 1));
+      to = formatYMD(new Date(vm.year, vm.month, 0));
+    } else {
+      const defaultFrom = intraday ? recentSessionsFrom(market, intraday.defaultDays) : shiftYMD(today, -365);
+      const range = validateDateRange(req.query.from || defaultFrom, req.query.to || today, today);
+      if (!range) {
+        return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+      }
+      ({ from, to } = range);
+    }
+
+    let data;
+    let conversions = {};
+    if (!intraday) {
+      const fetched = await fetchAllSeries([item], from, to, { currency: req.currency, price: req.price });
+      if (fetched.failed.length > 0) throw new Error(fetched.failed[0].reason);
+      data = fetched.results[item.id];
+      conversions = fetched.conversions;
+    } else {
+      const limit = shiftYMD(today, -(intraday.maxDays - 1));
+      if (from < limit) from = limit;
+      if (to > today) to = today;
+      if (from > to) {
+        return apiError(res, 400, '분봉 조회 기간 초과', `${interval} 분봉은 최근 ${intraday.maxDays}일(${limit} 이후)만 조회할 수 있습니다`);
+      }
+      data = (await getIntradayBars(item, interval, from, to)).bars;
+      if (req.currency) {
+        const converted = await currencyConverter.convertResults([item], { [item.id]: data }, req.currency);
+        if (converted.failed.length > 0) throw new Error(converted.failed[0].reason);
+        data = converted.results[item.id];
+        conversions = converted.conversions;
+      }
+    }
     res.json({
       success: true,
-      symbol: item?.name || symbol,
-      data: data.map(d => ({ date: d.date, close: d.close, open: d.open }))
+      symbol: item.name,
+      unit: displayItems([item], conversions)[0].unit,
+      interval,
+      price: intraday ? undefined : req.price || undefined,
+      market,
+      timeZone: MARKETS[market].timeZone,
+      from,
+      to,
+      data: data.map(toChartPoint)
     });
   } catch (err) {
     console.error('chart API:', err);
     apiError(res, 500, '차트 데이터 조회 실패', err.message);
   }
+}
+
+app.get('/api/chart/:symbol/:year/:month', handleChart);
+app.get('/api/chart/:symbol', handleChart);
+
+// API: 항목 기술적 지표
+// ?from=&to= (기본 최근 1년) &indicators=rsi:14,macd,bb:20:2 (쉼표 구분, 파라미터 생략 시 기본값)
+// 첫 값부터 안정되도록 from 이전 warmup 거래일을 함께 조회해 계산한 뒤 from~to만 반환
+const INDICATORS_MAX = 8;
+const DEFAULT_INDICATORS = 'sma:20,rsi:14,macd';
+
+// 지표 값 반올림 (유효숫자 8자리, 작은 환율 값도 유지)
+const roundSeries = (values) => values.map((v) => (v == null ? null : Number(v.toPrecision(8))));
+
+app.get('/api/indicators/:id', async (req, res) => {
+  try {
+    const item = req.itemStore.list().find((i) => i.id === req.params.id);
+    if (!item) {
+      return apiError(res, 400, '존재하지 않는 항목', '항목 id를 확인하세요');
+    }
+    const today = formatYMD(new Date());
+    const range = validateDateRange(req.query.from || shiftYMD(today, -365), req.query.to || today);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    let specs;
+    try {
+      specs = String(req.query.indicators || DEFAULT_INDICATORS).split(',').filter((s) => s.trim()).map(parseSpec);
+    } catch (err) {
+      return apiError(res, 400, '잘못된 지표', err.message);
+    }
+    if (specs.length === 0 || specs.length > INDICATORS_MAX) {
+      return apiError(res, 400, '잘못된 지표', `지표는 1~${INDICATORS_MAX}개까지 지정할 수 있습니다`);
+    }
+    // 거래일 → 주말·휴장 여유를 둔 달력일
+    const warmupDays = Math.ceil(Math.max(...specs.map(warmupBars)) * 1.5) + 10;
+    const { results, failed, conversions } = await fetchAllSeries([item], shiftYMD(range.from, -warmupDays), range.to, { currency: req.currency, price: req.price });
+    if (failed.length > 0) throw new Error(failed[0].reason);
+    const bars = results[item.id].filter((b) => b.close != null);
+    let start = bars.findIndex((b) => b.date >= range.from);
+    if (start < 0) start = bars.length;
+    const indicators = {};
+    for (const spec of specs) {
+      const result = computeIndicator(spec, bars);
+      for (const name of Object.keys(result.series)) result.series[name] = roundSeries(result.series[name].slice(start));
+      indicators[result.key] = result;
+    }
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      id: item.id,
+      name: item.name,
+      unit: displayItems([item], conversions)[0].unit,
+      from: range.from,
+      to: range.to,
+      dates: bars.slice(start).map((b) => b.date),
+      close: bars.slice(start).map((b) => b.close),
+      indicators,
+      types: listIndicatorTypes()
+    });
+  } catch (err) {
+    console.error('indicators API:', err);
+    apiError(res, 500, '지표 계산 실패', err.message);
+  }
+});
+
+// API: 항목 비교 (기간 시작 = 100 기준화 + 성과 요약)
+// ?items=id,id (2~COMPARE_MAX_ITEMS개) &from=&to= &interval=auto|1d|1wk|1mo
+// 날짜축은 모든 항목 날짜의 합집합, 일봉이 없는 날은 직전 종가 (시장별 휴장일 차이)
+// 통계는 다운샘플링 전 일봉 기준, excessPct는 첫 항목 대비 초과 수익률(%p)
+const COMPARE_MAX_ITEMS = 10;
+
+app.get('/api/compare', async (req, res) => {
+  try {
+    const range = validateDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    const selected = resolveItemsParam(req.query.items, req.itemStore.list());
+    if (!selected) {
+      return apiError(res, 400, '허용되지 않은 항목', 'items에 존재하는 항목 id를 입력하세요');
+    }
+    if (selected.length < 2 || selected.length > COMPARE_MAX_ITEMS) {
+      return apiError(res, 400, '비교 항목 수 오류', `항목을 2~${COMPARE_MAX_ITEMS}개 선택하세요`);
+    }
+    const interval = resolveInterval(req.query.interval, range.from, range.to);
+    const { results, failed, refreshedAt, conversions } = await fetchAllSeries(selected, range.from, range.to, { currency: req.currency, price: req.price });
+    const available = selected.filter((i) => results[i.id] && results[i.id].length > 0);
+    const resampled = {};
+    for (const item of available) resampled[item.id] = resampleBars(results[item.id], interval);
+    const { dates, closes } = alignCloses(resampled);
+    const series = {};
+    for (const id of Object.keys(closes)) series[id] = roundSeries(rebase(closes[id]));
+    const stats = available.map((item) => ({ id: item.id, name: item.name, ...summarizeBars(results[item.id]) }));
+    const benchmark = stats[0];
+    for (const s of stats) {
+      s.excessPct = benchmark ? s.returnPct - benchmark.returnPct : null;
+      // ETF: 분배금을 재투자한 총수익률 (price=adjusted면 returnPct가 이미 총수익률)
+      const tr = results[s.id].filter((b) => b.totalReturn != null);
+      if (tr.length > 0) s.totalReturnPct = (tr[tr.length - 1].totalReturn / tr[0].totalReturn - 1) * 100;
+    }
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      from: range.from,
+      to: range.to,
+      interval,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
+      dates,
+      series,
+      stats,
+      items: displayItems(selected, conversions),
+      refreshedAt,
+      failed: failed.length > 0 ? failed : undefined
+    });
+  } catch (err) {
+    console.error('compare API:', err);
+    apiError(res, 500, '비교 데이터 조회 실패', err.message);
+  }
+});
+
+// API: 상관관계 행렬 (일간 수익률 Pearson)
+// ?items=id,id (미지정 시 전체, 2~CORRELATION_MAX_ITEMS개) &from=&to=
+// 쌍마다 두 항목 모두 거래한 날짜만 사용 (시장별 휴장일 차이), 공통 수익률이 CORRELATION_MIN_SAMPLES개 미만이면 null
+const CORRELATION_MAX_ITEMS = 30;
+const CORRELATION_MIN_SAMPLES = 20;
+const ROLLING_WINDOWS = [20, 60, 120];
+
+const roundCorrelation = (r) => (r == null ? null : Math.round(r * 10000) / 10000);
+
+app.get('/api/correlation', async (req, res) => {
+  try {
+    const range = validateDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    const selected = resolveItemsParam(req.query.items, req.itemStore.list());
+    if (!selected) {
+      return apiError(res, 400, '허용되지 않은 항목', 'items에 존재하는 항목 id를 입력하세요');
+    }
+    if (selected.length < 2 || selected.length > CORRELATION_MAX_ITEMS) {
+      return apiError(res, 400, '상관관계 항목 수 오류', `항목을 2~${CORRELATION_MAX_ITEMS}개 선택하세요`);
+    }
+    const { results, failed, refreshedAt, conversions } = await fetchAllSeries(selected, range.from, range.to, { currency: req.currency, price: req.price });
+    const barsById = {};
+    for (const item of selected) {
+      if (results[item.id] && results[item.id].length > 0) barsById[item.id] = results[item.id];
+    }
+    const { ids, matrix, samples } = correlationMatrix(barsById, CORRELATION_MIN_SAMPLES);
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      from: range.from,
+      to: range.to,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
+      minSamples: CORRELATION_MIN_SAMPLES,
+      ids,
+      matrix: matrix.map((row) => row.map(roundCorrelation)),
+      samples,
+      items: displayItems(selected, conversions),
+      refreshedAt,
+      failed: failed.length > 0 ? failed : undefined
+    });
+  } catch (err) {
+    console.error('correlation API:', err);
+    apiError(res, 500, '상관관계 계산 실패', err.message);
+  }
+});
+
+// API: 두 항목의 이동 상관계수
+// ?a=&b=&from=&to=&window=20|60|120 (공통 거래일 수익률 개수)
+// 기간 첫날부터 값이 나오도록 window 만큼 앞 구간을 함께 조회
+app.get('/api/correlation/rolling', async (req, res) => {
+  try {
+    const range = validateDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    const window = parseInt(req.query.window, 10) || 60;
+    if (!ROLLING_WINDOWS.includes(window)) {
+      return apiError(res, 400, '잘못된 기간 창', `window는 ${ROLLING_WINDOWS.join(', ')} 중 하나입니다`);
+    }
+    const itemList = req.itemStore.list();
+    const a = itemList.find((i) => i.id === req.query.a);
+    const b = itemList.find((i) => i.id === req.query.b);
+    if (!a || !b || a.id === b.id) {
+      return apiError(res, 400, '허용되지 않은 항목', 'a, b에 서로 다른 항목 id를 입력하세요');
+    }
+    // 공통 거래일 window개 ≈ 달력 기준 window × 1.6일 (양쪽 휴장일 포함 여유)
+    const fetchFrom = shiftYMD(range.from, -Math.ceil(window * 1.6) - 10);
+    const { results, failed, conversions } = await fetchAllSeries([a, b], fetchFrom, range.to, { currency: req.currency, price: req.price });
+    if (failed.length > 0) throw new Error(failed.map((f) => `${f.name}: ${f.reason}`).join(', '));
+    const { dates, values, overall } = rollingCorrelation(results[a.id] || [], results[b.id] || [], window, range.from);
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      from: range.from,
+      to: range.to,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
+      window,
+      a: a.id,
+      b: b.id,
+      dates,
+      values: values.map(roundCorrelation),
+      overall: roundCorrelation(overall),
+      items: displayItems([a, b], conversions)
+    });
+  } catch (err) {
+    console.error('rolling correlation API:', err);
+    apiError(res, 500, '이동 상관계수 계산 실패', err.message);
+  }
+});
+
+// API: 신호 백테스트 (저장된 일봉으로 항목별 시뮬레이션)
+// ?items=id,id (1~BACKTEST_MAX_ITEMS개) &from=&to= &entry=rsi2_below:10|drop_from_high:3:20|consec_down:2
+// &exitRsi=70 &holdDays=5 &stopLossPct= &feePct=0.015 (빈 값·0인 청산 조건은 사용 안 함)
+// 진입 신호가 기간 첫날부터 나오도록 워밍업 구간을 함께 조회
+const BACKTEST_MAX_ITEMS = 10;
+
+app.get('/api/backtest', async (req, res) => {
+  try {
+    const range = validateDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    // items 미지정 시 전체가 아니라 오류 (항목 수 제한)
+    const items = resolveItemsParam(req.query.items, req.itemStore.list());
+    if (!items) {
+      return apiError(res, 400, '허용되지 않은 항목', 'items에 존재하는 항목 id를 입력하세요');
+    }
+    if (!req.query.items || items.length > BACKTEST_MAX_ITEMS) {
+      return apiError(res, 400, '백테스트 항목 수 오류', `항목을 1~${BACKTEST_MAX_ITEMS}개 선택하세요`);
+    }
+    let strategy;
+    try {
+      strategy = parseStrategy(req.query);
+    } catch (err) {
+      return apiError(res, 400, '잘못된 전략', err.message);
+    }
+    const warmupDays = Math.ceil(strategyWarmup(strategy) * 1.6) + 10;
+    const { results, failed, conversions } = await fetchAllSeries(items, shiftYMD(range.from, -warmupDays), range.to, { currency: req.currency, price: req.price });
+    const backtests = items
+      .filter((item) => (results[item.id] || []).some((b) => b.date >= range.from))
+      .map((item) => {
+        const { equity, trades, stats } = runBacktest(results[item.id], strategy, range.from);
+        return {
+          id: item.id,
+          name: item.name,
+          stats,
+          trades,
+          equity: { dates: equity.dates, strategy: roundSeries(equity.strategy), buyHold: roundSeries(equity.buyHold) }
+        };
+      });
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      from: range.from,
+      to: range.to,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
+      strategy,
+      backtests,
+      exitReasons: EXIT_REASONS,
+      entryRules: listEntryRules(),
+      items: displayItems(items, conversions),
+      failed: failed.length > 0 ? failed : undefined
+    });
+  } catch (err) {
+    console.error('backtest API:', err);
+    apiError(res, 500, '백테스트 실패', err.message);
+  }
 });
 
-// API: 업데이트 - 신규 날짜만 Yahoo 조회 후 캐시에 병합 저장
+// API: 데이터 내보내기 (스크립트·pandas용, 화면 표시 이름 대신 항목 id·심볼·단위)
+// ?items=id,id (미지정 시 전체) &from=&to= &format=csv|json|ndjson &layout=long|wide
+// &fields=close|ohlcv|open,high,low,close,volume &interval=1d|1wk|1mo (기본 일봉)
+// 조회 후 행 단위로 나눠 스트리밍, 일부 항목 조회 실패 시 X-Export-Failed 헤더에 항목 id
+const EXPORT_CHUNK_SIZE = 64 * 1024;
+
+// 조각을 모아 쓰고, 버퍼가 차면 drain까지 대기 (클라이언트가 끊으면 중단)
+async function streamChunks(res, chunks) {
+  let buffer = '';
+  const flush = async () => {
+    const ok = res.write(buffer);
+    buffer = '';
+    if (!ok && !res.destroyed) {
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  };
+  for (const chunk of chunks) {
+    if (res.destroyed) return;
+    buffer += chunk;
+    if (buffer.length >= EXPORT_CHUNK_SIZE) await flush();
+  }
+  if (buffer && !res.destroyed) await flush();
+  res.end();
+}
+
+app.get('/api/export', async (req, res) => {
+  try {
+    const range = validateDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return apiError(res, 400, '잘못된 기간', `from/to(YYYY-MM-DD, ${RANGE_MIN_DATE} 이후, 최대 ${RANGE_MAX_DAYS}일)을 확인하세요`);
+    }
+    const selected = resolveItemsParam(req.query.items, req.itemStore.list());
+    if (!selected) {
+      return apiError(res, 400, '허용되지 않은 항목', 'items에 존재하는 항목 id를 입력하세요');
+    }
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+      return apiError(res, 400, '지원하지 않는 형식', `format은 ${Object.keys(EXPORT_FORMATS).join(', ')} 중 하나입니다`);
+    }
+    const layout = req.query.layout || 'long';
+    if (!EXPORT_LAYOUTS.includes(layout)) {
+      return apiError(res, 400, '지원하지 않는 배치', `layout은 ${EXPORT_LAYOUTS.join(', ')} 중 하나입니다`);
+    }
+    const interval = req.query.interval || '1d';
+    if (!INTERVALS.includes(interval)) {
+      return apiError(res, 400, '지원하지 않는 간격', `interval은 ${INTERVALS.join(', ')} 중 하나입니다`);
+    }
+    let fields;
+    try {
+      fields = parseFields(req.query.fields);
+    } catch (err) {
+      return apiError(res, 400, '잘못된 필드', err.message);
+    }
+    const { results, failed, conversions } = await fetchAllSeries(selected, range.from, range.to, { currency: req.currency, price: req.price });
+    if (failed.length > 0 && failed.length >= selected.length) {
+      return apiError(res, 500, '내보내기 데이터 조회 실패', failed.map((f) => `${f.name}: ${f.reason}`).join(', '));
+    }
+    const items = displayItems(selected, conversions);
+    const series = {};
+    for (const item of items) series[item.id] = resampleBars(results[item.id] || [], interval);
+    const failedNames = new Set(failed.map((f) => f.name));
+    const failedIds = items.filter((i) => failedNames.has(i.name)).map((i) => i.id);
+    const { type, ext } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Disposition', `attachment; filename="stock_${range.from}_${range.to}.${ext}"`);
+    if (failedIds.length > 0) res.setHeader('X-Export-Failed', failedIds.join(','));
+    const columns = exportColumns(layout, items, fields);
+    await streamChunks(res, serializeExport(format, columns, exportRows(layout, items, series, fields)));
+  } catch (err) {
+    console.error('export API:', err);
+    if (res.headersSent) res.destroy(err);
+    else apiError(res, 500, '데이터 내보내기 실패', err.message);
+  }
+});
+
+// API: 업데이트 - 선택 월 전체를 제공처에서 다시 조회 후 저장소에 병합
 app.get('/api/update/:year/:month', async (req, res) => {
   try {
     const vm = validateYearMonth(req.params.year, req.params.month);
     if (!vm) {
       return apiError(res, 400, '잘못된 날짜 범위', '년(2000~2100), 월(1~12)을 확인하세요');
     }
-    const { data, failed } = await getMonthlyData(vm.year, vm.month, { forceRefresh: true });
+    const itemList = req.itemStore.list();
+    const { data, failed, refreshedAt, freshness, conversions } = await getMonthlyData(itemList, vm.year, vm.month, { forceRefresh: true, currency: req.currency, price: req.price });
     res.json({
       success: true,
+      watchlist: req.watchlistId,
       year: vm.year,
       month: vm.month,
+      currency: req.currency || undefined,
+      price: req.price || undefined,
       data,
-      items: getEffectiveItems(),
+      items: itemsWithFreshness(itemList, conversions, freshness),
+      refreshedAt,
+      sessions: describeSessions(itemList, data),
       updatedAt: new Date().toISOString(),
       failed: failed.length > 0 ? failed : undefined
     });
@@ -491,9 +1043,292 @@ app.get('/api/update/:year/:month', async (req, res) => {
   }
 });
 
+// ---------- 뉴스/이벤트 ----------
+// 변동 3% 이상 날짜 중 newsSymbol 관련 뉴스가 있는 경우만 이벤트로 표시
+const EVENT_CHANGE_THRESHOLD = 3;
+const NEWS_PER_EVENT = 3;
+const NEWS_RECENT_TTL = 6 * 60 * 60 * 1000; // 최근 기간 뉴스는 6시간마다 재조회
+
+// 뉴스 캐시: { "newsSymbol:from:to": { articles, fetchedAt, final } }
+const newsFileCache = {};
+let newsCacheSaveScheduled = false;
+
+async function loadNewsCacheFromFile() {
+  try {
+    const buf = await fs.readFile(NEWS_CACHE_FILE, 'utf8');
+    const parsed = JSON.parse(buf);
+    if (parsed && typeof parsed === 'object') Object.assign(newsFileCache, parsed);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('뉴스 캐시 로드 실패:', e.message);
+  }
+}
+
+function scheduleSaveNewsCache() {
+  if (newsCacheSaveScheduled) return;
+  newsCacheSaveScheduled = true;
+  setImmediate(async () => {
+    newsCacheSaveScheduled = false;
+    try {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.writeFile(NEWS_CACHE_FILE, JSON.stringify(newsFileCache, null, 0), 'utf8');
+    } catch (e) {
+      console.warn('뉴스 캐시 저장 실패:', e.message);
+    }
+  });
+}
+
+// 뉴스 조회 (파일 캐시 우선). 조회 구간이 2일 이상 지난 과거면 확정으로 보고 재조회하지 않음
+async function fetchNewsForSymbol(newsSymbol, from, to) {
+  const key = `${newsSymbol}:${from}:${to}`;
+  const entry = newsFileCache[key];
+  if (entry && (entry.final || Date.now() - entry.fetchedAt < NEWS_RECENT_TTL)) {
+    return entry.articles;
+  }
+  const articles = await newsProvider.fetchCompanyNews(newsSymbol, from, to);
+  const final = to < shiftYMD(formatYMD(new Date()), -2);
+  newsFileCache[key] = { articles, fetchedAt: Date.now(), final };
+  scheduleSaveNewsCache();
+  return articles;
+}
+
+// date ±1일 사이에 게시된 기사 (최신순)
+function newsNearDate(articles, date) {
+  const from = shiftYMD(date, -1);
+  const to = shiftYMD(date, 1);
+  return articles
+    .filter((a) => {
+      const d = formatYMD(new Date(a.datetime * 1000));
+      return d >= from && d <= to;
+    })
+    .sort((a, b) => b.datetime - a.datetime);
+}
+
+// 월별 데이터에서 전일 대비 변동률이 임계값 이상인 후보 추출
+function findEventCandidates(data, itemList) {
+  const candidates = [];
+  for (const item of itemList) {
+    const series = data[item.id] || [];
+    for (let i = 1; i < series.length; i++) {
+      const prev = series[i - 1].close;
+      const cur = series[i].close;
+      if (!prev) continue;
+      const changePct = ((cur - prev) / prev) * 100;
+      if (Math.abs(changePct) < EVENT_CHANGE_THRESHOLD) continue;
+      candidates.push({ item, date: series[i].date, changePct, close: cur, prevClose: prev });
+    }
+  }
+  return candidates;
+}
+
+async function getMonthlyEvents(itemList, year, month) {
+  const { data } = await getMonthlyData(itemList, year, month);
+  const candidates = findEventCandidates(data, itemList).filter((c) => c.item.newsSymbol);
+
+  // newsSymbol별로 월 전체(±1일)를 한 번에 조회
+  const monthStart = formatYMD(new Date(year, month - 1, 1));
+  const monthEnd = formatYMD(new Date(year, month, 0));
+  const from = shiftYMD(monthStart, -1);
+  const to = shiftYMD(monthEnd, 1);
+  const newsBySymbol = {};
+  const failed = [];
+  for (const newsSymbol of new Set(candidates.map((c) => c.item.newsSymbol))) {
+    try {
+      newsBySymbol[newsSymbol] = await fetchNewsForSymbol(newsSymbol, from, to);
+    } catch (err) {
+      newsBySymbol[newsSymbol] = [];
+      failed.push({ name: newsSymbol, reason: err.message });
+    }
+  }
+
+  const events = {};
+  for (const c of candidates) {
+    const news = newsNearDate(newsBySymbol[c.item.newsSymbol] || [], c.date);
+    if (news.length === 0) continue;
+    const direction = c.changePct > 0 ? '상승' : '하락';
+    (events[c.date] = events[c.date] || []).push({
+      id: c.item.id,
+      name: c.item.name,
+      symbol: c.item.symbol,
+      unit: c.item.unit,
+      newsSymbol: c.item.newsSymbol,
+      close: c.close,
+      prevClose: c.prevClose,
+      changePct: Math.round(c.changePct * 100) / 100,
+      description: `${c.item.name} 전일 대비 ${Math.abs(c.changePct).toFixed(2)}% ${direction}`,
+      news: news.slice(0, NEWS_PER_EVENT)
+    });
+  }
+  for (const date of Object.keys(events)) {
+    events[date].sort((a, b) => Math.abs(b.changePct) - Math.abs(a.changePct));
+  }
+  return { events, failed };
+}
+
+// API: 월별 이벤트 (변동 3%+ 이면서 관련 뉴스가 있는 날만)
+app.get('/api/events/:year/:month', async (req, res) => {
+  try {
+    const vm = validateYearMonth(req.params.year, req.params.month);
+    if (!vm) {
+      return apiError(res, 400, '잘못된 날짜 범위', '년(2000~2100), 월(1~12)을 확인하세요');
+    }
+    if (!newsProvider.isConfigured()) {
+      return res.json({
+        success: true,
+        year: vm.year,
+        month: vm.month,
+        watchlist: req.watchlistId,
+        events: {},
+        notice: '뉴스 제공처가 설정되지 않아 이벤트를 표시할 수 없습니다 (FINNHUB_API_KEY 확인)'
+      });
+    }
+    const { events, failed } = await getMonthlyEvents(req.itemStore.list(), vm.year, vm.month);
+    res.json({
+      success: true,
+      watchlist: req.watchlistId,
+      year: vm.year,
+      month: vm.month,
+      events,
+      failed: failed.length > 0 ? failed : undefined
+    });
+  } catch (err) {
+    console.error('events API:', err);
+    apiError(res, 500, '이벤트 조회 중 오류 발생', err.message);
+  }
+});
+
+// API: 특정 날짜(±1일) 관련 뉴스 (newsSymbol별)
+app.get('/api/news/:date', async (req, res) => {
+  try {
+    const date = sanitizeDate(req.params.date);
+    if (!date) {
+      return apiError(res, 400, '잘못된 날짜', 'YYYY-MM-DD 형식으로 입력하세요');
+    }
+    if (!newsProvider.isConfigured()) {
+      return apiError(res, 400, '뉴스 제공처 미설정', 'FINNHUB_API_KEY를 확인하세요');
+    }
+    const bySymbol = new Map();
+    for (const item of req.itemStore.list()) {
+      if (!item.newsSymbol) continue;
+      if (!bySymbol.has(item.newsSymbol)) bySymbol.set(item.newsSymbol, []);
+      bySymbol.get(item.newsSymbol).push(item.id);
+    }
+    const news = [];
+    const failed = [];
+    for (const [newsSymbol, ids] of bySymbol) {
+      try {
+        const articles = newsNearDate(await fetchNewsForSymbol(newsSymbol, shiftYMD(date, -1), shiftYMD(date, 1)), date);
+        if (articles.length > 0) news.push({ newsSymbol, items: ids, articles });
+      } catch (err) {
+        failed.push({ name: newsSymbol, reason: err.message });
+      }
+    }
+    res.json({ success: true, date, news, failed: failed.length > 0 ? failed : undefined });
+  } catch (err) {
+    console.error('news API:', err);
+    apiError(res, 500, '뉴스 조회 중 오류 발생', err.message);
+  }
+});
+
+// 항목 목록 응답 (removed: 삭제된 기본 항목, 항목 관리 탭에서 다시 추가용)
+function describeItems(store) {
+  return {
+    items: store.list(),
+    categories: store.categories(),
+    removed: store.removedBaseItems().map(({ id, name, symbol, category }) => ({ id, name, symbol, category }))
+  };
+}
+
 // API: 심볼 목록 (오버라이드 반영)
 app.get('/api/symbols', (req, res) => {
-  res.json({ items: getEffectiveItems() });
+  res.json({ watchlist: req.watchlistId, ...describeItems(req.itemStore) });
+});
+
+// 통화 → 표시 단위 (지수 심볼은 pt)
+function detectUnit(symbol, currency) {
+  if (symbol.startsWith('^')) return 'pt';
+  if (currency === 'KRW') return '원';
+  return currency || '-';
+}
+
+function itemsResponse(req, res) {
+  res.json({ success: true, watchlist: req.watchlistId, ...describeItems(req.itemStore) });
+}
+
+// API: 항목 추가 (심볼은 제공처에서 검증, 단위 미입력 시 통화로 결정)
+app.post('/api/items', async (req, res) => {
+  try {
+    const { id, symbol, name, unit, newsSymbol, category, market } = req.body || {};
+    if (market && !getCalendar(market)) {
+      return res.status(400).json({ success: false, error: `거래소는 ${MARKET_IDS.join(', ')} 중 하나여야 합니다` });
+    }
+    if (id && items.some((i) => i.id === id)) {
+      await req.itemStore.add({ id, category });
+      return itemsResponse(req, res);
+    }
+    const sym = (symbol || '').trim();
+    if (!sym) {
+      return res.status(400).json({ success: false, error: '추가할 심볼을 입력하세요' });
+    }
+    const meta = await fetchSymbolMeta(sym);
+    const resolved = meta.symbol || sym;
+    await req.itemStore.add({
+      id,
+      symbol: resolved,
+      name: (name || meta.shortName || meta.longName || resolved).trim(),
+      unit: (unit || '').trim() || detectUnit(resolved, meta.currency),
+      newsSymbol,
+      category,
+      market: market || inferMarket(resolved)
+    });
+    itemsResponse(req, res);
+  } catch (err) {
+    console.error('items add API:', err);
+    res.status(400).json({ success: false, error: err.message || '추가에 실패했습니다' });
+  }
+});
+
+// API: 항목 순서 변경 (ids: 전체 항목 id)
+app.put('/api/items/order', async (req, res) => {
+  try {
+    await req.itemStore.reorder((req.body || {}).ids);
+    itemsResponse(req, res);
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 분류 목록/순서 변경
+app.put('/api/items/categories', async (req, res) => {
+  try {
+    await req.itemStore.setCategories((req.body || {}).categories);
+    itemsResponse(req, res);
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 항목 수정 (분류, 사용자 항목은 이름·단위·뉴스심볼)
+app.put('/api/items/:id', async (req, res) => {
+  try {
+    const { name, unit, newsSymbol, category, market } = req.body || {};
+    if (market && !getCalendar(market)) {
+      return res.status(400).json({ success: false, error: `거래소는 ${MARKET_IDS.join(', ')} 중 하나여야 합니다` });
+    }
+    await req.itemStore.update(req.params.id, { name, unit, newsSymbol, category, market });
+    itemsResponse(req, res);
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 항목 삭제 (기본 항목은 id로 다시 추가 가능)
+app.delete('/api/items/:id', async (req, res) => {
+  try {
+    await req.itemStore.remove(req.params.id);
+    itemsResponse(req, res);
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
 });
 
 // 한글 종목명 → Yahoo 검색용 영문/심볼 fallback (한글 검색 실패 시 재시도)
@@ -545,16 +1380,10 @@ async function translateKoToEn(text) {
   if (!t || !hasHangul(t)) return null;
   const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(t)}&langpair=ko|en`;
   try {
-    const html = await new Promise((resolve, reject) => {
-      const req = https.get(url, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; StockDashboard/1.0)' } }, (res) => {
-        let body = '';
-        res.on('data', (c) => { body += c; });
-        res.on('end', () => (res.statusCode === 200 ? resolve(body) : reject(new Error(`HTTP ${res.statusCode}`))));
-      });
-      req.on('error', reject);
-      req.setTimeout(6000, () => { req.destroy(); reject(new Error('TIMEOUT')); });
+    const json = await httpGetJson(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; StockDashboard/1.0)' },
+      timeout: 6000
     });
-    const json = JSON.parse(html);
     const translated = json?.responseData?.translatedText;
     if (translated && typeof translated === 'string') {
       const out = translated.trim();
@@ -588,54 +1417,21 @@ function getFallbackTerms(normalizedKey) {
   return out;
 }
 
-async function fetchYahooSearch(query) {
+// 기본 제공처 종목 검색
+async function fetchProviderSearch(query) {
   const q = (query || '').trim();
   if (!q) return [];
-  const url = `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(q)}&quotesCount=15&newsCount=0`;
-  const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-  const maxBody = 512 * 1024;
-  const html = await new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': ua } }, (res) => {
-      if (res.statusCode !== 200) {
-        res.resume();
-        return reject(new Error(`HTTP ${res.statusCode}`));
-      }
-      let body = '';
-      res.on('data', (chunk) => {
-        body += chunk;
-        if (body.length > maxBody) {
-          req.destroy();
-          reject(new Error('응답 크기 초과'));
-        }
-      });
-      res.on('end', () => resolve(body));
-    });
-    req.on('error', reject);
-    req.setTimeout(10000, () => { req.destroy(); reject(new Error('TIMEOUT')); });
-  });
-  let json;
-  try {
-    json = JSON.parse(html);
-  } catch {
-    return [];
-  }
-  const quotes = json?.quotes || [];
-  return quotes
-    .filter((x) => x.symbol && (x.shortname || x.longname))
-    .map((x) => ({
-      symbol: x.symbol,
-      name: (x.shortname || x.longname || x.symbol).trim(),
-      exchange: x.exchangeDisp || x.exchange || ''
-    }));
+  const provider = priceProviders.get();
+  return scheduleFetch(provider, `search:${q}`, () => provider.search(q));
 }
 
-// Yahoo Finance 종목 검색 (한글 입력 시 사전 fallback → 번역 후 영문 검색)
+// 종목 검색 (한글 입력 시 사전 fallback → 번역 후 영문 검색, 번역은 원격 제공처만)
 async function searchYahooSymbols(query) {
   const q = (query || '').trim();
   if (!q || q.length < 2) return [];
   let list = [];
   try {
-    list = await fetchYahooSearch(q);
+    list = await fetchProviderSearch(q);
   } catch (err) {
     console.warn('symbol search first try:', err.message);
   }
@@ -644,17 +1440,17 @@ async function searchYahooSymbols(query) {
   const fallbackTerms = getFallbackTerms(key);
   for (const term of fallbackTerms) {
     try {
-      list = await fetchYahooSearch(term);
+      list = await fetchProviderSearch(term);
       if (list.length > 0) return list;
     } catch (e) {
       console.warn('symbol search fallback:', term, e.message);
     }
   }
-  if (hasHangul(q)) {
+  if (hasHangul(q) && priceProviders.defaultName !== 'local') {
     const translated = await translateKoToEn(q);
     if (translated) {
       try {
-        list = await fetchYahooSearch(translated);
+        list = await fetchProviderSearch(translated);
         if (list.length > 0) return list;
       } catch (e) {
         console.warn('symbol search after translate:', e.message);
@@ -680,14 +1476,14 @@ app.get('/api/symbols/search', async (req, res) => {
   }
 });
 
-// API: 심볼 검증 (Yahoo 존재 여부 + 종목 정보)
+// API: 심볼 검증 (제공처 존재 여부 + 종목 정보)
 app.get('/api/symbols/validate', async (req, res) => {
   try {
     const symbol = (req.query.symbol || '').trim().toUpperCase();
     if (!symbol) {
       return res.status(400).json({ success: false, valid: false, error: '심볼을 입력하세요' });
     }
-    const meta = await fetchYahooChartMeta(symbol);
+    const meta = await fetchSymbolMeta(symbol);
     res.json({
       success: true,
       valid: true,
@@ -711,15 +1507,20 @@ app.post('/api/symbols/override', async (req, res) => {
     if (!id || !sym) {
       return res.status(400).json({ success: false, error: '항목 id와 변경할 심볼을 입력하세요' });
     }
-    const base = items.find((i) => i.id === id);
-    if (!base) {
+    const current = req.itemStore.list().find((i) => i.id === id);
+    if (!current) {
       return res.status(400).json({ success: false, error: '존재하지 않는 항목입니다' });
     }
-    const meta = await fetchYahooChartMeta(sym);
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    symbolOverrides[id] = { symbol: meta.symbol || sym, name: (newName || meta.shortName || meta.longName || sym).trim() };
-    await fs.writeFile(OVERRIDES_FILE, JSON.stringify(symbolOverrides, null, 2), 'utf8');
-    res.json({ success: true, items: getEffectiveItems() });
+    const meta = await fetchSymbolMeta(sym, current.provider);
+    const resolvedName = (newName || meta.shortName || meta.longName || sym).trim();
+    const market = inferMarket(meta.symbol || sym);
+    if (current.custom) {
+      // 사용자 항목은 정의 자체를 변경
+      await req.itemStore.update(id, { symbol: meta.symbol || sym, name: resolvedName, market });
+    } else {
+      await req.itemStore.setOverride(id, { symbol: meta.symbol || sym, name: resolvedName, market });
+    }
+    itemsResponse(req, res);
   } catch (err) {
     console.error('override API:', err);
     res.status(400).json({ success: false, error: err.message || '변경에 실패했습니다' });
@@ -729,30 +1530,489 @@ app.post('/api/symbols/override', async (req, res) => {
 // API: 항목 오버라이드 제거 (원래 종목으로 복원)
 app.delete('/api/symbols/override/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    if (!items.some((i) => i.id === id)) {
-      return res.status(400).json({ success: false, error: '존재하지 않는 항목입니다' });
+    await req.itemStore.clearOverride(req.params.id);
+    itemsResponse(req, res);
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 관심 목록 (팀원별 대시보드, 목록마다 항목·분류·심볼 변경이 독립)
+app.get('/api/watchlists', (req, res) => {
+  res.json({ success: true, defaultId: DEFAULT_WATCHLIST_ID, watchlists: watchlists.list() });
+});
+
+// API: 관심 목록 생성 ({ name, id?, from? } from: 복사할 목록 id, 없으면 기본 항목으로 시작)
+app.post('/api/watchlists', async (req, res) => {
+  try {
+    const { id, name, from } = req.body || {};
+    const created = await watchlists.create({ id, name, from });
+    res.json({ success: true, watchlist: created, watchlists: watchlists.list() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 관심 목록 이름 변경
+app.put('/api/watchlists/:id', async (req, res) => {
+  try {
+    await watchlists.rename(req.params.id, (req.body || {}).name);
+    res.json({ success: true, watchlists: watchlists.list() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 관심 목록 삭제 (기본 목록은 삭제 불가)
+app.delete('/api/watchlists/:id', async (req, res) => {
+  try {
+    await watchlists.remove(req.params.id);
+    await alertStore.removeWatchlist(req.params.id);
+    await portfolioStore.removeWatchlist(req.params.id);
+    res.json({ success: true, watchlists: watchlists.list() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// 규칙 + 항목 이름 (삭제된 항목은 itemName null)
+function describeRules(req) {
+  const itemList = req.itemStore.list();
+  return alertStore.listRules(req.watchlistId).map((r) => {
+    const item = itemList.find((i) => i.id === r.itemId);
+    return { ...r, itemName: item ? item.name : null, typeLabel: RULE_TYPES[r.type] ? RULE_TYPES[r.type].label : r.type };
+  });
+}
+
+// API: 알림 규칙 목록 (현재 관심 목록)
+app.get('/api/alerts/rules', (req, res) => {
+  const types = Object.entries(RULE_TYPES).map(([type, def]) => ({ type, label: def.label }));
+  res.json({ success: true, watchlist: req.watchlistId, types, rules: describeRules(req) });
+});
+
+// 규칙 채널 검증 (없는 채널 id면 메시지 반환)
+function findUnknownChannel(channels) {
+  if (channels == null) return null;
+  if (!Array.isArray(channels)) return '채널 목록 형식이 잘못되었습니다';
+  const unknown = channels.find((c) => !channelStore.has(c));
+  return unknown ? `존재하지 않는 채널입니다: ${unknown}` : null;
+}
+
+// API: 알림 규칙 추가 ({ itemId, type, params, channels? })
+// price_cross { level, direction: above|below } / drop_from_high { pct, days=20 } / rsi2_below { threshold=10 } / consec_down { days=2 }
+app.post('/api/alerts/rules', async (req, res) => {
+  try {
+    const { itemId, type, params, channels } = req.body || {};
+    if (!req.itemStore.has(itemId)) {
+      return res.status(400).json({ success: false, error: '관심 목록에 없는 항목입니다' });
+    }
+    const channelError = findUnknownChannel(channels);
+    if (channelError) return res.status(400).json({ success: false, error: channelError });
+    await alertStore.addRule({ watchlist: req.watchlistId, itemId, type, params, channels });
+    res.json({ success: true, rules: describeRules(req) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 알림 규칙 수정 ({ enabled?, params?, channels? })
+app.put('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    const { enabled, params, channels } = req.body || {};
+    const channelError = findUnknownChannel(channels);
+    if (channelError) return res.status(400).json({ success: false, error: channelError });
+    await alertStore.updateRule(req.params.id, req.watchlistId, { enabled, params, channels });
+    res.json({ success: true, rules: describeRules(req) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    await alertStore.removeRule(req.params.id, req.watchlistId);
+    res.json({ success: true, rules: describeRules(req) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 알림 이력 (?unread=1 안 읽은 것만, ?limit=N 최대 500)
+app.get('/api/alerts', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  res.json({
+    success: true,
+    watchlist: req.watchlistId,
+    unreadCount: alertStore.unreadCount(req.watchlistId),
+    alerts: alertStore.listHistory(req.watchlistId, { unreadOnly: req.query.unread === '1', limit })
+  });
+});
+
+// API: 읽음 처리 ({ ids? } 미지정 시 전체)
+app.post('/api/alerts/read', async (req, res) => {
+  try {
+    await alertStore.markRead(req.watchlistId, (req.body || {}).ids);
+    res.json({ success: true, unreadCount: alertStore.unreadCount(req.watchlistId) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 지금 확인 - 규칙이 걸린 항목의 최근 데이터를 갱신한 뒤 판정
+app.post('/api/alerts/evaluate', async (req, res) => {
+  try {
+    const rules = alertStore.listRules(req.watchlistId).filter((r) => r.enabled);
+    const ruleItemIds = new Set(rules.map((r) => r.itemId));
+    const targets = req.itemStore.list().filter((i) => ruleItemIds.has(i.id));
+    const lookbackDays = Math.max(30, ...rules.map(lookbackCalendarDays));
+    const today = formatYMD(new Date());
+    // 조회 중 갱신된 시계열은 fetchAllSeries에서 이미 판정 → 그 결과와 나머지 판정 결과를 합쳐 이 관심 목록 알림 수 반환
+    const { failed, alerts } = await fetchAllSeries(targets, shiftYMD(today, -lookbackDays), today);
+    const added = [...alerts, ...(await evaluateAlerts(new Set(targets.map(seriesKey))))]
+      .filter((a) => a.watchlist === req.watchlistId);
+    res.json({
+      success: true,
+      added: added.length,
+      unreadCount: alertStore.unreadCount(req.watchlistId),
+      failed: failed.length > 0 ? failed : undefined
+    });
+  } catch (err) {
+    console.error('alerts evaluate API:', err);
+    apiError(res, 500, '알림 확인 중 오류 발생', err.message);
+  }
+});
+
+// API: 알림 채널 (웹훅/메일, 모든 관심 목록 공용. .env 채널은 읽기 전용, 비밀번호는 가림)
+app.get('/api/channels', (req, res) => {
+  res.json({ success: true, types: CHANNEL_TYPES, channels: channelStore.list() });
+});
+
+// API: 채널 추가
+// webhook { name, type, url, format: json|slack|teams } / email { name, type, host, port, secure, user, pass, from, to }
+app.post('/api/channels', async (req, res) => {
+  try {
+    await channelStore.add(req.body || {});
+    res.json({ success: true, channels: channelStore.list() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/channels/:id', async (req, res) => {
+  try {
+    await channelStore.update(req.params.id, req.body || {});
+    res.json({ success: true, channels: channelStore.list() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/channels/:id', async (req, res) => {
+  try {
+    await channelStore.remove(req.params.id);
+    await alertStore.removeChannel(req.params.id);
+    res.json({ success: true, channels: channelStore.list() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// API: 채널 테스트 전송 (재시도 없이 1회)
+app.post('/api/channels/:id/test', async (req, res) => {
+  try {
+    await notifier.sendTest(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    apiError(res, 400, '테스트 전송 실패', err.message);
+  }
+});
+
+// ---------- 포트폴리오 (거래 내역 + 원화 기준 평가) ----------
+// USD·EUR 항목은 표시 통화 환산(KRW)으로 평가: 거래 원화 금액은 거래일(이전 포함 마지막) 환율, 평가금액은 최근 종가 × 최근 환율
+const portfolioStore = createPortfolioStore({ file: PORTFOLIO_FILE });
+
+const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+
+// 거래일 원화 환율: 원화 항목 1, 환산 항목은 거래일 이전(포함) 마지막 일봉의 fx (그 전 일봉이 없으면 첫 일봉)
+function createRateLookup(itemList, results, conversions) {
+  return (tx) => {
+    const item = itemList.find((i) => i.id === tx.itemId);
+    if (!item) return null;
+    if (itemCurrency(item) === 'KRW') return 1;
+    if (!conversions[item.id]) return null;
+    const bars = results[item.id] || [];
+    let rate = null;
+    for (const b of bars) {
+      if (b.fx == null) continue;
+      if (b.date > tx.date && rate != null) break;
+      rate = b.fx;
+      if (b.date >= tx.date) break;
     }
-    delete symbolOverrides[id];
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    await fs.writeFile(OVERRIDES_FILE, JSON.stringify(symbolOverrides, null, 2), 'utf8');
-    res.json({ success: true, items: getEffectiveItems() });
+    return rate;
+  };
+}
+
+async function buildPortfolio(req) {
+  const transactions = sortTransactions(portfolioStore.list(req.watchlistId));
+  if (transactions.length === 0) {
+    return { transactions, positions: [], summary: null, history: null, items: [], failed: [] };
+  }
+  const itemList = req.itemStore.list();
+  const heldIds = [...new Set(transactions.map((t) => t.itemId))];
+  const held = itemList.filter((i) => heldIds.includes(i.id));
+  const firstDate = transactions[0].date;
+  const today = formatYMD(new Date());
+  // 첫 거래일 이전 환율·종가가 필요하므로 앞 구간을 조금 더 조회
+  const { results, failed, conversions } = await fetchAllSeries(held, shiftYMD(firstDate, -10), today, { currency: 'KRW' });
+  const rateOf = createRateLookup(itemList, results, conversions);
+
+  const positions = computePositions(transactions, rateOf).map((p) => {
+    const item = held.find((i) => i.id === p.itemId);
+    const bars = (results[p.itemId] || []).filter((b) => b.close != null);
+    const last = bars[bars.length - 1];
+    const marketValue = last ? p.quantity * last.close : NaN;
+    const costKrw = finiteOrNull(p.costKrw);
+    const unrealized = finiteOrNull(marketValue - p.costKrw);
+    return {
+      itemId: p.itemId,
+      name: item ? item.name : null,
+      unit: item ? item.unit : null,
+      quantity: p.quantity,
+      avgCost: p.avgCost,
+      cost: p.cost,
+      realized: p.realized,
+      fees: p.fees,
+      lastDate: last ? last.date : null,
+      lastPrice: last ? (last.raw ? last.raw.close : last.close) : null,
+      lastRate: last ? (last.fx != null ? last.fx : 1) : null,
+      marketValue: finiteOrNull(marketValue),
+      costKrw,
+      unrealized,
+      unrealizedPct: unrealized != null && costKrw > 0 ? (unrealized / costKrw) * 100 : null,
+      realizedKrw: finiteOrNull(p.realizedKrw)
+    };
+  });
+  const sum = (key) => positions.reduce((acc, p) => acc + (p[key] || 0), 0);
+  const summary = {
+    marketValue: sum('marketValue'),
+    cost: sum('costKrw'),
+    unrealized: sum('unrealized'),
+    realized: sum('realizedKrw')
+  };
+  summary.unrealizedPct = summary.cost > 0 ? (summary.unrealized / summary.cost) * 100 : null;
+  summary.totalPnl = summary.unrealized + summary.realized;
+  for (const p of positions) p.weightPct = p.marketValue > 0 && summary.marketValue > 0 ? (p.marketValue / summary.marketValue) * 100 : 0;
+
+  // 평가금액 추이: 보유 항목 날짜 합집합 (휴장일은 직전 종가), 첫 거래일부터
+  const barsById = {};
+  for (const item of held) barsById[item.id] = (results[item.id] || []).filter((b) => b.date >= firstDate);
+  const { dates, closes } = alignCloses(barsById);
+  const timeline = holdingsTimeline(transactions, dates, rateOf);
+  const value = dates.map((d, k) => heldIds.reduce((acc, id) => {
+    const qty = timeline.quantities[id][k];
+    const close = closes[id] ? closes[id][k] : null;
+    return qty > 0 && close != null ? acc + qty * close : acc;
+  }, 0));
+  const history = {
+    dates,
+    value: roundSeries(value),
+    cost: roundSeries(timeline.costKrw.map(finiteOrNull)),
+    pnl: roundSeries(value.map((v, k) => finiteOrNull(v - timeline.costKrw[k] + timeline.realizedKrw[k])))
+  };
+  return { transactions, positions, summary, history, items: displayItems(held, conversions), failed };
+}
+
+async function portfolioResponse(req, res) {
+  const { failed, ...portfolio } = await buildPortfolio(req);
+  res.json({
+    success: true,
+    watchlist: req.watchlistId,
+    currency: 'KRW',
+    ...portfolio,
+    failed: failed.length > 0 ? failed : undefined
+  });
+}
+
+// API: 포트폴리오 (거래 내역, 항목별 포지션, 원화 합계, 평가금액 추이)
+app.get('/api/portfolio', async (req, res) => {
+  try {
+    await portfolioResponse(req, res);
+  } catch (err) {
+    console.error('portfolio API:', err);
+    apiError(res, 500, '포트폴리오 조회 실패', err.message);
+  }
+});
+
+// API: 거래 추가 ({ itemId, side: buy|sell, quantity, price, fee?, date, memo? }, 단가·수수료는 항목 통화)
+app.post('/api/portfolio/transactions', async (req, res) => {
+  const body = req.body || {};
+  const item = req.itemStore.list().find((i) => i.id === body.itemId);
+  if (!item) {
+    return res.status(400).json({ success: false, error: '관심 목록에 없는 항목입니다' });
+  }
+  if (!itemCurrency(item)) {
+    return res.status(400).json({ success: false, error: '통화 단위가 없는 항목(지수·금리·환율)은 보유 항목으로 기록할 수 없습니다' });
+  }
+  if (typeof body.date === 'string' && body.date > formatYMD(new Date())) {
+    return res.status(400).json({ success: false, error: '미래 날짜 거래는 기록할 수 없습니다' });
+  }
+  try {
+    await portfolioStore.add(req.watchlistId, body);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  try {
+    await portfolioResponse(req, res);
+  } catch (err) {
+    console.error('portfolio API:', err);
+    apiError(res, 500, '포트폴리오 조회 실패', err.message);
+  }
+});
+
+// API: 거래 삭제 (삭제 후 매도 수량이 보유 수량보다 많아지면 400)
+app.delete('/api/portfolio/transactions/:id', async (req, res) => {
+  try {
+    await portfolioStore.remove(req.params.id, req.watchlistId);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  try {
+    await portfolioResponse(req, res);
   } catch (err) {
-    console.error('override delete API:', err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error('portfolio API:', err);
+    apiError(res, 500, '포트폴리오 조회 실패', err.message);
   }
 });
 
+// ---------- 백그라운드 갱신 (시장 마감 후 당월 데이터) ----------
+// 화면 요청 때 제공처를 기다리지 않도록 거래일 종가 확정 시각(마감 + settleMinutes)에 해당 시장 항목의 당월을 갱신
+// 휴장일은 거래소 캘린더로 건너뜀. 모든 관심 목록의 항목 대상, 같은 시계열(제공처+심볼)은 한 번만
+async function itemsForMarket(marketId) {
+  const byKey = new Map();
+  for (const { id } of watchlists.list()) {
+    const store = await watchlists.get(id);
+    for (const item of store ? store.list() : []) {
+      if (marketOf(item) === marketId && !byKey.has(seriesKey(item))) byKey.set(seriesKey(item), item);
+    }
+  }
+  return [...byKey.values()];
+}
+
+// 시장 현지 날짜 기준 당월 갱신
+// 예약·기동 시: 빠진 구간 + 새로 확정된 날짜만 조회 / 수동: 월 전체 재조회
+async function refreshMarket(market, reason) {
+  const itemList = await itemsForMarket(market.id);
+  const [y, m] = marketToday(market.id).split('-').map(Number);
+  const { failed } = await getMonthlyData(itemList, y, m, { forceRefresh: reason === 'manual' });
+  if (failed.length > 0) console.warn(`[${market.name}] 갱신 실패 ${failed.length}건:`, failed.map((f) => f.name).join(', '));
+  return { year: y, month: m, items: itemList.length, failed };
+}
+
+function addMinutes(hhmm, minutes) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const total = h * 60 + m + minutes;
+  return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+const scheduler = createScheduler({
+  jobs: Object.values(MARKETS).map((market) => ({
+    id: `refresh_${market.id}`,
+    name: `${market.name} 마감 후 갱신`,
+    timeZone: market.timeZone,
+    time: addMinutes(market.close, market.settleMinutes),
+    next: (now) => nextSettleAt(market.id, now),
+    run: (reason) => refreshMarket(market, reason)
+  }))
+});
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+
+// API: 백그라운드 작업 상태
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    success: true,
+    enabled: SCHEDULER_ENABLED,
+    jobs: scheduler.status(),
+    fetch: fetchScheduler.status(),
+    live: LIVE_ENABLED ? liveQuotes.status() : undefined
+  });
+});
+
+// API: 작업 즉시 실행 (완료를 기다리지 않음, 실행 중이면 started: false)
+app.post('/api/jobs/:id/run', (req, res) => {
+  if (!scheduler.has(req.params.id)) return apiError(res, 400, '존재하지 않는 작업입니다');
+  const job = scheduler.status().find((j) => j.id === req.params.id);
+  if (!job.running) scheduler.runNow(job.id, 'manual');
+  res.json({ success: true, started: !job.running, jobs: scheduler.status() });
+});
+
+// ---------- 장중 실시간 시세 (SSE) ----------
+// 브라우저가 /api/live를 구독하는 동안 해당 관심 목록 항목의 최신 시세를 제공처 interval(1m/5m) 주기로 조회해 푸시
+// 정규장 중인 시장 항목만 다시 조회 (거래소 캘린더), 일봉 저장소에는 쓰지 않음 (종가 확정 후 백그라운드 갱신이 반영)
+const LIVE_INTERVALS = { '1m': 60 * 1000, '5m': 5 * 60 * 1000 };
+const LIVE_INTERVAL = LIVE_INTERVALS[process.env.LIVE_INTERVAL] ? process.env.LIVE_INTERVAL : '1m';
+// 조회 주기는 기본 interval과 같고 LIVE_POLL_SECONDS(최소 5초)로 변경 가능
+const LIVE_POLL_SECONDS = Number(process.env.LIVE_POLL_SECONDS);
+const LIVE_POLL_MS = LIVE_POLL_SECONDS > 0 ? Math.max(5, LIVE_POLL_SECONDS) * 1000 : LIVE_INTERVALS[LIVE_INTERVAL];
+const LIVE_ENABLED = process.env.LIVE_QUOTES_ENABLED !== 'false';
+const LIVE_HEARTBEAT_MS = 25 * 1000; // 프록시 유휴 연결 종료 방지
+
+const liveQuotes = createLiveQuotes({
+  resolveItems: async (watchlistId) => {
+    const store = await watchlists.get(watchlistId);
+    return store ? store.list() : null;
+  },
+  keyOf: seriesKey,
+  fetchQuote: async (item) => {
+    if (!isSymbolAllowed(item.symbol)) throw new Error(`허용되지 않은 심볼: ${item.symbol}`);
+    const provider = priceProviders.get(item.provider);
+    return scheduleFetch(provider, `quote:${item.symbol}:${LIVE_INTERVAL}`, () => provider.fetchQuote(item.symbol, LIVE_INTERVAL));
+  },
+  isOpen: (item, now) => isSessionOpen(marketOf(item), now),
+  pollMs: LIVE_POLL_MS
+});
+
+// API: 실시간 시세 구독 (text/event-stream, ?watchlist=)
+// event: snapshot { quotes, pollSeconds } (구독 직후 받아 둔 시세), quote { id, symbol, price, previousClose, changePct, time, date, marketOpen }
+app.get('/api/live', (req, res) => {
+  if (!LIVE_ENABLED) return apiError(res, 400, '실시간 시세 사용 안 함', 'LIVE_QUOTES_ENABLED=false');
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 10000\n\n');
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const unsubscribe = liveQuotes.subscribe(req.watchlistId, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 async function start() {
-  await loadDailyCacheFromFile();
-  await loadSymbolOverrides();
+  await watchlists.load();
+  await watchlists.get(DEFAULT_WATCHLIST_ID);
+  await alertStore.load();
+  await portfolioStore.load();
+  await channelStore.load();
+  await actionStore.load();
+  await loadNewsCacheFromFile();
   app.listen(PORT, () => {
     console.log(`서버 실행: http://localhost:${PORT}`);
   });
+  if (SCHEDULER_ENABLED) {
+    scheduler.start();
+    // 서버가 꺼져 있던 동안 빠진 구간을 미리 채움 (시장별 순서대로, 첫 화면 대기 방지)
+    (async () => {
+      for (const job of scheduler.status()) await scheduler.runNow(job.id, 'startup');
+    })();
+  }
 }
 
 start().catch((err) => {
@@ -0,0 +1,58 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// 배당·분할 이력 저장소 (data/corporate-actions.json)
+// { "<provider>:<symbol>": { dividends: [{ date, amount }], splits: [{ date, numerator, denominator }] } }
+// 일봉 조회와 같은 구간 단위로 병합 (시계열 저장소 coverage 안의 이력은 항상 일봉과 같은 시점에 받은 값)
+function createActionStore({ file }) {
+  let state = {};
+  let saveScheduled = false;
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (parsed && typeof parsed === 'object') state = parsed;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('배당·분할 저장소 로드 실패:', e.message);
+    }
+  }
+
+  function scheduleSave() {
+    if (saveScheduled) return;
+    saveScheduled = true;
+    setImmediate(async () => {
+      saveScheduled = false;
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(state), 'utf8');
+      } catch (e) {
+        console.warn('배당·분할 저장 실패:', e.message);
+      }
+    });
+  }
+
+  // key: "<provider>:<symbol>" → 저장된 이력 (없으면 null)
+  function get(key) {
+    return state[key] || null;
+  }
+
+  // from~to 조회 결과로 그 구간 이력 교체 (같은 날짜 배당이 여러 번이면 그대로 유지)
+  // 반환: 저장된 이력에 없던 분할 목록 (날짜 오름차순)
+  function merge(key, from, to, { dividends, splits }) {
+    const prev = state[key];
+    if (!prev && dividends.length === 0 && splits.length === 0) return [];
+    const outside = (e) => e.date < from || e.date > to;
+    const byDate = (a, b) => a.date.localeCompare(b.date);
+    const known = new Set((prev ? prev.splits : []).map((s) => s.date));
+    state[key] = {
+      dividends: [...(prev ? prev.dividends.filter(outside) : []), ...dividends].sort(byDate),
+      splits: [...(prev ? prev.splits.filter(outside) : []), ...splits].sort(byDate)
+    };
+    scheduleSave();
+    return splits.filter((s) => !known.has(s.date));
+  }
+
+  return { load, get, merge };
+}
+
+module.exports = { createActionStore };
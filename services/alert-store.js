@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeRuleParams } = require('../utils/alert-rules');
+
+// 알림 규칙 + 발생 이력 (data/alerts.json)
+// { nextId, rules: [{ id, watchlist, itemId, type, params, channels, enabled, createdAt }],
+//   history: [{ id, ruleId, watchlist, itemId, itemName, symbol, type, date, close, value, message, createdAt, read, deliveries }] }
+// 같은 규칙은 일봉 날짜당 한 번만 기록, 이력은 최근 maxHistory건 유지
+// deliveries: [{ channel, status: pending|sent|failed, attempts, error, updatedAt }] (외부 채널 전송 상태)
+const MAX_RULES = 200;
+
+function createAlertStore({ file, maxHistory = 500 }) {
+  let state = { nextId: 1, rules: [], history: [] };
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (parsed && Array.isArray(parsed.rules) && Array.isArray(parsed.history)) {
+        state = { nextId: parsed.nextId || 1, rules: parsed.rules, history: parsed.history };
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('알림 저장소 로드 실패:', e.message);
+    }
+  }
+
+  // 전송 상태 갱신이 동시에 일어나므로 파일 쓰기는 순서대로
+  let saving = Promise.resolve();
+  function save() {
+    saving = saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(state, null, 2), 'utf8');
+    });
+    return saving;
+  }
+
+  const nextId = (prefix) => `${prefix}${state.nextId++}`;
+
+  function getRule(id) {
+    const rule = state.rules.find((r) => r.id === id);
+    return rule ? { ...rule } : null;
+  }
+
+  function listRules(watchlist) {
+    return state.rules.filter((r) => !watchlist || r.watchlist === watchlist).map((r) => ({ ...r }));
+  }
+
+  function enabledRules() {
+    return state.rules.filter((r) => r.enabled);
+  }
+
+  const normalizeChannels = (channels) => (Array.isArray(channels) ? [...new Set(channels.filter((c) => typeof c === 'string'))] : []);
+
+  async function addRule({ watchlist, itemId, type, params, channels }) {
+    if (state.rules.length >= MAX_RULES) throw new Error(`알림 규칙은 최대 ${MAX_RULES}개까지 만들 수 있습니다`);
+    if (!itemId) throw new Error('항목을 선택하세요');
+    const rule = {
+      id: nextId('r'),
+      watchlist,
+      itemId,
+      type,
+      params: normalizeRuleParams(type, params),
+      channels: normalizeChannels(channels),
+      enabled: true,
+      createdAt: new Date().toISOString()
+    };
+    state.rules.push(rule);
+    await save();
+    return { ...rule };
+  }
+
+  async function updateRule(id, watchlist, patch) {
+    const rule = state.rules.find((r) => r.id === id && r.watchlist === watchlist);
+    if (!rule) throw new Error('존재하지 않는 알림 규칙입니다');
+    if (patch.params != null) rule.params = normalizeRuleParams(rule.type, patch.params);
+    if (typeof patch.enabled === 'boolean') rule.enabled = patch.enabled;
+    if (patch.channels != null) rule.channels = normalizeChannels(patch.channels);
+    await save();
+    return { ...rule };
+  }
+
+  async function removeRule(id, watchlist) {
+    const before = state.rules.length;
+    state.rules = state.rules.filter((r) => !(r.id === id && r.watchlist === watchlist));
+    if (state.rules.length === before) throw new Error('존재하지 않는 알림 규칙입니다');
+    await save();
+  }
+
+  // 관심 목록 삭제 시 해당 목록의 규칙·이력 정리
+  async function removeWatchlist(watchlist) {
+    state.rules = state.rules.filter((r) => r.watchlist !== watchlist);
+    state.history = state.history.filter((h) => h.watchlist !== watchlist);
+    await save();
+  }
+
+  // 발생 기록 (규칙+날짜 중복이면 무시). 새로 기록한 항목만 반환
+  async function record(events) {
+    const added = [];
+    for (const ev of events) {
+      if (state.history.some((h) => h.ruleId === ev.ruleId && h.date === ev.date)) continue;
+      const entry = { id: nextId('a'), ...ev, createdAt: new Date().toISOString(), read: false };
+      state.history.unshift(entry);
+      added.push({ ...entry });
+    }
+    if (added.length === 0) return added;
+    state.history = state.history.slice(0, maxHistory);
+    await save();
+    return added;
+  }
+
+  function listHistory(watchlist, { unreadOnly = false, limit = 100 } = {}) {
+    return state.history
+      .filter((h) => h.watchlist === watchlist && (!unreadOnly || !h.read))
+      .slice(0, limit)
+      .map((h) => ({ ...h }));
+  }
+
+  function unreadCount(watchlist) {
+    return state.history.filter((h) => h.watchlist === watchlist && !h.read).length;
+  }
+
+  // 채널 전송 상태 기록 (이력에서 밀려난 알림이면 무시)
+  async function setDelivery(alertId, channel, patch) {
+    const entry = state.history.find((h) => h.id === alertId);
+    if (!entry) return;
+    entry.deliveries = entry.deliveries || [];
+    let d = entry.deliveries.find((x) => x.channel === channel);
+    if (!d) {
+      d = { channel, status: 'pending', attempts: 0, error: null };
+      entry.deliveries.push(d);
+    }
+    Object.assign(d, patch, { updatedAt: new Date().toISOString() });
+    await save();
+  }
+
+  // 채널 삭제 시 규칙에서 제거
+  async function removeChannel(channel) {
+    for (const r of state.rules) {
+      if (Array.isArray(r.channels)) r.channels = r.channels.filter((c) => c !== channel);
+    }
+    await save();
+  }
+
+  // ids 미지정 시 해당 목록 전체 읽음 처리
+  async function markRead(watchlist, ids) {
+    const idSet = Array.isArray(ids) ? new Set(ids) : null;
+    for (const h of state.history) {
+      if (h.watchlist === watchlist && (!idSet || idSet.has(h.id))) h.read = true;
+    }
+    await save();
+  }
+
+  return {
+    load, getRule, listRules, enabledRules, addRule, updateRule, removeRule, removeWatchlist, removeChannel,
+    record, listHistory, unreadCount, markRead, setDelivery
+  };
+}
+
+module.exports = { createAlertStore };
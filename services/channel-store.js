@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createChannel } = require('../providers/notify');
+const { FORMATS } = require('../providers/notify/webhook');
+const { hasLineBreak } = require('../providers/notify/smtp');
+
+// 알림 채널 설정 (data/channels.json: { channels: [...] }) + .env 채널(읽기 전용)
+// webhook: { id, name, type, url, format } / email: { id, name, type, host, port, secure, user, pass, from, to }
+const ID_REGEX = /^[a-z0-9_-]{1,30}$/;
+const MAX_CHANNELS = 20;
+
+const str = (val, max) => (typeof val === 'string' ? val.trim().slice(0, max) : '');
+
+// 입력 → 저장 형식 (유형별 필드만, createChannel로 검증)
+function normalizeConfig(type, input, existing = {}) {
+  let config;
+  if (type === 'webhook') {
+    config = { type, url: str(input.url, 500), format: FORMATS.includes(input.format) ? input.format : 'json' };
+  } else if (type === 'email') {
+    // 주소 형식(local@domain)은 createChannel에서 검증
+    const broken = ['host', 'user', 'from', 'to'].find((field) => hasLineBreak(input[field]));
+    if (broken) throw new Error(`${broken}에 줄바꿈 문자를 쓸 수 없습니다`);
+    config = {
+      type,
+      host: str(input.host, 200),
+      port: parseInt(input.port, 10) || null,
+      secure: input.secure === true || input.secure === 'true',
+      user: str(input.user, 200),
+      // 비밀번호 미입력 시 기존 값 유지 (목록 조회 시 가려서 내려가므로)
+      pass: typeof input.pass === 'string' && input.pass !== '' ? input.pass : (existing.pass || ''),
+      from: str(input.from, 200),
+      to: str(input.to, 1000)
+    };
+  } else {
+    throw new Error(`알 수 없는 채널 유형입니다: ${type}`);
+  }
+  createChannel(config);
+  return config;
+}
+
+// 응답용 (비밀번호 가림)
+function toPublic(channel, readonly) {
+  const { pass, ...rest } = channel;
+  return { ...rest, hasPassword: !!pass, readonly };
+}
+
+function createChannelStore({ file, envChannels = [] }) {
+  let channels = [];
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (parsed && Array.isArray(parsed.channels)) channels = parsed.channels.filter((c) => c && ID_REGEX.test(c.id));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('알림 채널 로드 실패:', e.message);
+    }
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ channels }, null, 2), 'utf8');
+  }
+
+  const isEnv = (id) => envChannels.some((c) => c.id === id);
+
+  function get(id) {
+    return envChannels.find((c) => c.id === id) || channels.find((c) => c.id === id) || null;
+  }
+
+  function has(id) {
+    return !!get(id);
+  }
+
+  function list() {
+    return [...envChannels.map((c) => toPublic(c, true)), ...channels.map((c) => toPublic(c, false))];
+  }
+
+  async function add(input) {
+    if (channels.length >= MAX_CHANNELS) throw new Error(`채널은 최대 ${MAX_CHANNELS}개까지 만들 수 있습니다`);
+    const name = str(input.name, 40);
+    if (!name) throw new Error('채널 이름을 입력하세요');
+    const config = normalizeConfig(input.type, input);
+    let n = channels.length + 1;
+    while (has(`ch${n}`)) n++;
+    const channel = { id: `ch${n}`, name, ...config };
+    channels.push(channel);
+    await save();
+    return toPublic(channel, false);
+  }
+
+  async function update(id, input) {
+    if (isEnv(id)) throw new Error('.env 채널은 .env 파일에서 수정하세요');
+    const idx = channels.findIndex((c) => c.id === id);
+    if (idx < 0) throw new Error('존재하지 않는 채널입니다');
+    const current = channels[idx];
+    const name = str(input.name, 40) || current.name;
+    channels[idx] = { id, name, ...normalizeConfig(current.type, { ...current, ...input }, current) };
+    await save();
+    return toPublic(channels[idx], false);
+  }
+
+  async function remove(id) {
+    if (isEnv(id)) throw new Error('.env 채널은 삭제할 수 없습니다');
+    const before = channels.length;
+    channels = channels.filter((c) => c.id !== id);
+    if (channels.length === before) throw new Error('존재하지 않는 채널입니다');
+    await save();
+  }
+
+  // 전송 가능한 채널 객체 (설정 오류면 throw)
+  function open(id) {
+    const config = get(id);
+    if (!config) throw new Error(`존재하지 않는 채널입니다: ${id}`);
+    return createChannel(config);
+  }
+
+  return { load, list, has, get, add, update, remove, open };
+}
+
+module.exports = { createChannelStore };
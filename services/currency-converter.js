@@ -0,0 +1,99 @@
+const { shiftYMD } = require('../utils/dates');
+
+// 표시 통화 변환 (항목 통화 → KRW/USD)
+// 날짜별 환율은 그 날짜 이전(포함) 마지막 환율 종가 (한국·미국 휴장일이 달라도 같은 날짜 기준)
+// 변환된 일봉: { ...bar, open/high/low/close 변환값, fx: 적용 환율, raw: { open, high, low, close } 원래 값 }
+// 수정 종가(adjClose)·총수익 지수(totalReturn)도 같은 환율로 변환, 배당금(dividend)은 원래 통화 그대로
+const DISPLAY_CURRENCIES = ['KRW', 'USD'];
+const CURRENCY_UNITS = { KRW: '원', USD: 'USD', EUR: 'EUR' };
+
+// 통화쌍 → 환율 심볼 (Yahoo: KRW=X = 1달러당 원, EURKRW=X = 1유로당 원), invert: 나눗셈
+const FX_RATES = {
+  'USD>KRW': { symbol: 'KRW=X', invert: false },
+  'KRW>USD': { symbol: 'KRW=X', invert: true },
+  'EUR>KRW': { symbol: 'EURKRW=X', invert: false },
+  'EUR>USD': { symbol: 'EURUSD=X', invert: false }
+};
+const FX_SYMBOLS = [...new Set(Object.values(FX_RATES).map((r) => r.symbol))];
+const LOOKBACK_DAYS = 10; // 기간 첫날 이전 환율 (주말·연휴)
+
+// 항목 통화 (unit 기준). 환율 항목(=X), 지수(pt), 금리(%)는 변환하지 않음
+function itemCurrency(item) {
+  if (/=X$/i.test(item.symbol)) return null;
+  return Object.keys(CURRENCY_UNITS).find((c) => CURRENCY_UNITS[c] === item.unit) || null;
+}
+
+const scale = (v, rate) => (v != null ? v * rate : null);
+
+function applyRates(bars, rates, invert) {
+  let j = 0;
+  let rate = null;
+  return bars.map((b) => {
+    while (j < rates.length && rates[j].date <= b.date) {
+      if (rates[j].close > 0) rate = invert ? 1 / rates[j].close : rates[j].close;
+      j++;
+    }
+    // 기간 첫날 이전 환율이 없으면 첫 환율 사용
+    const r = rate != null ? rate : (rates.length > 0 ? (invert ? 1 / rates[0].close : rates[0].close) : null);
+    const raw = { open: b.open, high: b.high, low: b.low, close: b.close };
+    const out = r == null
+      ? { ...b, open: null, high: null, low: null, close: null, fx: null, raw }
+      : { ...b, open: scale(b.open, r), high: scale(b.high, r), low: scale(b.low, r), close: scale(b.close, r), fx: r, raw };
+    for (const field of ['adjClose', 'totalReturn']) {
+      if (b[field] !== undefined) out[field] = r == null ? null : scale(b[field], r);
+    }
+    return out;
+  });
+}
+
+// loadRates(symbol, from, to) → 환율 일봉 (시계열 저장소 경유)
+function createCurrencyConverter({ loadRates }) {
+  // results { 항목 id: bars } → { results, conversions: { id: { from, to, symbol } }, failed }
+  // 변환하지 않는 항목은 그대로, 환율 조회 실패 시 해당 항목은 원래 값 유지하고 failed에 추가
+  async function convertResults(itemList, results, currency) {
+    const conversions = {};
+    const failed = [];
+    const out = { ...results };
+    const jobs = itemList
+      .map((item) => ({ item, from: itemCurrency(item) }))
+      .filter(({ item, from }) => from && from !== currency && (results[item.id] || []).length > 0);
+    const bySymbol = new Map();
+    for (const job of jobs) {
+      const pair = FX_RATES[`${job.from}>${currency}`];
+      if (!pair) continue;
+      const bars = results[job.item.id];
+      const entry = bySymbol.get(pair.symbol) || { from: bars[0].date, to: bars[bars.length - 1].date, jobs: [] };
+      if (bars[0].date < entry.from) entry.from = bars[0].date;
+      if (bars[bars.length - 1].date > entry.to) entry.to = bars[bars.length - 1].date;
+      entry.jobs.push({ ...job, pair });
+      bySymbol.set(pair.symbol, entry);
+    }
+    for (const [symbol, entry] of bySymbol) {
+      let rates;
+      try {
+        rates = (await loadRates(symbol, shiftYMD(entry.from, -LOOKBACK_DAYS), entry.to)).filter((b) => b.close != null);
+        if (rates.length === 0) throw new Error('환율 데이터가 없습니다');
+      } catch (err) {
+        for (const job of entry.jobs) failed.push({ name: job.item.name, reason: `환율(${symbol}) 조회 실패: ${err.message}` });
+        continue;
+      }
+      for (const job of entry.jobs) {
+        out[job.item.id] = applyRates(results[job.item.id], rates, job.pair.invert);
+        conversions[job.item.id] = { from: job.from, to: currency, symbol };
+      }
+    }
+    return { results: out, conversions, failed };
+  }
+
+  return { convertResults };
+}
+
+// 응답 항목: 변환된 항목은 unit을 표시 통화로, 원래 단위는 nativeUnit
+function displayItems(itemList, conversions) {
+  return itemList.map((item) => {
+    const conv = conversions && conversions[item.id];
+    return conv ? { ...item, unit: CURRENCY_UNITS[conv.to], nativeUnit: item.unit } : item;
+  });
+}
+
+module.exports = { createCurrencyConverter, displayItems, itemCurrency, DISPLAY_CURRENCIES, FX_SYMBOLS };
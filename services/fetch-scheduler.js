@@ -0,0 +1,183 @@
+// 제공처 요청 스케줄러 (시세 조회는 모두 이곳을 거침)
+// - 동시 실행 최대 concurrency개, 업스트림 호스트별 토큰 버킷 (interval마다 토큰 1개, 최대 burst개까지 모아 둠)
+// - 같은 key 요청이 대기·실행 중이면 새로 보내지 않고 같은 결과 공유
+// - 호스트별 429(RATE_LIMITED)가 연속 breakerThreshold번이면 breakerCooldownMs 동안 회로 차단 → 대기 중·새 요청 즉시 실패
+//   차단이 풀리면 한 건만 먼저 보내 보고(half-open) 성공하면 정상, 또 429면 다시 차단
+//   차단 전에 보낸 요청이 늦게 성공해도 회로는 그대로 (차단 뒤 시작한 요청의 성공만 회로를 닫음)
+// - 실패한 요청은 retries번까지 대기열 뒤에 다시 넣음 (고정 대기 없이 토큰 버킷이 간격 조절)
+function isRateLimited(err) {
+  return err && (err.statusCode === 429 || err.message === 'RATE_LIMITED');
+}
+
+function createFetchScheduler({ concurrency = 4, burst = 2, retries = 1, breakerThreshold = 3, breakerCooldownMs = 60 * 1000 } = {}) {
+  const queue = []; // { host, key, task, attempts, enqueuedAt, resolve, reject }
+  const inFlight = new Map(); // key → Promise
+  const hosts = new Map(); // host → { interval, tokens, refilledAt, running, circuit, generation(차단 횟수), openUntil, consecutive429, 통계 }
+  const totals = { requests: 0, deduped: 0, started: 0, completed: 0, failed: 0, waitMs: 0, peakQueued: 0 };
+  let running = 0;
+  let timer = null;
+
+  function hostState(host, interval) {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        interval, tokens: burst, refilledAt: Date.now(), running: 0,
+        circuit: 'closed', generation: 0, openUntil: 0, consecutive429: 0,
+        completed: 0, failed: 0, rateLimited: 0, rejected: 0
+      });
+    }
+    return hosts.get(host);
+  }
+
+  function refill(h, now) {
+    if (h.interval <= 0) {
+      h.tokens = burst;
+      return;
+    }
+    h.tokens = Math.min(burst, h.tokens + (now - h.refilledAt) / h.interval);
+    h.refilledAt = now;
+  }
+
+  function circuitError(host, h) {
+    const err = new Error(`요청 제한(429)이 반복되어 ${host} 조회를 잠시 멈췄습니다 (${Math.ceil((h.openUntil - Date.now()) / 1000)}초 후 재개)`);
+    err.code = 'CIRCUIT_OPEN';
+    return err;
+  }
+
+  // 실행 가능한 요청을 대기열 순서대로 시작, 토큰이 없으면 다음 토큰 시각에 다시
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    const now = Date.now();
+    let wakeAt = Infinity;
+    for (let i = 0; i < queue.length && running < concurrency;) {
+      const job = queue[i];
+      const h = hosts.get(job.host);
+      if (h.circuit === 'open' && now >= h.openUntil) h.circuit = 'half-open';
+      if (h.circuit === 'open') {
+        queue.splice(i, 1);
+        h.rejected++;
+        totals.failed++;
+        job.reject(circuitError(job.host, h));
+        continue;
+      }
+      // half-open: 시험 요청 결과가 나올 때까지 같은 호스트는 대기
+      if (h.circuit === 'half-open' && h.running > 0) {
+        i++;
+        continue;
+      }
+      refill(h, now);
+      if (h.tokens < 1) {
+        wakeAt = Math.min(wakeAt, now + (1 - h.tokens) * h.interval);
+        i++;
+        continue;
+      }
+      h.tokens -= 1;
+      queue.splice(i, 1);
+      start(job, h, now);
+    }
+    if (queue.length > 0 && wakeAt < Infinity) {
+      timer = setTimeout(pump, Math.max(Math.ceil(wakeAt - Date.now()), 1));
+    }
+  }
+
+  async function start(job, h, now) {
+    running++;
+    h.running++;
+    totals.started++;
+    totals.waitMs += now - job.enqueuedAt;
+    // 시작 시점 차단 세대: 차단 전에 보낸 요청이 늦게 성공해도 회로를 닫지 않도록 (시각 비교 대신)
+    const generation = h.generation;
+    try {
+      const value = await job.task();
+      if (h.circuit === 'closed' || generation === h.generation) {
+        h.consecutive429 = 0;
+        h.circuit = 'closed';
+      }
+      h.completed++;
+      totals.completed++;
+      job.resolve(value);
+    } catch (err) {
+      if (isRateLimited(err)) {
+        h.rateLimited++;
+        h.consecutive429++;
+        if (h.circuit !== 'open' && (h.circuit === 'half-open' || h.consecutive429 >= breakerThreshold)) {
+          h.circuit = 'open';
+          h.generation++;
+          h.openUntil = Date.now() + breakerCooldownMs;
+          console.warn(`[${job.host}] 요청 제한(429) ${h.consecutive429}회 연속, ${breakerCooldownMs / 1000}초간 조회 중단`);
+        }
+      }
+      if (job.attempts < retries && h.circuit !== 'open') {
+        console.warn(`[${job.key || job.host}] 시도 ${job.attempts + 1}/${retries + 1} 실패:`, err.message);
+        job.attempts++;
+        job.enqueuedAt = Date.now();
+        queue.push(job);
+      } else {
+        h.failed++;
+        totals.failed++;
+        job.reject(err);
+      }
+    } finally {
+      running--;
+      h.running--;
+      pump();
+    }
+  }
+
+  // request: { host, key?(같은 요청 합치기), interval(ms, 호스트 요청 간격) }, task() → Promise
+  function run({ host, key, interval = 0 }, task) {
+    totals.requests++;
+    if (key && inFlight.has(key)) {
+      totals.deduped++;
+      return inFlight.get(key);
+    }
+    hostState(host, interval);
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ host, key, task, attempts: 0, enqueuedAt: Date.now(), resolve, reject });
+    });
+    if (key) {
+      inFlight.set(key, promise);
+      const done = () => inFlight.delete(key);
+      promise.then(done, done);
+    }
+    totals.peakQueued = Math.max(totals.peakQueued, queue.length);
+    pump();
+    return promise;
+  }
+
+  // 지표: 대기열 깊이·실행 수·합친 요청 수·평균 대기 시간, 호스트별 토큰·회로 상태
+  function status() {
+    const byHost = {};
+    for (const [host, h] of hosts) {
+      refill(h, Date.now());
+      byHost[host] = {
+        queued: queue.filter((j) => j.host === host).length,
+        running: h.running,
+        tokens: Math.floor(h.tokens * 10) / 10,
+        circuit: h.circuit,
+        openUntil: h.circuit === 'open' ? new Date(h.openUntil).toISOString() : undefined,
+        completed: h.completed,
+        failed: h.failed,
+        rateLimited: h.rateLimited,
+        rejected: h.rejected
+      };
+    }
+    return {
+      concurrency,
+      running,
+      queued: queue.length,
+      peakQueued: totals.peakQueued,
+      inFlight: inFlight.size,
+      requests: totals.requests,
+      deduped: totals.deduped,
+      completed: totals.completed,
+      failed: totals.failed,
+      avgWaitMs: totals.started > 0 ? Math.round(totals.waitMs / totals.started) : 0,
+      hosts: byHost
+    };
+  }
+
+  return { run, status };
+}
+
+module.exports = { createFetchScheduler };
@@ -0,0 +1,31 @@
+// 분봉 메모리 캐시 (일봉 시계열 저장소와 달리 파일에 남기지 않음, 서버 재시작 시 초기화)
+// key마다 ttl 동안 재사용, 같은 key 동시 요청은 한 번만 조회, maxEntries를 넘으면 오래된 key부터 제거
+function createIntradayCache({ maxEntries = 200 } = {}) {
+  const entries = new Map(); // key → { bars, fetchedAt, expiresAt }
+  const pending = new Map(); // key → 조회 중 Promise
+
+  // load() → bars, 반환: { bars, fetchedAt: ISO, cached }
+  async function get(key, ttl, load) {
+    const hit = entries.get(key);
+    if (hit && hit.expiresAt > Date.now()) return { bars: hit.bars, fetchedAt: hit.fetchedAt, cached: true };
+    if (pending.has(key)) return pending.get(key);
+    const job = (async () => {
+      const bars = await load();
+      const fetchedAt = new Date().toISOString();
+      entries.delete(key);
+      entries.set(key, { bars, fetchedAt, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      return { bars, fetchedAt, cached: false };
+    })();
+    pending.set(key, job);
+    try {
+      return await job;
+    } finally {
+      pending.delete(key);
+    }
+  }
+
+  return { get, size: () => entries.size };
+}
+
+module.exports = { createIntradayCache };
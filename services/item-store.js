@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// 사용자 관리 항목 목록 (관심 목록 하나 = 파일 하나)
+// { categories: [...], items: [{ id, category } | { id, name, symbol, unit, newsSymbol, category, market, custom: true }], overrides: { id: { symbol, name, market } } }
+// 기본 항목(config/symbols.js)은 id만 저장하고 정의는 config에서 가져옴. 파일이 없으면 config 순서로 시작
+// overrides: 기본 항목의 심볼 변경 (legacyOverridesFile이 있으면 최초 로드 시 가져옴)
+const DEFAULT_CATEGORIES = ['지수', '환율', '원자재', '개별주', 'ETF'];
+const ID_REGEX = /^[a-z0-9_]{1,40}$/;
+const MAX_ITEMS = 60;
+
+function cleanStr(val, max) {
+  return typeof val === 'string' ? val.trim().slice(0, max) : '';
+}
+
+// 심볼 → 항목 id 후보 (^KS11 → ks11, 005930.KS → 005930_ks)
+function slugFromSymbol(symbol) {
+  return String(symbol).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+function createItemStore({ file, baseItems, legacyOverridesFile }) {
+  let state = null;
+
+  function seed() {
+    const categories = [...DEFAULT_CATEGORIES];
+    for (const b of baseItems) {
+      if (b.category && !categories.includes(b.category)) categories.push(b.category);
+    }
+    return { categories, items: baseItems.map((b) => ({ id: b.id, category: b.category || categories[0] })), overrides: {} };
+  }
+
+  async function readLegacyOverrides() {
+    if (!legacyOverridesFile) return {};
+    try {
+      const parsed = JSON.parse(await fs.readFile(legacyOverridesFile, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('심볼 오버라이드 로드 실패:', e.message);
+      return {};
+    }
+  }
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (parsed && Array.isArray(parsed.items) && Array.isArray(parsed.categories)) {
+        state = {
+          categories: parsed.categories,
+          items: parsed.items.filter((e) => e && e.id),
+          overrides: parsed.overrides && typeof parsed.overrides === 'object' ? parsed.overrides : await readLegacyOverrides()
+        };
+        return;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('항목 목록 로드 실패:', e.message);
+    }
+    state = seed();
+    state.overrides = await readLegacyOverrides();
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(state, null, 2), 'utf8');
+  }
+
+  function resolve(entry) {
+    if (entry.custom) {
+      const { custom, ...def } = entry;
+      return { ...def, custom: true, overridden: false };
+    }
+    const base = baseItems.find((b) => b.id === entry.id);
+    if (!base) return null;
+    const o = state.overrides[entry.id];
+    if (o && o.symbol) {
+      return { ...base, symbol: o.symbol, name: o.name || base.name, market: o.market || base.market, category: entry.category, custom: false, overridden: true };
+    }
+    return { ...base, category: entry.category, custom: false, overridden: false };
+  }
+
+  // 분류 순서 → 분류 내 저장 순서로 정렬된 항목 정의
+  function list() {
+    const resolved = state.items.map(resolve).filter(Boolean);
+    const rank = (c) => {
+      const i = state.categories.indexOf(c);
+      return i < 0 ? state.categories.length : i;
+    };
+    return resolved
+      .map((item, idx) => ({ item, idx }))
+      .sort((a, b) => rank(a.item.category) - rank(b.item.category) || a.idx - b.idx)
+      .map(({ item }) => item);
+  }
+
+  function categories() {
+    return [...state.categories];
+  }
+
+  function has(id) {
+    return state.items.some((e) => e.id === id);
+  }
+
+  function ensureCategory(category) {
+    const c = cleanStr(category, 20);
+    if (!c) throw new Error('분류를 입력하세요');
+    if (!state.categories.includes(c)) state.categories.push(c);
+    return c;
+  }
+
+  // 항목 추가: config에 있는 id면 기본 항목 복원, 아니면 사용자 항목 (symbol 필수)
+  async function add(def) {
+    if (state.items.length >= MAX_ITEMS) throw new Error(`항목은 최대 ${MAX_ITEMS}개까지 추가할 수 있습니다`);
+    const symbol = cleanStr(def.symbol, 30);
+    const id = cleanStr(def.id, 40).toLowerCase() || slugFromSymbol(symbol);
+    if (!ID_REGEX.test(id)) throw new Error('항목 id는 영문 소문자, 숫자, _ 만 사용할 수 있습니다');
+    if (has(id)) throw new Error(`이미 존재하는 항목 id입니다: ${id}`);
+    const category = ensureCategory(def.category);
+    const base = baseItems.find((b) => b.id === id);
+    if (base) {
+      state.items.push({ id, category });
+    } else {
+      if (!symbol) throw new Error('심볼을 입력하세요');
+      if (list().some((i) => i.symbol === symbol)) throw new Error(`이미 등록된 심볼입니다: ${symbol}`);
+      state.items.push({
+        id,
+        name: cleanStr(def.name, 60) || symbol,
+        symbol,
+        unit: cleanStr(def.unit, 10) || '-',
+        newsSymbol: cleanStr(def.newsSymbol, 20) || null,
+        category,
+        market: cleanStr(def.market, 10) || null,
+        custom: true
+      });
+    }
+    await save();
+    return resolve(state.items[state.items.length - 1]);
+  }
+
+  // 항목 수정: 분류는 모든 항목, 이름·단위·뉴스심볼·심볼은 사용자 항목만
+  async function update(id, patch) {
+    const entry = state.items.find((e) => e.id === id);
+    if (!entry) throw new Error('존재하지 않는 항목입니다');
+    if (patch.category != null) {
+      const category = ensureCategory(patch.category);
+      if (category !== entry.category) {
+        // 새 분류의 마지막으로 이동
+        entry.category = category;
+        state.items = [...state.items.filter((e) => e !== entry), entry];
+      }
+    }
+    if (entry.custom) {
+      if (patch.name != null) entry.name = cleanStr(patch.name, 60) || entry.name;
+      if (patch.unit != null) entry.unit = cleanStr(patch.unit, 10) || entry.unit;
+      if (patch.newsSymbol !== undefined) entry.newsSymbol = cleanStr(patch.newsSymbol, 20) || null;
+      if (patch.symbol != null) entry.symbol = cleanStr(patch.symbol, 30) || entry.symbol;
+      if (patch.market != null) entry.market = cleanStr(patch.market, 10) || entry.market;
+    }
+    await save();
+    return resolve(entry);
+  }
+
+  async function remove(id) {
+    const idx = state.items.findIndex((e) => e.id === id);
+    if (idx < 0) throw new Error('존재하지 않는 항목입니다');
+    state.items.splice(idx, 1);
+    delete state.overrides[id];
+    await save();
+  }
+
+  // 기본 항목 심볼 변경/복원 (사용자 항목은 update로 심볼 자체를 변경)
+  async function setOverride(id, { symbol, name, market }) {
+    const entry = state.items.find((e) => e.id === id);
+    if (!entry || entry.custom) throw new Error('존재하지 않는 항목입니다');
+    state.overrides[id] = { symbol, name, market };
+    await save();
+  }
+
+  async function clearOverride(id) {
+    const entry = state.items.find((e) => e.id === id);
+    if (!entry) throw new Error('존재하지 않는 항목입니다');
+    if (entry.custom) throw new Error('직접 추가한 항목은 복원할 원래 종목이 없습니다');
+    delete state.overrides[id];
+    await save();
+  }
+
+  // 다른 목록 복사용
+  function snapshot() {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  async function restore(snap) {
+    state = JSON.parse(JSON.stringify(snap));
+    await save();
+  }
+
+  // ids: 현재 항목 id 전체를 원하는 순서로
+  async function reorder(ids) {
+    if (!Array.isArray(ids) || ids.length !== state.items.length || new Set(ids).size !== ids.length || !ids.every(has)) {
+      throw new Error('전체 항목 id를 중복 없이 입력하세요');
+    }
+    state.items = ids.map((id) => state.items.find((e) => e.id === id));
+    await save();
+  }
+
+  // 분류 순서 변경/추가 (사용 중인 분류는 모두 포함해야 함)
+  async function setCategories(list) {
+    if (!Array.isArray(list)) throw new Error('분류 목록을 입력하세요');
+    const next = [...new Set(list.map((c) => cleanStr(c, 20)).filter(Boolean))];
+    const missing = state.items.map((e) => e.category).filter((c) => !next.includes(c));
+    if (missing.length > 0) throw new Error(`사용 중인 분류는 삭제할 수 없습니다: ${[...new Set(missing)].join(', ')}`);
+    state.categories = next;
+    await save();
+  }
+
+  function removedBaseItems() {
+    return baseItems.filter((b) => !has(b.id));
+  }
+
+  return {
+    load, list, categories, has, add, update, remove, reorder, setCategories,
+    setOverride, clearOverride, removedBaseItems, snapshot, restore
+  };
+}
+
+module.exports = { createItemStore, slugFromSymbol };
@@ -0,0 +1,133 @@
+// 장중 실시간 시세 (SSE 구독 중인 관심 목록의 항목만 서버에서 주기적으로 조회 후 푸시)
+// 같은 시계열(제공처+심볼)은 관심 목록이 달라도 한 번만 조회, 정규장 중인 시장 항목만 다시 조회
+// 구독 직후에는 아직 조회하지 않은 항목도 한 번 조회해 장 마감 후에도 마지막 시세를 표시
+// 시세: { price, previousClose, changePct, time, date, marketOpen }
+function createLiveQuotes({ resolveItems, keyOf, fetchQuote, isOpen, pollMs }) {
+  const clients = new Set(); // { watchlistId, send(event, data) }
+  const quotes = new Map(); // 시계열 key → 시세
+  let timer = null;
+  let polling = false;
+  let pollAgain = false; // 조회 중 새 구독 → 끝나면 한 번 더 (새 관심 목록 항목)
+  let lastPollAt = null;
+  let lastErrors = [];
+
+  // 구독 중인 관심 목록별 항목 → 시계열 key마다 [{ watchlistId, item }]
+  async function collectTargets() {
+    const targets = new Map();
+    const watchlistIds = new Set([...clients].map((c) => c.watchlistId));
+    for (const watchlistId of watchlistIds) {
+      const items = (await resolveItems(watchlistId)) || [];
+      for (const item of items) {
+        const key = keyOf(item);
+        if (!targets.has(key)) targets.set(key, []);
+        targets.get(key).push({ watchlistId, item });
+      }
+    }
+    return targets;
+  }
+
+  function toMessage(item, quote) {
+    return { id: item.id, symbol: item.symbol, ...quote };
+  }
+
+  function broadcast(entries, quote) {
+    for (const client of clients) {
+      for (const { watchlistId, item } of entries) {
+        if (client.watchlistId === watchlistId) client.send('quote', toMessage(item, quote));
+      }
+    }
+  }
+
+  async function poll() {
+    if (clients.size === 0) return;
+    if (polling) {
+      pollAgain = true;
+      return;
+    }
+    polling = true;
+    pollAgain = false;
+    const errors = [];
+    try {
+      const targets = await collectTargets();
+      const now = new Date();
+      // 시계열마다 동시에 조회 (요청 간격·동시 실행 수는 fetchQuote 쪽 스케줄러가 조절)
+      await Promise.all([...targets].map(async ([key, entries]) => {
+        const { item } = entries[0];
+        const marketOpen = isOpen(item, now);
+        const cached = quotes.get(key);
+        // 장 마감 후에는 이미 받은 시세를 다시 조회하지 않고 장 상태만 갱신
+        if (cached && !marketOpen) {
+          if (cached.marketOpen) {
+            const closed = { ...cached, marketOpen: false };
+            quotes.set(key, closed);
+            broadcast(entries, closed);
+          }
+          return;
+        }
+        try {
+          const q = await fetchQuote(item);
+          const changePct = q.previousClose ? ((q.price - q.previousClose) / q.previousClose) * 100 : null;
+          const quote = { price: q.price, previousClose: q.previousClose, changePct, time: q.time, date: q.date, marketOpen };
+          // 값이 그대로면 푸시 생략 (시각만 바뀐 경우)
+          const changed = !cached || cached.price !== quote.price || cached.previousClose !== quote.previousClose
+            || cached.date !== quote.date || cached.marketOpen !== marketOpen;
+          quotes.set(key, quote);
+          if (changed) broadcast(entries, quote);
+        } catch (err) {
+          errors.push({ symbol: item.symbol, reason: err.message });
+        }
+      }));
+    } finally {
+      polling = false;
+      lastPollAt = new Date().toISOString();
+      if (errors.length > 0 && errors.length !== lastErrors.length) {
+        console.warn(`실시간 시세 조회 실패 ${errors.length}건:`, errors.map((e) => e.symbol).join(', '));
+      }
+      lastErrors = errors;
+    }
+    if (pollAgain) await poll();
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (clients.size === 0) return;
+    timer = setTimeout(async () => {
+      await poll().catch((err) => console.warn('실시간 시세 조회 실패:', err.message));
+      schedule();
+    }, pollMs);
+    timer.unref();
+  }
+
+  // 구독: 받아 둔 시세를 먼저 보내고 바로 한 번 조회 → 해지 함수 반환
+  function subscribe(watchlistId, send) {
+    const client = { watchlistId, send };
+    clients.add(client);
+    if (clients.size === 1) schedule();
+    (async () => {
+      const items = (await resolveItems(watchlistId)) || [];
+      if (!clients.has(client)) return;
+      const snapshot = items.filter((item) => quotes.has(keyOf(item))).map((item) => toMessage(item, quotes.get(keyOf(item))));
+      send('snapshot', { quotes: snapshot, pollSeconds: Math.round(pollMs / 1000) });
+      await poll();
+    })().catch((err) => console.warn('실시간 시세 조회 실패:', err.message));
+    return () => {
+      clients.delete(client);
+      if (clients.size === 0) clearTimeout(timer);
+    };
+  }
+
+  function status() {
+    return {
+      clients: clients.size,
+      watchlists: [...new Set([...clients].map((c) => c.watchlistId))],
+      pollSeconds: Math.round(pollMs / 1000),
+      quotes: quotes.size,
+      lastPollAt,
+      failed: lastErrors.length > 0 ? lastErrors : undefined
+    };
+  }
+
+  return { subscribe, status };
+}
+
+module.exports = { createLiveQuotes };
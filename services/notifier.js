@@ -0,0 +1,67 @@
+// 알림 외부 전송 (규칙에 지정된 채널로, 실패 시 지수 백오프 재시도)
+// 전송 상태는 alertStore.setDelivery로 알림 이력에 기록
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function formatAlertMessage(alert) {
+  const close = Number.isFinite(alert.close) ? alert.close.toLocaleString('en-US', { maximumFractionDigits: 4 }) : '-';
+  return {
+    title: `[주가 알림] ${alert.itemName}`,
+    text: `${alert.message}\n일자: ${alert.date} / 종가: ${close} (${alert.symbol})`,
+    alert
+  };
+}
+
+function createNotifier({ channelStore, alertStore, retries = 3, backoffMs = 2000 }) {
+  // 채널 1곳 전송: 1회 + retries회 재시도 (backoffMs, 2배씩 증가)
+  async function deliverTo(alert, channelId) {
+    let attempts = 0;
+    for (;;) {
+      attempts++;
+      try {
+        await channelStore.open(channelId).send(formatAlertMessage(alert));
+        await alertStore.setDelivery(alert.id, channelId, { status: 'sent', attempts, error: null });
+        return;
+      } catch (err) {
+        const done = attempts > retries;
+        await alertStore.setDelivery(alert.id, channelId, { status: done ? 'failed' : 'pending', attempts, error: err.message });
+        if (done) {
+          console.warn(`알림 전송 실패 [${channelId}] ${alert.id}:`, err.message);
+          return;
+        }
+        await delay(backoffMs * 2 ** (attempts - 1));
+      }
+    }
+  }
+
+  // 새 알림들을 규칙의 채널로 전송 (응답을 기다리지 않도록 호출 측에서 await 하지 않음)
+  async function dispatch(alerts) {
+    const jobs = [];
+    for (const alert of alerts) {
+      const rule = alertStore.getRule(alert.ruleId);
+      const channels = rule && Array.isArray(rule.channels) ? rule.channels.filter(channelStore.has) : [];
+      for (const channelId of channels) {
+        await alertStore.setDelivery(alert.id, channelId, { status: 'pending', attempts: 0, error: null });
+        jobs.push(deliverTo(alert, channelId));
+      }
+    }
+    await Promise.all(jobs);
+  }
+
+  // 테스트 전송 (재시도 없이 1회, 결과 반환)
+  async function sendTest(channelId) {
+    const sample = {
+      id: 'test',
+      itemName: '테스트',
+      symbol: 'TEST',
+      type: 'test',
+      date: new Date().toISOString().slice(0, 10),
+      close: 100,
+      message: '알림 채널 테스트 메시지입니다'
+    };
+    await channelStore.open(channelId).send(formatAlertMessage(sample));
+  }
+
+  return { dispatch, sendTest };
+}
+
+module.exports = { createNotifier, formatAlertMessage };
@@ -0,0 +1,67 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeTransaction, computePositions } = require('../utils/portfolio');
+
+// 포트폴리오 거래 내역 (data/portfolio.json)
+// { nextId, transactions: [{ id, watchlist, itemId, side, quantity, price, fee, date, memo, createdAt }] }
+// 관심 목록별로 구분, 거래일 순으로 다시 계산했을 때 보유 수량보다 많이 매도하게 되는 변경은 거부
+const MAX_TRANSACTIONS = 5000;
+
+function createPortfolioStore({ file }) {
+  let state = { nextId: 1, transactions: [] };
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (parsed && Array.isArray(parsed.transactions)) {
+        state = { nextId: parsed.nextId || 1, transactions: parsed.transactions };
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('포트폴리오 저장소 로드 실패:', e.message);
+    }
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(state, null, 2), 'utf8');
+  }
+
+  function list(watchlist) {
+    return state.transactions.filter((t) => t.watchlist === watchlist).map((t) => ({ ...t }));
+  }
+
+  // 변경 후 거래 목록으로 수량 검증 (실패 시 computePositions 예외 그대로)
+  function validate(watchlist, transactions) {
+    computePositions(transactions.filter((t) => t.watchlist === watchlist));
+  }
+
+  async function add(watchlist, input) {
+    if (state.transactions.length >= MAX_TRANSACTIONS) throw new Error(`거래는 최대 ${MAX_TRANSACTIONS}건까지 기록할 수 있습니다`);
+    if (!input || !input.itemId) throw new Error('항목을 선택하세요');
+    const tx = { id: `t${state.nextId}`, watchlist, ...normalizeTransaction(input), createdAt: new Date().toISOString() };
+    const next = [...state.transactions, tx];
+    validate(watchlist, next);
+    state.transactions = next;
+    state.nextId++;
+    await save();
+    return { ...tx };
+  }
+
+  async function remove(id, watchlist) {
+    const next = state.transactions.filter((t) => !(t.id === id && t.watchlist === watchlist));
+    if (next.length === state.transactions.length) throw new Error('존재하지 않는 거래입니다');
+    validate(watchlist, next);
+    state.transactions = next;
+    await save();
+  }
+
+  // 관심 목록 삭제 시 해당 목록의 거래 정리
+  async function removeWatchlist(watchlist) {
+    state.transactions = state.transactions.filter((t) => t.watchlist !== watchlist);
+    await save();
+  }
+
+  return { load, list, add, remove, removeWatchlist };
+}
+
+module.exports = { createPortfolioStore };
@@ -0,0 +1,122 @@
+const { zonedParts, zonedTimeToDate, shiftYMD } = require('../utils/dates');
+
+// 프로세스 내 작업 스케줄러 (시간대별 "매주 지정 요일 HH:MM" 작업)
+// jobs: [{ id, name, timeZone, time: 'HH:MM', weekdays: [1..5], run(reason) }]
+// next(now)가 있으면 요일·시각 대신 그 결과를 다음 실행 시각으로 사용 (거래소 캘린더 등)
+// 타이머는 가장 가까운 실행 시각 하나만 걸고, 실행 후 다음 시각을 다시 계산
+// 같은 작업이 실행 중이면 겹쳐 실행하지 않음
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000; // 시계 변경에 대비해 최대 6시간마다 재계산
+
+// now 이후 첫 실행 시각
+function nextRunAt(job, now = new Date()) {
+  if (job.next) return job.next(now);
+  const today = zonedParts(now, job.timeZone).ymd;
+  for (let i = 0; i <= 7; i++) {
+    const ymd = shiftYMD(today, i);
+    const [y, m, d] = ymd.split('-').map(Number);
+    if (!job.weekdays.includes(new Date(Date.UTC(y, m - 1, d)).getUTCDay())) continue;
+    const at = zonedTimeToDate(ymd, job.time, job.timeZone);
+    if (at > now) return at;
+  }
+  return null;
+}
+
+function createScheduler({ jobs }) {
+  const states = new Map(jobs.map((job) => [job.id, {
+    running: false,
+    lastRunAt: null,
+    lastFinishedAt: null,
+    lastStatus: null,
+    lastReason: null,
+    lastError: null,
+    lastResult: null,
+    nextRunAt: null
+  }]));
+  let timer = null;
+  let started = false;
+
+  async function execute(job, reason) {
+    const state = states.get(job.id);
+    if (state.running) return false;
+    state.running = true;
+    state.lastRunAt = new Date().toISOString();
+    state.lastReason = reason;
+    try {
+      state.lastResult = (await job.run(reason)) || null;
+      state.lastStatus = 'ok';
+      state.lastError = null;
+    } catch (err) {
+      state.lastStatus = 'error';
+      state.lastError = err.message;
+      console.warn(`작업 실패 [${job.id}]:`, err.message);
+    } finally {
+      state.running = false;
+      state.lastFinishedAt = new Date().toISOString();
+    }
+    return true;
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    if (!started) return;
+    const now = new Date();
+    let soonest = null;
+    for (const job of jobs) {
+      const at = nextRunAt(job, now);
+      states.get(job.id).nextRunAt = at ? at.toISOString() : null;
+      if (at && (!soonest || at < soonest)) soonest = at;
+    }
+    if (!soonest) return;
+    const wait = Math.min(soonest - now, MAX_TIMER_MS);
+    timer = setTimeout(tick, wait);
+    timer.unref();
+  }
+
+  // 실행 시각이 지난 작업 실행 (순서대로, 제공처 요청이 몰리지 않도록)
+  async function tick() {
+    const now = new Date();
+    const due = jobs.filter((job) => {
+      const next = states.get(job.id).nextRunAt;
+      return next && new Date(next) <= now;
+    });
+    arm();
+    for (const job of due) await execute(job, 'schedule');
+  }
+
+  function start() {
+    started = true;
+    arm();
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+  }
+
+  function has(id) {
+    return states.has(id);
+  }
+
+  // 수동/기동 시 실행 (실행 중이면 false)
+  function runNow(id, reason = 'manual') {
+    const job = jobs.find((j) => j.id === id);
+    if (!job) throw new Error(`존재하지 않는 작업입니다: ${id}`);
+    if (states.get(id).running) return Promise.resolve(false);
+    return execute(job, reason);
+  }
+
+  function status() {
+    return jobs.map((job) => ({
+      id: job.id,
+      name: job.name,
+      timeZone: job.timeZone,
+      time: job.time,
+      weekdays: job.weekdays,
+      ...states.get(job.id)
+    }));
+  }
+
+  return { start, stop, has, runNow, status };
+}
+
+module.exports = { createScheduler, nextRunAt };
@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatYMD, shiftYMD } = require('../utils/dates');
+
+// 심볼별 일봉 시계열 저장소 (data/series/<provider>/<심볼>.json)
+// 파일: { symbol, provider, coverage: [[from, to], ...], recentFetchedAt, fetchedAt, pendingFrom, bars: [...] }
+// coverage는 제공처에서 조회를 마친 구간 (휴장일은 bar가 없어도 조회 완료로 간주)
+// pendingFrom: 이 날짜 이후 저장값은 종가 확정 전에 받은 값 (없으면 null)
+//   호출 측이 준 확정일(settled)이 pendingFrom 이상이 되거나 recentTtl이 지나면 재조회 대상
+// settled를 주지 않으면 최근 RECENT_DAYS일을 미확정으로 간주하고 recentTtl 경과 시 재조회
+// fetchedAt: 마지막으로 제공처에서 받아 병합한 시각 (화면의 "갱신 시각")
+const RECENT_DAYS = 2;
+
+function addCoverage(coverage, from, to) {
+  const list = [...coverage, [from, to]].sort((a, b) => a[0].localeCompare(b[0]));
+  const merged = [];
+  for (const [f, t] of list) {
+    const last = merged[merged.length - 1];
+    if (last && f <= shiftYMD(last[1], 1)) {
+      if (t > last[1]) last[1] = t;
+    } else {
+      merged.push([f, t]);
+    }
+  }
+  return merged;
+}
+
+// from~to 중 coverage에 포함되지 않은 구간 목록
+function findGaps(coverage, from, to) {
+  const gaps = [];
+  let cursor = from;
+  for (const [f, t] of coverage) {
+    if (t < cursor) continue;
+    if (f > to) break;
+    if (f > cursor) gaps.push([cursor, shiftYMD(f, -1)]);
+    cursor = shiftYMD(t, 1);
+    if (cursor > to) break;
+  }
+  if (cursor <= to) gaps.push([cursor, to]);
+  return gaps;
+}
+
+function createSeriesStore({ dir, recentTtl }) {
+  const series = new Map(); // "provider:symbol" → 시계열 객체
+  const loading = new Map(); // "provider:symbol" → 파일 읽는 중 Promise (동시 조회가 서로 다른 객체에 병합하지 않도록)
+  const saveScheduled = new Set();
+
+  function filePath(provider, symbol) {
+    return path.join(dir, provider, `${encodeURIComponent(symbol)}.json`);
+  }
+
+  async function load(provider, symbol) {
+    const key = `${provider}:${symbol}`;
+    if (series.has(key)) return series.get(key);
+    if (!loading.has(key)) {
+      loading.set(key, readEntry(provider, symbol).then((entry) => {
+        series.set(key, entry);
+        loading.delete(key);
+        return entry;
+      }));
+    }
+    return loading.get(key);
+  }
+
+  async function readEntry(provider, symbol) {
+    let entry = { symbol, provider, coverage: [], recentFetchedAt: 0, pendingFrom: null, bars: [] };
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath(provider, symbol), 'utf8'));
+      if (parsed && Array.isArray(parsed.bars) && Array.isArray(parsed.coverage)) entry = { ...entry, ...parsed };
+      // 이전 형식: 마지막 최근 구간 조회 기준 RECENT_DAYS일을 미확정으로
+      if (parsed && !('pendingFrom' in parsed) && entry.recentFetchedAt) {
+        entry.pendingFrom = shiftYMD(formatYMD(new Date(entry.recentFetchedAt)), -RECENT_DAYS);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`시계열 로드 실패 [${symbol}]:`, e.message);
+    }
+    return entry;
+  }
+
+  function scheduleSave(entry) {
+    const key = `${entry.provider}:${entry.symbol}`;
+    if (saveScheduled.has(key)) return;
+    saveScheduled.add(key);
+    setImmediate(async () => {
+      saveScheduled.delete(key);
+      try {
+        const file = filePath(entry.provider, entry.symbol);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(entry), 'utf8');
+      } catch (e) {
+        console.warn(`시계열 저장 실패 [${entry.symbol}]:`, e.message);
+      }
+    });
+  }
+
+  async function getBars(provider, symbol, from, to) {
+    const entry = await load(provider, symbol);
+    return entry.bars.filter((b) => b.date >= from && b.date <= to);
+  }
+
+  // 제공처에서 새로 받아야 하는 구간 (미확정 구간은 새 종가 확정 또는 TTL 경과 시 포함)
+  async function getMissingRanges(provider, symbol, from, to, settled) {
+    const entry = await load(provider, symbol);
+    const gaps = findGaps(entry.coverage, from, to);
+    const ttlExpired = Date.now() - entry.recentFetchedAt > recentTtl;
+    if (!settled) {
+      const recentFrom = shiftYMD(formatYMD(new Date()), -RECENT_DAYS);
+      if (to >= recentFrom && ttlExpired) return addCoverage(gaps, from > recentFrom ? from : recentFrom, to);
+      return gaps;
+    }
+    const pending = entry.pendingFrom;
+    if (pending && to >= pending && (settled >= pending || ttlExpired)) {
+      return addCoverage(gaps, from > pending ? from : pending, to);
+    }
+    return gaps;
+  }
+
+  // 조회 결과 병합 (같은 날짜는 새 값으로 교체) 후 조회 구간을 coverage에 추가
+  // settled: 조회 시점 확정일. from~settled는 확정값, settled 이후는 미확정으로 기록
+  async function upsert(provider, symbol, from, to, bars, settled) {
+    const entry = await load(provider, symbol);
+    const byDate = new Map(entry.bars.map((b) => [b.date, b]));
+    for (const b of bars) {
+      if (b.date >= from && b.date <= to) byDate.set(b.date, b);
+    }
+    entry.bars = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    entry.coverage = addCoverage(entry.coverage, from, to);
+    if (to >= shiftYMD(formatYMD(new Date()), -RECENT_DAYS)) entry.recentFetchedAt = Date.now();
+    if (settled) {
+      // 이번 조회 범위 밖의 기존 미확정 구간은 유지
+      const kept = entry.pendingFrom && (entry.pendingFrom < from || entry.pendingFrom > to) ? entry.pendingFrom : null;
+      const firstPending = shiftYMD(settled, 1);
+      const added = to >= firstPending ? (from > firstPending ? from : firstPending) : null;
+      entry.pendingFrom = [kept, added].filter(Boolean).sort()[0] || null;
+    }
+    entry.fetchedAt = Date.now();
+    scheduleSave(entry);
+  }
+
+  // date 이전 저장값 폐기 (새 분할 확인 시 분할 전 가격으로 받아 둔 일봉) → 다음 조회에서 그 구간을 다시 받음
+  // 반환: 폐기한 구간이 있었는지
+  async function dropBefore(provider, symbol, date) {
+    const entry = await load(provider, symbol);
+    if (!entry.coverage.some(([from]) => from < date)) return false;
+    entry.bars = entry.bars.filter((b) => b.date >= date);
+    entry.coverage = entry.coverage.filter(([, to]) => to >= date).map(([from, to]) => [from < date ? date : from, to]);
+    scheduleSave(entry);
+    return true;
+  }
+
+  // 마지막 제공처 조회 시각 (ms, 없으면 null)
+  async function getFetchedAt(provider, symbol) {
+    const entry = await load(provider, symbol);
+    return entry.fetchedAt || entry.recentFetchedAt || null;
+  }
+
+  return { getBars, getMissingRanges, upsert, dropBefore, getFetchedAt };
+}
+
+module.exports = { createSeriesStore, addCoverage, findGaps };
@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createItemStore } = require('./item-store');
+
+// 관심 목록 레지스트리 (data/watchlists.json: { watchlists: [{ id, name }] })
+// 목록별 항목·분류·심볼 변경은 item-store 파일 하나씩 (data/watchlists/<id>.json)
+// 기본 목록(default)은 기존 data/items.json, data/symbol-overrides.json을 그대로 사용
+const DEFAULT_WATCHLIST_ID = 'default';
+const ID_REGEX = /^[a-z0-9_-]{1,30}$/;
+const MAX_WATCHLISTS = 30;
+
+function cleanName(val) {
+  return typeof val === 'string' ? val.trim().slice(0, 30) : '';
+}
+
+function createWatchlistStore({ file, dir, baseItems, defaultItemsFile, legacyOverridesFile }) {
+  let entries = null;
+  const stores = new Map(); // id -> 로드된 item store
+
+  async function load() {
+    entries = [];
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (parsed && Array.isArray(parsed.watchlists)) {
+        entries = parsed.watchlists.filter((w) => w && ID_REGEX.test(w.id));
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('관심 목록 로드 실패:', e.message);
+    }
+    if (!entries.some((w) => w.id === DEFAULT_WATCHLIST_ID)) {
+      entries.unshift({ id: DEFAULT_WATCHLIST_ID, name: '기본' });
+    }
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ watchlists: entries }, null, 2), 'utf8');
+  }
+
+  function itemsFileFor(id) {
+    return id === DEFAULT_WATCHLIST_ID ? defaultItemsFile : path.join(dir, `${id}.json`);
+  }
+
+  function has(id) {
+    return entries.some((w) => w.id === id);
+  }
+
+  function list() {
+    return entries.map((w) => ({ ...w }));
+  }
+
+  // 목록의 항목 저장소 (최초 요청 시 로드). 없는 id면 null
+  async function get(id) {
+    if (!has(id)) return null;
+    if (!stores.has(id)) {
+      const store = createItemStore({
+        file: itemsFileFor(id),
+        baseItems,
+        legacyOverridesFile: id === DEFAULT_WATCHLIST_ID ? legacyOverridesFile : null
+      });
+      await store.load();
+      stores.set(id, store);
+    }
+    return stores.get(id);
+  }
+
+  // 이름 → id (영문이면 slug, 아니면 list_N)
+  function generateId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30);
+    if (slug && !has(slug)) return slug;
+    let n = entries.length;
+    while (has(`list_${n}`)) n++;
+    return `list_${n}`;
+  }
+
+  // 새 목록: from이 있으면 해당 목록 복사, 없으면 config 기본 항목으로 시작
+  async function create({ id, name, from }) {
+    if (entries.length >= MAX_WATCHLISTS) throw new Error(`관심 목록은 최대 ${MAX_WATCHLISTS}개까지 만들 수 있습니다`);
+    const cleaned = cleanName(name);
+    if (!cleaned) throw new Error('관심 목록 이름을 입력하세요');
+    const newId = typeof id === 'string' && id.trim() ? id.trim().toLowerCase() : generateId(cleaned);
+    if (!ID_REGEX.test(newId)) throw new Error('관심 목록 id는 영문 소문자, 숫자, _, - 만 사용할 수 있습니다');
+    if (has(newId)) throw new Error(`이미 존재하는 관심 목록 id입니다: ${newId}`);
+    const source = from ? await get(from) : null;
+    if (from && !source) throw new Error(`복사할 관심 목록이 없습니다: ${from}`);
+
+    entries.push({ id: newId, name: cleaned });
+    const store = await get(newId);
+    if (source) await store.restore(source.snapshot());
+    await save();
+    return { id: newId, name: cleaned };
+  }
+
+  async function rename(id, name) {
+    const entry = entries.find((w) => w.id === id);
+    if (!entry) throw new Error('존재하지 않는 관심 목록입니다');
+    const cleaned = cleanName(name);
+    if (!cleaned) throw new Error('관심 목록 이름을 입력하세요');
+    entry.name = cleaned;
+    await save();
+  }
+
+  async function remove(id) {
+    if (id === DEFAULT_WATCHLIST_ID) throw new Error('기본 관심 목록은 삭제할 수 없습니다');
+    if (!has(id)) throw new Error('존재하지 않는 관심 목록입니다');
+    entries = entries.filter((w) => w.id !== id);
+    stores.delete(id);
+    await save();
+    await fs.unlink(itemsFileFor(id)).catch((e) => {
+      if (e.code !== 'ENOENT') console.warn('관심 목록 파일 삭제 실패:', e.message);
+    });
+  }
+
+  // 로드된 목록 중 하나라도 사용하는 심볼인지 (시세 조회 화이트리스트)
+  function isSymbolInUse(symbol) {
+    for (const store of stores.values()) {
+      if (store.list().some((i) => i.symbol === symbol)) return true;
+    }
+    return false;
+  }
+
+  return { load, list, has, get, create, rename, remove, isSymbolInUse };
+}
+
+module.exports = { createWatchlistStore, DEFAULT_WATCHLIST_ID };
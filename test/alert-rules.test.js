@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRuleParams, evaluateRule, ruleLookback } = require('../utils/alert-rules');
+
+const barsOf = (closes) => closes.map((close, i) => ({ date: `2026-01-${String(i + 1).padStart(2, '0')}`, close }));
+const rule = (type, params) => ({ type, params: normalizeRuleParams(type, params) });
+
+test('가격 돌파: 전일 → 당일 종가가 기준가를 넘을 때만', () => {
+  const above = rule('price_cross', { level: 100 });
+  assert.strictEqual(evaluateRule(above, barsOf([95, 101])).value, 101);
+  assert.strictEqual(evaluateRule(above, barsOf([101, 102])), null);
+  assert.strictEqual(evaluateRule(above, barsOf([101])), null);
+  const below = rule('price_cross', { level: '100', direction: 'below' });
+  assert.strictEqual(evaluateRule(below, barsOf([101, 100])).value, 100);
+  assert.strictEqual(evaluateRule(below, barsOf([95, 101])), null);
+});
+
+test('고점 대비 하락: 최근 days거래일 고점 기준', () => {
+  const r = rule('drop_from_high', { pct: 5, days: 3 });
+  assert.strictEqual(evaluateRule(r, barsOf([200, 100, 110, 99])).value, -10);
+  assert.strictEqual(evaluateRule(rule('drop_from_high', { pct: 15, days: 3 }), barsOf([200, 100, 110, 99])), null);
+  // 200이 기간 안에 들어오면 더 큰 하락
+  assert.strictEqual(evaluateRule(rule('drop_from_high', { pct: 5, days: 4 }), barsOf([200, 100, 110, 99])).value, -50.5);
+});
+
+test('RSI(2) 이하·연속 하락', () => {
+  assert.strictEqual(evaluateRule(rule('rsi2_below', {}), barsOf([10, 9, 8])).value, 0);
+  assert.strictEqual(evaluateRule(rule('rsi2_below', {}), barsOf([10, 11, 12])), null);
+  assert.strictEqual(evaluateRule(rule('consec_down', { days: 3 }), barsOf([6, 5, 4, 3])).value, 3);
+  assert.strictEqual(evaluateRule(rule('consec_down', { days: 3 }), barsOf([6, 5, 6, 5])), null);
+});
+
+test('파라미터 검증·기본값', () => {
+  assert.throws(() => normalizeRuleParams('price_cross', { level: 0 }), /기준 가격/);
+  assert.throws(() => normalizeRuleParams('drop_from_high', { pct: 100 }), /하락률/);
+  assert.throws(() => normalizeRuleParams('drop_from_high', { pct: 5, days: 1 }), /기간/);
+  assert.throws(() => normalizeRuleParams('rsi2_below', { threshold: 0 }), /RSI 기준/);
+  assert.throws(() => normalizeRuleParams('consec_down', { days: 31 }), /연속 하락일/);
+  assert.throws(() => normalizeRuleParams('unknown', {}), /알 수 없는 알림 유형/);
+  assert.deepStrictEqual(normalizeRuleParams('drop_from_high', { pct: 3 }), { pct: 3, days: 20 });
+  assert.deepStrictEqual(normalizeRuleParams('rsi2_below', {}), { threshold: 10 });
+  assert.deepStrictEqual(normalizeRuleParams('consec_down', {}), { days: 2 });
+});
+
+test('판정에 필요한 거래일 수', () => {
+  assert.strictEqual(ruleLookback(rule('drop_from_high', { pct: 5, days: 60 })), 60);
+  assert.strictEqual(ruleLookback(rule('consec_down', { days: 4 })), 5);
+  assert.strictEqual(ruleLookback({ type: 'unknown' }), 0);
+});
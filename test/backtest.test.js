@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStrategy, runBacktest } = require('../utils/backtest');
+
+const barsOf = (closes) => closes.map((close, i) => ({ date: `2026-01-${String(i + 1).padStart(2, '0')}`, close }));
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('보유 기간 청산: 신호 날 종가 진입, holdDays 거래일 뒤 청산', () => {
+  const strategy = parseStrategy({ entry: 'consec_down:2', holdDays: 2 });
+  const { trades, equity, stats } = runBacktest(barsOf([10, 9, 8, 9, 10, 11]), strategy);
+  assert.deepStrictEqual(trades.map((t) => [t.entryDate, t.exitDate, t.reason, t.holdDays]), [['2026-01-03', '2026-01-05', 'hold', 2]]);
+  near(trades[0].returnPct, 25);
+  assert.deepStrictEqual(equity.strategy, [100, 100, 100, 112.5, 125, 125]);
+  near(stats.returnPct, 25);
+  near(stats.buyHoldReturnPct, 10);
+});
+
+test('손절·RSI 청산, 기간 끝까지 보유 중이면 보유 중 거래', () => {
+  const stop = runBacktest(barsOf([10, 9, 8, 7, 6]), parseStrategy({ entry: 'consec_down:2', holdDays: 10, stopLossPct: 10 }));
+  assert.deepStrictEqual(stop.trades.map((t) => [t.exitDate, t.reason]), [['2026-01-04', 'stop'], ['2026-01-05', 'open']]);
+  near(stop.trades[0].returnPct, -12.5);
+
+  const rsi = runBacktest(barsOf([10, 9, 8, 9, 10]), parseStrategy({ entry: 'consec_down:2', exitRsi: 70 }));
+  assert.deepStrictEqual(rsi.trades.map((t) => [t.exitDate, t.exitPrice, t.reason]), [['2026-01-05', 10, 'rsi']]);
+});
+
+test('수수료: 진입·청산 각각 거래금액의 feePct%', () => {
+  const { trades, stats } = runBacktest(barsOf([10, 9, 8, 9, 10, 11]), parseStrategy({ entry: 'consec_down:2', holdDays: 2, feePct: 1 }));
+  near(trades[0].returnPct, (10 * 0.99 * 0.99 / 8 - 1) * 100);
+  near(stats.returnPct, trades[0].returnPct);
+});
+
+test('from 이전 일봉은 신호 계산에만 사용', () => {
+  const { equity } = runBacktest(barsOf([10, 9, 8, 9, 10, 11]), parseStrategy({ entry: 'consec_down:2', holdDays: 2 }), '2026-01-03');
+  assert.strictEqual(equity.dates[0], '2026-01-03');
+  assert.strictEqual(equity.buyHold[0], 100);
+});
+
+test('전략 검증', () => {
+  assert.throws(() => parseStrategy({ entry: 'macd' }), /알 수 없는 진입 규칙/);
+  assert.throws(() => parseStrategy({ entry: 'rsi2_below' }), /청산 조건/);
+  assert.throws(() => parseStrategy({ entry: 'rsi2_below:0', holdDays: 5 }), /파라미터가 올바르지 않습니다/);
+  assert.throws(() => parseStrategy({ holdDays: 5, feePct: 20 }), /feePct/);
+  assert.deepStrictEqual(parseStrategy({ entry: 'drop_from_high:5', holdDays: '3.4' }).entry.params, [5, 20]);
+  assert.strictEqual(parseStrategy({ holdDays: '3.4' }).holdDays, 3);
+});
+
+test('기간 끝까지 보유 중이면 마지막 자산에도 청산 수수료 반영', () => {
+  const { trades, equity, stats } = runBacktest(barsOf([10, 9, 8, 9]), parseStrategy({ entry: 'consec_down:2', holdDays: 5, feePct: 1 }));
+  assert.strictEqual(trades[0].reason, 'open');
+  near(trades[0].returnPct, (9 * 0.99 * 0.99 / 8 - 1) * 100);
+  near(stats.returnPct, trades[0].returnPct);
+  near(equity.strategy[equity.strategy.length - 1], 100 + trades[0].returnPct);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyCorporateActions } = require('../utils/corporate-actions');
+
+// 2026-07-01~2026-08-31 평일 일봉 (종가 100부터 하루 0.5씩 상승)
+const bars = [];
+for (let d = new Date(Date.UTC(2026, 6, 1)); d <= new Date(Date.UTC(2026, 7, 31)); d.setUTCDate(d.getUTCDate() + 1)) {
+  if (d.getUTCDay() === 0 || d.getUTCDay() === 6) continue;
+  const close = 100 + bars.length * 0.5;
+  bars.push({ date: d.toISOString().slice(0, 10), open: close, high: close, low: close, close, volume: 1000 });
+}
+const actions = {
+  dividends: [{ date: '2026-07-30', amount: 2 }, { date: '2026-08-20', amount: 1.5 }],
+  splits: []
+};
+
+// 조회 기간 first~last, 수정 계수 기준은 저장된 마지막 일봉까지 (server.js getItemSeries의 history)
+function view(first, last, mode) {
+  const history = bars.filter((b) => b.date >= first);
+  const range = history.filter((b) => b.date <= last);
+  return applyCorporateActions(range, actions, { mode, history });
+}
+
+test('같은 날짜는 조회 기간과 관계없이 같은 수정 종가', () => {
+  const july = view('2026-07-01', '2026-07-31', 'adjusted');
+  const longer = view('2026-07-01', '2026-08-31', 'adjusted');
+  const shifted = view('2026-07-20', '2026-08-14', 'adjusted');
+  const pick = (list) => list.find((b) => b.date === '2026-07-29');
+  assert.strictEqual(pick(july).close, pick(longer).close);
+  assert.strictEqual(pick(july).close, pick(shifted).close);
+  assert.ok(pick(july).close < bars.find((b) => b.date === '2026-07-29').close);
+});
+
+test('기간 마지막 일봉도 뒤 배당락만큼 수정, 저장된 마지막 일봉은 그대로', () => {
+  const july = view('2026-07-01', '2026-07-31', 'adjusted');
+  const last = july[july.length - 1];
+  assert.ok(last.adjFactor < 1);
+  const all = view('2026-07-01', '2026-08-31', 'adjusted');
+  assert.strictEqual(all[all.length - 1].adjFactor, undefined);
+  assert.strictEqual(all[all.length - 1].close, bars[bars.length - 1].close);
+});
+
+test('raw: 가격은 그대로, adjClose는 adjusted 종가와 같음', () => {
+  const raw = view('2026-07-01', '2026-07-31', 'raw');
+  const adjusted = view('2026-07-01', '2026-07-31', 'adjusted');
+  raw.forEach((b, i) => {
+    assert.strictEqual(b.close, bars[i].close);
+    assert.strictEqual(b.adjClose, adjusted[i].close);
+  });
+  assert.strictEqual(raw.find((b) => b.date === '2026-07-30').dividend, 2);
+});
+
+test('저장된 일봉 사이 빈 구간의 배당락도 반영 (배당락 전 종가는 직전 저장 일봉)', () => {
+  // 8월 1~21일 일봉이 없는 저장소: 8-20 배당락은 빈 구간 안
+  const history = bars.filter((b) => b.date < '2026-08-01' || b.date > '2026-08-21');
+  const july = history.filter((b) => b.date <= '2026-07-31');
+  const adjusted = applyCorporateActions(july, actions, { mode: 'adjusted', history });
+  const jul31 = bars.find((b) => b.date === '2026-07-31');
+  const last = adjusted[adjusted.length - 1];
+  assert.strictEqual(last.date, '2026-07-31');
+  assert.strictEqual(last.adjFactor, 1 - 1.5 / jul31.close);
+  // 조회 기간 뒤 저장된 일봉이 없어도 기준점(저장된 마지막 일봉)이 같으면 같은 계수
+  const gapOnly = applyCorporateActions(july, actions, { mode: 'adjusted', history: [...july, history[history.length - 1]] });
+  assert.strictEqual(gapOnly[gapOnly.length - 1].adjFactor, last.adjFactor);
+  // 빈 구간 직전 일봉 종가가 비어 있으면 그 앞 종가로
+  const blank = history.map((b) => (b.date === '2026-07-31' ? { ...b, close: null } : b));
+  const jul30 = bars.find((b) => b.date === '2026-07-30');
+  const withBlank = applyCorporateActions(blank.filter((b) => b.date <= '2026-07-31'), actions, { mode: 'adjusted', history: blank });
+  assert.strictEqual(withBlank.find((b) => b.date === '2026-07-30').adjFactor, 1 - 1.5 / jul30.close);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pairReturns, pearson, correlationMatrix, rollingCorrelation } = require('../utils/correlation');
+
+const bar = (date, close) => ({ date, close });
+
+test('pairReturns: 두 항목 모두 종가가 있는 날짜만, 직전 공통 거래일 대비 로그수익률', () => {
+  const a = [bar('2026-01-02', 100), bar('2026-01-05', 110), bar('2026-01-06', 121), bar('2026-01-07', 133.1)];
+  // b는 01-05 휴장, 01-06은 종가 없음
+  const b = [bar('2026-01-02', 50), bar('2026-01-06', null), bar('2026-01-07', 60), bar('2026-01-08', 70)];
+  const r = pairReturns(a, b);
+  assert.deepStrictEqual(r.dates, ['2026-01-07']);
+  assert.ok(Math.abs(r.a[0] - Math.log(133.1 / 100)) < 1e-12);
+  assert.ok(Math.abs(r.b[0] - Math.log(60 / 50)) < 1e-12);
+});
+
+test('pearson: 완전 양·음 상관, 표본 부족·변동 없음은 null', () => {
+  assert.strictEqual(pearson([1, 2, 3], [2, 4, 6]), 1);
+  assert.strictEqual(pearson([1, 2, 3], [3, 2, 1]), -1);
+  assert.strictEqual(pearson([1], [1]), null);
+  assert.strictEqual(pearson([1, 1, 1], [1, 2, 3]), null);
+  assert.ok(Math.abs(pearson([1, 2, 3, 4], [1, 3, 2, 4]) - 0.8) < 1e-12);
+});
+
+test('상관계수 행렬·이동 상관계수', () => {
+  const dates = Array.from({ length: 6 }, (_, i) => `2026-01-0${i + 1}`);
+  const up = dates.map((d, i) => bar(d, 100 * 1.01 ** (i * i)));
+  const inverse = up.map((b) => bar(b.date, 10000 / b.close));
+  const { ids, matrix, samples } = correlationMatrix({ up, inverse }, 3);
+  assert.deepStrictEqual(ids, ['up', 'inverse']);
+  assert.strictEqual(matrix[0][0], 1);
+  assert.ok(Math.abs(matrix[0][1] + 1) < 1e-12);
+  assert.strictEqual(samples[0][1], 5);
+  assert.deepStrictEqual(correlationMatrix({ up, inverse }, 10).matrix, [[null, null], [null, null]]);
+
+  const rolling = rollingCorrelation(up, inverse, 3, '2026-01-03');
+  assert.deepStrictEqual(rolling.dates, ['2026-01-03', '2026-01-04', '2026-01-05', '2026-01-06']);
+  assert.strictEqual(rolling.values[0], null);
+  assert.ok(Math.abs(rolling.values[1] + 1) < 1e-12);
+});
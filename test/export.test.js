@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFields, exportColumns, exportRows, serializeExport } = require('../utils/export');
+
+const items = [
+  { id: 'apple', symbol: 'AAPL', unit: 'USD' },
+  { id: 'kospi', symbol: '^KS11', unit: 'pt' }
+];
+const seriesById = {
+  apple: [{ date: '2026-01-02', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 }, { date: '2026-01-05', close: 1.1234567891 }],
+  kospi: [{ date: '2026-01-05', close: 2500 }, { date: '2026-01-06', close: 2510 }]
+};
+const collect = (format, columns, rows) => [...serializeExport(format, columns, rows)].join('');
+
+test('필드: 기본 close, ohlcv 전체, 열 순서는 시·고·저·종·거래량', () => {
+  assert.deepStrictEqual(parseFields(undefined), ['close']);
+  assert.deepStrictEqual(parseFields('ohlcv'), ['open', 'high', 'low', 'close', 'volume']);
+  assert.deepStrictEqual(parseFields('volume, CLOSE,close'), ['close', 'volume']);
+  assert.throws(() => parseFields('close,adj'), /알 수 없는 필드입니다: adj/);
+});
+
+test('long: 항목 순서 → 날짜 오름차순, 가격 8자리 유효숫자', () => {
+  const fields = ['close', 'volume'];
+  assert.deepStrictEqual(exportColumns('long', items, fields), ['date', 'item_id', 'symbol', 'unit', 'close', 'volume']);
+  assert.deepStrictEqual([...exportRows('long', items, seriesById, fields)], [
+    ['2026-01-02', 'apple', 'AAPL', 'USD', 1.5, 100],
+    ['2026-01-05', 'apple', 'AAPL', 'USD', 1.1234568, null],
+    ['2026-01-05', 'kospi', '^KS11', 'pt', 2500, null],
+    ['2026-01-06', 'kospi', '^KS11', 'pt', 2510, null]
+  ]);
+});
+
+test('wide: 날짜 합집합마다 한 행, 없는 값은 null', () => {
+  assert.deepStrictEqual(exportColumns('wide', items, ['close']), ['date', 'apple.close', 'kospi.close']);
+  assert.deepStrictEqual([...exportRows('wide', items, seriesById, ['close'])], [
+    ['2026-01-02', 1.5, null],
+    ['2026-01-05', 1.1234568, 2500],
+    ['2026-01-06', null, 2510]
+  ]);
+});
+
+test('CSV: 쉼표·따옴표·줄바꿈이 든 값은 따옴표로 감싸고 따옴표는 두 번', () => {
+  const csv = collect('csv', ['date', 'note'], [['2026-01-02', 'a,b'], ['2026-01-05', 'say "hi"'], ['2026-01-06', 'x\ny'], ['2026-01-07', null]]);
+  assert.strictEqual(csv, 'date,note\n2026-01-02,"a,b"\n2026-01-05,"say ""hi"""\n2026-01-06,"x\ny"\n2026-01-07,\n');
+});
+
+test('JSON·NDJSON: 열 이름을 키로 한 객체', () => {
+  const columns = ['date', 'apple.close'];
+  const rows = [['2026-01-02', 1.5], ['2026-01-05', null]];
+  assert.deepStrictEqual(JSON.parse(collect('json', columns, rows)), [
+    { date: '2026-01-02', 'apple.close': 1.5 },
+    { date: '2026-01-05', 'apple.close': null }
+  ]);
+  assert.deepStrictEqual(JSON.parse(collect('json', columns, [])), []);
+  assert.deepStrictEqual(collect('ndjson', columns, rows).trim().split('\n').map((l) => JSON.parse(l)),
+    [{ date: '2026-01-02', 'apple.close': 1.5 }, { date: '2026-01-05', 'apple.close': null }]);
+});
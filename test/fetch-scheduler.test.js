@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFetchScheduler } = require('../services/fetch-scheduler');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const rateLimited = () => Promise.reject(new Error('RATE_LIMITED'));
+
+test('차단 전에 보낸 요청이 429 뒤에 성공해도 회로는 차단 유지', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const scheduler = createFetchScheduler({ concurrency: 4, burst: 4, retries: 0, breakerThreshold: 2, breakerCooldownMs: 100 });
+  const req = { host: 'upstream', interval: 0 };
+  let finishSlow;
+  const slow = scheduler.run(req, () => new Promise((resolve) => { finishSlow = resolve; }));
+  const limited = [scheduler.run(req, rateLimited), scheduler.run(req, rateLimited)];
+  await Promise.allSettled(limited);
+  assert.strictEqual(scheduler.status().hosts.upstream.circuit, 'open');
+
+  // 같은 밀리초 안에 끝나도 차단 뒤 성공으로 보지 않음
+  finishSlow('late');
+  assert.strictEqual(await slow, 'late');
+  assert.strictEqual(scheduler.status().hosts.upstream.circuit, 'open');
+  await assert.rejects(scheduler.run(req, () => Promise.resolve('blocked')), { code: 'CIRCUIT_OPEN' });
+
+  // 대기 시간이 지나면 시험 요청 성공으로 회로가 닫힘
+  await sleep(110);
+  assert.strictEqual(await scheduler.run(req, () => Promise.resolve('probe')), 'probe');
+  assert.strictEqual(scheduler.status().hosts.upstream.circuit, 'closed');
+});
+
+test('시계가 뒤로 가도 차단 전 요청의 성공은 회로를 닫지 않음', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let clock = 2000;
+  t.mock.method(Date, 'now', () => clock);
+  const scheduler = createFetchScheduler({ concurrency: 4, burst: 4, retries: 0, breakerThreshold: 2, breakerCooldownMs: 100 });
+  const req = { host: 'upstream', interval: 0 };
+  let finishSlow;
+  const slow = scheduler.run(req, () => new Promise((resolve) => { finishSlow = resolve; }));
+  clock = 1000;
+  await Promise.allSettled([scheduler.run(req, rateLimited), scheduler.run(req, rateLimited)]);
+  assert.strictEqual(scheduler.status().hosts.upstream.circuit, 'open');
+
+  finishSlow('late');
+  assert.strictEqual(await slow, 'late');
+  assert.strictEqual(scheduler.status().hosts.upstream.circuit, 'open');
+
+  clock = 1200;
+  assert.strictEqual(await scheduler.run(req, () => Promise.resolve('probe')), 'probe');
+  assert.strictEqual(scheduler.status().hosts.upstream.circuit, 'closed');
+});
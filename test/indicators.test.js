@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSpec } = require('../utils/indicators');
+
+test('기간은 반올림 후 검증', () => {
+  assert.deepStrictEqual(parseSpec('sma:20.4').params, [20]);
+  assert.deepStrictEqual(parseSpec('sma:0.6').params, [1]);
+  assert.throws(() => parseSpec('sma:0.4'), /파라미터가 올바르지 않습니다/);
+  assert.throws(() => parseSpec('rsi:-1'), /파라미터가 올바르지 않습니다/);
+});
+
+test('변동성 기간은 2 이상', () => {
+  assert.throws(() => parseSpec('vol:1'), /파라미터가 올바르지 않습니다/);
+  assert.throws(() => parseSpec('vol:1.4'), /파라미터가 올바르지 않습니다/);
+  assert.deepStrictEqual(parseSpec('vol:2').params, [2]);
+});
+
+test('볼린저 배수는 소수 허용', () => {
+  assert.deepStrictEqual(parseSpec('bb:20:0.5').params, [20, 0.5]);
+  assert.throws(() => parseSpec('bb:20:0'), /파라미터가 올바르지 않습니다/);
+});
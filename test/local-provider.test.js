@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalPriceProvider } = require('../providers/price/local');
+
+function withDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-prices-'));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+test('CSV 빈 칸은 0이 아니라 null', async () => {
+  const dir = withDir({
+    'AAA.csv': 'date,open,high,low,close,volume\n2026-01-02,,,,100,\n2026-01-05,101,102,99,,500\n2026-01-06,101,103,100,102,700\n'
+  });
+  const provider = createLocalPriceProvider({ dir });
+  const { bars } = await provider.fetchHistory('AAA', new Date('2026-01-01T00:00:00'), new Date('2026-01-31T00:00:00'));
+  assert.deepStrictEqual(bars.map((b) => b.date), ['2026-01-02', '2026-01-06']);
+  assert.deepStrictEqual(bars[0], { date: '2026-01-02', close: 100, open: null, high: null, low: null, volume: null });
+  assert.strictEqual(bars[1].low, 100);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('분봉 CSV 빈 칸도 null', async () => {
+  const dir = withDir({ 'AAA.5m.csv': 'time,open,high,low,close,volume\n1767312000,,,,100,\n' });
+  const provider = createLocalPriceProvider({ dir });
+  const bars = await provider.fetchIntraday('AAA', '5m', new Date(1767312000 * 1000), new Date(1767312300 * 1000));
+  assert.deepStrictEqual(bars, [{ ts: 1767312000, open: null, high: null, low: null, close: 100, volume: null }]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('검색 목록에서 분봉·배당·분할 파일 제외', async () => {
+  const dir = withDir({
+    'AAPL.json': '[{"date":"2026-01-02","close":1}]',
+    'AAPL.5m.csv': 'time,close\n1767312000,1\n',
+    'AAPL.events.json': '{"dividends":[],"splits":[]}',
+    '360750.KS.json': '[{"date":"2026-01-02","close":1}]'
+  });
+  const provider = createLocalPriceProvider({ dir });
+  assert.deepStrictEqual((await provider.search('aapl')).map((r) => r.symbol), ['AAPL']);
+  assert.deepStrictEqual((await provider.search('360750')).map((r) => r.symbol), ['360750.KS']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
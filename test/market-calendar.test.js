@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { holidayName, isTradingDay, settleAt, finalThrough, isSessionOpen, nextSettleAt, inferMarket } = require('../utils/market-calendar');
+
+test('NYSE 휴장일: 부활절 기준 성금요일, n번째 요일, 주말 대체', () => {
+  assert.strictEqual(holidayName('nyse', '2025-04-18'), '성금요일');
+  assert.strictEqual(holidayName('nyse', '2025-11-27'), '추수감사절');
+  assert.strictEqual(holidayName('nyse', '2026-05-25'), '메모리얼 데이');
+  assert.strictEqual(holidayName('nyse', '2026-07-03'), '독립기념일'); // 7/4 토요일 → 금요일
+  assert.strictEqual(holidayName('nyse', '2025-01-09'), '카터 전 대통령 국장');
+  assert.strictEqual(holidayName('nyse', '2026-10-17'), '주말');
+  // 신정이 토요일이면 전년 12/31은 거래, 준틴스는 2022년부터
+  assert.ok(isTradingDay('nyse', '2021-12-31'));
+  assert.ok(isTradingDay('nyse', '2021-06-18'));
+  assert.strictEqual(holidayName('nyse', '2023-06-19'), '준틴스');
+  assert.strictEqual(holidayName('cme', '2025-04-18'), '성금요일');
+});
+
+test('KRX 휴장일: 음력 목록, 대체공휴일, 연말 휴장', () => {
+  assert.strictEqual(holidayName('krx', '2025-10-06'), '추석');
+  assert.strictEqual(holidayName('krx', '2026-03-02'), '대체공휴일'); // 삼일절 일요일
+  assert.strictEqual(holidayName('krx', '2026-12-31'), '연말 휴장');
+  assert.strictEqual(holidayName('krx', '2027-12-31'), '연말 휴장');
+  assert.strictEqual(holidayName('krx', '2022-12-30'), '연말 휴장'); // 12/31 토요일 → 마지막 평일
+  assert.ok(isTradingDay('krx', '2026-10-16'));
+  assert.strictEqual(holidayName('fx', '2026-12-25'), '성탄절');
+  assert.ok(isTradingDay('fx', '2026-11-26'));
+});
+
+test('종가 확정 시각: 현지 마감 + 30분, 서머타임 반영', () => {
+  assert.strictEqual(settleAt('nyse', '2026-10-16').toISOString(), '2026-10-16T20:30:00.000Z');
+  assert.strictEqual(settleAt('nyse', '2026-03-06').toISOString(), '2026-03-06T21:30:00.000Z');
+  assert.strictEqual(settleAt('nyse', '2026-03-09').toISOString(), '2026-03-09T20:30:00.000Z');
+  assert.strictEqual(settleAt('krx', '2026-10-16').toISOString(), '2026-10-16T07:00:00.000Z');
+});
+
+test('finalThrough: 확정 전에는 전일, 휴장일은 당일', () => {
+  assert.strictEqual(finalThrough('nyse', new Date('2026-10-16T20:29:00Z')), '2026-10-15');
+  assert.strictEqual(finalThrough('nyse', new Date('2026-10-16T20:30:00Z')), '2026-10-16');
+  assert.strictEqual(finalThrough('nyse', new Date('2026-10-17T15:00:00Z')), '2026-10-17');
+  assert.strictEqual(finalThrough('krx', new Date('2026-10-16T06:59:00Z')), '2026-10-15');
+});
+
+test('정규장·다음 확정 시각', () => {
+  assert.ok(isSessionOpen('nyse', new Date('2026-10-16T14:00:00Z')));
+  assert.ok(!isSessionOpen('nyse', new Date('2026-10-16T20:00:00Z')));
+  assert.ok(!isSessionOpen('krx', new Date('2026-10-17T02:00:00Z')));
+  // 금요일 확정 뒤 → 월요일
+  assert.strictEqual(nextSettleAt('nyse', new Date('2026-10-16T21:00:00Z')).toISOString(), '2026-10-19T20:30:00.000Z');
+});
+
+test('심볼로 시장 추정', () => {
+  assert.strictEqual(inferMarket('360750.KS'), 'krx');
+  assert.strictEqual(inferMarket('^KS11'), 'krx');
+  assert.strictEqual(inferMarket('GC=F'), 'cme');
+  assert.strictEqual(inferMarket('KRW=X'), 'fx');
+  assert.strictEqual(inferMarket('AAPL'), 'nyse');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTransaction, computePositions, holdingsTimeline } = require('../utils/portfolio');
+
+const tx = (itemId, side, quantity, price, date, fee = 0) => normalizeTransaction({ itemId, side, quantity, price, fee, date });
+
+test('이동평균법: 수수료 포함 평균단가, 매도 시 평균단가로 원가 차감', () => {
+  const [p] = computePositions([
+    tx('apple', 'buy', 10, 100, '2026-01-02', 10),
+    tx('apple', 'buy', 10, 200, '2026-01-05', 10),
+    tx('apple', 'sell', 5, 300, '2026-01-06', 5)
+  ]);
+  // 원가 1010 + 2010 = 3020 → 평균 151, 5주 매도 원가 755
+  assert.strictEqual(p.quantity, 15);
+  assert.strictEqual(p.avgCost, 151);
+  assert.strictEqual(p.realized, 5 * 300 - 5 - 755);
+  assert.strictEqual(p.fees, 25);
+});
+
+test('보유 수량보다 많이 매도하면 예외 (날짜순, 같은 날은 입력 순서)', () => {
+  assert.throws(() => computePositions([
+    tx('apple', 'buy', 5, 100, '2026-01-05'),
+    tx('apple', 'sell', 3, 100, '2026-01-02')
+  ]), /보유 수량/);
+  assert.throws(() => computePositions([
+    tx('apple', 'buy', 5, 100, '2026-01-02'),
+    tx('apple', 'sell', 6, 100, '2026-01-03')
+  ]), /보유 수량/);
+  // 전량 매도 후 포지션은 0, 실현손익은 유지
+  const [p] = computePositions([tx('apple', 'buy', 5, 100, '2026-01-02'), tx('apple', 'sell', 5, 120, '2026-01-02')]);
+  assert.strictEqual(p.quantity, 0);
+  assert.strictEqual(p.avgCost, null);
+  assert.strictEqual(p.realized, 100);
+});
+
+test('원화 실현손익은 거래일 환율 (환차손익 포함)', () => {
+  const rates = { '2026-01-02': 1300, '2026-02-02': 1400 };
+  const [p] = computePositions([
+    tx('apple', 'buy', 10, 100, '2026-01-02'),
+    tx('apple', 'sell', 10, 100, '2026-02-02')
+  ], (t) => rates[t.date]);
+  assert.strictEqual(p.realized, 0);
+  assert.strictEqual(p.realizedKrw, 10 * 100 * (1400 - 1300));
+  // 환율을 모르면 원화 금액은 NaN
+  const [unknown] = computePositions([tx('apple', 'buy', 1, 100, '2026-01-02')], () => null);
+  assert.ok(Number.isNaN(unknown.costKrw));
+});
+
+test('날짜별 보유 수량·원화 원가·누적 실현손익', () => {
+  const timeline = holdingsTimeline([
+    tx('apple', 'buy', 10, 100, '2026-01-02'),
+    tx('apple', 'sell', 4, 150, '2026-01-06')
+  ], ['2026-01-01', '2026-01-02', '2026-01-06']);
+  assert.deepStrictEqual(timeline.quantities.apple, [0, 10, 6]);
+  assert.deepStrictEqual(timeline.costKrw, [0, 1000, 600]);
+  assert.deepStrictEqual(timeline.realizedKrw, [0, 0, 200]);
+});
+
+test('거래 입력 검증', () => {
+  assert.throws(() => normalizeTransaction({ side: 'hold', quantity: 1, price: 1, date: '2026-01-02' }), /거래 구분/);
+  assert.throws(() => normalizeTransaction({ side: 'buy', quantity: 0, price: 1, date: '2026-01-02' }), /수량/);
+  assert.throws(() => normalizeTransaction({ side: 'buy', quantity: 1, price: 1, fee: -1, date: '2026-01-02' }), /수수료/);
+  assert.throws(() => normalizeTransaction({ side: 'buy', quantity: 1, price: 1, date: '2026/01/02' }), /거래일/);
+  assert.strictEqual(normalizeTransaction({ side: 'buy', quantity: '2', price: '3', date: '2026-01-02' }).fee, 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSeriesStore, addCoverage, findGaps } = require('../services/series-store');
+const { formatYMD, shiftYMD } = require('../utils/dates');
+
+const HOUR = 60 * 60 * 1000;
+const today = formatYMD(new Date());
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 1 });
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'series-'));
+  return { dir, store: createSeriesStore({ dir, recentTtl: HOUR }) };
+}
+
+test('coverage 병합·빠진 구간 계산', () => {
+  assert.deepStrictEqual(addCoverage([['2026-01-01', '2026-01-10']], '2026-01-11', '2026-01-20'), [['2026-01-01', '2026-01-20']]);
+  assert.deepStrictEqual(addCoverage([['2026-01-01', '2026-01-10']], '2026-01-15', '2026-01-20'),
+    [['2026-01-01', '2026-01-10'], ['2026-01-15', '2026-01-20']]);
+  assert.deepStrictEqual(findGaps([['2026-01-05', '2026-01-10'], ['2026-01-15', '2026-01-20']], '2026-01-01', '2026-01-31'),
+    [['2026-01-01', '2026-01-04'], ['2026-01-11', '2026-01-14'], ['2026-01-21', '2026-01-31']]);
+  assert.deepStrictEqual(findGaps([['2026-01-01', '2026-01-31']], '2026-01-05', '2026-01-20'), []);
+});
+
+test('빈 저장소는 전체 구간, 받은 구간은 다시 받지 않음', async () => {
+  const { dir, store } = tempStore();
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', '2026-01-01', '2026-01-31', '2026-02-01'), [['2026-01-01', '2026-01-31']]);
+  await store.upsert('p', 'AAA', '2026-01-01', '2026-01-31', [bar('2026-01-02', 10), bar('2026-02-02', 99)], '2026-02-01');
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', '2026-01-10', '2026-01-20', '2026-02-01'), []);
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', '2026-01-20', '2026-02-10', '2026-02-11'), [['2026-02-01', '2026-02-10']]);
+  // 조회 구간 밖 일봉은 저장하지 않음
+  assert.deepStrictEqual((await store.getBars('p', 'AAA', '2026-01-01', '2026-12-31')).map((b) => b.date), ['2026-01-02']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('upsert: 같은 날짜는 새 값, 나머지는 유지', async () => {
+  const { dir, store } = tempStore();
+  await store.upsert('p', 'AAA', '2026-01-01', '2026-01-10', [bar('2026-01-02', 10), bar('2026-01-05', 11)], '2026-01-31');
+  await store.upsert('p', 'AAA', '2026-01-05', '2026-01-06', [bar('2026-01-05', 12), bar('2026-01-06', 13)], '2026-01-31');
+  assert.deepStrictEqual((await store.getBars('p', 'AAA', '2026-01-01', '2026-01-31')).map((b) => [b.date, b.close]),
+    [['2026-01-02', 10], ['2026-01-05', 12], ['2026-01-06', 13]]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('pendingFrom: 확정일이 지나면 미확정 구간만 다시 조회', async () => {
+  const { dir, store } = tempStore();
+  const from = shiftYMD(today, -10);
+  const yesterday = shiftYMD(today, -1);
+  // 어제까지 확정 → 오늘 값은 미확정으로 저장
+  await store.upsert('p', 'AAA', from, today, [bar(yesterday, 10), bar(today, 11)], yesterday);
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', from, today, yesterday), []);
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', from, yesterday, today), []);
+  // 오늘 종가가 확정되면 오늘만 다시
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', from, today, today), [[today, today]]);
+  await store.upsert('p', 'AAA', today, today, [bar(today, 12)], today);
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', from, today, today), []);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('pendingFrom: TTL이 지나면 확정 전이라도 다시 조회', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'series-'));
+  const store = createSeriesStore({ dir, recentTtl: -1 });
+  const yesterday = shiftYMD(today, -1);
+  await store.upsert('p', 'AAA', shiftYMD(today, -5), today, [bar(today, 11)], yesterday);
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', shiftYMD(today, -5), today, yesterday), [[today, today]]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('dropBefore: 이전 일봉·coverage 폐기, 파일에 저장', async () => {
+  const { dir, store } = tempStore();
+  await store.upsert('p', 'AAA', '2026-01-01', '2026-01-31', [bar('2026-01-05', 10), bar('2026-01-20', 20)], '2026-02-01');
+  assert.strictEqual(await store.dropBefore('p', 'AAA', '2026-01-15'), true);
+  assert.strictEqual(await store.dropBefore('p', 'AAA', '2026-01-15'), false);
+  assert.deepStrictEqual(await store.getMissingRanges('p', 'AAA', '2026-01-01', '2026-01-31', '2026-02-01'), [['2026-01-01', '2026-01-14']]);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const reopened = createSeriesStore({ dir, recentTtl: HOUR });
+  assert.deepStrictEqual((await reopened.getBars('p', 'AAA', '2026-01-01', '2026-01-31')).map((b) => b.date), ['2026-01-20']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEmailChannel, sendMail } = require('../providers/notify/smtp');
+
+const base = { host: 'smtp.example.com', from: 'alerts@example.com', to: 'team@example.com' };
+
+test('정상 설정은 채널 생성', () => {
+  assert.strictEqual(createEmailChannel(base).type, 'email');
+  assert.strictEqual(createEmailChannel({ ...base, to: 'a@example.com, b@example.com' }).type, 'email');
+});
+
+test('줄바꿈이 든 설정은 거부', () => {
+  for (const field of ['host', 'user', 'from', 'to']) {
+    assert.throws(() => createEmailChannel({ ...base, [field]: `${base[field] || 'u'}\r\nRCPT TO:<x@evil.test>` }), /줄바꿈/);
+  }
+});
+
+test('주소는 꺾쇠·표시 이름 없는 local@domain만', () => {
+  assert.throws(() => createEmailChannel({ ...base, from: '<alerts@example.com>' }), /보내는 주소 형식/);
+  assert.throws(() => createEmailChannel({ ...base, to: 'Team <team@example.com>' }), /받는 주소 형식/);
+  assert.throws(() => createEmailChannel({ ...base, to: 'team' }), /받는 주소 형식/);
+});
+
+test('sendMail도 연결 전에 주소·줄바꿈 검증 (.env 채널 포함)', async () => {
+  await assert.rejects(sendMail({ ...base, from: 'a@example.com>\r\nDATA', to: ['team@example.com'] }), /메일 주소 형식/);
+  await assert.rejects(sendMail({ ...base, host: 'smtp\r\nQUIT', to: ['team@example.com'] }), /줄바꿈/);
+});
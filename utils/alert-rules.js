@@ -0,0 +1,111 @@
+const { consecDownDays, dropFromHighPct, rsi2 } = require('./indicators');
+
+// 알림 규칙 유형: params 검증(normalize)과 마지막 일봉 기준 판정(evaluate)
+// evaluate(bars, params) → null(미발생) | { value, message }
+// bars: 날짜 오름차순 일봉 (마지막 bar가 판정 대상)
+const MAX_LOOKBACK_DAYS = 250;
+
+function toNumber(val) {
+  const n = Number(val);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toInt(val, min, max, fallback) {
+  if (val == null || val === '') return fallback;
+  const n = parseInt(val, 10);
+  if (isNaN(n) || n < min || n > max) return null;
+  return n;
+}
+
+const fmt = (v) => (Math.abs(v) >= 100 ? v.toFixed(2) : v.toPrecision(4));
+
+const RULE_TYPES = {
+  // 종가가 기준가를 상향/하향 돌파 (전일 종가 → 당일 종가)
+  price_cross: {
+    label: '가격 돌파',
+    lookback: () => 2,
+    normalize(params) {
+      const level = toNumber(params.level);
+      if (level == null || level <= 0) throw new Error('기준 가격을 입력하세요');
+      const direction = params.direction === 'below' ? 'below' : 'above';
+      return { level, direction };
+    },
+    evaluate(bars, { level, direction }) {
+      if (bars.length < 2) return null;
+      const prev = bars[bars.length - 2].close;
+      const close = bars[bars.length - 1].close;
+      const crossed = direction === 'above' ? prev < level && close >= level : prev > level && close <= level;
+      if (!crossed) return null;
+      return { value: close, message: `종가 ${fmt(close)}, 기준가 ${fmt(level)} ${direction === 'above' ? '상향' : '하향'} 돌파` };
+    }
+  },
+  // N일 고점 대비 pct% 이상 하락
+  drop_from_high: {
+    label: '고점 대비 하락',
+    lookback: (params) => params.days,
+    normalize(params) {
+      const pct = toNumber(params.pct);
+      if (pct == null || pct <= 0 || pct >= 100) throw new Error('하락률(%)은 0~100 사이로 입력하세요');
+      const days = toInt(params.days, 2, MAX_LOOKBACK_DAYS, 20);
+      if (days == null) throw new Error(`기간은 2~${MAX_LOOKBACK_DAYS}거래일로 입력하세요`);
+      return { pct, days };
+    },
+    evaluate(bars, { pct, days }) {
+      const closes = bars.slice(-days).map((b) => b.close);
+      const drop = dropFromHighPct(closes);
+      if (drop > -pct) return null;
+      return { value: Math.round(drop * 100) / 100, message: `${days}거래일 고점 대비 ${drop.toFixed(2)}% (기준 -${pct}%)` };
+    }
+  },
+  // RSI(2) 과매도
+  rsi2_below: {
+    label: 'RSI(2) 이하',
+    lookback: () => 3,
+    normalize(params) {
+      const threshold = params.threshold == null || params.threshold === '' ? 10 : toNumber(params.threshold);
+      if (threshold == null || threshold <= 0 || threshold >= 100) throw new Error('RSI 기준은 0~100 사이로 입력하세요');
+      return { threshold };
+    },
+    evaluate(bars, { threshold }) {
+      const rsi = rsi2(bars.map((b) => b.close));
+      if (rsi == null || rsi > threshold) return null;
+      return { value: Math.round(rsi * 10) / 10, message: `RSI(2) ${rsi.toFixed(1)} (기준 ${threshold} 이하)` };
+    }
+  },
+  // N일 이상 연속 하락
+  consec_down: {
+    label: '연속 하락',
+    lookback: (params) => params.days + 1,
+    normalize(params) {
+      const days = toInt(params.days, 1, 30, 2);
+      if (days == null) throw new Error('연속 하락일은 1~30일로 입력하세요');
+      return { days };
+    },
+    evaluate(bars, { days }) {
+      const consec = consecDownDays(bars.map((b) => b.close));
+      if (consec < days) return null;
+      return { value: consec, message: `${consec}거래일 연속 하락 (기준 ${days}일)` };
+    }
+  }
+};
+
+// params 검증 (알 수 없는 유형/잘못된 값이면 throw)
+function normalizeRuleParams(type, params) {
+  const def = RULE_TYPES[type];
+  if (!def) throw new Error(`알 수 없는 알림 유형입니다: ${type}`);
+  return def.normalize(params && typeof params === 'object' ? params : {});
+}
+
+function evaluateRule(rule, bars) {
+  const def = RULE_TYPES[rule.type];
+  if (!def || !Array.isArray(bars) || bars.length === 0) return null;
+  return def.evaluate(bars, rule.params);
+}
+
+// 판정에 필요한 거래일 수
+function ruleLookback(rule) {
+  const def = RULE_TYPES[rule.type];
+  return def ? def.lookback(rule.params) : 0;
+}
+
+module.exports = { RULE_TYPES, normalizeRuleParams, evaluateRule, ruleLookback };
@@ -0,0 +1,171 @@
+const { rsi2, dropFromHighPct, consecDownDays } = require('./indicators');
+const { maxDrawdownPct } = require('./performance');
+const { sanitizeNum } = require('./sanitize');
+
+// 대시보드 신호(RSI(2), 고점 대비 하락, 연속 하락) 기반 단일 항목 백테스트
+// 일봉 종가 기준: 신호가 난 날 종가에 진입·청산, 한 번에 한 포지션, 자산 전부 투자 (복리)
+// 청산: RSI(2) ≥ exitRsi, 보유 holdDays 거래일 경과, 진입가 대비 stopLossPct% 하락 중 먼저 오는 것
+// 수수료: 진입·청산 각각 거래금액의 feePct%
+
+// 진입 규칙: 유형 → { label, params: 기본값, names, warmup(params) }
+const ENTRY_RULES = {
+  rsi2_below: {
+    label: 'RSI(2) 이하', params: [10], names: ['threshold'],
+    warmup: () => 2,
+    signal: (closes, i, [threshold]) => {
+      const r = rsi2(closes.slice(i - 2, i + 1));
+      return r != null && r <= threshold;
+    }
+  },
+  drop_from_high: {
+    label: '고점 대비 하락', params: [3, 20], names: ['pct', 'days'],
+    warmup: ([, days]) => days - 1,
+    signal: (closes, i, [pct, days]) => dropFromHighPct(closes.slice(i - days + 1, i + 1)) <= -pct
+  },
+  consec_down: {
+    label: '연속 하락', params: [2], names: ['days'],
+    warmup: ([days]) => days,
+    signal: (closes, i, [days]) => consecDownDays(closes.slice(i - days, i + 1)) >= days
+  }
+};
+
+const EXIT_REASONS = { rsi: 'RSI(2) 청산', hold: '보유 기간 만료', stop: '손절', open: '보유 중' };
+const MAX_HOLD_DAYS = 250;
+
+// "rsi2_below:10" + 청산·수수료 옵션 → 전략 (잘못된 값이면 throw)
+function parseStrategy({ entry, exitRsi, holdDays, stopLossPct, feePct } = {}) {
+  const [type, ...raw] = String(entry || 'rsi2_below').trim().toLowerCase().split(':');
+  const def = ENTRY_RULES[type];
+  if (!def) throw new Error(`알 수 없는 진입 규칙입니다: ${type}`);
+  if (raw.length > def.params.length) throw new Error(`${type} 파라미터는 최대 ${def.params.length}개입니다`);
+  const params = def.params.map((dflt, i) => {
+    if (raw[i] == null || raw[i] === '') return dflt;
+    const n = Number(raw[i]);
+    if (!Number.isFinite(n) || n <= 0 || n > MAX_HOLD_DAYS) throw new Error(`${type} 파라미터가 올바르지 않습니다: ${raw[i]}`);
+    return def.names[i] === 'days' ? Math.round(n) : n;
+  });
+  // 빈 값·0은 해당 청산 조건 사용 안 함
+  const optional = (val, name, max) => {
+    if (val == null || val === '') return null;
+    const n = sanitizeNum(val);
+    if (n == null || n < 0 || n > max) throw new Error(`${name} 값이 올바르지 않습니다: ${val}`);
+    return n > 0 ? n : null;
+  };
+  const strategy = {
+    entry: { key: [type, ...params].join(':'), type, params, label: `${def.label}(${params.join(', ')})` },
+    exitRsi: optional(exitRsi, 'exitRsi', 100),
+    holdDays: optional(holdDays, 'holdDays', MAX_HOLD_DAYS),
+    stopLossPct: optional(stopLossPct, 'stopLossPct', 100),
+    feePct: optional(feePct, 'feePct', 10) || 0
+  };
+  if (strategy.holdDays != null) strategy.holdDays = Math.round(strategy.holdDays);
+  if (strategy.exitRsi == null && strategy.holdDays == null && strategy.stopLossPct == null) {
+    throw new Error('청산 조건(RSI 청산, 보유 기간, 손절)을 하나 이상 지정하세요');
+  }
+  return strategy;
+}
+
+// 진입 신호 계산에 필요한 앞 일봉 수
+function strategyWarmup(strategy) {
+  return ENTRY_RULES[strategy.entry.type].warmup(strategy.entry.params);
+}
+
+// bars: 날짜 오름차순 일봉, from 이전 일봉은 신호 계산용 (그 날짜부터 거래)
+// → { equity: { dates, strategy, buyHold } (시작 = 100), trades, stats }
+function runBacktest(bars, strategy, from = null) {
+  const valid = bars.filter((b) => b.close != null && b.close > 0);
+  const closes = valid.map((b) => b.close);
+  const warmup = strategyWarmup(strategy);
+  let start = 0;
+  if (from) while (start < valid.length && valid[start].date < from) start++;
+  const rule = ENTRY_RULES[strategy.entry.type];
+  const fee = strategy.feePct / 100;
+
+  const dates = [];
+  const equity = [];
+  const buyHold = [];
+  const trades = [];
+  let cash = 100;
+  let shares = 0;
+  let open = null;
+  let daysInMarket = 0;
+
+  for (let i = start; i < valid.length; i++) {
+    const close = closes[i];
+    if (open) {
+      daysInMarket++;
+      const held = i - open.index;
+      let reason = null;
+      if (strategy.stopLossPct != null && close <= open.price * (1 - strategy.stopLossPct / 100)) reason = 'stop';
+      else if (strategy.exitRsi != null && rsiAtLeast(closes, i, strategy.exitRsi)) reason = 'rsi';
+      else if (strategy.holdDays != null && held >= strategy.holdDays) reason = 'hold';
+      if (reason) {
+        cash = shares * close * (1 - fee);
+        shares = 0;
+        trades.push(closeTrade(open, valid[i].date, close, held, reason, fee));
+        open = null;
+      }
+    } else if (i >= warmup && rule.signal(closes, i, strategy.entry.params)) {
+      // 청산한 날에는 다시 진입하지 않음 (다음 거래일부터)
+      shares = (cash * (1 - fee)) / close;
+      cash = 0;
+      open = { index: i, date: valid[i].date, price: close };
+    }
+    dates.push(valid[i].date);
+    equity.push(open ? shares * close : cash);
+    buyHold.push((close / closes[start]) * 100);
+  }
+  // 기간 끝까지 보유 중이면 마지막 종가에 청산한 것으로 평가 (거래 수익률과 마지막 자산 모두 청산 수수료 반영)
+  if (open) {
+    const last = valid.length - 1;
+    equity[equity.length - 1] = shares * closes[last] * (1 - fee);
+    trades.push(closeTrade(open, valid[last].date, closes[last], last - open.index, 'open', fee));
+  }
+  return { equity: { dates, strategy: equity, buyHold }, trades, stats: summarize(dates, equity, buyHold, trades, daysInMarket) };
+}
+
+function rsiAtLeast(closes, i, threshold) {
+  const r = rsi2(closes.slice(Math.max(0, i - 2), i + 1));
+  return r != null && r >= threshold;
+}
+
+function closeTrade(open, exitDate, exitPrice, holdDays, reason, fee) {
+  return {
+    entryDate: open.date,
+    entryPrice: open.price,
+    exitDate,
+    exitPrice,
+    holdDays,
+    reason,
+    returnPct: ((exitPrice * (1 - fee) * (1 - fee)) / open.price - 1) * 100
+  };
+}
+
+function summarize(dates, equity, buyHold, trades, daysInMarket) {
+  if (dates.length === 0) return null;
+  const last = equity[equity.length - 1];
+  const years = (Date.parse(dates[dates.length - 1]) - Date.parse(dates[0])) / (365.25 * 86400000);
+  const wins = trades.filter((t) => t.returnPct > 0).length;
+  const avg = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  return {
+    firstDate: dates[0],
+    lastDate: dates[dates.length - 1],
+    returnPct: last - 100,
+    cagrPct: years >= 1 ? ((last / 100) ** (1 / years) - 1) * 100 : null,
+    maxDrawdownPct: maxDrawdownPct(equity),
+    trades: trades.length,
+    winRatePct: trades.length > 0 ? (wins / trades.length) * 100 : null,
+    avgTradePct: avg(trades.map((t) => t.returnPct)),
+    avgHoldDays: avg(trades.map((t) => t.holdDays)),
+    exposurePct: (daysInMarket / dates.length) * 100,
+    buyHoldReturnPct: buyHold[buyHold.length - 1] - 100,
+    buyHoldMaxDrawdownPct: maxDrawdownPct(buyHold)
+  };
+}
+
+// 진입 규칙 목록 (선택 UI용)
+function listEntryRules() {
+  return Object.entries(ENTRY_RULES).map(([type, def]) => ({ type, label: def.label, params: def.params, names: def.names }));
+}
+
+module.exports = { parseStrategy, strategyWarmup, runBacktest, listEntryRules, EXIT_REASONS };
@@ -0,0 +1,71 @@
+// 배당·분할 반영 (수정 종가·총수익 지수·이벤트 표시)
+// 제공처 일봉은 분할 반영 가격(분할 전 날짜도 분할 후 기준), 배당 미반영이라는 전제 (Yahoo 차트 종가와 같음)
+// actions: { dividends: [{ date: 배당락일, amount }], splits: [{ date, numerator, denominator }] }
+const PRICE_MODES = ['raw', 'adjusted'];
+
+// 일봉마다 배당 수정 계수: 그 날짜 뒤 배당락(anchor까지)마다 (1 - 배당금 / 배당락 전 거래일 종가)를 곱한 값
+// anchor(기본 bars 마지막 날짜)가 기준(계수 1). 저장된 마지막 일봉 날짜를 주면 Yahoo Adj Close와 같은 기준이라
+// 조회 기간과 관계없이 같은 날짜는 같은 수정 가격, 기간 안 수익률은 배당을 재투자한 총수익률과 같음
+// 배당은 일봉이 있는 날짜와 관계없이 이력 전체에서 고르고, 배당락 전 종가는 closes(저장된 일봉)에서 그 날짜 직전 값
+function dividendFactors(bars, dividends, { anchor, closes = bars } = {}) {
+  const factors = new Array(bars.length).fill(1);
+  if (bars.length === 0) return factors;
+  const first = bars[0].date;
+  const until = anchor || bars[bars.length - 1].date;
+  const list = dividends
+    .filter((d) => d.amount > 0 && d.date > first && d.date <= until)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const priced = closes.filter((b) => b.close != null);
+  let factor = 1;
+  let k = 0;
+  let j = priced.length - 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    while (k < list.length && list[k].date > bars[i].date) {
+      while (j >= 0 && priced[j].date >= list[k].date) j--;
+      const prevClose = j >= 0 ? priced[j].close : null;
+      if (prevClose > list[k].amount) factor *= 1 - list[k].amount / prevClose;
+      k++;
+    }
+    factors[i] = factor;
+  }
+  return factors;
+}
+
+const splitLabel = (s) => `${s.numerator}:${s.denominator}`;
+const scale = (v, f) => (v != null ? v * f : null);
+
+// 일봉에 배당·분할 반영
+// - 이벤트 날짜 일봉: dividend(배당금, 항목 원래 통화), split('4:1' 형식)
+// - mode=raw: 수정 계수가 1이 아니면 adjClose(수정 종가) 추가 (가격은 그대로)
+// - mode=adjusted: 시가·고가·저가·종가를 수정 계수로 바꾸고 adjFactor 기록
+// - totalReturn: 첫 종가에서 시작해 배당을 배당락일에 재투자한 총수익 지수 (raw에서만, adjusted 종가는 이미 같은 수익률)
+// - history: 수정 계수 기준 일봉 (bars 첫 날짜부터 저장된 마지막 일봉까지, 없으면 bars)
+//   마지막 날짜가 기준점, 중간에 빈 구간이 있어도 그 안의 배당을 이력에서 반영
+function applyCorporateActions(bars, actions, { mode = 'raw', totalReturn = false, history = bars } = {}) {
+  if (!actions || bars.length === 0) return bars;
+  const first = bars[0].date;
+  const last = bars[bars.length - 1].date;
+  const inRange = (e) => e.date >= first && e.date <= last;
+  const dividends = new Map();
+  for (const d of actions.dividends.filter(inRange)) dividends.set(d.date, (dividends.get(d.date) || 0) + d.amount);
+  const splits = new Map(actions.splits.filter(inRange).map((s) => [s.date, splitLabel(s)]));
+  const anchor = history.length > 0 ? history[history.length - 1].date : last;
+  const factors = dividendFactors(bars, actions.dividends, { anchor, closes: history.length > 0 ? history : bars });
+  const hasDividends = factors.some((f) => f !== 1);
+  if (dividends.size === 0 && splits.size === 0 && !hasDividends && !totalReturn) return bars;
+  return bars.map((b, i) => {
+    const out = { ...b };
+    if (dividends.has(b.date)) out.dividend = dividends.get(b.date);
+    if (splits.has(b.date)) out.split = splits.get(b.date);
+    const f = factors[i];
+    if (mode === 'adjusted') {
+      if (f !== 1) Object.assign(out, { open: scale(b.open, f), high: scale(b.high, f), low: scale(b.low, f), close: scale(b.close, f), adjFactor: f });
+      return out;
+    }
+    if (hasDividends) out.adjClose = scale(b.close, f);
+    if (totalReturn) out.totalReturn = scale(b.close, f / factors[0]);
+    return out;
+  });
+}
+
+module.exports = { PRICE_MODES, dividendFactors, applyCorporateActions };
@@ -0,0 +1,85 @@
+// 항목 간 일간 수익률 상관계수 (Pearson)
+// 시장별 휴장일이 달라 두 항목 모두 종가가 있는 날짜(공통 거래일)만 사용
+// 수익률은 직전 공통 거래일 대비 로그수익률 (한쪽만 휴장한 날의 변동은 다음 공통 거래일 수익률에 포함)
+// bars: 날짜 오름차순 일봉 [{ date, close, ... }]
+
+function closeMap(bars) {
+  const map = new Map();
+  for (const b of bars) if (b.close != null && b.close > 0) map.set(b.date, b.close);
+  return map;
+}
+
+// 두 항목의 공통 거래일 수익률 → { dates, a, b } (dates: 수익률 날짜, 첫 공통 거래일 제외)
+function pairReturns(barsA, barsB) {
+  const mapA = closeMap(barsA);
+  const mapB = closeMap(barsB);
+  const common = [...mapA.keys()].filter((d) => mapB.has(d)).sort();
+  const out = { dates: [], a: [], b: [] };
+  for (let i = 1; i < common.length; i++) {
+    const prev = common[i - 1];
+    const d = common[i];
+    out.dates.push(d);
+    out.a.push(Math.log(mapA.get(d) / mapA.get(prev)));
+    out.b.push(Math.log(mapB.get(d) / mapB.get(prev)));
+  }
+  return out;
+}
+
+// 표본 2개 미만이거나 한쪽 변동이 없으면 null
+function pearson(x, y) {
+  const n = Math.min(x.length, y.length);
+  if (n < 2) return null;
+  let sx = 0;
+  let sy = 0;
+  for (let i = 0; i < n; i++) {
+    sx += x[i];
+    sy += y[i];
+  }
+  const mx = sx / n;
+  const my = sy / n;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = x[i] - mx;
+    const dy = y[i] - my;
+    cov += dx * dy;
+    vx += dx * dx;
+    vy += dy * dy;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return Math.max(-1, Math.min(1, cov / Math.sqrt(vx * vy)));
+}
+
+// 상관계수 행렬: 항목 쌍마다 공통 거래일 수익률로 계산 (표본이 minSamples 미만이면 null)
+// → { ids, matrix: [[r]], samples: [[공통 수익률 개수]] }
+function correlationMatrix(barsById, minSamples = 20) {
+  const ids = Object.keys(barsById);
+  const matrix = ids.map(() => ids.map(() => null));
+  const samples = ids.map(() => ids.map(() => 0));
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i; j < ids.length; j++) {
+      const { a, b } = pairReturns(barsById[ids[i]], barsById[ids[j]]);
+      const r = a.length >= minSamples ? (i === j ? 1 : pearson(a, b)) : null;
+      matrix[i][j] = matrix[j][i] = r;
+      samples[i][j] = samples[j][i] = a.length;
+    }
+  }
+  return { ids, matrix, samples };
+}
+
+// 이동 상관계수: 공통 거래일 수익률 window개씩 (표본이 모자란 앞 구간은 null)
+// from 지정 시 그 날짜 이후만 반환 (이전 일봉은 워밍업), overall은 반환 구간 전체 상관계수
+// → { dates, values, overall }
+function rollingCorrelation(barsA, barsB, window, from = null) {
+  const { dates, a, b } = pairReturns(barsA, barsB);
+  let start = 0;
+  if (from) while (start < dates.length && dates[start] < from) start++;
+  const values = [];
+  for (let i = start; i < dates.length; i++) {
+    values.push(i + 1 < window ? null : pearson(a.slice(i + 1 - window, i + 1), b.slice(i + 1 - window, i + 1)));
+  }
+  return { dates: dates.slice(start), values, overall: pearson(a.slice(start), b.slice(start)) };
+}
+
+module.exports = { pairReturns, pearson, correlationMatrix, rollingCorrelation };
@@ -0,0 +1,91 @@
+// 날짜 유틸리티 (로컬 시간 기준)
+function getMonthRange(year, month) {
+  const start = new Date(year, month - 1, 1);
+  const end = new Date(year, month, 0);
+  return { start, end };
+}
+
+function formatYMD(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function toTimestamp(d) {
+  return Math.floor(d.getTime() / 1000);
+}
+
+// YYYY-MM-DD 문자열을 로컬 Date로 변환
+function parseYMD(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function shiftYMD(ymd, days) {
+  const d = parseYMD(ymd);
+  d.setDate(d.getDate() + days);
+  return formatYMD(d);
+}
+
+// ---------- 시간대 (IANA 시간대 이름, 서버 로컬 시간과 무관) ----------
+const zonedFormatters = new Map();
+
+function getZonedFormatter(timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 시각 → 해당 시간대의 { ymd, hour, minute, second, weekday(0=일) }
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const p of getZonedFormatter(timeZone).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    ymd: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// 해당 시간대의 날짜(YYYY-MM-DD) + 시각(HH:MM) → Date (서머타임 반영)
+function zonedTimeToDate(ymd, hhmm, timeZone) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const [hh, mm] = hhmm.split(':').map(Number);
+  const wanted = Date.UTC(y, m - 1, d, hh, mm);
+  let guess = wanted;
+  // 시간대 오프셋만큼 보정 (서머타임 경계를 위해 2회)
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(guess), timeZone);
+    const [py, pm, pd] = p.ymd.split('-').map(Number);
+    guess += wanted - Date.UTC(py, pm - 1, pd, p.hour, p.minute, p.second);
+  }
+  return new Date(guess);
+}
+
+// 시각 → 해당 시간대 현지 시각 ISO 문자열 (UTC 오프셋 포함, 예: 2026-10-19T09:05:00+09:00)
+function formatZonedISO(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const [y, m, d] = p.ymd.split('-').map(Number);
+  const pad = (n) => String(n).padStart(2, '0');
+  const offset = Math.round((Date.UTC(y, m - 1, d, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const abs = Math.abs(offset);
+  return `${p.ymd}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+module.exports = { getMonthRange, formatYMD, toTimestamp, parseYMD, shiftYMD, zonedParts, zonedTimeToDate, formatZonedISO };
@@ -0,0 +1,85 @@
+// 서버 내보내기 (/api/export): 스크립트·pandas용 고정 영문 열 이름
+// long: date, item_id, symbol, unit, <필드...> (항목·날짜마다 한 행, 항목 순서 → 날짜 오름차순)
+// wide: date, <item_id>.<필드>... (날짜마다 한 행, 모든 항목 날짜 합집합, 값이 없으면 빈 칸/null)
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  json: { type: 'application/json; charset=utf-8', ext: 'json' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' }
+};
+const EXPORT_LAYOUTS = ['long', 'wide'];
+const EXPORT_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+// fields 쿼리: 미지정 → close, ohlcv → 전체, 그 외 쉼표 구분 (알 수 없는 필드면 throw)
+function parseFields(param) {
+  const raw = typeof param === 'string' ? param.trim().toLowerCase() : '';
+  if (!raw) return ['close'];
+  if (raw === 'ohlcv') return [...EXPORT_FIELDS];
+  const names = [...new Set(raw.split(',').map((s) => s.trim()).filter(Boolean))];
+  const unknown = names.find((n) => !EXPORT_FIELDS.includes(n));
+  if (unknown) throw new Error(`알 수 없는 필드입니다: ${unknown} (${EXPORT_FIELDS.join(', ')} 또는 ohlcv)`);
+  // 열 순서는 입력과 관계없이 시·고·저·종·거래량
+  return EXPORT_FIELDS.filter((f) => names.includes(f));
+}
+
+// 가격은 8자리 유효숫자 (환산 값의 부동소수 꼬리 제거), 거래량은 그대로
+function exportValue(bar, field) {
+  const v = bar ? bar[field] : null;
+  if (v == null || !Number.isFinite(v)) return null;
+  return field === 'volume' ? v : Number(v.toPrecision(8));
+}
+
+function exportColumns(layout, items, fields) {
+  if (layout === 'wide') return ['date', ...items.flatMap((item) => fields.map((f) => `${item.id}.${f}`))];
+  return ['date', 'item_id', 'symbol', 'unit', ...fields];
+}
+
+// seriesById: { id: 날짜 오름차순 일봉 } → 열 순서대로의 값 배열
+function* exportRows(layout, items, seriesById, fields) {
+  if (layout === 'wide') {
+    const maps = items.map((item) => new Map((seriesById[item.id] || []).map((b) => [b.date, b])));
+    const dates = [...new Set(maps.flatMap((m) => [...m.keys()]))].sort();
+    for (const date of dates) {
+      yield [date, ...maps.flatMap((m) => fields.map((f) => exportValue(m.get(date), f)))];
+    }
+    return;
+  }
+  for (const item of items) {
+    for (const bar of seriesById[item.id] || []) {
+      yield [bar.date, item.id, item.symbol, item.unit, ...fields.map((f) => exportValue(bar, f))];
+    }
+  }
+}
+
+function csvCell(val) {
+  if (val == null) return '';
+  const s = String(val);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toRecord(columns, row) {
+  const record = {};
+  columns.forEach((c, i) => { record[c] = row[i]; });
+  return record;
+}
+
+// 형식별 문자열 조각 (csv: 머리글 + 행, json: 객체 배열, ndjson: 한 줄에 객체 하나)
+function* serializeExport(format, columns, rows) {
+  if (format === 'csv') {
+    yield `${columns.map(csvCell).join(',')}\n`;
+    for (const row of rows) yield `${row.map(csvCell).join(',')}\n`;
+    return;
+  }
+  if (format === 'ndjson') {
+    for (const row of rows) yield `${JSON.stringify(toRecord(columns, row))}\n`;
+    return;
+  }
+  yield '[';
+  let first = true;
+  for (const row of rows) {
+    yield `${first ? '\n' : ',\n'}${JSON.stringify(toRecord(columns, row))}`;
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_LAYOUTS, EXPORT_FIELDS, parseFields, exportColumns, exportRows, serializeExport };
@@ -0,0 +1,300 @@
+// 기술적 지표 (서버·브라우저 공용: Node에서는 require, 브라우저에서는 /js/indicators.js → window.Indicators)
+// 시계열 지표는 입력과 같은 길이의 배열을 반환하고, 계산할 수 없는 앞부분은 null
+// bars: [{ date, open, high, low, close, volume }] (high/low가 없으면 close로 대신)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Indicators = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+  // ---------- 차트 카드 색상/RSI 신호, 알림 규칙용 (마지막 값) ----------
+
+  // 마지막 날 기준 연속 하락일 수
+  function consecDownDays(closes) {
+    if (!Array.isArray(closes)) return 0;
+    let consec = 0;
+    for (let i = closes.length - 1; i >= 1; i--) {
+      if (closes[i] < closes[i - 1]) consec++;
+      else break;
+    }
+    return consec;
+  }
+
+  // 구간 고점 대비 마지막 종가 등락률 (%), 하락이면 음수
+  function dropFromHighPct(closes) {
+    if (!Array.isArray(closes) || closes.length === 0) return 0;
+    const last = closes[closes.length - 1];
+    const high = Math.max(...closes);
+    if (!Number.isFinite(last) || !Number.isFinite(high) || high === 0) return 0;
+    return ((last - high) / high) * 100;
+  }
+
+  // RSI(2): 최근 3일 종가로 마지막 RSI 계산 (평활 없이 2일 평균)
+  function rsi2(closes) {
+    if (!Array.isArray(closes) || closes.length < 3) return null;
+    const n = closes.length;
+    const c0 = Number(closes[n - 3]);
+    const c1 = Number(closes[n - 2]);
+    const c2 = Number(closes[n - 1]);
+    if (!Number.isFinite(c0) || !Number.isFinite(c1) || !Number.isFinite(c2)) return null;
+    const ch1 = c1 - c0;
+    const ch2 = c2 - c1;
+    const avgGain = ((ch1 > 0 ? ch1 : 0) + (ch2 > 0 ? ch2 : 0)) / 2;
+    const avgLoss = ((ch1 < 0 ? -ch1 : 0) + (ch2 < 0 ? -ch2 : 0)) / 2;
+    if (avgLoss === 0) return 100;
+    return 100 - 100 / (1 + avgGain / avgLoss);
+  }
+
+  // ---------- 시계열 지표 ----------
+
+  // 단순 이동평균 (구간 안에 null이 있으면 null)
+  function sma(values, period) {
+    const out = new Array(values.length).fill(null);
+    let sum = 0;
+    let valid = 0;
+    for (let i = 0; i < values.length; i++) {
+      if (isNum(values[i])) { sum += values[i]; valid++; }
+      if (i >= period) {
+        const old = values[i - period];
+        if (isNum(old)) { sum -= old; valid--; }
+      }
+      if (i >= period - 1 && valid === period) out[i] = sum / period;
+    }
+    return out;
+  }
+
+  // 지수 이동평균 (첫 값은 처음 period개의 SMA, 이후 2/(period+1) 가중)
+  function ema(values, period) {
+    const out = new Array(values.length).fill(null);
+    const k = 2 / (period + 1);
+    let prev = null;
+    let seed = [];
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (!isNum(v)) continue;
+      if (prev == null) {
+        seed.push(v);
+        if (seed.length === period) {
+          prev = seed.reduce((a, b) => a + b, 0) / period;
+          out[i] = prev;
+          seed = null;
+        }
+        continue;
+      }
+      prev = v * k + prev * (1 - k);
+      out[i] = prev;
+    }
+    return out;
+  }
+
+  // Wilder 평활 (RSI, ATR): 첫 값은 period개 평균, 이후 (이전 × (period-1) + 현재) / period
+  function wilder(values, period) {
+    const out = new Array(values.length).fill(null);
+    let prev = null;
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (!isNum(v)) continue;
+      if (prev == null) {
+        sum += v;
+        count++;
+        if (count === period) {
+          prev = sum / period;
+          out[i] = prev;
+        }
+        continue;
+      }
+      prev = (prev * (period - 1) + v) / period;
+      out[i] = prev;
+    }
+    return out;
+  }
+
+  // RSI(n), Wilder 평활
+  function rsi(closes, period = 14) {
+    const gains = closes.map((c, i) => (i > 0 && isNum(c) && isNum(closes[i - 1]) ? Math.max(c - closes[i - 1], 0) : null));
+    const losses = closes.map((c, i) => (i > 0 && isNum(c) && isNum(closes[i - 1]) ? Math.max(closes[i - 1] - c, 0) : null));
+    const avgGain = wilder(gains, period);
+    const avgLoss = wilder(losses, period);
+    return closes.map((_, i) => {
+      if (avgGain[i] == null || avgLoss[i] == null) return null;
+      if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+      return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+    });
+  }
+
+  // MACD = EMA(fast) - EMA(slow), signal = MACD의 EMA(signal), histogram = MACD - signal
+  function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+    const fastEma = ema(closes, fast);
+    const slowEma = ema(closes, slow);
+    const line = closes.map((_, i) => (fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null));
+    const signal = ema(line, signalPeriod);
+    const histogram = line.map((v, i) => (v != null && signal[i] != null ? v - signal[i] : null));
+    return { macd: line, signal, histogram };
+  }
+
+  // 볼린저밴드: 중심 SMA(period), 상·하단 ± mult × 표준편차(모집단)
+  function bollinger(closes, period = 20, mult = 2) {
+    const middle = sma(closes, period);
+    const upper = new Array(closes.length).fill(null);
+    const lower = new Array(closes.length).fill(null);
+    for (let i = 0; i < closes.length; i++) {
+      if (middle[i] == null) continue;
+      let sq = 0;
+      for (let j = i - period + 1; j <= i; j++) sq += (closes[j] - middle[i]) ** 2;
+      const sd = Math.sqrt(sq / period);
+      upper[i] = middle[i] + mult * sd;
+      lower[i] = middle[i] - mult * sd;
+    }
+    return { middle, upper, lower };
+  }
+
+  const highOf = (b) => (isNum(b.high) ? b.high : b.close);
+  const lowOf = (b) => (isNum(b.low) ? b.low : b.close);
+
+  // ATR(n): True Range의 Wilder 평활
+  function atr(bars, period = 14) {
+    const tr = bars.map((b, i) => {
+      if (!isNum(b.close)) return null;
+      const range = highOf(b) - lowOf(b);
+      const prev = i > 0 ? bars[i - 1].close : null;
+      if (!isNum(prev)) return range;
+      return Math.max(range, Math.abs(highOf(b) - prev), Math.abs(lowOf(b) - prev));
+    });
+    return wilder(tr, period);
+  }
+
+  // 스토캐스틱: %K = (종가 - n일 최저) / (n일 최고 - n일 최저) × 100, %D = %K의 SMA(d)
+  function stochastic(bars, kPeriod = 14, dPeriod = 3) {
+    const k = bars.map((b, i) => {
+      if (i < kPeriod - 1 || !isNum(b.close)) return null;
+      let high = -Infinity;
+      let low = Infinity;
+      for (let j = i - kPeriod + 1; j <= i; j++) {
+        if (!isNum(bars[j].close)) return null;
+        high = Math.max(high, highOf(bars[j]));
+        low = Math.min(low, lowOf(bars[j]));
+      }
+      return high === low ? 50 : ((b.close - low) / (high - low)) * 100;
+    });
+    return { k, d: sma(k, dPeriod) };
+  }
+
+  // 변동성: 일간 로그수익률의 n일 표준편차(표본) × √252, 연율 %
+  function volatility(closes, period = 20, periodsPerYear = 252) {
+    const returns = closes.map((c, i) => (i > 0 && isNum(c) && isNum(closes[i - 1]) && closes[i - 1] > 0 && c > 0
+      ? Math.log(c / closes[i - 1])
+      : null));
+    return returns.map((_, i) => {
+      if (i < period) return null;
+      const win = returns.slice(i - period + 1, i + 1);
+      if (win.some((r) => r == null)) return null;
+      const mean = win.reduce((a, b) => a + b, 0) / period;
+      const variance = win.reduce((a, r) => a + (r - mean) ** 2, 0) / (period - 1);
+      return Math.sqrt(variance * periodsPerYear) * 100;
+    });
+  }
+
+  // ---------- 지표 목록 (API·차트 오버레이 선택용) ----------
+  // key 형식: "유형:파라미터:파라미터" (예: rsi:14, macd:12:26:9, bb:20:2), 파라미터 생략 시 기본값
+  // overlay: 가격과 같은 축에 그림 / 아니면 보조 축, warmup: 첫 값이 안정될 때까지 필요한 앞쪽 거래일 수
+  const closesOf = (bars) => bars.map((b) => (isNum(b.close) ? b.close : null));
+
+  const TYPES = {
+    sma: {
+      label: '단순 이동평균', params: [20], overlay: true,
+      warmup: ([p]) => p,
+      compute: (bars, [p]) => ({ sma: sma(closesOf(bars), p) })
+    },
+    ema: {
+      label: '지수 이동평균', params: [20], overlay: true,
+      warmup: ([p]) => p * 3,
+      compute: (bars, [p]) => ({ ema: ema(closesOf(bars), p) })
+    },
+    bb: {
+      label: '볼린저밴드', params: [20, 2], overlay: true,
+      warmup: ([p]) => p,
+      compute: (bars, [p, m]) => bollinger(closesOf(bars), p, m)
+    },
+    rsi: {
+      label: 'RSI', params: [14], overlay: false, range: [0, 100],
+      warmup: ([p]) => p * 5,
+      compute: (bars, [p]) => ({ rsi: rsi(closesOf(bars), p) })
+    },
+    macd: {
+      label: 'MACD', params: [12, 26, 9], overlay: false,
+      warmup: ([, s, g]) => (s + g) * 3,
+      compute: (bars, [f, s, g]) => macd(closesOf(bars), f, s, g)
+    },
+    atr: {
+      label: 'ATR', params: [14], overlay: false,
+      warmup: ([p]) => p * 5,
+      compute: (bars, [p]) => ({ atr: atr(bars, p) })
+    },
+    stoch: {
+      label: '스토캐스틱', params: [14, 3], overlay: false, range: [0, 100],
+      warmup: ([k, d]) => k + d,
+      compute: (bars, [k, d]) => stochastic(bars, k, d)
+    },
+    vol: {
+      label: '변동성(연율 %)', params: [20], overlay: false, minPeriod: 2, // 표본 분산 (period - 1로 나눔)
+      warmup: ([p]) => p + 1,
+      compute: (bars, [p]) => ({ vol: volatility(closesOf(bars), p) })
+    }
+  };
+
+  const MAX_PARAM = 250;
+
+  // "rsi:14" → { key, type, params } (잘못된 형식이면 throw)
+  // 기간은 반올림한 정수가 1 이상(minPeriod가 있으면 그 이상), 볼린저 배수는 0보다 큰 소수
+  function parseSpec(spec) {
+    const [type, ...raw] = String(spec || '').trim().toLowerCase().split(':');
+    const def = TYPES[type];
+    if (!def) throw new Error(`알 수 없는 지표입니다: ${type}`);
+    if (raw.length > def.params.length) throw new Error(`${type} 파라미터는 최대 ${def.params.length}개입니다`);
+    const params = def.params.map((dflt, i) => {
+      if (raw[i] == null || raw[i] === '') return dflt;
+      // 배수(볼린저 mult)만 소수 허용, 나머지는 기간
+      const isMult = type === 'bb' && i === 1;
+      const n = isMult ? Number(raw[i]) : Math.round(Number(raw[i]));
+      const min = isMult ? Number.MIN_VALUE : def.minPeriod || 1;
+      if (!Number.isFinite(n) || n < min || n > MAX_PARAM) throw new Error(`${type} 파라미터가 올바르지 않습니다: ${raw[i]}`);
+      return n;
+    });
+    return { key: [type, ...params].join(':'), type, params };
+  }
+
+  // 지표 계산 → { key, type, label, params, overlay, range, series: { 이름: 값 배열 } }
+  function computeIndicator(spec, bars) {
+    const parsed = typeof spec === 'string' ? parseSpec(spec) : spec;
+    const def = TYPES[parsed.type];
+    return {
+      key: parsed.key,
+      type: parsed.type,
+      label: `${def.label}(${parsed.params.join(', ')})`,
+      params: parsed.params,
+      overlay: def.overlay,
+      range: def.range || null,
+      series: def.compute(bars, parsed.params)
+    };
+  }
+
+  function warmupBars(spec) {
+    const parsed = typeof spec === 'string' ? parseSpec(spec) : spec;
+    return TYPES[parsed.type].warmup(parsed.params);
+  }
+
+  // 지표 유형 목록 (선택 UI용)
+  function listTypes() {
+    return Object.entries(TYPES).map(([type, def]) => ({
+      type, label: def.label, params: def.params, overlay: def.overlay, range: def.range || null
+    }));
+  }
+
+  return {
+    consecDownDays, dropFromHighPct, rsi2,
+    sma, ema, rsi, macd, bollinger, atr, stochastic, volatility,
+    parseSpec, computeIndicator, warmupBars, listTypes
+  };
+});
@@ -0,0 +1,216 @@
+const { zonedParts, zonedTimeToDate, shiftYMD } = require('./dates');
+
+// 거래소 캘린더: 현지 시간대, 정규장 마감, 주말·공휴일
+// settleMinutes: 마감 후 제공처 일봉이 확정값으로 반영될 때까지 여유 (이후 그날 종가 확정으로 간주)
+// 조기 폐장(반일장)은 구분하지 않음 (정규 마감 기준이라 확정 판단이 늦어지는 쪽)
+// open: 정규장 시작 (실시간 시세 조회 구간), CME·FX는 거의 24시간이라 거래일 자정~마감으로 간주
+const MARKETS = {
+  krx: { id: 'krx', name: 'KRX', timeZone: 'Asia/Seoul', open: '09:00', close: '15:30', settleMinutes: 30 },
+  nyse: { id: 'nyse', name: 'NYSE/NASDAQ', timeZone: 'America/New_York', open: '09:30', close: '16:00', settleMinutes: 30 },
+  cme: { id: 'cme', name: 'CME', timeZone: 'America/Chicago', open: '00:00', close: '16:00', settleMinutes: 30 },
+  fx: { id: 'fx', name: 'FX', timeZone: 'America/New_York', open: '00:00', close: '17:00', settleMinutes: 30 }
+};
+
+const MARKET_IDS = Object.keys(MARKETS);
+
+// ---------- KRX ----------
+// 양력 공휴일 (substitute: 주말이면 다음 평일 대체공휴일, since: 대체공휴일 적용 시작 연도)
+const KRX_FIXED = [
+  { md: '01-01', name: '신정' },
+  { md: '03-01', name: '삼일절', substitute: true, since: 2021 },
+  { md: '05-01', name: '근로자의 날' },
+  { md: '05-05', name: '어린이날', substitute: true, since: 2014 },
+  { md: '06-06', name: '현충일' },
+  { md: '08-15', name: '광복절', substitute: true, since: 2021 },
+  { md: '10-03', name: '개천절', substitute: true, since: 2021 },
+  { md: '10-09', name: '한글날', substitute: true, since: 2021 },
+  { md: '12-25', name: '성탄절', substitute: true, since: 2023 }
+];
+
+// 음력 공휴일·선거일·임시공휴일 (해당 대체공휴일 포함). 목록에 없는 해는 양력 공휴일만 판단
+const KRX_LUNAR = {
+  2020: { '01-24': '설날', '01-27': '대체공휴일', '04-15': '국회의원 선거', '04-30': '부처님오신날', '08-17': '임시공휴일', '09-30': '추석', '10-01': '추석', '10-02': '추석' },
+  2021: { '02-11': '설날', '02-12': '설날', '05-19': '부처님오신날', '09-20': '추석', '09-21': '추석', '09-22': '추석' },
+  2022: { '01-31': '설날', '02-01': '설날', '02-02': '설날', '03-09': '대통령 선거', '06-01': '지방선거', '09-09': '추석', '09-12': '대체공휴일' },
+  2023: { '01-23': '설날', '01-24': '대체공휴일', '05-29': '대체공휴일', '09-28': '추석', '09-29': '추석', '10-02': '임시공휴일' },
+  2024: { '02-09': '설날', '02-12': '대체공휴일', '04-10': '국회의원 선거', '05-15': '부처님오신날', '09-16': '추석', '09-17': '추석', '09-18': '추석', '10-01': '임시공휴일' },
+  2025: { '01-27': '임시공휴일', '01-28': '설날', '01-29': '설날', '01-30': '설날', '05-06': '대체공휴일', '06-03': '대통령 선거', '10-06': '추석', '10-07': '추석', '10-08': '대체공휴일' },
+  2026: { '02-16': '설날', '02-17': '설날', '02-18': '설날', '05-25': '대체공휴일', '06-03': '지방선거', '09-24': '추석', '09-25': '추석' },
+  2027: { '02-08': '설날', '02-09': '대체공휴일', '05-13': '부처님오신날', '09-14': '추석', '09-15': '추석', '09-16': '추석' }
+};
+
+// ---------- 미국 (NYSE 규칙, CME 일일 정산도 같은 휴장일) ----------
+const US_SPECIAL = {
+  '2012-10-29': '허리케인 샌디',
+  '2012-10-30': '허리케인 샌디',
+  '2018-12-05': '부시 전 대통령 국장',
+  '2025-01-09': '카터 전 대통령 국장'
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymdOf = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+
+function weekdayOf(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+const isWeekend = (ymd) => {
+  const wd = weekdayOf(ymd);
+  return wd === 0 || wd === 6;
+};
+
+// month의 n번째 weekday (n < 0 이면 뒤에서부터)
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return ymdOf(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  return ymdOf(year, month, lastDay - ((last - weekday + 7) % 7));
+}
+
+// 부활절 (그레고리력, Anonymous 알고리즘)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymdOf(year, month, day);
+}
+
+// 토요일 → 금요일, 일요일 → 월요일 대체
+function usObserved(ymd) {
+  const wd = weekdayOf(ymd);
+  if (wd === 6) return shiftYMD(ymd, -1);
+  if (wd === 0) return shiftYMD(ymd, 1);
+  return ymd;
+}
+
+function buildUsHolidays(year) {
+  const days = new Map();
+  // 신정이 토요일이면 전년 12/31은 휴장하지 않음
+  const newYear = ymdOf(year, 1, 1);
+  if (weekdayOf(newYear) !== 6) days.set(usObserved(newYear), '신정');
+  days.set(nthWeekday(year, 1, 1, 3), '마틴 루터 킹의 날');
+  days.set(nthWeekday(year, 2, 1, 3), '대통령의 날');
+  days.set(shiftYMD(easter(year), -2), '성금요일');
+  days.set(nthWeekday(year, 5, 1, -1), '메모리얼 데이');
+  if (year >= 2022) days.set(usObserved(ymdOf(year, 6, 19)), '준틴스');
+  days.set(usObserved(ymdOf(year, 7, 4)), '독립기념일');
+  days.set(nthWeekday(year, 9, 1, 1), '노동절');
+  days.set(nthWeekday(year, 11, 4, 4), '추수감사절');
+  days.set(usObserved(ymdOf(year, 12, 25)), '성탄절');
+  for (const [ymd, name] of Object.entries(US_SPECIAL)) {
+    if (ymd.startsWith(`${year}-`)) days.set(ymd, name);
+  }
+  return days;
+}
+
+function buildKrxHolidays(year) {
+  const days = new Map();
+  for (const [md, name] of Object.entries(KRX_LUNAR[year] || {})) days.set(`${year}-${md}`, name);
+  for (const h of KRX_FIXED) days.set(`${year}-${h.md}`, h.name);
+  // 대체공휴일: 주말과 겹치면 다음 평일 (다른 공휴일이면 그다음)
+  for (const h of KRX_FIXED) {
+    const ymd = `${year}-${h.md}`;
+    if (!h.substitute || year < h.since || !isWeekend(ymd)) continue;
+    let sub = shiftYMD(ymd, 1);
+    while (isWeekend(sub) || days.has(sub)) sub = shiftYMD(sub, 1);
+    days.set(sub, '대체공휴일');
+  }
+  // 연말 휴장: 12월 마지막 평일
+  let yearEnd = ymdOf(year, 12, 31);
+  while (isWeekend(yearEnd)) yearEnd = shiftYMD(yearEnd, -1);
+  days.set(yearEnd, '연말 휴장');
+  return days;
+}
+
+function buildFxHolidays(year) {
+  return new Map([[ymdOf(year, 1, 1), '신정'], [ymdOf(year, 12, 25), '성탄절']]);
+}
+
+const builders = { krx: buildKrxHolidays, nyse: buildUsHolidays, cme: buildUsHolidays, fx: buildFxHolidays };
+const holidayCache = new Map();
+
+function holidaysOf(marketId, year) {
+  const key = `${marketId}:${year}`;
+  if (!holidayCache.has(key)) holidayCache.set(key, builders[marketId](year));
+  return holidayCache.get(key);
+}
+
+function getCalendar(id) {
+  return MARKETS[id] || null;
+}
+
+// 휴장 사유 (주말/공휴일 이름), 거래일이면 null
+function holidayName(marketId, ymd) {
+  if (isWeekend(ymd)) return '주말';
+  return holidaysOf(marketId, Number(ymd.slice(0, 4))).get(ymd) || null;
+}
+
+function isTradingDay(marketId, ymd) {
+  return holidayName(marketId, ymd) == null;
+}
+
+// 시장 현지 날짜 (YYYY-MM-DD)
+function marketToday(marketId, now = new Date()) {
+  return zonedParts(now, MARKETS[marketId].timeZone).ymd;
+}
+
+// 해당 날짜 종가가 확정되는 시각 (마감 + settleMinutes)
+function settleAt(marketId, ymd) {
+  const m = MARKETS[marketId];
+  return new Date(zonedTimeToDate(ymd, m.close, m.timeZone).getTime() + m.settleMinutes * 60000);
+}
+
+// 이 날짜까지는 확정 (휴장일은 일봉이 없으므로 확정으로 간주, 거래일은 마감 후 확정)
+function finalThrough(marketId, now = new Date()) {
+  const today = marketToday(marketId, now);
+  if (!isTradingDay(marketId, today) || now >= settleAt(marketId, today)) return today;
+  return shiftYMD(today, -1);
+}
+
+// 정규장 중인지 (거래일 open~close)
+function isSessionOpen(marketId, now = new Date()) {
+  const m = MARKETS[marketId];
+  const today = marketToday(marketId, now);
+  if (!isTradingDay(marketId, today)) return false;
+  return now >= zonedTimeToDate(today, m.open, m.timeZone) && now < zonedTimeToDate(today, m.close, m.timeZone);
+}
+
+// now 이후 처음 종가가 확정되는 시각 (스케줄러용, 휴장일 건너뜀)
+function nextSettleAt(marketId, now = new Date()) {
+  const today = marketToday(marketId, now);
+  for (let i = 0; i <= 14; i++) {
+    const ymd = shiftYMD(today, i);
+    if (!isTradingDay(marketId, ymd)) continue;
+    const at = settleAt(marketId, ymd);
+    if (at > now) return at;
+  }
+  return null;
+}
+
+// 심볼로 시장 추정 (항목에 market이 없을 때: 사용자 추가 항목, 심볼 변경)
+function inferMarket(symbol) {
+  const s = String(symbol || '').toUpperCase();
+  if (/\.(KS|KQ)$/.test(s) || /^\^(KS|KQ)/.test(s)) return 'krx';
+  if (/=F$/.test(s)) return 'cme';
+  if (/=X$/.test(s)) return 'fx';
+  return 'nyse';
+}
+
+module.exports = {
+  MARKETS, MARKET_IDS, getCalendar, holidayName, isTradingDay, marketToday, settleAt, finalThrough, isSessionOpen, nextSettleAt, inferMarket
+};
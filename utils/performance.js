@@ -0,0 +1,73 @@
+const { volatility } = require('./indicators');
+
+// 여러 항목 비교용 성과 계산 (정렬·기준화·요약 통계)
+// bars: 날짜 오름차순 일봉 [{ date, close, ... }]
+
+// 항목별 종가를 공통 날짜축(모든 항목 날짜의 합집합)에 맞춤
+// 해당 날짜에 일봉이 없으면 직전 종가 (한국·미국 휴장일이 달라도 같은 날짜로 비교), 첫 일봉 이전은 null
+function alignCloses(barsById) {
+  const ids = Object.keys(barsById);
+  const dates = [...new Set(ids.flatMap((id) => barsById[id].map((b) => b.date)))].sort();
+  const closes = {};
+  for (const id of ids) {
+    const bars = barsById[id];
+    const out = [];
+    let j = 0;
+    let last = null;
+    for (const d of dates) {
+      while (j < bars.length && bars[j].date <= d) {
+        if (bars[j].close != null) last = bars[j].close;
+        j++;
+      }
+      out.push(last);
+    }
+    closes[id] = out;
+  }
+  return { dates, closes };
+}
+
+// 첫 유효값을 base(기본 100)로 환산
+function rebase(values, base = 100) {
+  const first = values.find((v) => v != null && v > 0);
+  if (first == null) return values.map(() => null);
+  return values.map((v) => (v != null ? (v / first) * base : null));
+}
+
+// 고점 대비 최대 낙폭 (%, 0 이하)
+function maxDrawdownPct(values) {
+  let peak = null;
+  let worst = 0;
+  for (const v of values) {
+    if (v == null) continue;
+    if (peak == null || v > peak) peak = v;
+    else worst = Math.min(worst, ((v - peak) / peak) * 100);
+  }
+  return worst;
+}
+
+// 기간 성과 요약: 수익률, 연환산 수익률(1년 이상), 연환산 변동성, 최대 낙폭
+// 변동성은 항목 자체 일봉 기준 (정렬 시 채운 값은 수익률 0이 되어 변동성을 낮추므로 제외)
+function summarizeBars(bars) {
+  const valid = bars.filter((b) => b.close != null && b.close > 0);
+  if (valid.length === 0) return null;
+  const first = valid[0];
+  const last = valid[valid.length - 1];
+  const closes = valid.map((b) => b.close);
+  const returnPct = (last.close / first.close - 1) * 100;
+  const years = (Date.parse(last.date) - Date.parse(first.date)) / (365.25 * 86400000);
+  const vol = closes.length > 2 ? volatility(closes, closes.length - 1)[closes.length - 1] : null;
+  return {
+    firstDate: first.date,
+    lastDate: last.date,
+    first: first.close,
+    last: last.close,
+    returnPct,
+    annualizedPct: years >= 1 ? ((last.close / first.close) ** (1 / years) - 1) * 100 : null,
+    volatilityPct: vol,
+    maxDrawdownPct: maxDrawdownPct(closes),
+    high: Math.max(...closes),
+    low: Math.min(...closes)
+  };
+}
+
+module.exports = { alignCloses, rebase, maxDrawdownPct, summarizeBars };
@@ -0,0 +1,114 @@
+const { sanitizeNum, sanitizeDate } = require('./sanitize');
+
+// 포트폴리오 거래·포지션 계산 (이동평균법)
+// 거래: { id, itemId, side: buy|sell, quantity, price, fee, date } (price·fee는 항목 통화)
+// 매수: 원가 += 수량 × 단가 + 수수료
+// 매도: 평균단가 × 수량만큼 원가 차감, 실현손익 = 수량 × 단가 - 수수료 - 차감 원가
+// 원화 금액은 거래일 환율(rateOf)로 따로 누적 (원화 손익에 환차손익 포함)
+const TX_SIDES = { buy: '매수', sell: '매도' };
+const MEMO_MAX = 100;
+const EPSILON = 1e-9;
+
+function normalizeTransaction(input) {
+  const src = input || {};
+  if (!TX_SIDES[src.side]) throw new Error('거래 구분은 매수(buy) 또는 매도(sell)입니다');
+  const quantity = sanitizeNum(src.quantity);
+  if (quantity == null || quantity <= 0) throw new Error('수량은 0보다 커야 합니다');
+  const price = sanitizeNum(src.price);
+  if (price == null || price < 0) throw new Error('단가를 확인하세요');
+  const fee = src.fee == null || src.fee === '' ? 0 : sanitizeNum(src.fee);
+  if (fee == null || fee < 0) throw new Error('수수료를 확인하세요');
+  const date = sanitizeDate(src.date);
+  if (!date) throw new Error('거래일(YYYY-MM-DD)을 확인하세요');
+  const memo = typeof src.memo === 'string' ? src.memo.trim().slice(0, MEMO_MAX) : '';
+  return { itemId: src.itemId, side: src.side, quantity, price, fee, date, memo };
+}
+
+// 거래일 순 (같은 날짜는 입력 순서)
+function sortTransactions(transactions) {
+  return transactions.map((tx, i) => ({ tx, i })).sort((a, b) => a.tx.date.localeCompare(b.tx.date) || a.i - b.i).map((e) => e.tx);
+}
+
+// 항목별 누적 상태. rateOf(tx) → 거래일 원화 환율 (원화 항목은 1, 모르면 null → 원화 금액 NaN)
+function createLedger(rateOf = () => 1) {
+  const positions = new Map();
+
+  function apply(tx) {
+    let p = positions.get(tx.itemId);
+    if (!p) {
+      p = { itemId: tx.itemId, quantity: 0, cost: 0, costKrw: 0, realized: 0, realizedKrw: 0, fees: 0, firstDate: tx.date };
+      positions.set(tx.itemId, p);
+    }
+    const rate = rateOf(tx);
+    const krw = rate != null ? rate : NaN;
+    p.fees += tx.fee;
+    if (tx.side === 'buy') {
+      const amount = tx.quantity * tx.price + tx.fee;
+      p.quantity += tx.quantity;
+      p.cost += amount;
+      p.costKrw += amount * krw;
+      return;
+    }
+    if (tx.quantity > p.quantity + EPSILON) {
+      throw new Error(`${tx.date} 매도 수량(${tx.quantity})이 보유 수량(${p.quantity})보다 많습니다`);
+    }
+    const ratio = Math.min(1, tx.quantity / p.quantity);
+    const costOut = p.cost * ratio;
+    const costKrwOut = p.costKrw * ratio;
+    const proceeds = tx.quantity * tx.price - tx.fee;
+    p.realized += proceeds - costOut;
+    p.realizedKrw += proceeds * krw - costKrwOut;
+    p.quantity -= tx.quantity;
+    p.cost -= costOut;
+    p.costKrw -= costKrwOut;
+    if (p.quantity < EPSILON) {
+      p.quantity = 0;
+      p.cost = 0;
+      p.costKrw = 0;
+    }
+  }
+
+  function snapshot() {
+    return [...positions.values()].map((p) => ({ ...p, avgCost: p.quantity > 0 ? p.cost / p.quantity : null }));
+  }
+
+  return { apply, snapshot, get: (itemId) => positions.get(itemId) };
+}
+
+// 전체 거래 반영 후 항목별 포지션 (보유 수량 0인 항목도 실현손익 때문에 포함)
+// 매도 수량이 그 시점 보유 수량보다 많으면 예외
+function computePositions(transactions, rateOf) {
+  const ledger = createLedger(rateOf);
+  for (const tx of sortTransactions(transactions)) ledger.apply(tx);
+  return ledger.snapshot();
+}
+
+// 날짜별 보유 수량·원화 원가·누적 실현손익 (평가금액 추이용)
+// dates: 오름차순 → { quantities: { itemId: [수량] }, costKrw: [], realizedKrw: [] }
+function holdingsTimeline(transactions, dates, rateOf) {
+  const ledger = createLedger(rateOf);
+  const sorted = sortTransactions(transactions);
+  const itemIds = [...new Set(sorted.map((tx) => tx.itemId))];
+  const quantities = Object.fromEntries(itemIds.map((id) => [id, []]));
+  const costKrw = [];
+  const realizedKrw = [];
+  let j = 0;
+  for (const d of dates) {
+    while (j < sorted.length && sorted[j].date <= d) ledger.apply(sorted[j++]);
+    let cost = 0;
+    let realized = 0;
+    for (const id of itemIds) {
+      const p = ledger.get(id);
+      quantities[id].push(p ? p.quantity : 0);
+      if (p) {
+        cost += p.costKrw;
+        realized += p.realizedKrw;
+      }
+    }
+    costKrw.push(cost);
+    realizedKrw.push(realized);
+  }
+  return { quantities, costKrw, realizedKrw };
+}
+
+module.exports = { TX_SIDES, normalizeTransaction, sortTransactions, computePositions, holdingsTimeline };
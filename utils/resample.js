@@ -0,0 +1,65 @@
+const { parseYMD, formatYMD } = require('./dates');
+
+const INTERVALS = ['1d', '1wk', '1mo'];
+
+// 주 시작일(월요일) 키
+function weekKey(ymd) {
+  const d = parseYMD(ymd);
+  const dow = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - dow);
+  return formatYMD(d);
+}
+
+// 일봉 → 주봉/월봉 다운샘플링 (날짜는 구간 마지막 거래일)
+// open=첫 시가, close=마지막 종가, high/low=구간 최고/최저, volume=합계
+// 표시 통화로 환산한 일봉이면 raw(원래 값)도 같은 방식, fx는 마지막 환율
+// 배당·분할 표시: dividend=구간 합계, split=마지막 분할, adjClose·totalReturn·adjFactor=마지막 값
+function resampleBars(bars, interval) {
+  if (interval === '1d' || !Array.isArray(bars)) return bars;
+  const keyOf = interval === '1wk' ? weekKey : (ymd) => ymd.slice(0, 7);
+  const out = [];
+  let cur = null;
+  let curKey = null;
+  for (const b of bars) {
+    const k = keyOf(b.date);
+    if (k !== curKey) {
+      if (cur) out.push(cur);
+      curKey = k;
+      cur = { ...b };
+      continue;
+    }
+    cur.date = b.date;
+    cur.close = b.close;
+    if (cur.open == null) cur.open = b.open;
+    if (b.high != null) cur.high = cur.high == null ? b.high : Math.max(cur.high, b.high);
+    if (b.low != null) cur.low = cur.low == null ? b.low : Math.min(cur.low, b.low);
+    if (b.volume != null) cur.volume = (cur.volume || 0) + b.volume;
+    if (b.dividend != null) cur.dividend = (cur.dividend || 0) + b.dividend;
+    if (b.split) cur.split = b.split;
+    for (const field of ['adjClose', 'totalReturn', 'adjFactor']) {
+      if (field in cur || field in b) cur[field] = b[field];
+    }
+    if (b.raw && cur.raw) {
+      cur.raw = {
+        open: cur.raw.open != null ? cur.raw.open : b.raw.open,
+        high: b.raw.high != null && (cur.raw.high == null || b.raw.high > cur.raw.high) ? b.raw.high : cur.raw.high,
+        low: b.raw.low != null && (cur.raw.low == null || b.raw.low < cur.raw.low) ? b.raw.low : cur.raw.low,
+        close: b.raw.close
+      };
+      cur.fx = b.fx;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// interval=auto: 400일 이하 일봉, 2000일 이하 주봉, 그 이상 월봉
+function resolveInterval(interval, from, to) {
+  if (INTERVALS.includes(interval)) return interval;
+  const days = (parseYMD(to) - parseYMD(from)) / 86400000;
+  if (days <= 400) return '1d';
+  if (days <= 2000) return '1wk';
+  return '1mo';
+}
+
+module.exports = { INTERVALS, resampleBars, resolveInterval };
@@ -0,0 +1,37 @@
+const SAFE_NUM_MAX = 1e15;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// 안전한 숫자 검증 (NaN, Infinity, 비정상 값 차단)
+function sanitizeNum(val) {
+  if (val == null) return null;
+  const n = Number(val);
+  if (!Number.isFinite(n) || Math.abs(n) > SAFE_NUM_MAX) return null;
+  return n;
+}
+
+// 안전한 날짜 검증 (YYYY-MM-DD)
+function sanitizeDate(str) {
+  if (typeof str !== 'string') return null;
+  if (!DATE_REGEX.test(str)) return null;
+  const d = new Date(str);
+  if (isNaN(d.getTime())) return null;
+  return str;
+}
+
+// 일봉 레코드 정규화 (close 없으면 null)
+function sanitizeBar(raw) {
+  if (!raw) return null;
+  const date = sanitizeDate(raw.date);
+  const close = sanitizeNum(raw.close);
+  if (!date || close == null) return null;
+  return {
+    date,
+    close,
+    open: sanitizeNum(raw.open),
+    high: sanitizeNum(raw.high),
+    low: sanitizeNum(raw.low),
+    volume: sanitizeNum(raw.volume)
+  };
+}
+
+module.exports = { sanitizeNum, sanitizeDate, sanitizeBar };